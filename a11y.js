@@ -0,0 +1,114 @@
+/* ===============================
+   ACCESSIBILITY
+   ===============================
+   Helpers shared by the panels and the chat list:
+
+     announce(message)       reads a short message out through the polite
+                             live region (#a11yAnnouncer): a new answer,
+                             "Copied to clipboard", ...
+     openDialog(panel, el)   shows a modal panel and focuses el (or its
+     closeDialog(panel)      first control). While it is open the rest of
+                             the page is inert and Tab cycles inside it;
+                             closing it returns focus to the control that
+                             opened it. Panels still close themselves on
+                             Escape.
+     nextTabIndex(...)       roving focus for the chat tablist
+
+   nextTabIndex is exported for Node. The page markup is checked by the
+   audit in tests/a11y-audit.js (see tests/a11y.test.js).
+*/
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Open modal panels, innermost last: [{ panel, opener }]
+let openDialogs = [];
+let announceTimer = null;
+
+function announce(message) {
+    const region = document.getElementById('a11yAnnouncer');
+    if (!region || !message) return;
+    // Emptying the region first makes a repeated message ("Copied") be read again
+    clearTimeout(announceTimer);
+    region.textContent = '';
+    announceTimer = setTimeout(() => { region.textContent = message; }, 50);
+}
+
+function focusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => !el.closest('[hidden]'));
+}
+
+// Everything but the innermost open panel (and the live region) is inert
+function updateInertBackground() {
+    openDialogs = openDialogs.filter(dialog => dialog.panel.isConnected && !dialog.panel.hidden);
+    const top = openDialogs.length > 0 ? openDialogs[openDialogs.length - 1].panel : null;
+    Array.from(document.body.children).forEach(el => {
+        if (el.tagName === 'SCRIPT' || el.id === 'a11yAnnouncer') return;
+        el.inert = top !== null && el !== top;
+    });
+}
+
+function trapDialogFocus(e) {
+    if (e.key !== 'Tab') return;
+    const focusable = focusableElements(e.currentTarget);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+function openDialog(panel, focusTarget = null) {
+    if (!openDialogs.some(dialog => dialog.panel === panel)) {
+        openDialogs.push({ panel, opener: document.activeElement });
+    }
+    panel.setAttribute('aria-modal', 'true');
+    if (!panel.dataset.focusTrap) {
+        panel.dataset.focusTrap = 'true';
+        panel.addEventListener('keydown', trapDialogFocus);
+    }
+    panel.hidden = false;
+    updateInertBackground();
+    (focusTarget || focusableElements(panel)[0] || panel).focus();
+}
+
+function closeDialog(panel) {
+    panel.hidden = true;
+    const dialog = openDialogs.find(d => d.panel === panel);
+    updateInertBackground();
+    if (dialog && dialog.opener && dialog.opener.isConnected && typeof dialog.opener.focus === 'function') {
+        dialog.opener.focus();
+    }
+}
+
+// The tab to focus after `key` on tab `index` of `count` (vertical
+// tablist), or null for keys the tablist doesn't handle
+function nextTabIndex(count, index, key) {
+    if (count === 0) return null;
+    switch (key) {
+        case 'ArrowDown': return (index + 1) % count;
+        case 'ArrowUp': return (index - 1 + count) % count;
+        case 'Home': return 0;
+        case 'End': return count - 1;
+        default: return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { nextTabIndex };
+}
@@ -0,0 +1,446 @@
+/* ===============================
+   KB ADMIN CONSOLE
+   ===============================
+   Authoring tools for content editors, enabled by opening the app with
+   ?admin=1. Editors can browse, search, add and edit knowledge base
+   entries, try a question against the edited KB and see how each
+   candidate scored, then export the result as knowledge_base.json.
+
+   Edits are applied to the running chatbot straight away so test
+   queries (and the chat itself) use them, but nothing is saved until
+   the KB is exported.
+*/
+
+const ADMIN_FLAG = 'admin';
+const ADMIN_TEST_RESULTS = 10;
+const ADMIN_LIST_LIMIT = 200;
+
+// The raw KB file being edited, including entries that failed validation
+let adminKb = null;
+let adminSelectedIndex = null;
+let adminDirty = false;
+
+function isAdminMode() {
+    const value = new URLSearchParams(location.search).get(ADMIN_FLAG);
+    return value !== null && value !== '0' && value !== 'false';
+}
+
+function adminElement(tag, props = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.entries(props).forEach(([key, value]) => {
+        if (key === 'text') element.textContent = value;
+        else if (key.startsWith('on')) element.addEventListener(key.slice(2), value);
+        else element.setAttribute(key, value);
+    });
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+function todayIsoDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/* ---------- Loading and applying edits ---------- */
+
+async function loadAdminKb() {
+    const response = await fetch('knowledge_base.json', { cache: 'no-cache' });
+    adminKb = await response.json();
+    if (!Array.isArray(adminKb.entries)) adminKb.entries = [];
+}
+
+// problems for each entry index, from the shared validator
+function adminProblems() {
+    const problems = new Map();
+    validateKnowledgeBase(adminKb).quarantined.forEach(item => problems.set(item.index, item.problems));
+    return problems;
+}
+
+// Rebuild the live search index from the valid edited entries
+function applyAdminKb() {
+    const validation = validateKnowledgeBase(adminKb);
+    if (!validation.ok) return;
+
+    useKnowledgeBase(validation.entries, adminKb.synonyms);
+    useIntentEntries(validation.entries);
+    kbLoaded = true;
+}
+
+function nextAdminEntryId() {
+    const numbers = adminKb.entries
+        .map(entry => entry && /^kb(\d+)$/.exec(entry.id))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+    const next = (numbers.length ? Math.max(...numbers) : 0) + 1;
+    return `kb${String(next).padStart(3, '0')}`;
+}
+
+/* ---------- Entry list ---------- */
+
+function renderAdminList() {
+    const list = document.getElementById('adminEntryList');
+    const query = normalizeText(document.getElementById('adminSearch').value);
+    const category = document.getElementById('adminCategoryFilter').value;
+    const problems = adminProblems();
+
+    const matches = adminKb.entries
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => {
+            if (!entry || typeof entry !== 'object') return !query && !category;
+            if (category && entry.category !== category) return false;
+            if (!query) return true;
+            const haystack = normalizeText([entry.id, entry.question, entry.answer,
+                ...['tags', 'bullets', 'steps'].map(field => (Array.isArray(entry[field]) ? entry[field] : []).join(' '))].join(' '));
+            return haystack.includes(query);
+        });
+
+    list.replaceChildren();
+    matches.slice(0, ADMIN_LIST_LIMIT).forEach(({ entry, index }) => {
+        const label = entry && typeof entry === 'object'
+            ? `${entry.id || '(no id)'} · ${entry.question || '(no question)'}`
+            : `#${index + 1} · (not an entry)`;
+        const item = adminElement('li', {
+            class: 'admin-entry' + (index === adminSelectedIndex ? ' selected' : '') + (problems.has(index) ? ' invalid' : ''),
+            tabindex: '0',
+            title: problems.has(index) ? problems.get(index).join('; ') : label,
+            onclick: () => selectAdminEntry(index),
+            onkeydown: (e) => { if (e.key === 'Enter') selectAdminEntry(index); }
+        });
+        item.textContent = (problems.has(index) ? '⚠️ ' : '') + label;
+        list.appendChild(item);
+    });
+
+    const summary = document.getElementById('adminListSummary');
+    summary.textContent = `${matches.length} of ${adminKb.entries.length} entries` +
+        (matches.length > ADMIN_LIST_LIMIT ? ` (showing first ${ADMIN_LIST_LIMIT})` : '') +
+        (problems.size ? ` · ${problems.size} with problems` : '');
+}
+
+function refreshAdminCategories() {
+    const categories = [...new Set(adminKb.entries
+        .map(entry => entry && entry.category)
+        .filter(category => typeof category === 'string' && category))].sort();
+
+    const filter = document.getElementById('adminCategoryFilter');
+    const current = filter.value;
+    filter.replaceChildren(adminElement('option', { value: '', text: 'All categories' }));
+    categories.forEach(category => filter.appendChild(adminElement('option', { value: category, text: category })));
+    filter.value = categories.includes(current) ? current : '';
+
+    const datalist = document.getElementById('adminCategoryOptions');
+    datalist.replaceChildren(...categories.map(category => adminElement('option', { value: category })));
+}
+
+/* ---------- Entry editor ---------- */
+
+const ADMIN_FORM_FIELDS = ['id', 'question', 'answer', 'bullets', 'steps', 'follow_ups', 'related', 'disclaimer',
+    'tags', 'category', 'intent', 'source', 'last_updated'];
+// List fields edited as comma separated text, and as one item per line
+const ADMIN_COMMA_LISTS = ['tags', 'related'];
+const ADMIN_LINE_LISTS = ['bullets', 'steps', 'follow_ups'];
+
+function selectAdminEntry(index) {
+    adminSelectedIndex = index;
+    const entry = adminKb.entries[index] || {};
+    const form = document.getElementById('adminEntryForm');
+
+    ADMIN_FORM_FIELDS.forEach(field => {
+        const value = entry[field];
+        if (field === 'disclaimer') {
+            form.elements.disclaimer.checked = value === true;
+        } else if (ADMIN_COMMA_LISTS.includes(field)) {
+            form.elements[field].value = Array.isArray(value) ? value.join(', ') : (value || '');
+        } else if (ADMIN_LINE_LISTS.includes(field)) {
+            form.elements[field].value = Array.isArray(value) ? value.join('\n') : (value || '');
+        } else {
+            form.elements[field].value = typeof value === 'string' ? value : '';
+        }
+    });
+
+    form.hidden = false;
+    document.getElementById('adminEditorTitle').textContent = `Editing ${entry.id || `entry #${index + 1}`}`;
+    showAdminEntryProblems(adminProblems().get(index));
+    renderAdminList();
+}
+
+function showAdminEntryProblems(problems) {
+    const box = document.getElementById('adminEntryProblems');
+    box.replaceChildren();
+    box.hidden = !problems || problems.length === 0;
+    (problems || []).forEach(problem => box.appendChild(adminElement('li', { text: problem })));
+}
+
+function addAdminEntry() {
+    adminKb.entries.push({
+        id: nextAdminEntryId(),
+        question: '',
+        answer: '',
+        tags: [],
+        category: document.getElementById('adminCategoryFilter').value || '',
+        source: '',
+        last_updated: todayIsoDate()
+    });
+    selectAdminEntry(adminKb.entries.length - 1);
+    document.getElementById('adminEntryForm').elements.question.focus();
+}
+
+function saveAdminEntry(event) {
+    event.preventDefault();
+    if (adminSelectedIndex === null) return;
+
+    const form = event.target;
+    const previous = adminKb.entries[adminSelectedIndex];
+    const entry = previous && typeof previous === 'object' ? { ...previous } : {};
+
+    ADMIN_FORM_FIELDS.forEach(field => {
+        if (field === 'disclaimer') {
+            if (form.elements.disclaimer.checked) entry.disclaimer = true;
+            else delete entry.disclaimer;
+            return;
+        }
+
+        const value = form.elements[field].value.trim();
+        const list = ADMIN_COMMA_LISTS.includes(field) ? value.split(',')
+            : ADMIN_LINE_LISTS.includes(field) ? value.split('\n')
+            : null;
+
+        if (list) {
+            const items = list.map(item => item.trim()).filter(Boolean);
+            // tags is required, so it stays even when empty
+            if (items.length > 0 || field === 'tags') entry[field] = items;
+            else delete entry[field];
+        } else if (value || field === 'id' || field === 'question' || field === 'answer' || field === 'category') {
+            entry[field] = value;
+        } else {
+            delete entry[field];
+        }
+    });
+    entry.last_updated = todayIsoDate();
+    form.elements.last_updated.value = entry.last_updated;
+
+    adminKb.entries[adminSelectedIndex] = entry;
+    adminDirty = true;
+
+    const problems = adminProblems().get(adminSelectedIndex);
+    showAdminEntryProblems(problems);
+    document.getElementById('adminEditorTitle').textContent = `Editing ${entry.id}` + (problems ? ' (saved with problems)' : ' (saved)');
+
+    applyAdminKb();
+    refreshAdminCategories();
+    renderAdminList();
+    runAdminTestQuery();
+}
+
+function deleteAdminEntry() {
+    if (adminSelectedIndex === null) return;
+    const entry = adminKb.entries[adminSelectedIndex];
+    const label = entry && entry.id ? entry.id : `entry #${adminSelectedIndex + 1}`;
+    if (!confirm(`Delete ${label}? This cannot be undone except by reloading without exporting.`)) return;
+
+    adminKb.entries.splice(adminSelectedIndex, 1);
+    adminSelectedIndex = null;
+    adminDirty = true;
+    document.getElementById('adminEntryForm').hidden = true;
+    document.getElementById('adminEditorTitle').textContent = 'Select an entry to edit';
+    showAdminEntryProblems(null);
+
+    applyAdminKb();
+    refreshAdminCategories();
+    renderAdminList();
+    runAdminTestQuery();
+}
+
+/* ---------- Test query ---------- */
+
+function describeQueryConcepts(query) {
+    return buildQueryConcepts(query)
+        .map(alternatives => alternatives.map(terms => terms.join(' ')).join(' | '))
+        .join(' + ');
+}
+
+function runAdminTestQuery() {
+    const input = document.getElementById('adminTestInput');
+    const output = document.getElementById('adminTestResults');
+    const query = input.value.trim();
+    output.replaceChildren();
+    if (!query) return;
+
+    const ranked = rankEntries(query, ADMIN_TEST_RESULTS, '', true);
+    const best = findBestMatch(query);
+    const options = findDisambiguationOptions(query);
+
+    let verdict;
+    if (options) {
+        verdict = `Chatbot would ask "Did you mean…" with ${options.map(e => e.id).join(', ')}`;
+    } else if (best) {
+        verdict = `Chatbot would answer with ${best.id} (score ${best.score.toFixed(1)})`;
+    } else {
+        verdict = `No entry reaches the match threshold (${MATCH_THRESHOLD}); the member gets the fallback answer`;
+    }
+
+    output.appendChild(adminElement('p', { class: 'admin-verdict', text: verdict }));
+    output.appendChild(adminElement('p', { class: 'admin-concepts', text: `Searched for: ${describeQueryConcepts(query) || '(no searchable words)'}` }));
+
+    if (ranked.length === 0) return;
+
+    const fields = ['question', 'tags', 'category', 'answer', 'profile'];
+    const header = adminElement('tr', {}, ['#', 'Entry', 'Score', ...fields].map(label => adminElement('th', { text: label })));
+    const table = adminElement('table', { class: 'admin-results' }, [adminElement('thead', {}, [header])]);
+    const body = adminElement('tbody');
+
+    ranked.forEach((result, i) => {
+        const row = adminElement('tr', {
+            class: result.score >= MATCH_THRESHOLD ? 'above-threshold' : 'below-threshold'
+        });
+        row.appendChild(adminElement('td', { text: String(i + 1) }));
+
+        const entryCell = adminElement('td');
+        const link = adminElement('button', {
+            class: 'admin-link',
+            text: `${result.entry.id} · ${result.entry.question}`,
+            onclick: () => selectAdminEntry(adminKb.entries.findIndex(entry => entry && entry.id === result.entry.id))
+        });
+        entryCell.appendChild(link);
+        row.appendChild(entryCell);
+
+        row.appendChild(adminElement('td', { text: result.score.toFixed(1) }));
+        fields.forEach(field => {
+            row.appendChild(adminElement('td', { text: result.breakdown[field] ? result.breakdown[field].toFixed(1) : '–' }));
+        });
+        body.appendChild(row);
+    });
+
+    table.appendChild(body);
+    output.appendChild(table);
+}
+
+/* ---------- Export ---------- */
+
+function exportAdminKb() {
+    const data = { ...adminKb, last_updated: todayIsoDate() };
+    const validation = validateKnowledgeBase(data);
+
+    if (!validation.ok || validation.quarantined.length > 0) {
+        alert('Fix these problems before exporting:\n\n' + formatKbReport(validation));
+        return;
+    }
+
+    downloadFile(JSON.stringify(data, null, 2) + '\n', 'knowledge_base.json', 'application/json');
+    adminKb = data;
+    adminDirty = false;
+}
+
+/* ---------- Panel ---------- */
+
+function buildAdminPanel() {
+    const categoryInput = adminElement('input', { name: 'category', list: 'adminCategoryOptions', required: 'required' });
+    const field = (label, control) => adminElement('label', {}, [adminElement('span', { text: label }), control]);
+
+    const form = adminElement('form', { id: 'adminEntryForm', class: 'admin-form', hidden: 'hidden', onsubmit: saveAdminEntry }, [
+        field('ID', adminElement('input', { name: 'id', required: 'required' })),
+        field('Question', adminElement('input', { name: 'question', required: 'required' })),
+        field('Answer', adminElement('textarea', { name: 'answer', rows: '6', required: 'required' })),
+        field('Bullet points (one per line)', adminElement('textarea', { name: 'bullets', rows: '3' })),
+        field('Numbered steps (one per line)', adminElement('textarea', { name: 'steps', rows: '3' })),
+        field('Follow-up questions (one per line)', adminElement('textarea', { name: 'follow_ups', rows: '2' })),
+        field('Related entry ids (comma separated)', adminElement('input', { name: 'related' })),
+        adminElement('label', { class: 'admin-checkbox' }, [
+            adminElement('input', { name: 'disclaimer', type: 'checkbox' }),
+            adminElement('span', { text: 'Show the "not medical advice" disclaimer' })
+        ]),
+        field('Tags (comma separated)', adminElement('input', { name: 'tags' })),
+        field('Category', categoryInput),
+        field('Small-talk reply for', adminElement('select', { name: 'intent' }, [
+            adminElement('option', { value: '', text: 'Not small talk' }),
+            ...KB_SMALL_TALK_INTENTS.map(intent => adminElement('option', { value: intent, text: intent }))
+        ])),
+        field('Source', adminElement('input', { name: 'source' })),
+        field('Last updated', adminElement('input', { name: 'last_updated', type: 'date', readonly: 'readonly', title: 'Set automatically when you save' })),
+        adminElement('ul', { id: 'adminEntryProblems', class: 'admin-problems', hidden: 'hidden' }),
+        adminElement('div', { class: 'admin-form-actions' }, [
+            adminElement('button', { type: 'submit', text: 'Save entry' }),
+            adminElement('button', { type: 'button', class: 'admin-danger', text: 'Delete entry', onclick: deleteAdminEntry })
+        ])
+    ]);
+
+    const panel = adminElement('div', { id: 'adminPanel', class: 'admin-panel', role: 'dialog', 'aria-label': 'Knowledge base admin console', hidden: 'hidden' }, [
+        adminElement('div', { class: 'admin-toolbar' }, [
+            adminElement('h2', { text: '🛠 Knowledge base admin' }),
+            adminElement('button', { type: 'button', text: '➕ New entry', onclick: addAdminEntry }),
+            adminElement('button', { type: 'button', text: '💾 Export knowledge_base.json', onclick: exportAdminKb }),
+            adminElement('button', { type: 'button', text: '✕ Close', onclick: () => closeDialog(document.getElementById('adminPanel')) })
+        ]),
+        adminElement('div', { class: 'admin-columns' }, [
+            adminElement('section', { class: 'admin-browse' }, [
+                adminElement('input', { id: 'adminSearch', type: 'search', placeholder: 'Search id, question, answer, tags…', 'aria-label': 'Search entries', oninput: renderAdminList }),
+                adminElement('select', { id: 'adminCategoryFilter', 'aria-label': 'Filter by category', onchange: renderAdminList }),
+                adminElement('p', { id: 'adminListSummary', class: 'admin-summary' }),
+                adminElement('ul', { id: 'adminEntryList', class: 'admin-entry-list' })
+            ]),
+            adminElement('section', { class: 'admin-editor' }, [
+                adminElement('h3', { id: 'adminEditorTitle', text: 'Select an entry to edit' }),
+                adminElement('datalist', { id: 'adminCategoryOptions' }),
+                form
+            ]),
+            adminElement('section', { class: 'admin-test' }, [
+                adminElement('h3', { text: 'Test query' }),
+                adminElement('input', {
+                    id: 'adminTestInput',
+                    type: 'search',
+                    placeholder: 'Type a member question…',
+                    'aria-label': 'Test query',
+                    onkeydown: (e) => { if (e.key === 'Enter') runAdminTestQuery(); }
+                }),
+                adminElement('button', { type: 'button', text: 'Test', onclick: runAdminTestQuery }),
+                adminElement('div', { id: 'adminTestResults', class: 'admin-test-results', 'aria-live': 'polite' })
+            ])
+        ])
+    ]);
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeDialog(panel);
+    });
+    document.body.appendChild(panel);
+}
+
+async function openAdminPanel() {
+    const panel = document.getElementById('adminPanel');
+    if (!adminKb) {
+        try {
+            await loadAdminKb();
+        } catch (err) {
+            console.error('Admin: could not load knowledge_base.json', err);
+            alert('Could not load knowledge_base.json for editing.');
+            return;
+        }
+        refreshAdminCategories();
+    }
+    renderAdminList();
+    openDialog(panel, document.getElementById('adminSearch'));
+}
+
+function setupAdminMode() {
+    if (!isAdminMode()) return;
+
+    const toggle = adminElement('button', { id: 'adminToggle', class: 'admin-toggle', title: 'Open the knowledge base admin console', text: '🛠 KB Admin', onclick: openAdminPanel });
+    const themeButton = document.getElementById('themeToggle');
+    if (themeButton) {
+        themeButton.parentNode.insertBefore(toggle, themeButton);
+    }
+
+    buildAdminPanel();
+
+    window.addEventListener('beforeunload', (event) => {
+        if (adminDirty) {
+            event.preventDefault();
+            event.returnValue = '';
+        }
+    });
+
+    console.log('KB admin mode enabled');
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', setupAdminMode);
+} else {
+    setupAdminMode();
+}
@@ -0,0 +1,308 @@
+/* ===============================
+   ANSWER FEEDBACK DASHBOARD
+   ===============================
+   Members rate bot answers with 👍/👎 (and an optional note); the
+   rating is stored on the message next to its kbId and score. This
+   dashboard summarizes those ratings across every saved chat so the KB
+   team can see which entries to fix first:
+     - entries with the most unhelpful ratings
+     - questions that got the fallback answer most often
+     - how match scores are distributed, and how each band was rated
+   Everything stays on this device; "Export CSV" writes the same tables.
+
+   buildFeedbackStats is plain data in, data out and is exported for Node
+   (see tests/feedback.test.js).
+*/
+
+const FEEDBACK_SCORE_BUCKET = 10;
+const FEEDBACK_TOP_ENTRIES = 15;
+const FEEDBACK_TOP_UNANSWERED = 20;
+
+// Case, spacing and trailing punctuation don't make a different question
+function feedbackQueryKey(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[?!.]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Summarize every bot answer in `chats` (chat id -> messages)
+function buildFeedbackStats(chats) {
+    const entries = new Map();
+    const unanswered = new Map();
+    const buckets = [];
+    for (let from = 0; from < 100; from += FEEDBACK_SCORE_BUCKET) {
+        buckets.push({ from, to: from + FEEDBACK_SCORE_BUCKET, answered: 0, fallback: 0, up: 0, down: 0 });
+    }
+
+    const totals = { answers: 0, rated: 0, up: 0, down: 0, fallback: 0 };
+
+    Object.values(chats).forEach(messages => {
+        if (!Array.isArray(messages)) return;
+
+        messages.forEach((message, index) => {
+            if (!message || message.user || message.isWelcome) return;
+            totals.answers++;
+
+            const previous = messages[index - 1];
+            const query = previous && previous.user ? previous.text : '';
+            const rating = message.feedback ? message.feedback.rating : null;
+
+            if (rating) {
+                totals.rated++;
+                totals[rating]++;
+            }
+
+            if (message.kbId) {
+                const stats = entries.get(message.kbId) || { kbId: message.kbId, answered: 0, up: 0, down: 0, notes: [] };
+                stats.answered++;
+                if (rating) stats[rating]++;
+                if (message.feedback && message.feedback.note) {
+                    stats.notes.push({ query, note: message.feedback.note });
+                }
+                entries.set(message.kbId, stats);
+            }
+
+            if (message.fallback && query) {
+                totals.fallback++;
+                const key = feedbackQueryKey(query);
+                const stats = unanswered.get(key) || { query, count: 0, lastAsked: null, notes: [] };
+                stats.count++;
+                stats.query = query;
+                if (message.timestamp && (!stats.lastAsked || message.timestamp > stats.lastAsked)) {
+                    stats.lastAsked = message.timestamp;
+                }
+                if (message.feedback && message.feedback.note) {
+                    stats.notes.push(message.feedback.note);
+                }
+                unanswered.set(key, stats);
+            }
+
+            if (typeof message.score === 'number') {
+                const bucket = buckets[Math.min(buckets.length - 1, Math.floor(message.score / FEEDBACK_SCORE_BUCKET))];
+                bucket[message.fallback ? 'fallback' : 'answered']++;
+                if (rating) bucket[rating]++;
+            }
+        });
+    });
+
+    // Most unhelpful first; ties go to the entry with fewer helpful votes
+    const lowestRated = [...entries.values()]
+        .filter(stats => stats.down > 0)
+        .sort((a, b) => (b.down - b.up) - (a.down - a.up) || b.down - a.down || a.kbId.localeCompare(b.kbId));
+
+    const frequentUnanswered = [...unanswered.values()]
+        .sort((a, b) => b.count - a.count || String(b.lastAsked).localeCompare(String(a.lastAsked)));
+
+    return { totals, lowestRated, frequentUnanswered, scoreDistribution: buckets };
+}
+
+function feedbackPercent(part, whole) {
+    return whole ? `${Math.round((part / whole) * 100)}%` : '–';
+}
+
+function feedbackEntryQuestion(kbId) {
+    const entry = typeof getKbEntryById === 'function' ? getKbEntryById(kbId) : null;
+    return entry ? entry.question : '(entry no longer in the knowledge base)';
+}
+
+/* ---------- CSV export ---------- */
+
+function buildFeedbackCSV(stats) {
+    const rows = [['section', 'kb_id', 'question', 'answered', 'helpful', 'unhelpful', 'count', 'last_asked', 'notes']];
+
+    stats.lowestRated.forEach(item => {
+        rows.push(['lowest_rated', item.kbId, feedbackEntryQuestion(item.kbId), item.answered, item.up, item.down, '', '',
+            item.notes.map(n => n.note).join(' | ')]);
+    });
+    stats.frequentUnanswered.forEach(item => {
+        rows.push(['unanswered', '', item.query, '', '', '', item.count, item.lastAsked || '', item.notes.join(' | ')]);
+    });
+    stats.scoreDistribution.forEach(bucket => {
+        rows.push(['score_distribution', '', `${bucket.from}-${bucket.to}`, bucket.answered, bucket.up, bucket.down, bucket.fallback, '', '']);
+    });
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function exportFeedbackCSV() {
+    const csv = buildFeedbackCSV(buildFeedbackStats(chats));
+    downloadFile(csv, `Twin_Health_Feedback_${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+}
+
+/* ---------- Dashboard ---------- */
+
+function feedbackTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'feedback-table';
+
+    const headRow = document.createElement('tr');
+    headers.forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headRow.appendChild(th);
+    });
+    table.createTHead().appendChild(headRow);
+
+    const body = table.createTBody();
+    rows.forEach(cells => {
+        const row = body.insertRow();
+        cells.forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+    return table;
+}
+
+function feedbackSection(title, emptyText, content) {
+    const section = document.createElement('section');
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    if (content) {
+        section.appendChild(content);
+    } else {
+        const empty = document.createElement('p');
+        empty.className = 'feedback-empty';
+        empty.textContent = emptyText;
+        section.appendChild(empty);
+    }
+    return section;
+}
+
+function scoreDistributionChart(buckets) {
+    const chart = document.createElement('div');
+    chart.className = 'feedback-chart';
+    const max = Math.max(1, ...buckets.map(b => b.answered + b.fallback));
+
+    buckets.forEach(bucket => {
+        const row = document.createElement('div');
+        row.className = 'feedback-chart-row';
+
+        const label = document.createElement('span');
+        label.className = 'feedback-chart-label';
+        label.textContent = `${bucket.from}–${bucket.to}`;
+
+        const bar = document.createElement('span');
+        bar.className = 'feedback-chart-bar';
+        const answered = document.createElement('span');
+        answered.className = 'feedback-bar-answered';
+        answered.style.width = `${(bucket.answered / max) * 100}%`;
+        const fallback = document.createElement('span');
+        fallback.className = 'feedback-bar-fallback';
+        fallback.style.width = `${(bucket.fallback / max) * 100}%`;
+        bar.append(answered, fallback);
+
+        const counts = document.createElement('span');
+        counts.className = 'feedback-chart-counts';
+        counts.textContent = `${bucket.answered} answered, ${bucket.fallback} fallback · 👍 ${bucket.up} 👎 ${bucket.down}`;
+
+        row.append(label, bar, counts);
+        chart.appendChild(row);
+    });
+
+    return chart;
+}
+
+function renderFeedbackDashboard(panel) {
+    const stats = buildFeedbackStats(chats);
+    const { totals } = stats;
+    const body = panel.querySelector('.feedback-body');
+    body.replaceChildren();
+
+    const summary = document.createElement('p');
+    summary.className = 'feedback-summary';
+    summary.textContent = `${totals.answers} answers · ${totals.rated} rated · ` +
+        `${feedbackPercent(totals.up, totals.rated)} helpful · ${totals.fallback} fell back to the default answer`;
+    body.appendChild(summary);
+
+    body.appendChild(feedbackSection(
+        'Lowest-rated entries',
+        'No answers have been rated unhelpful yet.',
+        stats.lowestRated.length ? feedbackTable(
+            ['Entry', 'Question', 'Answered', '👍', '👎', 'Notes'],
+            stats.lowestRated.slice(0, FEEDBACK_TOP_ENTRIES).map(item => [
+                item.kbId,
+                feedbackEntryQuestion(item.kbId),
+                item.answered,
+                item.up,
+                item.down,
+                item.notes.map(n => n.note).join(' · ')
+            ])
+        ) : null
+    ));
+
+    body.appendChild(feedbackSection(
+        'Most frequent unanswered questions',
+        'Every question so far matched a knowledge base entry.',
+        stats.frequentUnanswered.length ? feedbackTable(
+            ['Question', 'Times asked', 'Last asked', 'Notes'],
+            stats.frequentUnanswered.slice(0, FEEDBACK_TOP_UNANSWERED).map(item => [
+                item.query,
+                item.count,
+                item.lastAsked ? new Date(item.lastAsked).toLocaleString() : '',
+                item.notes.join(' · ')
+            ])
+        ) : null
+    ));
+
+    body.appendChild(feedbackSection(
+        'Match score distribution',
+        'No scored answers yet.',
+        totals.answers ? scoreDistributionChart(stats.scoreDistribution) : null
+    ));
+}
+
+function openFeedbackDashboard() {
+    let panel = document.getElementById('feedbackDashboard');
+
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'feedbackDashboard';
+        panel.className = 'feedback-dashboard';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Answer feedback dashboard');
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'feedback-toolbar';
+        const title = document.createElement('h2');
+        title.textContent = '📊 Answer feedback';
+
+        const exportBtn = document.createElement('button');
+        exportBtn.textContent = '⬇️ Export CSV';
+        exportBtn.addEventListener('click', exportFeedbackCSV);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕ Close';
+        closeBtn.addEventListener('click', () => closeDialog(panel));
+
+        toolbar.append(title, exportBtn, closeBtn);
+
+        const body = document.createElement('div');
+        body.className = 'feedback-body';
+
+        panel.append(toolbar, body);
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeDialog(panel);
+        });
+        document.body.appendChild(panel);
+    }
+
+    renderFeedbackDashboard(panel);
+    openDialog(panel);
+}
+
+function setupFeedbackDashboardButton() {
+    const btn = document.getElementById('feedbackDashboardBtn');
+    if (btn) {
+        btn.addEventListener('click', openFeedbackDashboard);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildFeedbackStats
+    };
+}
@@ -0,0 +1,995 @@
+/* ===============================
+   HEALTH LOG (GUIDED LOGGING)
+   ===============================
+   Members log glucose readings, weight, meals and sleep by chatting,
+   e.g. "log my fasting sugar 110", "record weight 72.5 kg", "add lunch:
+   dal and rice", "log 7 hours of sleep", or with the chips under the
+   welcome message. Whatever a message leaves out is asked for one
+   question at a time, with quick-reply chips; "cancel" drops the entry.
+   The entry being filled in is kept in the chat's dialogue state
+   (scripts.js) as logFlow, so it survives a reload. It is dropped when
+   the member asks something else instead of answering, or after
+   HEALTH_LOG_FLOW_TIMEOUT_MS.
+
+   A glucose reading with no unit is read the way safety triage reads it:
+   mmol/L below SAFETY_RULES.glucose.mmolCutoff, mg/dL otherwise. Readings
+   outside what a meter can show for their unit are refused. A saved
+   reading that triage flags gets the safety response; anything else gets
+   its target range and guidance from the matching KB entry.
+
+   "Show my last 7 days" summarizes the log with a small chart. Questions
+   that mention a reading ("is 180 after lunch bad?") are answered as
+   usual, with a chip to log the reading (see processMessage).
+
+   Entries stay in this browser's localStorage and are not part of chat
+   exports. Commands are recognized in English, Hindi and Tamil.
+
+   Parsing and the summary are exported for Node (see
+   tests/health-log.test.js); they use SAFETY_RULES from safety.js and
+   t() from i18n.js.
+*/
+
+const HEALTH_LOG_STORAGE_KEY = 'twinHealthLog';
+// The oldest entries are dropped beyond this many
+const HEALTH_LOG_MAX_ENTRIES = 2000;
+const HEALTH_LOG_SUMMARY_DAYS = 7;
+const HEALTH_LOG_FLOW_TIMEOUT_MS = 30 * 60 * 1000;
+const HEALTH_LOG_MAX_DESCRIPTION = 200;
+const HEALTH_LOG_METRICS = ['glucose', 'weight', 'meal', 'sleep'];
+
+const HEALTH_LOG_RULES = {
+    // A command starts with one of these ("log my weight 72 kg") or, in
+    // Hindi and Tamil, ends with one ("वज़न 72 किलो दर्ज करें")
+    leadingCommands: ['log', 'record', 'note', 'note down', 'write down', 'add', 'लॉग', 'दर्ज', 'பதிவு'],
+    trailingCommands: ['दर्ज करें', 'दर्ज करो', 'दर्ज कीजिए', 'लॉग करें', 'लॉग करो', 'नोट करें', 'नोट करो',
+        'பதிவு செய்', 'பதிவு செய்யவும்', 'பதிவு செய்யுங்கள்'],
+    // Dropped from the start before looking for a command
+    politePrefixes: ['please', 'pls', 'kindly', 'can you', 'could you', 'can u', 'i want to', 'i would like to',
+        'id like to', 'help me', 'let me', 'i need to', 'कृपया', 'தயவுசெய்து'],
+    // Start like a command but ask for something else
+    notCommands: ['log in', 'log into', 'log out', 'login', 'logout', 'log off'],
+    // "Show my last 7 days": a word asking to see something, and a period
+    summaryShow: ['show', 'see', 'view', 'display', 'summary', 'summarize', 'summarise',
+        'दिखाओ', 'दिखाएँ', 'दिखाएं', 'दिखाइए', 'காட்டு', 'காட்டவும்'],
+    summaryPeriods: ['last 7 days', 'last seven days', 'past 7 days', 'past seven days', 'past week', 'last week',
+        'this week', 'my log', 'my logs', 'my readings', 'my entries', 'पिछले 7 दिन', 'पिछले सात दिन', 'கடந்த 7 நாட்கள்'],
+    cancel: ['cancel', 'stop', 'never mind', 'nevermind', 'forget it', 'dont log', 'do not log',
+        'रद्द', 'रहने दो', 'ரத்து', 'வேண்டாம்'],
+    // Checked in this order, so "sugar after lunch" is glucose, not a meal
+    metrics: {
+        glucose: ['sugar', 'blood sugar', 'glucose', 'bg', 'bs', 'reading', 'cgm', 'glucometer',
+            'शुगर', 'ग्लूकोज', 'ग्लूकोज़', 'சர்க்கரை', 'சுகர்'],
+        weight: ['weight', 'weigh', 'weighed', 'वज़न', 'वजन', 'எடை'],
+        sleep: ['sleep', 'slept', 'nap', 'नींद', 'தூக்கம்'],
+        meal: ['meal', 'breakfast', 'lunch', 'dinner', 'supper', 'snack', 'food', 'ate',
+            'खाना', 'भोजन', 'नाश्ता', 'नाश्ते', 'स्नैक', 'உணவு', 'சாப்பாடு', 'சிற்றுண்டி']
+    },
+    // First match wins. Strong phrases also mark a message as a glucose
+    // reading ("is 180 after lunch bad?").
+    contexts: [
+        { context: 'fasting', strong: true, phrases: ['fasting', 'fasted', 'empty stomach', 'before breakfast', 'before eating',
+            'खाली पेट', 'फास्टिंग', 'வெறும் வயிற்றில்', 'வெறும் வயிற்று'] },
+        { context: 'post_meal', strong: true, phrases: ['post meal', 'postmeal', 'post prandial', 'postprandial', 'pp',
+            'after meal', 'after a meal', 'after meals', 'after eating', 'after food', 'after breakfast', 'after lunch', 'after dinner',
+            'खाने के बाद', 'सुबह के नाश्ते के बाद', 'சாப்பிட்ட பிறகு', 'உணவுக்குப் பின்'] },
+        { context: 'post_meal', strong: false, phrases: ['after'] },
+        { context: 'fasting', strong: false, phrases: ['morning', 'woke up', 'on waking'] }
+    ],
+    mealTypes: {
+        breakfast: ['breakfast', 'नाश्ता', 'नाश्ते', 'காலை உணவு'],
+        lunch: ['lunch', 'दोपहर का खाना', 'மதிய உணவு'],
+        dinner: ['dinner', 'supper', 'रात का खाना', 'இரவு உணவு'],
+        snack: ['snack', 'स्नैक', 'சிற்றுண்டி']
+    },
+    // Dropped from around a meal description ("log my lunch: ...")
+    mealFillers: ['my', 'a', 'an', 'the', 'for', 'i had', 'i ate', 'had', 'ate', 'today', 'todays', 'meal', 'food', 'of',
+        'मेरा', 'मेरी', 'में', 'ने', 'என்', 'எனது'],
+    // Unit words after a number. "other" numbers (grams, steps...) are
+    // never taken as a reading.
+    units: {
+        'mg/dL': ['mg/dl', 'mg dl', 'mgdl', 'mg'],
+        'mmol/L': ['mmol/l', 'mmol l', 'mmol'],
+        kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'किलो', 'கிலோ'],
+        lb: ['lb', 'lbs', 'pound', 'pounds', 'पाउंड', 'பவுண்டு'],
+        hours: ['h', 'hr', 'hrs', 'hour', 'hours', 'घंटे', 'घंटा', 'மணி நேரம்', 'மணிநேரம்', 'மணி'],
+        minutes: ['m', 'min', 'mins', 'minute', 'minutes', 'मिनट', 'நிமிடம்', 'நிமிடங்கள்'],
+        other: ['am', 'pm', 'g', 'gm', 'gms', 'gram', 'grams', 'carbs', 'kcal', 'cal', 'calories', 'steps', '%', 'percent',
+            'years', 'yrs', 'bpm', 'ml', 'cups', 'glasses', 'pieces', 'slices', 'days', 'weeks', 'बजे']
+    },
+    glucose: {
+        // What a meter can show, by unit
+        ranges: { 'mg/dL': [20, 600], 'mmol/L': [1.1, 33.3] },
+        // General adult targets in mg/dL; a care team may set others
+        targets: { fasting: { low: 80, high: 130 }, post_meal: { low: null, high: 180 } }
+    },
+    weight: {
+        ranges: { kg: [20, 350], lb: [45, 770] },
+        lbPerKg: 2.20462
+    },
+    sleep: {
+        range: [0.5, 24],
+        target: { low: 7, high: 9 }
+    },
+    // KB questions whose answers are shown after an entry is saved
+    guidance: {
+        glucose_fasting_above: 'why is my fasting blood sugar high in the morning',
+        glucose_fasting: 'what is time in range',
+        glucose_post_meal_above: 'walk after meals glucose spikes',
+        glucose_post_meal: 'does the order of eating matter for glucose',
+        weight_up: 'why did my weight go up overnight',
+        weight_same: 'weight loss plateau',
+        weight: 'how to lose weight',
+        sleep_below: 'how to improve sleep',
+        sleep: 'role of sleep in metabolic health',
+        meal_snack: 'three meals or snacks',
+        meal: 'does the order of eating matter for glucose'
+    }
+};
+
+// Entries, oldest first; loaded on first use
+let healthLog = null;
+
+/* ---------- Text ---------- */
+
+// Lowercase, with Devanagari and Tamil digits as 0-9, clock times removed
+// and only letters, numbers, decimal points, "/" and "%" kept
+function logText(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+        .replace(/[\u0BE6-\u0BEF]/g, digit => String(digit.charCodeAt(0) - 0x0BE6))
+        .replace(/['\u2019\u200B-\u200D\u2060\uFE0E\uFE0F\uFEFF]/g, '')
+        .replace(/\b\d{1,2}:\d{2}\b/g, ' ')
+        .replace(/(\d),(\d)/g, '$1.$2')
+        .replace(/[^\p{L}\p{M}\p{N}./%\s]/gu, ' ')
+        .replace(/\.(?!\d)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// The longest of phrases found as whole words in normalized text,
+// anywhere or only at its 'start' or 'end'; null when none is
+function findLogPhrase(text, phrases, where = 'any') {
+    const found = phrases
+        .map(phrase => logText(phrase))
+        .filter(phrase => {
+            if (!phrase) return false;
+            const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const before = where === 'start' ? '^' : '(?:^|(?<=[^\\p{L}\\p{M}\\p{N}]))';
+            const after = where === 'end' ? '$' : '(?=$|[^\\p{L}\\p{M}\\p{N}])';
+            return new RegExp(before + escaped + after, 'u').test(text);
+        })
+        .sort((a, b) => b.length - a.length);
+    return found.length > 0 ? found[0] : null;
+}
+
+// Remove phrases from one end of text, as often as they repeat. Works on
+// the original text, so what is left keeps its case; punctuation and
+// emoji at that end go too.
+function trimLogPhrases(text, phrases, fromEnd = false) {
+    const sorted = phrases.map(phrase => phrase.toLowerCase()).sort((a, b) => b.length - a.length);
+    const edge = fromEnd ? /[^\p{L}\p{M}\p{N})]+$/u : /^[^\p{L}\p{M}\p{N}]+/u;
+    let rest = String(text || '').normalize('NFC').replace(/[\uFE0E\uFE0F]/g, '').replace(edge, '');
+    let changed = true;
+
+    while (changed && rest) {
+        changed = false;
+        for (const phrase of sorted) {
+            const piece = fromEnd ? rest.slice(-phrase.length) : rest.slice(0, phrase.length);
+            const next = fromEnd ? rest.charAt(rest.length - phrase.length - 1) : rest.charAt(phrase.length);
+            if (piece.toLowerCase() === phrase && !/[\p{L}\p{M}\p{N}]/u.test(next)) {
+                rest = (fromEnd ? rest.slice(0, -phrase.length) : rest.slice(phrase.length)).replace(edge, '');
+                changed = true;
+                break;
+            }
+        }
+    }
+    return rest.trim();
+}
+
+function unitOfWord(rest, rules) {
+    const squashed = rest.replace(/\s*\/\s*/g, '/');
+    for (const [unit, words] of Object.entries(rules.units)) {
+        if (words.some(word => squashed === word || new RegExp(`^${word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}(?![\\p{L}\\p{M}])`, 'u').test(squashed))) {
+            return unit;
+        }
+    }
+    return null;
+}
+
+// Numbers in normalized text with the unit written after each:
+// [{ value, unit }], unit null when none is
+function logNumbers(text, rules = HEALTH_LOG_RULES) {
+    const numbers = [];
+    const pattern = /(?<![\p{L}\p{N}.])\d+(?:\.\d+)?(?!\p{N})/gu;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const rest = text.slice(match.index + match[0].length).trimStart();
+        numbers.push({ value: parseFloat(match[0]), unit: unitOfWord(rest, rules) });
+    }
+    return numbers;
+}
+
+function findLogContext(text, rules = HEALTH_LOG_RULES) {
+    return rules.contexts.find(group => findLogPhrase(text, group.phrases)) || null;
+}
+
+function findMealType(text, rules = HEALTH_LOG_RULES) {
+    const found = Object.keys(rules.mealTypes).find(type => findLogPhrase(text, rules.mealTypes[type]));
+    return found || null;
+}
+
+// The metric a message is about, or null
+function detectLogMetric(text, rules = HEALTH_LOG_RULES) {
+    if (findLogPhrase(text, rules.metrics.glucose)) return 'glucose';
+    const context = findLogContext(text, rules);
+    if (context && context.strong) return 'glucose';
+
+    const unitMetrics = { 'mg/dL': 'glucose', 'mmol/L': 'glucose', kg: 'weight', lb: 'weight', hours: 'sleep', minutes: 'sleep' };
+    const measured = logNumbers(text, rules).find(number => unitMetrics[number.unit]);
+    if (measured) return unitMetrics[measured.unit];
+
+    return ['weight', 'sleep', 'meal'].find(metric => findLogPhrase(text, rules.metrics[metric])) || null;
+}
+
+function stripPolitePrefixes(text, rules) {
+    let rest = text;
+    let prefix;
+    while ((prefix = findLogPhrase(rest, rules.politePrefixes, 'start'))) {
+        rest = rest.slice(prefix.length).trim();
+    }
+    return rest;
+}
+
+/* ---------- Slots ---------- */
+
+function inLogRange(value, [low, high]) {
+    return value >= low && value <= high;
+}
+
+function glucoseToMgdl(value, unit) {
+    return unit === 'mmol/L' ? Math.round(value * SAFETY_RULES.glucose.mmolToMgdl) : value;
+}
+
+function mgdlToUnit(mgdl, unit) {
+    return unit === 'mmol/L' ? Math.round(mgdl / SAFETY_RULES.glucose.mmolToMgdl * 10) / 10 : Math.round(mgdl);
+}
+
+function weightToKg(value, unit, rules = HEALTH_LOG_RULES) {
+    return unit === 'lb' ? value / rules.weight.lbPerKg : value;
+}
+
+function kgToUnit(kg, unit, rules = HEALTH_LOG_RULES) {
+    return Math.round((unit === 'lb' ? kg * rules.weight.lbPerKg : kg) * 10) / 10;
+}
+
+// What was asked for, in the order it is asked
+function nextLogSlot(metric, slots) {
+    if (!metric) return 'metric';
+    if (metric === 'glucose') {
+        if (!slots.glucose) return 'glucose';
+        if (!slots.context) return 'context';
+    } else if (metric === 'weight') {
+        if (!slots.weight) return 'weight';
+        if (!slots.weight.unit) return 'weightUnit';
+    } else if (metric === 'meal') {
+        if (!slots.mealType) return 'mealType';
+        if (!slots.description) return 'description';
+    } else if (metric === 'sleep' && !slots.hours) {
+        return 'sleep';
+    }
+    return null;
+}
+
+// Fill a metric's slots from a message. Returns { slots, changed, error };
+// error is { slot, value, unit } when a number was refused (its slot is
+// left empty). options: awaiting (the slot just asked for) and
+// lastWeightUnit (used for a weight given without a unit).
+function fillLogSlots(metric, slots, text, options = {}, rules = HEALTH_LOG_RULES) {
+    const normalized = logText(text);
+    const filled = { ...slots };
+    let error = null;
+
+    const numbers = logNumbers(normalized, rules);
+
+    if (metric === 'glucose') {
+        const context = findLogContext(normalized, rules);
+        if (context) filled.context = context.context;
+
+        const number = numbers.find(n => n.unit === null || n.unit === 'mg/dL' || n.unit === 'mmol/L');
+        if (number) {
+            const unit = number.unit || (number.value < SAFETY_RULES.glucose.mmolCutoff ? 'mmol/L' : 'mg/dL');
+            if (inLogRange(number.value, rules.glucose.ranges[unit])) {
+                filled.glucose = { value: number.value, unit };
+            } else {
+                delete filled.glucose;
+                error = { slot: 'glucose', value: number.value, unit };
+            }
+        }
+    } else if (metric === 'weight') {
+        const number = numbers.find(n => n.unit === null || n.unit === 'kg' || n.unit === 'lb');
+        let weight = filled.weight ? { ...filled.weight } : null;
+        if (number) {
+            weight = { value: number.value, unit: number.unit || options.lastWeightUnit || null };
+        } else if (weight && !weight.unit) {
+            weight.unit = findLogPhrase(normalized, rules.units.kg) ? 'kg'
+                : findLogPhrase(normalized, rules.units.lb) ? 'lb' : null;
+        }
+        if (weight && weight.unit && !inLogRange(weight.value, rules.weight.ranges[weight.unit])) {
+            error = { slot: 'weight', value: weight.value, unit: weight.unit };
+            weight = null;
+        }
+        if (weight) filled.weight = weight;
+        else delete filled.weight;
+    } else if (metric === 'meal') {
+        const mealType = findMealType(normalized, rules);
+        if (mealType) filled.mealType = mealType;
+
+        const mealWords = [...rules.mealFillers, ...Object.values(rules.mealTypes).flat(), ...rules.metrics.meal];
+        const description = trimLogPhrases(
+            trimLogPhrases(text, [...rules.trailingCommands, ...mealWords], true),
+            [...rules.leadingCommands, ...rules.politePrefixes, ...mealWords]
+        );
+        if (description && (options.awaiting === 'description' || !/^[\p{N}\s]*$/u.test(description))) {
+            filled.description = description.slice(0, HEALTH_LOG_MAX_DESCRIPTION);
+        }
+    } else if (metric === 'sleep') {
+        const hours = numbers.find(n => n.unit === 'hours' || n.unit === null);
+        const minutes = numbers.find(n => n.unit === 'minutes');
+        if (hours || minutes) {
+            const total = Math.round(((hours ? hours.value : 0) + (minutes ? minutes.value / 60 : 0)) * 100) / 100;
+            if (inLogRange(total, rules.sleep.range)) {
+                filled.hours = total;
+            } else {
+                delete filled.hours;
+                error = { slot: 'sleep', value: total, unit: 'hours' };
+            }
+        }
+    }
+
+    const changed = error !== null || JSON.stringify(filled) !== JSON.stringify(slots);
+    return { slots: filled, changed, error };
+}
+
+// What a message asks the log to do:
+//   { action: 'summary' }
+//   { action: 'log', metric (null when it doesn't say), slots, error }
+// or null when it is not a log command. Questions ("how do I log my
+// meals?") are not commands.
+function parseLogCommand(text, options = {}, rules = HEALTH_LOG_RULES) {
+    const raw = String(text || '').trim();
+    const normalized = logText(raw);
+    const command = stripPolitePrefixes(normalized, rules);
+    if (!command) return null;
+
+    if (findLogPhrase(command, rules.summaryShow) && findLogPhrase(command, rules.summaryPeriods)) {
+        return { action: 'summary' };
+    }
+
+    const asksPolitely = command !== normalized;
+    if ((raw.endsWith('?') && !asksPolitely) || findLogPhrase(command, rules.notCommands, 'start')) return null;
+
+    const lead = findLogPhrase(command, rules.leadingCommands, 'start');
+    const trail = findLogPhrase(command, rules.trailingCommands, 'end');
+    if (!lead && !trail) return null;
+
+    const metric = detectLogMetric(command, rules);
+    if (!metric) {
+        // "log", "log something": ask what to log. Longer messages are
+        // some other request ("note that my coach called").
+        const rest = (lead ? command.slice(lead.length) : command.slice(0, -trail.length)).trim();
+        return rest.split(' ').filter(Boolean).length <= 2
+            ? { action: 'log', metric: null, slots: {}, error: null }
+            : null;
+    }
+
+    const { slots, error } = fillLogSlots(metric, {}, raw, options, rules);
+    return { action: 'log', metric, slots, error };
+}
+
+/* ---------- Entries ---------- */
+
+function buildLogEntry(metric, slots, now = new Date(), rules = HEALTH_LOG_RULES) {
+    const entry = {
+        id: `log_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+        type: metric,
+        loggedAt: now.toISOString()
+    };
+    if (metric === 'glucose') {
+        Object.assign(entry, {
+            context: slots.context,
+            value: slots.glucose.value,
+            unit: slots.glucose.unit,
+            mgdl: glucoseToMgdl(slots.glucose.value, slots.glucose.unit)
+        });
+    } else if (metric === 'weight') {
+        Object.assign(entry, {
+            value: slots.weight.value,
+            unit: slots.weight.unit,
+            kg: Math.round(weightToKg(slots.weight.value, slots.weight.unit, rules) * 100) / 100
+        });
+    } else if (metric === 'meal') {
+        Object.assign(entry, { mealType: slots.mealType, description: slots.description });
+    } else if (metric === 'sleep') {
+        entry.hours = slots.hours;
+    }
+    return entry;
+}
+
+// Keep entries written by this version only; anything else is dropped
+function sanitizeLogEntry(entry, rules = HEALTH_LOG_RULES) {
+    if (!entry || typeof entry !== 'object' || !HEALTH_LOG_METRICS.includes(entry.type)) return null;
+    if (typeof entry.id !== 'string' || isNaN(Date.parse(entry.loggedAt))) return null;
+
+    const number = (value) => typeof value === 'number' && isFinite(value);
+    const valid = {
+        glucose: () => ['fasting', 'post_meal'].includes(entry.context) && number(entry.value) &&
+            ['mg/dL', 'mmol/L'].includes(entry.unit) && number(entry.mgdl),
+        weight: () => number(entry.value) && ['kg', 'lb'].includes(entry.unit) && number(entry.kg),
+        meal: () => Object.prototype.hasOwnProperty.call(rules.mealTypes, entry.mealType) &&
+            typeof entry.description === 'string',
+        sleep: () => number(entry.hours)
+    };
+    return valid[entry.type]() ? entry : null;
+}
+
+// 'below' | 'in_target' | 'above' for a glucose entry's context
+function glucoseStatus(entry, rules = HEALTH_LOG_RULES) {
+    const target = rules.glucose.targets[entry.context];
+    if (target.low !== null && entry.mgdl < target.low) return 'below';
+    if (entry.mgdl > target.high) return 'above';
+    return 'in_target';
+}
+
+function sleepStatus(hours, rules = HEALTH_LOG_RULES) {
+    const target = rules.sleep.target;
+    if (hours < target.low) return 'below';
+    if (hours > target.high) return 'above';
+    return 'in_target';
+}
+
+// The rules.guidance key for a saved entry; previous is the weight entry
+// before it, if any
+function guidanceKey(entry, previous = null, rules = HEALTH_LOG_RULES) {
+    if (entry.type === 'glucose') {
+        return glucoseStatus(entry, rules) === 'above' ? `glucose_${entry.context}_above` : `glucose_${entry.context}`;
+    }
+    if (entry.type === 'weight') {
+        if (!previous) return 'weight';
+        const change = Math.round((entry.kg - previous.kg) * 10) / 10;
+        return change > 0 ? 'weight_up' : change === 0 ? 'weight_same' : 'weight';
+    }
+    if (entry.type === 'sleep') {
+        return sleepStatus(entry.hours, rules) === 'below' ? 'sleep_below' : 'sleep';
+    }
+    return entry.mealType === 'snack' ? 'meal_snack' : 'meal';
+}
+
+/* ---------- Summary ---------- */
+
+// Local calendar day, e.g. "2026-10-18"
+function logDayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function logAverage(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Summarize the entries of the last `days` days, ending today:
+//   { days: [day keys], glucose, weight, sleep, meals, chart }
+// Each metric is null when nothing was logged for it. Glucose and weight
+// are given in the unit of their latest entry. chart holds daily values
+// for createHealthLogChart: { days, panels: [{ metric, unit, series: [{ key, values }] }] }
+function buildLogSummary(entries, now = new Date(), days = HEALTH_LOG_SUMMARY_DAYS, rules = HEALTH_LOG_RULES) {
+    const dayKeys = [];
+    for (let i = days - 1; i >= 0; i--) {
+        dayKeys.push(logDayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i)));
+    }
+    const recent = (entries || [])
+        .filter(entry => dayKeys.includes(logDayKey(entry.loggedAt)))
+        .sort((a, b) => Date.parse(a.loggedAt) - Date.parse(b.loggedAt));
+    const ofType = type => recent.filter(entry => entry.type === type);
+    const byDay = (list, pick) => dayKeys.map(day => {
+        const values = list.filter(entry => logDayKey(entry.loggedAt) === day).map(pick);
+        return values.length > 0 ? values : null;
+    });
+    const round = (value, unit) => value === null ? null : unit === 'mg/dL' ? Math.round(value) : Math.round(value * 10) / 10;
+
+    const summary = { days: dayKeys, glucose: null, weight: null, sleep: null, meals: null, chart: { days: dayKeys, panels: [] } };
+
+    const glucose = ofType('glucose');
+    if (glucose.length > 0) {
+        const unit = glucose[glucose.length - 1].unit;
+        summary.glucose = { unit };
+        const series = [];
+        ['fasting', 'post_meal'].forEach(context => {
+            const readings = glucose.filter(entry => entry.context === context);
+            if (readings.length === 0) return;
+            summary.glucose[context] = {
+                count: readings.length,
+                average: mgdlToUnit(logAverage(readings.map(entry => entry.mgdl)), unit),
+                inTarget: readings.filter(entry => glucoseStatus(entry, rules) === 'in_target').length
+            };
+            series.push({
+                key: context,
+                values: byDay(readings, entry => entry.mgdl).map(values => values && mgdlToUnit(logAverage(values), unit))
+            });
+        });
+        summary.chart.panels.push({ metric: 'glucose', unit, series });
+    }
+
+    const weights = ofType('weight');
+    if (weights.length > 0) {
+        const unit = weights[weights.length - 1].unit;
+        const first = kgToUnit(weights[0].kg, unit, rules);
+        const last = kgToUnit(weights[weights.length - 1].kg, unit, rules);
+        summary.weight = { unit, count: weights.length, first, last, change: Math.round((last - first) * 10) / 10 };
+        summary.chart.panels.push({
+            metric: 'weight',
+            unit,
+            series: [{ key: 'weight', values: byDay(weights, entry => entry.kg).map(values => values && kgToUnit(values[values.length - 1], unit, rules)) }]
+        });
+    }
+
+    const sleep = ofType('sleep');
+    if (sleep.length > 0) {
+        const nights = byDay(sleep, entry => entry.hours).map(values => values && round(values.reduce((sum, h) => sum + h, 0)));
+        const logged = nights.filter(hours => hours !== null);
+        summary.sleep = { count: logged.length, average: round(logAverage(logged)) };
+        summary.chart.panels.push({ metric: 'sleep', unit: 'hours', series: [{ key: 'sleep', values: nights }] });
+    }
+
+    const meals = ofType('meal');
+    if (meals.length > 0) {
+        summary.meals = { count: meals.length };
+    }
+    return summary;
+}
+
+/* ---------- Storage ---------- */
+
+function loadHealthLog() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HEALTH_LOG_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.map(entry => sanitizeLogEntry(entry)).filter(Boolean) : [];
+    } catch (err) {
+        console.error('Could not read the health log:', err);
+        return [];
+    }
+}
+
+function healthLogEntries() {
+    if (healthLog === null) healthLog = loadHealthLog();
+    return healthLog;
+}
+
+// false when the browser refused to store it (e.g. storage full)
+function addHealthLogEntry(entry) {
+    const entries = [...healthLogEntries(), entry].slice(-HEALTH_LOG_MAX_ENTRIES);
+    try {
+        localStorage.setItem(HEALTH_LOG_STORAGE_KEY, JSON.stringify(entries));
+    } catch (err) {
+        console.error('Could not save the health log entry:', err);
+        return false;
+    }
+    healthLog = entries;
+    return true;
+}
+
+function lastLogEntry(type) {
+    const entries = healthLogEntries().filter(entry => entry.type === type);
+    return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+/* ---------- Replies ---------- */
+
+function formatLogNumber(value, locale) {
+    const intl = I18N_LOCALES[locale] ? I18N_LOCALES[locale].intl : locale;
+    return new Intl.NumberFormat(intl, { maximumFractionDigits: 1 }).format(value);
+}
+
+function formatLogDate(date, locale) {
+    const intl = I18N_LOCALES[locale] ? I18N_LOCALES[locale].intl : locale;
+    return new Intl.DateTimeFormat(intl, { day: 'numeric', month: 'short' }).format(new Date(date));
+}
+
+// "7.8 mmol/L (140 mg/dL)": mmol/L readings also show mg/dL and the other
+// way round, so a wrongly guessed unit stands out
+function formatGlucoseReading(value, unit, locale) {
+    const other = unit === 'mmol/L' ? 'mg/dL' : 'mmol/L';
+    const converted = mgdlToUnit(glucoseToMgdl(value, unit), other);
+    return `${formatLogNumber(value, locale)} ${unit} (${formatLogNumber(converted, locale)} ${other})`;
+}
+
+function formatHours(hours, locale) {
+    return t('log.hours', { count: hours }, locale).replace(String(hours), formatLogNumber(hours, locale));
+}
+
+function formatGlucoseTarget(context, unit, locale, rules = HEALTH_LOG_RULES) {
+    const target = rules.glucose.targets[context];
+    const format = mgdl => formatLogNumber(mgdlToUnit(mgdl, unit), locale);
+    return target.low !== null
+        ? t('log.target.range', { low: format(target.low), high: format(target.high), unit }, locale)
+        : t('log.target.below', { high: format(target.high), unit }, locale);
+}
+
+function mealName(mealType, locale) {
+    const intl = I18N_LOCALES[locale] ? I18N_LOCALES[locale].intl : locale;
+    return t(`log.mealType.${mealType}`, {}, locale).toLocaleLowerCase(intl);
+}
+
+// The labels of the welcome message's logging chips; each is a command
+function healthLogChipLabels(locale = getLocale()) {
+    return [...HEALTH_LOG_METRICS, 'summary'].map(key => t(`log.chip.${key}`, {}, locale));
+}
+
+// The question for a slot, with chips for its likely answers
+function healthLogPrompt(slot, flow, locale) {
+    const cancel = t('log.cancel', {}, locale);
+    const slots = flow.slots;
+    const prompts = {
+        metric: () => [t('log.ask.metric', {}, locale), HEALTH_LOG_METRICS.map(metric => t(`log.metric.${metric}`, {}, locale))],
+        glucose: () => [t('log.ask.glucose', {}, locale), []],
+        context: () => [
+            t('log.ask.context', { reading: formatGlucoseReading(slots.glucose.value, slots.glucose.unit, locale) }, locale),
+            ['fasting', 'post_meal'].map(context => t(`log.context.${context}`, {}, locale))
+        ],
+        weight: () => [t('log.ask.weight', {}, locale), []],
+        weightUnit: () => [t('log.ask.weightUnit', { value: formatLogNumber(slots.weight.value, locale) }, locale), ['kg', 'lb']],
+        mealType: () => [t('log.ask.mealType', {}, locale), Object.keys(HEALTH_LOG_RULES.mealTypes).map(type => t(`log.mealType.${type}`, {}, locale))],
+        description: () => [t('log.ask.description', { meal: mealName(slots.mealType, locale) }, locale), []],
+        sleep: () => [t('log.ask.sleep', {}, locale), []]
+    };
+    const [text, replies] = prompts[slot]();
+    return { text, quickReplies: [...replies, cancel] };
+}
+
+function healthLogErrorText(error, locale) {
+    if (error.slot === 'glucose') {
+        return t('log.invalid.glucose', { reading: `${formatLogNumber(error.value, locale)} ${error.unit}` }, locale);
+    }
+    if (error.slot === 'weight') {
+        return t('log.invalid.weight', { weight: `${formatLogNumber(error.value, locale)} ${error.unit}` }, locale);
+    }
+    return t('log.invalid.sleep', {}, locale);
+}
+
+// The "saved" line and what the value means
+function savedEntryText(entry, previous, locale, rules = HEALTH_LOG_RULES) {
+    if (entry.type === 'glucose') {
+        const context = t(`log.contextName.${entry.context}`, {}, locale);
+        return [
+            t('log.saved.glucose', { context, reading: formatGlucoseReading(entry.value, entry.unit, locale) }, locale),
+            t(`log.status.${glucoseStatus(entry, rules)}`, { context, target: formatGlucoseTarget(entry.context, entry.unit, locale, rules) }, locale)
+        ].join(' ');
+    }
+    if (entry.type === 'weight') {
+        const lines = [t('log.saved.weight', { weight: `${formatLogNumber(entry.value, locale)} ${entry.unit}` }, locale)];
+        if (previous) {
+            const change = Math.round((entry.value - kgToUnit(previous.kg, entry.unit, rules)) * 10) / 10;
+            const date = formatLogDate(previous.loggedAt, locale);
+            lines.push(change === 0
+                ? t('log.weightSame', { date }, locale)
+                : t('log.weightChange', { change: `${change > 0 ? '+' : '−'}${formatLogNumber(Math.abs(change), locale)} ${entry.unit}`, date }, locale));
+        }
+        return lines.join(' ');
+    }
+    if (entry.type === 'sleep') {
+        const target = rules.sleep.target;
+        return [
+            t('log.saved.sleep', { hours: formatHours(entry.hours, locale) }, locale),
+            t(`log.sleepStatus.${sleepStatus(entry.hours, rules)}`, { low: target.low, high: target.high }, locale)
+        ].join(' ');
+    }
+    return t('log.saved.meal', { meal: mealName(entry.mealType, locale), description: entry.description }, locale);
+}
+
+function saveHealthLogEntry(entry, query, locale) {
+    const previous = entry.type === 'weight' ? lastLogEntry('weight') : null;
+    if (!addHealthLogEntry(entry)) {
+        return { text: t('log.saveFailed', {}, locale), healthLog: true };
+    }
+    const saved = savedEntryText(entry, previous, locale);
+
+    if (entry.type === 'glucose') {
+        const triage = triageGlucoseReading({ value: entry.value, unit: entry.unit, mgdl: entry.mgdl }, query);
+        if (triage) {
+            return { text: `${formatSafetyResponse(triage, locale)}\n\n${saved}`, safety: triage.severity, healthLog: true };
+        }
+    }
+
+    const response = { text: saved, healthLog: true, disclaimer: entry.type === 'glucose' };
+    const match = findBestMatch(HEALTH_LOG_RULES.guidance[guidanceKey(entry, previous)]);
+    const guide = match ? getKbEntryById(match.id) : null;
+    if (guide) {
+        const answer = formatLocalizedKbAnswer(guide, locale);
+        response.text += `\n\n**${t('log.guidance', {}, locale)}**\n\n${answer.text}`;
+        response.source = match.source;
+        response.kbId = guide.id;
+        response.disclaimer = response.disclaimer || answer.disclaimer;
+    }
+    return response;
+}
+
+function healthLogSummaryText(summary, locale) {
+    const lines = [`**${t('log.summary.title', {
+        days: summary.days.length,
+        from: formatLogDate(`${summary.days[0]}T12:00:00`, locale),
+        to: formatLogDate(`${summary.days[summary.days.length - 1]}T12:00:00`, locale)
+    }, locale)}**`, ''];
+
+    if (summary.glucose) {
+        ['fasting', 'post_meal'].forEach(context => {
+            const stats = summary.glucose[context];
+            if (!stats) return;
+            lines.push(`- ${t(`log.summary.${context}`, {
+                count: stats.count,
+                average: `${formatLogNumber(stats.average, locale)} ${summary.glucose.unit}`,
+                inTarget: stats.inTarget
+            }, locale)}`);
+        });
+    }
+    if (summary.weight) {
+        const { unit, first, last, change, count } = summary.weight;
+        const format = value => `${formatLogNumber(value, locale)} ${unit}`;
+        lines.push(`- ${count > 1
+            ? t('log.summary.weight', { first: format(first), last: format(last), change: `${change > 0 ? '+' : change < 0 ? '−' : '±'}${format(Math.abs(change))}` }, locale)
+            : t('log.summary.weightOne', { last: format(last) }, locale)}`);
+    }
+    if (summary.sleep) {
+        lines.push(`- ${t('log.summary.sleep', { count: summary.sleep.count, average: formatHours(summary.sleep.average, locale) }, locale)}`);
+    }
+    if (summary.meals) {
+        lines.push(`- ${t('log.summary.meals', { count: summary.meals.count }, locale)}`);
+    }
+    return lines.join('\n');
+}
+
+function healthLogSummaryResponse(locale) {
+    const summary = buildLogSummary(healthLogEntries());
+    if (!summary.glucose && !summary.weight && !summary.sleep && !summary.meals) {
+        return {
+            text: t('log.summary.empty', { days: summary.days.length }, locale),
+            quickReplies: healthLogChipLabels(locale).slice(0, HEALTH_LOG_METRICS.length),
+            healthLog: true
+        };
+    }
+    return {
+        text: healthLogSummaryText(summary, locale),
+        chart: summary.chart.panels.length > 0 ? summary.chart : null,
+        healthLog: true
+    };
+}
+
+// A chip that logs the glucose reading a question mentions ("is 180
+// after lunch bad?"), or null. The chip's text is itself a log command.
+function glucoseLogOffer(text, locale = getLocale(), rules = HEALTH_LOG_RULES) {
+    if (parseLogCommand(text, {}, rules)) return null;
+    const normalized = logText(text);
+    if (['weight', 'sleep'].some(metric => findLogPhrase(normalized, rules.metrics[metric]))) return null;
+
+    const { slots } = fillLogSlots('glucose', {}, text, {}, rules);
+    if (!slots.glucose) return null;
+
+    // Without a glucose word or unit, only a number that must be mg/dL
+    // counts ("2 rotis after lunch" is not a reading)
+    const named = findLogPhrase(normalized, rules.metrics.glucose) ||
+        logNumbers(normalized, rules).some(number => number.unit === 'mg/dL' || number.unit === 'mmol/L');
+    const context = findLogContext(normalized, rules);
+    if (!named && !(context && context.strong && slots.glucose.unit === 'mg/dL')) return null;
+
+    const reading = `${formatLogNumber(slots.glucose.value, locale)} ${slots.glucose.unit}`;
+    return slots.context
+        ? t('log.offer.withContext', { context: t(`log.contextName.${slots.context}`, {}, locale), reading }, locale)
+        : t('log.offer.plain', { reading }, locale);
+}
+
+/* ---------- Response provider ---------- */
+
+// The entry being filled in for a chat, or null; stale ones are dropped
+function activeLogFlow(dialogue) {
+    const flow = dialogue.logFlow;
+    if (flow && Date.now() - flow.startedAt > HEALTH_LOG_FLOW_TIMEOUT_MS) {
+        delete dialogue.logFlow;
+        return null;
+    }
+    return flow || null;
+}
+
+// Replies that don't answer the question asked and look like a new
+// question end the flow
+function looksLikeNewQuestion(text) {
+    return /\?\s*$/.test(text) || String(text).trim().split(/\s+/).length > 3;
+}
+
+// Runs before the rules provider (providers.js). Safety messages other
+// than a glucose reading being logged are left to it: "my sugar is 35
+// and I am shaking" in the middle of logging weight is not a weight.
+const healthLogProvider = {
+    name: 'log',
+    respond({ intent, query, dialogue, locale }) {
+        if (intent.type === 'small_talk') return null;
+
+        const normalized = logText(query);
+        const options = { lastWeightUnit: lastLogEntry('weight') ? lastLogEntry('weight').unit : null };
+        let flow = activeLogFlow(dialogue);
+        const command = parseLogCommand(query, options);
+
+        if (intent.type === 'safety') {
+            const metric = command ? command.metric : flow ? flow.metric : null;
+            if (metric !== 'glucose' || !/^hy(po|per)glycemia/.test(intent.triage.ruleId)) return null;
+        }
+
+        if (flow && findLogPhrase(normalized, HEALTH_LOG_RULES.cancel, 'start')) {
+            delete dialogue.logFlow;
+            return { text: t('log.cancelled', {}, locale), healthLog: true };
+        }
+
+        let error = null;
+        let reprompt = false;
+
+        if (command && command.action === 'summary') {
+            delete dialogue.logFlow;
+            return healthLogSummaryResponse(locale);
+        }
+        if (command) {
+            flow = { metric: command.metric, slots: command.slots, startedAt: Date.now() };
+            error = command.error;
+        } else if (flow) {
+            let metric = flow.metric;
+            let changed = false;
+            if (!metric) {
+                metric = detectLogMetric(normalized);
+                changed = !!metric;
+            }
+            const filled = metric
+                ? fillLogSlots(metric, flow.slots, query, { ...options, awaiting: flow.awaiting })
+                : { slots: {}, changed: false, error: null };
+
+            if (!changed && !filled.changed) {
+                if (looksLikeNewQuestion(query)) {
+                    delete dialogue.logFlow;
+                    return null;
+                }
+                reprompt = true;
+            }
+            flow = { ...flow, metric, slots: filled.slots };
+            error = filled.error;
+        } else {
+            return null;
+        }
+
+        const slot = error ? error.slot : nextLogSlot(flow.metric, flow.slots);
+        if (slot) {
+            dialogue.logFlow = { ...flow, awaiting: slot };
+            const prompt = healthLogPrompt(slot, flow, locale);
+            const lead = error ? healthLogErrorText(error, locale) : reprompt ? t('log.notUnderstood', {}, locale) : '';
+            return { ...prompt, text: lead ? `${lead} ${prompt.text}` : prompt.text, healthLog: true };
+        }
+
+        delete dialogue.logFlow;
+        return saveHealthLogEntry(buildLogEntry(flow.metric, flow.slots), query, locale);
+    }
+};
+
+/* ---------- Chart ---------- */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const LOG_CHART_SIZE = { width: 300, height: 110, left: 36, right: 8, top: 10, bottom: 20 };
+
+function svgElement(tag, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, String(value)));
+    return el;
+}
+
+function logSeriesLabel(metric, key) {
+    return metric === 'glucose' ? t(`log.context.${key}`) : t(`log.metric.${metric}`);
+}
+
+// One small line chart per panel of a summary's chart data, drawn with
+// DOM APIs like the rest of a message
+function createHealthLogChart(chart) {
+    const container = document.createElement('div');
+    container.className = 'log-chart';
+    const intl = I18N_LOCALES[getLocale()].intl;
+    const dayLabels = chart.days.map(day => {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Intl.DateTimeFormat(intl, { weekday: 'short' }).format(new Date(year, month - 1, date));
+    });
+    const { width, height, left, right, top, bottom } = LOG_CHART_SIZE;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+
+    (chart.panels || []).forEach(panel => {
+        const values = panel.series.flatMap(series => series.values).filter(value => typeof value === 'number');
+        if (values.length === 0) return;
+
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const x = i => left + (chart.days.length > 1 ? i * plotWidth / (chart.days.length - 1) : plotWidth / 2);
+        const y = value => top + (max - value) / (max - min) * plotHeight;
+        const unit = panel.metric === 'sleep' ? '' : panel.unit;
+        const title = t(`log.chart.${panel.metric}`, { unit });
+
+        const figure = document.createElement('figure');
+        const caption = document.createElement('figcaption');
+        caption.textContent = title;
+        figure.appendChild(caption);
+
+        const described = panel.series.map(series => {
+            const points = series.values.map((value, i) => `${dayLabels[i]} ${value === null ? '–' : formatLogNumber(value, getLocale())}`);
+            return `${panel.series.length > 1 ? logSeriesLabel(panel.metric, series.key) + ': ' : ''}${points.join(', ')}`;
+        });
+        const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': `${title}. ${described.join('; ')}` });
+
+        [max, min].forEach(value => {
+            svg.appendChild(svgElement('line', { class: 'log-chart-grid', x1: left, x2: width - right, y1: y(value), y2: y(value) }));
+            const label = svgElement('text', { class: 'log-chart-axis', x: left - 4, y: y(value) + 3, 'text-anchor': 'end' });
+            label.textContent = formatLogNumber(value, getLocale());
+            svg.appendChild(label);
+        });
+        dayLabels.forEach((label, i) => {
+            const text = svgElement('text', { class: 'log-chart-axis', x: x(i), y: height - 5, 'text-anchor': 'middle' });
+            text.textContent = label;
+            svg.appendChild(text);
+        });
+
+        panel.series.forEach((series, index) => {
+            const points = series.values
+                .map((value, i) => value === null ? null : [x(i), y(value), value])
+                .filter(Boolean);
+            if (points.length > 1) {
+                svg.appendChild(svgElement('polyline', {
+                    class: `log-chart-line log-series-${index}`,
+                    points: points.map(([px, py]) => `${px},${py}`).join(' ')
+                }));
+            }
+            points.forEach(([px, py, value]) => {
+                const dot = svgElement('circle', { class: `log-chart-dot log-series-${index}`, cx: px, cy: py, r: 3 });
+                const tip = svgElement('title');
+                tip.textContent = `${formatLogNumber(value, getLocale())} ${unit}`.trim();
+                dot.appendChild(tip);
+                svg.appendChild(dot);
+            });
+        });
+        figure.appendChild(svg);
+
+        if (panel.series.length > 1) {
+            const legend = document.createElement('div');
+            legend.className = 'log-chart-legend';
+            panel.series.forEach((series, index) => {
+                const item = document.createElement('span');
+                item.className = `log-series-${index}`;
+                item.textContent = logSeriesLabel(panel.metric, series.key);
+                legend.appendChild(item);
+            });
+            figure.appendChild(legend);
+        }
+        container.appendChild(figure);
+    });
+
+    return container;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseLogCommand,
+        fillLogSlots,
+        nextLogSlot,
+        buildLogEntry,
+        sanitizeLogEntry,
+        glucoseStatus,
+        guidanceKey,
+        buildLogSummary,
+        glucoseLogOffer,
+        healthLogProvider
+    };
+}
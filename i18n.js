@@ -0,0 +1,193 @@
+/* ===============================
+   INTERFACE LANGUAGE (i18n)
+   ===============================
+   UI strings live in locales/<code>.json as flat "dotted.key": "text"
+   pairs (a list, such as chat.suggestions, is an array). English is the
+   reference file: every other locale must have the same keys and the same
+   {placeholders} (checked by tests/i18n.test.js). A missing key falls
+   back to English, then to the key itself.
+
+   Plurals use Intl.PluralRules: t('search.found', { count }) looks up
+   "search.found_one" / "search.found_other" for the current locale.
+
+   Elements in index.html are translated through attributes:
+     data-i18n="key"                            sets the text
+     data-i18n-attr="title:key;aria-label:key"  sets attributes
+
+   Answers follow the language of the question (detectQueryLocale), so a
+   Hindi question gets the Hindi version of a translated KB entry even
+   with the interface in English. Safety guidance (apart from its heading),
+   the ⚙️ answer sources panel, the feedback dashboard and exported files
+   stay English.
+
+   The chosen language is kept in localStorage; a "localechange" event is
+   dispatched on document when it changes.
+*/
+
+const I18N_LOCALES = {
+    en: { name: 'English', nativeName: 'English', intl: 'en' },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी', intl: 'hi-IN' },
+    ta: { name: 'Tamil', nativeName: 'தமிழ்', intl: 'ta-IN' }
+};
+const DEFAULT_LOCALE = 'en';
+const LANGUAGE_STORAGE_KEY = 'twinHealthLanguage';
+
+// Messages by locale, filled by loadLocale (or useLocaleMessages in Node)
+const localeMessages = {};
+let currentLocale = DEFAULT_LOCALE;
+
+function getLocale() {
+    return currentLocale;
+}
+
+function isSupportedLocale(code) {
+    return Object.prototype.hasOwnProperty.call(I18N_LOCALES, code);
+}
+
+function useLocaleMessages(code, messages) {
+    localeMessages[code] = messages || {};
+}
+
+function lookupMessage(key, locale) {
+    const own = localeMessages[locale];
+    if (own && own[key] !== undefined) return own[key];
+    const fallback = localeMessages[DEFAULT_LOCALE];
+    if (fallback && fallback[key] !== undefined) return fallback[key];
+    return undefined;
+}
+
+// "{name}" placeholders are replaced from params; unknown ones are left as is
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined ? String(params[name]) : match);
+}
+
+function t(key, params = {}, locale = currentLocale) {
+    let message;
+    if (typeof params.count === 'number') {
+        const rules = new Intl.PluralRules(I18N_LOCALES[locale] ? I18N_LOCALES[locale].intl : locale);
+        message = lookupMessage(`${key}_${rules.select(params.count)}`, locale);
+        if (message === undefined) message = lookupMessage(`${key}_other`, locale);
+    }
+    if (message === undefined) message = lookupMessage(key, locale);
+    if (message === undefined) return key;
+    return interpolate(String(message), params);
+}
+
+// A list message such as chat.suggestions; [] when missing
+function tList(key, locale = currentLocale) {
+    const message = lookupMessage(key, locale);
+    return Array.isArray(message) ? message : [];
+}
+
+// The language a message is written in, from its dominant script.
+// null when it has no letters (e.g. "120?")
+function detectQueryLocale(text) {
+    const counts = { hi: 0, ta: 0, en: 0 };
+    for (const ch of String(text || '')) {
+        if (/[\u0900-\u097F]/.test(ch)) counts.hi++;
+        else if (/[\u0B80-\u0BFF]/.test(ch)) counts.ta++;
+        else if (/[A-Za-z]/.test(ch)) counts.en++;
+    }
+    const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? best : null;
+}
+
+/* ---------- Loading ---------- */
+
+async function loadLocale(code) {
+    if (localeMessages[code]) return true;
+    try {
+        const response = await fetch(`locales/${code}.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        useLocaleMessages(code, await response.json());
+        return true;
+    } catch (err) {
+        console.error(`Could not load the "${code}" language file:`, err);
+        return false;
+    }
+}
+
+function preferredLocale() {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isSupportedLocale(saved)) return saved;
+
+    const browser = (navigator.language || '').split('-')[0].toLowerCase();
+    return isSupportedLocale(browser) ? browser : DEFAULT_LOCALE;
+}
+
+// English is always loaded, as the fallback for missing keys
+async function initI18n() {
+    await loadLocale(DEFAULT_LOCALE);
+    const preferred = preferredLocale();
+    if (preferred !== DEFAULT_LOCALE && await loadLocale(preferred)) {
+        currentLocale = preferred;
+    }
+    document.documentElement.lang = currentLocale;
+    applyTranslations();
+}
+
+async function setLocale(code) {
+    if (!isSupportedLocale(code) || code === currentLocale) return;
+    if (!await loadLocale(code)) {
+        alert(`Could not load ${I18N_LOCALES[code].name}. Please check your connection and try again.`);
+        updateLanguageSelect();
+        return;
+    }
+
+    currentLocale = code;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+    document.documentElement.lang = code;
+    applyTranslations();
+    updateLanguageSelect();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: code } }));
+}
+
+/* ---------- Static markup ---------- */
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attr, key] = pair.split(':').map(part => part.trim());
+            if (attr && key) el.setAttribute(attr, t(key));
+        });
+    });
+}
+
+/* ---------- Language switcher ---------- */
+
+function updateLanguageSelect() {
+    const select = document.getElementById('languageSelect');
+    if (select) select.value = currentLocale;
+}
+
+function setupLanguageSwitcher() {
+    const select = document.getElementById('languageSelect');
+    if (!select) return;
+
+    select.replaceChildren();
+    Object.entries(I18N_LOCALES).forEach(([code, info]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = info.nativeName;
+        select.appendChild(option);
+    });
+    select.value = currentLocale;
+    select.addEventListener('change', () => setLocale(select.value));
+    console.log('Language switcher setup complete');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        I18N_LOCALES,
+        DEFAULT_LOCALE,
+        useLocaleMessages,
+        t,
+        tList,
+        detectQueryLocale
+    };
+}
@@ -0,0 +1,287 @@
+/* ===============================
+   INTENT CLASSIFICATION
+   ===============================
+   Sorts every message before an answer is looked up:
+     safety        a safety rule matched (safety.js); always handled first
+     small_talk    only greetings, thanks, farewells and the like
+     kb_question   a question for the knowledge base
+     mixed         small talk around a question, e.g. "thanks, but how
+                   much does it cost?"; the question part is answered
+
+   Small talk is peeled off the start and end of a message, so a question
+   that merely contains "thanks" or starts with "hi..." ("history of
+   diabetes") stays a question. Phrases come from INTENT_RULES and from
+   the questions of KB entries that have an "intent" (e.g. kb224 "Thanks
+   for the info"). Replies come from those same entries, so editors change
+   or add them in the KB; INTENT_RULES.replies is only used when the KB has
+   none for an intent. Translated questions of those entries count as
+   phrases too ("धन्यवाद", "நன்றி"), and the reply is given in the language
+   asked for when the entry has a translation.
+
+   classifyIntent is exported for Node (see tests/intents.test.js); it
+   calls triageMessage from safety.js.
+*/
+
+// lead: the phrase may open a longer message with no punctuation after
+// it ("hi what is twin health", "thanks but is it covered").
+// trail: it may close one ("what is a1c thanks") if what comes before
+// still reads as finished; "how do I get a good night" keeps its "good
+// night" because "how do I get a" does not.
+// Otherwise it only counts as a clause of its own ("how are you? ...").
+// After a comma, full stop, "and" or "ok" any phrase counts.
+const INTENT_RULES = {
+    smallTalk: [
+        {
+            intent: 'greeting',
+            lead: true,
+            trail: false,
+            phrases: ['hi', 'hii', 'hello', 'hey', 'hiya', 'namaste', 'greetings', 'good morning', 'good afternoon', 'good evening']
+        },
+        {
+            intent: 'wellbeing',
+            lead: false,
+            trail: false,
+            phrases: ['how are you', 'how are you doing', 'how r u', 'hows it going', 'how is it going', 'whats up', 'sup', 'wassup']
+        },
+        {
+            intent: 'thanks',
+            lead: true,
+            trail: true,
+            phrases: ['thanks', 'thank you', 'thx', 'many thanks', 'appreciate it', 'much appreciated', 'cheers']
+        },
+        {
+            intent: 'farewell',
+            lead: false,
+            trail: true,
+            phrases: ['bye', 'goodbye', 'bye bye', 'see you', 'see ya', 'cya', 'farewell', 'talk to you later', 'ttyl',
+                'thats all', 'that is all', 'im done', 'i am done', 'good night', 'take care']
+        },
+        {
+            intent: 'praise',
+            lead: false,
+            trail: false,
+            phrases: ['youve been very helpful', 'you are very helpful', 'that was helpful', 'very helpful', 'great job', 'good bot']
+        }
+    ],
+    // Words that only join small talk to the rest ("thanks so much, but ...")
+    connectors: ['ok', 'okay', 'oh', 'well', 'and', 'but', 'so', 'also', 'then', 'now', 'anyway', 'btw', 'by the way',
+        'there', 'twin', 'again', 'a lot', 'so much', 'very much', 'for now', 'please', 'great', 'awesome',
+        'जी', 'लेकिन', 'पर', 'और', 'तो', 'बहुत', 'ஆனால்', 'மற்றும்', 'மிக்க'],
+    // Words that join a closing phrase on as a clause ("... and thanks")
+    clauseJoiners: ['and', 'ok', 'okay'],
+    // Words a finished question doesn't end on; small talk straight after
+    // them is part of the question ("how should I take care")
+    danglingWords: ['a', 'an', 'the', 'my', 'your', 'our', 'some', 'any', 'i', 'you', 'we', 'they', 'he', 'she', 'it',
+        'to', 'of', 'for', 'with', 'at', 'in', 'on', 'about', 'from', 'by', 'do', 'does', 'did', 'can', 'could',
+        'should', 'would', 'will', 'shall', 'may', 'might', 'must', 'is', 'are', 'was', 'were', 'be', 'get', 'have',
+        'has', 'say', 'said', 'tell', 'wish', 'want', 'need', 'how', 'what', 'why', 'when', 'where', 'who', 'not'],
+    // When several kinds of small talk appear, reply to the first listed
+    replyOrder: ['farewell', 'thanks', 'praise', 'wellbeing', 'greeting'],
+    replies: {
+        greeting: 'Hello! How can I help you today with your Twin Health journey?',
+        wellbeing: "I'm doing well and ready to help! How are you feeling on your health journey today?",
+        thanks: "You're very welcome! I'm happy to help. Feel free to reach out anytime you have more questions about your health journey.",
+        farewell: 'Goodbye! Feel free to come back anytime if you have more questions about Twin Health. Have a great day!',
+        praise: "Thank you! I'm glad I could help. What else would you like to know?"
+    }
+};
+
+// Small-talk phrases taken from KB entries with an intent: [{ intent, tokens }]
+let intentKbPhrases = [];
+// KB entries with an intent, by intent, and how often each intent was replied to
+let intentKbReplies = {};
+const intentReplyTurns = {};
+
+// Lowercase words in any script, with clause punctuation (including the
+// Devanagari danda) kept as "|" tokens. Each comes with where it is in
+// the NFC form of text: [{ token, start, end }]
+function intentTokenSpans(text) {
+    const source = String(text || '').normalize('NFC');
+    const pattern = /[,!?;:\n।॥]+|\.(?!\d)|(?:[\p{L}\p{M}\p{N}_/'’\u200B-\u200D\u2060\uFEFF]|\.(?=\d))+/gu;
+    const spans = [];
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const isBreak = /^[,!?;:\n।॥.]/.test(match[0]);
+        const token = isBreak ? '|' : match[0].toLowerCase().replace(/['’\u200B-\u200D\u2060\uFEFF]/g, '');
+        if (token) spans.push({ token, start: match.index, end: match.index + match[0].length });
+    }
+    return spans;
+}
+
+function intentTokens(text) {
+    return intentTokenSpans(text).map(span => span.token);
+}
+
+function phraseTokens(phrase) {
+    return intentTokens(phrase).filter(token => token !== '|');
+}
+
+// Index the KB entries that carry an intent (call with the validated entries)
+function useIntentEntries(entries) {
+    intentKbPhrases = [];
+    intentKbReplies = {};
+    (entries || []).forEach(entry => {
+        if (!entry.intent) return;
+        (intentKbReplies[entry.intent] = intentKbReplies[entry.intent] || []).push(entry);
+        const questions = [entry.question, ...Object.values(entry.translations || {}).map(translation => translation.question)];
+        questions.join('/').split('/').forEach(part => {
+            const tokens = phraseTokens(part);
+            if (tokens.length > 0) intentKbPhrases.push({ intent: entry.intent, tokens });
+        });
+    });
+}
+
+// Every phrase with its rule's lead/trail flags, longest first
+function smallTalkPhrases(rules) {
+    const phrases = [];
+    rules.smallTalk.forEach(rule => {
+        rule.phrases.forEach(phrase => phrases.push({ rule, tokens: phraseTokens(phrase) }));
+        intentKbPhrases
+            .filter(kbPhrase => kbPhrase.intent === rule.intent)
+            .forEach(kbPhrase => phrases.push({ rule, tokens: kbPhrase.tokens }));
+    });
+    return phrases.sort((a, b) => b.tokens.length - a.tokens.length);
+}
+
+function startsWithTokens(tokens, phrase, at = 0) {
+    return phrase.every((token, i) => tokens[at + i] === token);
+}
+
+// Drop "|" and connector words from one end of tokens
+function trimConnectors(tokens, connectors, fromEnd) {
+    let changed = true;
+    while (changed && tokens.length > 0) {
+        changed = false;
+        const edge = fromEnd ? tokens[tokens.length - 1] : tokens[0];
+        if (edge === '|') {
+            tokens = fromEnd ? tokens.slice(0, -1) : tokens.slice(1);
+            changed = true;
+            continue;
+        }
+        for (const connector of connectors) {
+            const at = fromEnd ? tokens.length - connector.length : 0;
+            if (at >= 0 && startsWithTokens(tokens, connector, at)) {
+                tokens = fromEnd ? tokens.slice(0, at) : tokens.slice(connector.length);
+                changed = true;
+                break;
+            }
+        }
+    }
+    return tokens;
+}
+
+// Peel small talk off both ends: { intents (in message order), rest,
+// start }, where rest is tokens.slice(start, start + rest.length)
+function peelSmallTalk(tokens, rules) {
+    const phrases = smallTalkPhrases(rules);
+    const connectors = rules.connectors.map(phraseTokens).sort((a, b) => b.length - a.length);
+    const leading = [];
+    const trailing = [];
+    let start = 0;
+    // Drop tokens from the front (next is a suffix of tokens)
+    const keepFrom = (next) => {
+        start += tokens.length - next.length;
+        tokens = next;
+    };
+
+    // Connectors only go when they sit next to peeled small talk, so
+    // "ok thats all" loses its "ok" but "is that ok" keeps it
+    const peelStart = () => {
+        const trimmed = trimConnectors(tokens, connectors, false);
+        return phrases.some(({ rule, tokens: phrase }) => {
+            const next = trimmed[phrase.length];
+            if (!startsWithTokens(trimmed, phrase) || !(rule.lead || next === undefined || next === '|')) return false;
+            leading.push(rule.intent);
+            keepFrom(trimConnectors(trimmed.slice(phrase.length), connectors, false));
+            return true;
+        });
+    };
+
+    const peelEnd = () => {
+        const trimmed = trimConnectors(tokens, connectors, true);
+        return phrases.some(({ rule, tokens: phrase }) => {
+            const at = trimmed.length - phrase.length;
+            if (at <= 0 || !startsWithTokens(trimmed, phrase, at)) return false;
+            const before = trimmed[at - 1];
+            const ownClause = before === '|' || rules.clauseJoiners.includes(before);
+            if (!ownClause && !(rule.trail && !rules.danglingWords.includes(before))) return false;
+            trailing.unshift(rule.intent);
+            tokens = trimConnectors(trimmed.slice(0, at), connectors, true);
+            return true;
+        });
+    };
+
+    keepFrom(trimConnectors(tokens, [], false));
+    tokens = trimConnectors(tokens, [], true);
+    while (tokens.length > 0 && peelStart()) {
+        // "hi, thanks, ..." peels one phrase at a time
+    }
+    while (tokens.length > 0 && peelEnd()) {
+        // likewise "... thanks, bye"
+    }
+    return { intents: [...new Set([...leading, ...trailing])], rest: tokens, start };
+}
+
+// { type: 'safety' | 'small_talk' | 'kb_question' | 'mixed',
+//   smallTalk: [intent], question, triage }
+// question is what the knowledge base should be asked: the whole message,
+// or for mixed messages the part of it left after the small talk, as typed
+// ("remind me at 8:30 pm", "log lunch: dal & rice")
+function classifyIntent(text, rules = INTENT_RULES) {
+    const message = String(text || '').trim();
+    const triage = triageMessage(message);
+    if (triage) {
+        return { type: 'safety', smallTalk: [], question: message, triage };
+    }
+
+    const spans = intentTokenSpans(message);
+    const { intents, rest, start } = peelSmallTalk(spans.map(span => span.token), rules);
+    if (intents.length === 0) {
+        return { type: 'kb_question', smallTalk: [], question: message, triage: null };
+    }
+    if (rest.length === 0) {
+        return { type: 'small_talk', smallTalk: intents, question: '', triage: null };
+    }
+    // A question mark straight after the question stays with it
+    const source = message.normalize('NFC');
+    const last = spans[start + rest.length - 1];
+    const next = spans[start + rest.length];
+    const end = next && next.start === last.end && source.slice(next.start, next.end).includes('?') ? next.end : last.end;
+    return {
+        type: 'mixed',
+        smallTalk: intents,
+        question: source.slice(spans[start].start, end),
+        triage: null
+    };
+}
+
+// Reply to small talk from the KB entries for the intent, taking turns
+// so repeated thanks don't always get the same answer. With a locale, the
+// reply is taken from an entry translated into it when there is one.
+function smallTalkReply(intents, rules = INTENT_RULES, locale = null) {
+    const intent = rules.replyOrder.find(candidate => intents.includes(candidate)) || intents[0];
+    const all = intentKbReplies[intent] || [];
+    const translated = all.filter(entry => entryTranslation(entry, locale));
+    const entries = translated.length > 0 ? translated : all;
+
+    if (entries.length === 0) {
+        return { text: rules.replies[intent] || rules.replies.greeting };
+    }
+
+    const turn = intentReplyTurns[intent] || 0;
+    intentReplyTurns[intent] = turn + 1;
+    const entry = entries[turn % entries.length];
+    return {
+        text: formatKbAnswer(entry, getMemberProfile(), locale).text,
+        kbId: entry.id,
+        source: entry.source || 'Twin Health Knowledge Base'
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INTENT_RULES,
+        useIntentEntries,
+        classifyIntent
+    };
+}
@@ -0,0 +1,376 @@
+/* ===============================
+   KNOWLEDGE BASE VALIDATION
+   ===============================
+   Checks knowledge_base.json before it is used: the file must be a KB
+   format this app can read, and every entry must match KB_ENTRY_SCHEMA.
+   Entries that do not are quarantined (left out of search) and listed in
+   a report; the rest of the KB still loads.
+
+   Loaded as a plain script in the browser. Content editors can run the
+   same checks from the command line before publishing:
+
+       node kb-validator.js [path/to/knowledge_base.json]
+
+   which prints the report and exits with status 1 if anything is wrong.
+*/
+
+// KB format this app implements. A KB whose min_supported_version is
+// newer than this needs a newer app. 3.1 added structured answers,
+// 3.2 profile-conditional answer variants, 3.3 small-talk intents,
+// 3.4 translated entries.
+const KB_READER_VERSION = '3.4';
+// Oldest KB format this app still reads
+const KB_MIN_VERSION = '2.0';
+
+const KB_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const KB_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Member profile fields (see profile.js) an answer variant can depend on,
+// with the values each can take
+const KB_PROFILE_CONDITIONS = {
+    diabetes_type: ['type_1', 'type_2', 'prediabetes', 'none'],
+    diet: ['vegetarian', 'vegan', 'non_vegetarian'],
+    region: ['india', 'us', 'other'],
+    medication: ['insulin', 'oral', 'none'],
+    enrollment: ['member', 'enrolling', 'not_enrolled']
+};
+
+// Small-talk intents (see intents.js) an entry's answer can reply to
+const KB_SMALL_TALK_INTENTS = ['greeting', 'wellbeing', 'thanks', 'farewell', 'praise'];
+
+// Entry fields a variant may replace
+const KB_VARIANT_FIELDS = ['answer', 'bullets', 'steps', 'follow_ups', 'disclaimer'];
+
+// Languages an entry can be translated into (see i18n.js), and the fields
+// a translation may carry. question, answer and tags are required in each.
+const KB_TRANSLATION_LOCALES = ['hi', 'ta'];
+const KB_TRANSLATION_FIELDS = ['question', 'answer', 'tags', 'bullets', 'steps', 'follow_ups'];
+
+// type: 'string' | 'string[]' | 'boolean' | 'date' (YYYY-MM-DD) | 'variants'
+//       | 'translations'
+// `answer` is the opening text; bullets, steps, follow_ups (questions
+// offered as chips), related (entry ids) and disclaimer are optional
+// structured parts of the answer. variants is a list of
+// { when: { <profile field>: value or [values] }, ...KB_VARIANT_FIELDS }
+// used instead of the entry's own fields for members whose profile matches.
+// intent marks the entry as a reply to that kind of small talk.
+// translations is { <locale>: { question, answer, tags, ... } } for members
+// who ask in another language; variants are not translated.
+const KB_ENTRY_SCHEMA = {
+    id: { type: 'string', required: true, pattern: KB_ID_PATTERN },
+    question: { type: 'string', required: true },
+    answer: { type: 'string', required: true },
+    bullets: { type: 'string[]', required: false },
+    steps: { type: 'string[]', required: false },
+    follow_ups: { type: 'string[]', required: false },
+    related: { type: 'string[]', required: false, pattern: KB_ID_PATTERN },
+    disclaimer: { type: 'boolean', required: false },
+    variants: { type: 'variants', required: false },
+    intent: { type: 'string', required: false, values: KB_SMALL_TALK_INTENTS },
+    translations: { type: 'translations', required: false },
+    tags: { type: 'string[]', required: true },
+    category: { type: 'string', required: true },
+    source: { type: 'string', required: false },
+    last_updated: { type: 'date', required: false }
+};
+
+// "3.0" -> [3, 0]; null when the value is not a dotted version number
+function parseKbVersion(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value).trim();
+    if (!/^\d+(\.\d+)*$/.test(text)) return null;
+    return text.split('.').map(Number);
+}
+
+function compareKbVersions(a, b) {
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+function isValidKbDate(value) {
+    return typeof value === 'string' && KB_DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+// Problems with a single field value, as readable sentences
+function checkKbField(name, value, rule) {
+    if (value === undefined || value === null) {
+        return rule.required ? [`missing required field "${name}"`] : [];
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return [`"${name}" must be text`];
+            if (value.trim() === '') return [`"${name}" is empty`];
+            if (rule.pattern && !rule.pattern.test(value)) return [`"${name}" has an invalid format ("${value}")`];
+            if (rule.values && !rule.values.includes(value)) return [`"${name}" must be one of: ${rule.values.join(', ')}`];
+            return [];
+        case 'string[]':
+            if (!Array.isArray(value)) return [`"${name}" must be a list of text values`];
+            if (value.some(item => typeof item !== 'string' || item.trim() === '')) {
+                return [`"${name}" must only contain non-empty text values`];
+            }
+            if (rule.pattern) {
+                const invalid = value.filter(item => !rule.pattern.test(item));
+                if (invalid.length > 0) return [`"${name}" has invalid value(s): ${invalid.join(', ')}`];
+            }
+            return [];
+        case 'boolean':
+            return typeof value === 'boolean' ? [] : [`"${name}" must be true or false`];
+        case 'date':
+            return isValidKbDate(value) ? [] : [`"${name}" must be a date written as YYYY-MM-DD`];
+        case 'variants':
+            return checkKbVariants(name, value);
+        case 'translations':
+            return checkKbTranslations(name, value);
+        default:
+            return [];
+    }
+}
+
+function checkKbVariants(name, value) {
+    if (!Array.isArray(value)) return [`"${name}" must be a list of variants`];
+
+    const problems = [];
+    value.forEach((variant, i) => {
+        const label = `${name}[${i}]`;
+        if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+            problems.push(`"${label}" must be an object`);
+            return;
+        }
+
+        const when = variant.when;
+        if (!when || typeof when !== 'object' || Array.isArray(when) || Object.keys(when).length === 0) {
+            problems.push(`"${label}.when" must name at least one profile field`);
+        } else {
+            Object.entries(when).forEach(([field, allowed]) => {
+                const values = KB_PROFILE_CONDITIONS[field];
+                if (!values) {
+                    problems.push(`"${label}.when" uses unknown profile field "${field}"`);
+                } else if (![].concat(allowed).every(v => values.includes(v))) {
+                    problems.push(`"${label}.when.${field}" must be one or more of: ${values.join(', ')}`);
+                }
+            });
+        }
+
+        const fields = Object.keys(variant).filter(field => field !== 'when');
+        if (fields.length === 0) {
+            problems.push(`"${label}" does not change anything`);
+        }
+        fields.forEach(field => {
+            if (!KB_VARIANT_FIELDS.includes(field)) {
+                problems.push(`"${label}.${field}" cannot vary by profile`);
+            } else {
+                problems.push(...checkKbField(`${label}.${field}`, variant[field], KB_ENTRY_SCHEMA[field]));
+            }
+        });
+    });
+    return problems;
+}
+
+function checkKbTranslations(name, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`"${name}" must map language codes to translated fields`];
+    }
+
+    const problems = [];
+    Object.entries(value).forEach(([locale, translation]) => {
+        const label = `${name}.${locale}`;
+        if (!KB_TRANSLATION_LOCALES.includes(locale)) {
+            problems.push(`"${name}" has unknown language "${locale}" (use one of: ${KB_TRANSLATION_LOCALES.join(', ')})`);
+            return;
+        }
+        if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+            problems.push(`"${label}" must be an object`);
+            return;
+        }
+
+        ['question', 'answer', 'tags'].forEach(field => {
+            if (translation[field] === undefined) problems.push(`"${label}" is missing "${field}"`);
+        });
+        Object.keys(translation).forEach(field => {
+            if (!KB_TRANSLATION_FIELDS.includes(field)) {
+                problems.push(`"${label}.${field}" cannot be translated`);
+            } else {
+                problems.push(...checkKbField(`${label}.${field}`, translation[field], KB_ENTRY_SCHEMA[field]));
+            }
+        });
+    });
+    return problems;
+}
+
+function checkKbVersionRange(data, errors) {
+    const version = parseKbVersion(data.version);
+    const minSupported = data.min_supported_version === undefined ? version : parseKbVersion(data.min_supported_version);
+
+    if (!version) {
+        errors.push(`"version" is missing or not a version number (found ${JSON.stringify(data.version)})`);
+        return;
+    }
+    if (!minSupported) {
+        errors.push(`"min_supported_version" is not a version number (found ${JSON.stringify(data.min_supported_version)})`);
+        return;
+    }
+    if (compareKbVersions(minSupported, version) > 0) {
+        errors.push(`"min_supported_version" ${data.min_supported_version} is newer than "version" ${data.version}`);
+    }
+    if (compareKbVersions(version, parseKbVersion(KB_MIN_VERSION)) < 0) {
+        errors.push(`knowledge base version ${data.version} is too old; this app reads version ${KB_MIN_VERSION} or newer`);
+    }
+    if (compareKbVersions(minSupported, parseKbVersion(KB_READER_VERSION)) > 0) {
+        errors.push(`knowledge base requires app support for version ${data.min_supported_version}; this app supports up to ${KB_READER_VERSION}`);
+    }
+}
+
+function checkKbSynonyms(synonyms, warnings) {
+    if (synonyms === undefined) return;
+    if (typeof synonyms !== 'object' || synonyms === null || Array.isArray(synonyms)) {
+        warnings.push('"synonyms" must be an object; it will be ignored');
+        return;
+    }
+    const { abbreviations, groups } = synonyms;
+    if (abbreviations !== undefined && (typeof abbreviations !== 'object' || Array.isArray(abbreviations) ||
+        Object.values(abbreviations).some(v => typeof v !== 'string'))) {
+        warnings.push('"synonyms.abbreviations" must map each abbreviation to a text expansion');
+    }
+    if (groups !== undefined && (!Array.isArray(groups) ||
+        groups.some(g => !Array.isArray(g) || g.some(w => typeof w !== 'string')))) {
+        warnings.push('"synonyms.groups" must be a list of lists of words');
+    }
+}
+
+// Related ids must point at other usable entries; the rest are skipped
+// when the answer is shown
+function checkKbRelatedIds(entries, warnings) {
+    const ids = new Set(entries.map(entry => entry.id));
+    entries.forEach(entry => {
+        if (!Array.isArray(entry.related)) return;
+        const dangling = entry.related.filter(id => id === entry.id || !ids.has(id));
+        if (dangling.length > 0) {
+            warnings.push(`entry ${entry.id} lists related id(s) that are not other valid entries: ${dangling.join(', ')}`);
+        }
+    });
+}
+
+// Validate a parsed knowledge_base.json. Returns
+// { ok, errors, warnings, entries, quarantined: [{ index, id, problems }] }.
+// ok is false when the file as a whole cannot be used (errors); bad
+// entries alone only land in quarantined.
+function validateKnowledgeBase(data) {
+    const result = { ok: false, errors: [], warnings: [], entries: [], quarantined: [] };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        result.errors.push('the file is not a knowledge base object');
+        return result;
+    }
+
+    checkKbVersionRange(data, result.errors);
+    if (!Array.isArray(data.entries)) {
+        result.errors.push('"entries" must be a list');
+    }
+    if (data.last_updated !== undefined && !isValidKbDate(data.last_updated)) {
+        result.warnings.push('"last_updated" must be a date written as YYYY-MM-DD');
+    }
+    checkKbSynonyms(data.synonyms, result.warnings);
+
+    if (result.errors.length > 0) return result;
+
+    const seenIds = new Map();
+    data.entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            result.quarantined.push({ index, id: null, problems: ['entry is not an object'] });
+            return;
+        }
+
+        const problems = [];
+        Object.entries(KB_ENTRY_SCHEMA).forEach(([name, rule]) => {
+            problems.push(...checkKbField(name, entry[name], rule));
+        });
+
+        if (typeof entry.id === 'string' && seenIds.has(entry.id)) {
+            problems.push(`duplicate id (first used by entry #${seenIds.get(entry.id) + 1})`);
+        }
+
+        const unknown = Object.keys(entry).filter(name => !(name in KB_ENTRY_SCHEMA));
+        if (unknown.length > 0) {
+            result.warnings.push(`entry #${index + 1} (${entry.id}) has unknown field(s): ${unknown.join(', ')}`);
+        }
+
+        if (problems.length > 0) {
+            result.quarantined.push({ index, id: typeof entry.id === 'string' ? entry.id : null, problems });
+        } else {
+            seenIds.set(entry.id, index);
+            result.entries.push(entry);
+        }
+    });
+
+    if (result.entries.length === 0) {
+        result.errors.push('no valid entries');
+    }
+    checkKbRelatedIds(result.entries, result.warnings);
+
+    result.ok = result.errors.length === 0;
+    return result;
+}
+
+function formatKbReport(result) {
+    const lines = [];
+
+    if (result.errors.length > 0) {
+        lines.push('Knowledge base cannot be used:');
+        result.errors.forEach(error => lines.push(`  ✗ ${error}`));
+    } else {
+        lines.push(`Knowledge base OK: ${result.entries.length} entries loaded` +
+            (result.quarantined.length > 0 ? `, ${result.quarantined.length} quarantined` : ''));
+    }
+
+    if (result.quarantined.length > 0) {
+        lines.push('', 'Quarantined entries (not used for answers):');
+        result.quarantined.forEach(item => {
+            const label = item.id ? `#${item.index + 1} (${item.id})` : `#${item.index + 1}`;
+            lines.push(`  ${label}: ${item.problems.join('; ')}`);
+        });
+    }
+
+    if (result.warnings.length > 0) {
+        lines.push('', 'Warnings:');
+        result.warnings.forEach(warning => lines.push(`  ! ${warning}`));
+    }
+
+    return lines.join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KB_READER_VERSION,
+        KB_MIN_VERSION,
+        KB_ENTRY_SCHEMA,
+        KB_PROFILE_CONDITIONS,
+        KB_SMALL_TALK_INTENTS,
+        KB_TRANSLATION_LOCALES,
+        validateKnowledgeBase,
+        formatKbReport
+    };
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const file = process.argv[2] || path.join(__dirname, 'knowledge_base.json');
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            console.error(`Could not read ${file}: ${err.message}`);
+            process.exit(1);
+        }
+
+        const result = validateKnowledgeBase(data);
+        console.log(formatKbReport(result));
+        process.exit(result.ok && result.quarantined.length === 0 ? 0 : 1);
+    }
+}
@@ -0,0 +1,726 @@
+/* ===============================
+   KB RETRIEVAL ENGINE (BM25F)
+   ===============================
+   Text normalization, the search index and matching, and formatting of
+   KB answers. Entries are searched in English and in every language they
+   are translated into (see "translations" in kb-validator.js), so a
+   question asked in Hindi or Tamil finds the same entry.
+
+   Nothing here touches the DOM, so the same code runs in the
+   browser (as a plain script) and under Node for the golden query suite
+   (tests/golden-queries.test.js, `node tests/accuracy-report.js`).
+*/
+
+
+// Field weights for BM25F scoring. Questions and tags are written for
+// retrieval, so they count more than the category or the answer body.
+const FIELD_WEIGHTS = {
+    question: 3,
+    tags: 2.5,
+    category: 1,
+    answer: 1
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Minimum normalized score (0-100) for a KB entry to be used as the answer
+const MATCH_THRESHOLD = 50;
+
+// "Did you mean..." tuning: candidates within DISAMBIGUATION_MARGIN points of
+// the best are treated as a tie, and a best score up to NEAR_MISS_MARGIN points
+// under the threshold still offers suggestions instead of the fallback.
+const DISAMBIGUATION_MARGIN = 5;
+const NEAR_MISS_MARGIN = 12;
+const MAX_DISAMBIGUATION_OPTIONS = 3;
+
+// How much a follow-up's dialogue context counts next to the member's words
+const CONTEXT_WEIGHT = 0.25;
+
+// Most a member profile can add to an entry's score (as a share of 100)
+const PROFILE_WEIGHT = 0.1;
+
+// Inverted index built once per KB load
+let kbIndex = null;
+
+// Search texts for the member's profile, one per profile field (see profile.js)
+let memberProfileBoosts = [];
+
+// Normalize text for better matching. Letters, combining marks and digits
+// of any script are kept, so Hindi and Tamil words survive intact; NFC
+// makes differently composed forms of the same word (e.g. with a nukta)
+// compare equal.
+function normalizeText(text) {
+    return (text || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')  // Zero-width joiners sit inside words
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')         // Replace punctuation with space
+        .replace(/\s+/g, ' ')                            // Collapse multiple spaces
+        .trim();
+}
+
+// Extract meaningful words (remove common stop words). Hindi and Tamil
+// question words and particles are listed too; words of two characters or
+// fewer are dropped anyway.
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
+    'has', 'he', 'in', 'is', 'it', 'its', 'of', 'on', 'that', 'the',
+    'to', 'was', 'will', 'with', 'can', 'do', 'does', 'what', 'how',
+    'why', 'when', 'where', 'who', 'i', 'my', 'me', 'you', 'your',
+    'about', 'any', 'tell', 'please', 'there', 'this', 'these', 'those',
+    'should', 'would', 'could', 'have', 'had', 'but', 'or', 'if', 'so',
+    'our', 'we', 'they', 'them', 'which', 'am', 'get', 'also', 'some',
+    // Hindi
+    'क्या', 'कैसे', 'कहाँ', 'कहां', 'क्यों', 'कौन', 'कब', 'कितना', 'कितनी', 'कितने',
+    'मैं', 'मेरा', 'मेरी', 'मेरे', 'मुझे', 'आप', 'आपका', 'आपकी', 'आपके', 'हैं', 'हूँ', 'हूं',
+    'था', 'थी', 'यह', 'वह', 'और', 'भी', 'एक', 'लिए', 'साथ', 'बारे', 'बताइए', 'बताएं',
+    'कृपया', 'सकता', 'सकती', 'सकते', 'करें', 'करना', 'करता', 'करती', 'करते', 'होता', 'होती',
+    'रहा', 'रही', 'लेकिन', 'इसकी', 'इसका', 'इसके', 'इसमें',
+    // Tamil
+    'என்ன', 'என்றால்', 'எப்படி', 'எங்கே', 'ஏன்', 'யார்', 'எப்போது', 'எவ்வளவு',
+    'நான்', 'என்', 'எனது', 'எனக்கு', 'நீங்கள்', 'உங்கள்', 'இது', 'அது', 'ஒரு',
+    'மற்றும்', 'பற்றி', 'உள்ளது', 'உள்ளதா', 'இருக்கிறது', 'இருக்கிறதா', 'வேண்டும்', 'முடியுமா',
+    'தயவுசெய்து', 'சொல்லுங்கள்'
+].map(word => word.normalize('NFC')));
+
+function extractKeywords(text) {
+    return normalizeText(text)
+        .split(' ')
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Light suffix stripping so "meals"/"meal" and "walking"/"walk" share a term
+function stemWord(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith('sses')) {
+        stem = stem.slice(0, -2);
+    } else if (stem.endsWith('ies')) {
+        stem = stem.slice(0, -3) + 'y';
+    } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+
+    for (const suffix of ['ingly', 'edly', 'ing', 'ed', 'ly']) {
+        if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+            stem = stem.slice(0, -suffix.length);
+            // "running" -> "runn" -> "run"
+            if (/([^aeiouls])\1$/.test(stem)) {
+                stem = stem.slice(0, -1);
+            }
+            break;
+        }
+    }
+
+    return stem;
+}
+
+function tokenize(text) {
+    return extractKeywords(text).map(stemWord);
+}
+
+// Pull the searchable text of each field out of a KB entry: one set of
+// fields for the entry itself and one for each of its translations
+function getEntryFields(entry) {
+    const versions = [entry, ...Object.values(entry.translations || {})];
+    return versions.map(version => ({
+        question: version.question || '',
+        tags: entryList(version.tags).join(' '),
+        category: entry.category || '',
+        answer: [version.answer || '', ...entryList(version.bullets), ...entryList(version.steps)].join(' ')
+    }));
+}
+
+function entryList(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+// Build the inverted index: term -> [{ doc, tf: { field: count } }]
+// plus the unstemmed vocabulary (word -> entry count) used for typo correction
+function buildSearchIndex(entries) {
+    const fields = Object.keys(FIELD_WEIGHTS);
+    const postings = new Map();
+    const vocabulary = new Map();
+    const docLengths = [];
+    const totalLengths = {};
+    fields.forEach(f => { totalLengths[f] = 0; });
+
+    entries.forEach((entry, doc) => {
+        const versions = getEntryFields(entry);
+        const lengths = {};
+
+        // Unstemmed words, counted once per entry, for typo correction
+        const words = new Set(versions.flatMap(entryFields => fields.flatMap(field => extractKeywords(entryFields[field]))));
+        words.forEach(word => vocabulary.set(word, (vocabulary.get(word) || 0) + 1));
+
+        for (const field of fields) {
+            // Field lengths are the entry's own (English) ones: a query in
+            // one language only meets one translation, and they run about
+            // as long as the original
+            const termLists = versions.map(entryFields => tokenize(entryFields[field]));
+            const terms = field === 'category' ? termLists[0] : termLists.flat();
+            lengths[field] = termLists[0].length;
+            totalLengths[field] += lengths[field];
+
+            for (const term of terms) {
+                let list = postings.get(term);
+                if (!list) {
+                    list = [];
+                    postings.set(term, list);
+                }
+                let posting = list[list.length - 1];
+                if (!posting || posting.doc !== doc) {
+                    posting = { doc, tf: {} };
+                    list.push(posting);
+                }
+                posting.tf[field] = (posting.tf[field] || 0) + 1;
+            }
+        }
+
+        docLengths.push(lengths);
+    });
+
+    const avgLengths = {};
+    fields.forEach(f => {
+        avgLengths[f] = entries.length ? (totalLengths[f] / entries.length) || 1 : 1;
+    });
+
+    return {
+        entries,
+        postings,
+        vocabulary,
+        docLengths,
+        avgLengths,
+        docCount: entries.length
+    };
+}
+
+function inverseDocFrequency(index, term) {
+    const list = index.postings.get(term);
+    const df = list ? list.length : 0;
+    return Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+}
+
+// Length-normalized, field-weighted term frequency for one posting
+function weightedTermFrequency(index, posting) {
+    let wtf = 0;
+    const lengths = index.docLengths[posting.doc];
+
+    for (const field in posting.tf) {
+        const norm = 1 - BM25_B + BM25_B * (lengths[field] / index.avgLengths[field]);
+        wtf += FIELD_WEIGHTS[field] * posting.tf[field] / norm;
+    }
+
+    return wtf;
+}
+
+// Synonym/abbreviation lookup built from the KB "synonyms" section:
+// normalized phrase -> list of alternative phrases (including itself)
+let kbSynonyms = new Map();
+
+// Longest synonym phrase, in words, so the query scan knows how far to look
+let maxSynonymWords = 1;
+
+// Typo corrections already worked out for this KB
+const spellingCache = new Map();
+
+// Expansion alternatives count slightly less than the member's own wording
+const SYNONYM_DISCOUNT = 0.85;
+
+function buildSynonymIndex(synonyms) {
+    const index = new Map();
+    maxSynonymWords = 1;
+
+    const addAlternatives = (phrase, alternatives) => {
+        const key = normalizeText(phrase);
+        if (!key) return;
+        const existing = index.get(key) || [key];
+        for (const alt of alternatives) {
+            const normalized = normalizeText(alt);
+            if (normalized && !existing.includes(normalized)) {
+                existing.push(normalized);
+            }
+        }
+        index.set(key, existing);
+        maxSynonymWords = Math.max(maxSynonymWords, key.split(' ').length);
+    };
+
+    if (synonyms && typeof synonyms === 'object') {
+        const abbreviations = synonyms.abbreviations || {};
+        for (const [abbr, expansion] of Object.entries(abbreviations)) {
+            addAlternatives(abbr, [expansion]);
+        }
+
+        const groups = Array.isArray(synonyms.groups) ? synonyms.groups : [];
+        for (const group of groups) {
+            if (!Array.isArray(group)) continue;
+            group.forEach(phrase => addAlternatives(phrase, group));
+        }
+    }
+
+    return index;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(
+                prev[j] + 1,
+                current[j - 1] + 1,
+                prev[j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+// Map an unknown word onto the closest KB vocabulary word, if one is close
+// enough. Ties go to the word used in more entries.
+function correctSpelling(word) {
+    if (!kbIndex || word.length < 4 || /\d/.test(word) || STOP_WORDS.has(word)) {
+        return word;
+    }
+    if (kbIndex.vocabulary.has(word) || kbSynonyms.has(word)) return word;
+    if (spellingCache.has(word)) return spellingCache.get(word);
+
+    const maxDistance = word.length <= 5 ? 1 : 2;
+    let bestWord = word;
+    let bestDistance = maxDistance + 1;
+    let bestFrequency = 0;
+
+    for (const [candidate, frequency] of kbIndex.vocabulary) {
+        if (Math.abs(candidate.length - word.length) > maxDistance) continue;
+        const distance = editDistance(word, candidate, maxDistance);
+        if (distance > maxDistance) continue;
+        if (distance < bestDistance || (distance === bestDistance && frequency > bestFrequency)) {
+            bestWord = candidate;
+            bestDistance = distance;
+            bestFrequency = frequency;
+        }
+    }
+
+    spellingCache.set(word, bestWord);
+    return bestWord;
+}
+
+// Turn a message into query concepts. Each concept is a list of alternative
+// term lists: the member's own wording first, then any synonym expansions.
+function buildQueryConcepts(userMessage) {
+    const words = normalizeText(userMessage)
+        .split(' ')
+        .filter(Boolean)
+        .map(correctSpelling);
+
+    const concepts = [];
+    const seen = new Set();
+
+    for (let i = 0; i < words.length;) {
+        let matched = false;
+
+        for (let len = Math.min(maxSynonymWords, words.length - i); len >= 1; len--) {
+            const phrase = words.slice(i, i + len).join(' ');
+            const alternatives = kbSynonyms.get(phrase);
+            if (!alternatives) continue;
+
+            const termLists = alternatives
+                .map(alt => tokenize(alt))
+                .filter(terms => terms.length > 0);
+            if (termLists.length > 0) {
+                concepts.push(termLists);
+            }
+            i += len;
+            matched = true;
+            break;
+        }
+
+        if (matched) continue;
+
+        const [term] = tokenize(words[i]);
+        if (term && !seen.has(term)) {
+            seen.add(term);
+            concepts.push([[term]]);
+        }
+        i++;
+    }
+
+    return concepts;
+}
+
+// Sum BM25F contributions per entry for a list of query concepts. Returns
+// the raw scores and the best raw score the concepts could reach together.
+//
+// With `explain` set, also returns fields: doc -> { question, tags, category,
+// answer }, splitting each doc's score by the fields its terms matched in.
+function scoreConcepts(concepts, explain = false) {
+    const scores = new Map();
+    const fields = new Map();
+    let maxPossible = 0;
+
+    for (const alternatives of concepts) {
+        const options = alternatives.map(terms => {
+            const idfs = terms.map(term => inverseDocFrequency(kbIndex, term));
+            return {
+                terms,
+                idfs,
+                idfSum: idfs.reduce((sum, idf) => sum + idf, 0),
+                known: terms.some(term => kbIndex.postings.has(term))
+            };
+        });
+
+        // The concept weighs as much as the member's own wording when the KB
+        // knows it, otherwise as much as its best-known expansion.
+        const [own] = options;
+        const knownExpansions = options.slice(1).filter(option => option.known);
+        const weight = own.known || knownExpansions.length === 0
+            ? own.idfSum / own.terms.length
+            : Math.max(...knownExpansions.map(option => option.idfSum / option.terms.length));
+
+        const conceptScores = new Map();
+        const conceptFields = new Map();
+        options.forEach((option, altIdx) => {
+            if (!option.known || option.idfSum === 0) return;
+
+            const altScores = new Map();
+            const altFields = new Map();
+            option.terms.forEach((term, t) => {
+                const list = kbIndex.postings.get(term);
+                if (!list) return;
+                for (const posting of list) {
+                    const wtf = weightedTermFrequency(kbIndex, posting);
+                    const contribution = option.idfs[t] * wtf / (wtf + BM25_K1);
+                    altScores.set(posting.doc, (altScores.get(posting.doc) || 0) + contribution);
+                    if (explain) {
+                        addFieldShares(altFields, posting, contribution, wtf);
+                    }
+                }
+            });
+
+            const discount = altIdx === 0 ? 1 : SYNONYM_DISCOUNT;
+            for (const [doc, raw] of altScores) {
+                const ratio = (raw / option.idfSum) * discount;
+                if (ratio > (conceptScores.get(doc) || 0)) {
+                    conceptScores.set(doc, ratio);
+                    if (explain) {
+                        conceptFields.set(doc, { fields: altFields.get(doc), scale: discount / option.idfSum });
+                    }
+                }
+            }
+        });
+
+        maxPossible += weight;
+        for (const [doc, ratio] of conceptScores) {
+            scores.set(doc, (scores.get(doc) || 0) + ratio * weight);
+            if (explain) {
+                const { fields: docFields, scale } = conceptFields.get(doc);
+                const total = fields.get(doc) || {};
+                for (const field in docFields) {
+                    total[field] = (total[field] || 0) + docFields[field] * scale * weight;
+                }
+                fields.set(doc, total);
+            }
+        }
+    }
+
+    return { scores, maxPossible, fields };
+}
+
+// Split one term's contribution across the fields it was found in, in
+// proportion to each field's share of the weighted term frequency
+function addFieldShares(fieldMap, posting, contribution, wtf) {
+    const lengths = kbIndex.docLengths[posting.doc];
+    const shares = fieldMap.get(posting.doc) || {};
+
+    for (const field in posting.tf) {
+        const norm = 1 - BM25_B + BM25_B * (lengths[field] / kbIndex.avgLengths[field]);
+        const fieldWtf = FIELD_WEIGHTS[field] * posting.tf[field] / norm;
+        shares[field] = (shares[field] || 0) + contribution * fieldWtf / wtf;
+    }
+
+    fieldMap.set(posting.doc, shares);
+}
+
+// Score every entry sharing a term with the query. Scores are normalized to
+// 0-100 against the best score the query could reach, so the threshold means
+// the same thing for short and long questions.
+//
+// `context` is optional text from earlier in the dialogue. It adds a small
+// boost (CONTEXT_WEIGHT of its own normalized score) on top of the member's
+// words, and only stands in for them when the message has none to search with.
+//
+// A member profile (see useMemberProfile) adds up to PROFILE_WEIGHT of 100
+// to entries that match one of its fields, under the same rule as context:
+// it reorders what the member's words found and never surfaces anything new.
+//
+// With `explain` set (used by the KB admin console), each result also gets
+// breakdown: points per field plus `context` and `profile`, adding up to
+// its score.
+function rankEntries(userMessage, limit = 5, context = '', explain = false) {
+    if (!kbIndex) return [];
+
+    const own = scoreConcepts(buildQueryConcepts(userMessage), explain);
+    const ctx = context
+        ? scoreConcepts(buildQueryConcepts(context), explain)
+        : { scores: new Map(), maxPossible: 0, fields: new Map() };
+
+    const contextOnly = own.maxPossible === 0;
+    const contextScale = contextOnly ? 1 : CONTEXT_WEIGHT;
+    const combined = new Map();
+
+    if (!contextOnly) {
+        for (const [doc, raw] of own.scores) {
+            combined.set(doc, (raw / own.maxPossible) * 100);
+        }
+    }
+    if (ctx.maxPossible > 0) {
+        for (const [doc, raw] of ctx.scores) {
+            const boost = (raw / ctx.maxPossible) * 100 * contextScale;
+            // A boost alone never surfaces an entry the member's words missed
+            if (contextOnly || combined.has(doc)) {
+                combined.set(doc, (combined.get(doc) || 0) + boost);
+            }
+        }
+    }
+
+    const profile = scoreProfile(combined);
+    for (const [doc, boost] of profile) {
+        combined.set(doc, combined.get(doc) + boost);
+    }
+
+    return [...combined.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([doc, score]) => {
+            const result = {
+                entry: kbIndex.entries[doc],
+                score: Math.min(100, score)
+            };
+            if (explain) {
+                result.breakdown = explainScore(doc, own, ctx, contextOnly, contextScale);
+                result.breakdown.profile = profile.get(doc) || 0;
+            }
+            return result;
+        });
+}
+
+// Profile boost per candidate doc: the best share of any one profile
+// field's search text the entry matches, times PROFILE_WEIGHT
+function scoreProfile(candidates) {
+    const boosts = new Map();
+    if (candidates.size === 0) return boosts;
+
+    for (const text of memberProfileBoosts) {
+        const { scores, maxPossible } = scoreConcepts(buildQueryConcepts(text));
+        if (maxPossible === 0) continue;
+        for (const [doc, raw] of scores) {
+            if (!candidates.has(doc)) continue;
+            const boost = (raw / maxPossible) * 100 * PROFILE_WEIGHT;
+            if (boost > (boosts.get(doc) || 0)) boosts.set(doc, boost);
+        }
+    }
+
+    return boosts;
+}
+
+function explainScore(doc, own, ctx, contextOnly, contextScale) {
+    const breakdown = { question: 0, tags: 0, category: 0, answer: 0, context: 0 };
+
+    if (!contextOnly) {
+        const fields = own.fields.get(doc) || {};
+        for (const field in fields) {
+            breakdown[field] += (fields[field] / own.maxPossible) * 100;
+        }
+    }
+    if (ctx.maxPossible > 0 && ctx.scores.has(doc)) {
+        breakdown.context = (ctx.scores.get(doc) / ctx.maxPossible) * 100 * contextScale;
+    }
+
+    return breakdown;
+}
+
+// Find best matching KB entry
+function findBestMatch(userMessage, context = '') {
+    if (!kbIndex || !userMessage || userMessage.trim().length < 2) {
+        return null;
+    }
+
+    const [best] = rankEntries(userMessage, 1, context);
+
+    if (best && best.score >= MATCH_THRESHOLD) {
+        console.log(`Match found: "${best.entry.question}" with score ${best.score.toFixed(2)}`);
+        return {
+            id: best.entry.id,
+            answer: best.entry.answer,
+            source: best.entry.source || 'Twin Health Knowledge Base',
+            score: best.score
+        };
+    }
+
+    console.log(`No match found. Best score was ${best ? best.score.toFixed(2) : '0.00'}`);
+    return null;
+}
+
+// Return the entries to offer as "Did you mean..." choices, or null when the
+// best match is clear enough to answer directly (or nothing is close).
+function findDisambiguationOptions(userMessage, context = '') {
+    if (!kbIndex || !userMessage || userMessage.trim().length < 2) {
+        return null;
+    }
+
+    const ranked = rankEntries(userMessage, MAX_DISAMBIGUATION_OPTIONS + 1, context);
+    if (ranked.length === 0) return null;
+
+    const [best] = ranked;
+
+    // Asking a KB question word for word is never ambiguous
+    if (normalizeText(best.entry.question) === normalizeText(userMessage)) {
+        return null;
+    }
+
+    const contenders = ranked
+        .filter(c => best.score - c.score <= DISAMBIGUATION_MARGIN)
+        .slice(0, MAX_DISAMBIGUATION_OPTIONS);
+
+    if (best.score >= MATCH_THRESHOLD) {
+        return contenders.length >= 2 ? contenders.map(c => c.entry) : null;
+    }
+
+    if (best.score >= MATCH_THRESHOLD - NEAR_MISS_MARGIN) {
+        return ranked
+            .filter(c => c.score >= MATCH_THRESHOLD - NEAR_MISS_MARGIN)
+            .slice(0, MAX_DISAMBIGUATION_OPTIONS)
+            .map(c => c.entry);
+    }
+
+    return null;
+}
+
+function getKbEntryById(id) {
+    return kbEntries.find(entry => entry.id === id) || null;
+}
+
+// Entries currently searchable, in KB order
+let kbEntries = [];
+
+// Boost entries related to the member's profile; `texts` holds one search
+// text per filled-in profile field (an empty list turns the boost off)
+function useMemberProfile(texts) {
+    memberProfileBoosts = Array.isArray(texts) ? texts.filter(Boolean) : [];
+}
+
+// Index a validated list of entries (and the KB "synonyms" section) for search
+function useKnowledgeBase(entries, synonyms) {
+    kbEntries = entries;
+    kbIndex = buildSearchIndex(entries);
+    kbSynonyms = buildSynonymIndex(synonyms);
+    spellingCache.clear();
+}
+
+/* ---------- Answer formatting ---------- */
+
+// A variant applies when the profile has one of the listed values for
+// every field in its `when`
+function variantMatchesProfile(variant, profile) {
+    if (!profile || !variant || !variant.when) return false;
+    return Object.keys(variant.when).every(field => {
+        const allowed = [].concat(variant.when[field]);
+        return !!profile[field] && allowed.includes(profile[field]);
+    });
+}
+
+// The entry as this member should see it: the first matching variant's
+// answer fields replace the entry's own
+function personalizeEntry(entry, profile) {
+    const variant = entryList(entry.variants).find(v => variantMatchesProfile(v, profile));
+    if (!variant) return entry;
+
+    const { when, ...fields } = variant;
+    return { ...entry, ...fields };
+}
+
+// The entry's translation into locale, or null (English is the entry itself)
+function entryTranslation(entry, locale) {
+    const translations = entry && entry.translations;
+    return locale && translations && translations[locale] ? translations[locale] : null;
+}
+
+// An entry's question in locale when it has been translated
+function localizedQuestion(entry, locale) {
+    const translation = entryTranslation(entry, locale);
+    return translation ? translation.question : entry.question;
+}
+
+// Bot message for a KB entry: { text, followUps, related, disclaimer }.
+// Bullets and numbered steps follow the answer text as markup lists;
+// related ids become { id, question } chips, skipping ids not in the KB.
+// With a member profile, a matching answer variant is used instead.
+// With a locale the entry is translated into, the translation's fields are
+// used in place of the English ones (and of any variant).
+function formatKbAnswer(kbEntry, profile = null, locale = null) {
+    const translation = entryTranslation(kbEntry, locale);
+    const entry = translation
+        ? { ...kbEntry, answer: translation.answer, bullets: translation.bullets, steps: translation.steps, follow_ups: translation.follow_ups }
+        : personalizeEntry(kbEntry, profile);
+    const blocks = [entry.answer];
+    const bullets = entryList(entry.bullets);
+    const steps = entryList(entry.steps);
+
+    if (bullets.length > 0) {
+        blocks.push(bullets.map(item => `- ${item}`).join('\n'));
+    }
+    if (steps.length > 0) {
+        blocks.push(steps.map((step, i) => `${i + 1}. ${step}`).join('\n'));
+    }
+
+    const related = entryList(entry.related)
+        .filter(id => id !== entry.id)
+        .map(getKbEntryById)
+        .filter(Boolean)
+        .map(related => ({ id: related.id, question: translation ? localizedQuestion(related, locale) : related.question }));
+
+    return {
+        text: blocks.join('\n\n'),
+        followUps: entryList(entry.follow_ups).slice(),
+        related,
+        disclaimer: entry.disclaimer === true
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MATCH_THRESHOLD,
+        normalizeText,
+        extractKeywords,
+        tokenize,
+        useKnowledgeBase,
+        useMemberProfile,
+        rankEntries,
+        findBestMatch,
+        findDisambiguationOptions,
+        getKbEntryById,
+        entryTranslation,
+        localizedQuestion,
+        formatKbAnswer
+    };
+}
@@ -0,0 +1,272 @@
+/* ===============================
+   MEMBER PROFILE
+   ===============================
+   An optional profile (diabetes type, diet, region, medication and
+   enrollment status) that personalizes answers in two ways:
+     - retrieval boosts KB entries related to the profile
+       (useMemberProfile in matcher.js)
+     - KB entries can carry answer variants for matching profiles
+       (formatKbAnswer in matcher.js, "variants" in kb-validator.js)
+
+   The profile is kept in this browser's localStorage only. It is never
+   sent anywhere and is not part of chat exports; "Clear profile" removes it.
+
+   The field values must match KB_PROFILE_CONDITIONS in kb-validator.js
+   (checked by tests/profile.test.js).
+*/
+
+const PROFILE_STORAGE_KEY = 'twinHealthMemberProfile';
+
+// boost: words searched to favour related KB entries (null for no boost).
+// Labels are the locale keys profile.field.<key> and profile.option.<key>.<value>
+const PROFILE_FIELDS = [
+    {
+        key: 'diabetes_type',
+        options: [
+            { value: 'type_2', boost: 'type 2 diabetes' },
+            { value: 'prediabetes', boost: 'prediabetes' },
+            { value: 'type_1', boost: 'type 1 diabetes' },
+            { value: 'none', boost: null }
+        ]
+    },
+    {
+        key: 'diet',
+        options: [
+            { value: 'vegetarian', boost: 'vegetarian plant based' },
+            { value: 'vegan', boost: 'vegan plant based' },
+            { value: 'non_vegetarian', boost: null }
+        ]
+    },
+    {
+        key: 'region',
+        options: [
+            { value: 'india', boost: 'india' },
+            { value: 'us', boost: 'united states insurance' },
+            { value: 'other', boost: null }
+        ]
+    },
+    {
+        key: 'medication',
+        options: [
+            { value: 'insulin', boost: 'insulin' },
+            { value: 'oral', boost: 'medication metformin' },
+            { value: 'none', boost: null }
+        ]
+    },
+    {
+        key: 'enrollment',
+        options: [
+            { value: 'member', boost: null },
+            { value: 'enrolling', boost: 'onboarding enrollment' },
+            { value: 'not_enrolled', boost: 'eligibility enrollment cost' }
+        ]
+    }
+];
+
+let memberProfile = {};
+
+// Keep only known fields with known values; anything else is dropped
+function sanitizeProfile(profile) {
+    const clean = {};
+    if (!profile || typeof profile !== 'object') return clean;
+
+    PROFILE_FIELDS.forEach(field => {
+        const value = profile[field.key];
+        if (field.options.some(option => option.value === value)) {
+            clean[field.key] = value;
+        }
+    });
+    return clean;
+}
+
+// One search text per profile field that has a boost
+function profileBoostTexts(profile) {
+    return PROFILE_FIELDS
+        .map(field => field.options.find(option => option.value === profile[field.key]))
+        .filter(option => option && option.boost)
+        .map(option => option.boost);
+}
+
+function getMemberProfile() {
+    return memberProfile;
+}
+
+function hasMemberProfile() {
+    return Object.keys(memberProfile).length > 0;
+}
+
+function applyMemberProfile(profile) {
+    memberProfile = sanitizeProfile(profile);
+    useMemberProfile(profileBoostTexts(memberProfile));
+}
+
+function loadMemberProfile() {
+    try {
+        applyMemberProfile(JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || '{}'));
+    } catch (err) {
+        console.error('Could not read the member profile; ignoring it:', err);
+        applyMemberProfile({});
+    }
+}
+
+function saveMemberProfile(profile) {
+    applyMemberProfile(profile);
+    if (hasMemberProfile()) {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(memberProfile));
+    } else {
+        localStorage.removeItem(PROFILE_STORAGE_KEY);
+    }
+}
+
+function clearMemberProfile() {
+    localStorage.removeItem(PROFILE_STORAGE_KEY);
+    applyMemberProfile({});
+}
+
+/* ---------- Settings panel ---------- */
+
+function updateProfileButton() {
+    const btn = document.getElementById('profileBtn');
+    if (!btn) return;
+    btn.classList.toggle('profile-set', hasMemberProfile());
+    btn.title = hasMemberProfile() ? t('profile.buttonSet') : t('profile.buttonUnset');
+    btn.setAttribute('aria-label', btn.title);
+}
+
+function fillProfileForm(form) {
+    PROFILE_FIELDS.forEach(field => {
+        form.elements[field.key].value = memberProfile[field.key] || '';
+    });
+}
+
+function buildProfilePanel() {
+    const panel = document.createElement('div');
+    panel.id = 'profilePanel';
+    panel.className = 'profile-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', t('profile.label'));
+
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+
+    const title = document.createElement('h2');
+    title.textContent = t('profile.title');
+
+    const intro = document.createElement('p');
+    intro.className = 'profile-note';
+    intro.textContent = t('profile.intro');
+
+    form.append(title, intro);
+
+    PROFILE_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        const text = document.createElement('span');
+        text.textContent = t(`profile.field.${field.key}`);
+
+        const select = document.createElement('select');
+        select.name = field.key;
+        const unset = document.createElement('option');
+        unset.value = '';
+        unset.textContent = t('profile.preferNotToSay');
+        select.appendChild(unset);
+        field.options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = t(`profile.option.${field.key}.${option.value}`);
+            select.appendChild(element);
+        });
+
+        label.append(text, select);
+        form.appendChild(label);
+    });
+
+    const status = document.createElement('p');
+    status.className = 'profile-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = t('profile.save');
+
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'profile-clear';
+    clearBtn.textContent = t('profile.clear');
+    clearBtn.addEventListener('click', () => {
+        if (!confirm(t('profile.confirmClear'))) return;
+        clearMemberProfile();
+        fillProfileForm(form);
+        updateProfileButton();
+        status.textContent = t('profile.cleared');
+    });
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.textContent = t('profile.close');
+    closeBtn.addEventListener('click', closeProfilePanel);
+
+    actions.append(saveBtn, clearBtn, closeBtn);
+    form.append(status, actions);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const profile = {};
+        PROFILE_FIELDS.forEach(field => {
+            profile[field.key] = form.elements[field.key].value;
+        });
+        saveMemberProfile(profile);
+        updateProfileButton();
+        status.textContent = hasMemberProfile() ? t('profile.saved') : t('profile.nothingSaved');
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeProfilePanel();
+    });
+
+    panel.appendChild(form);
+    document.body.appendChild(panel);
+    return panel;
+}
+
+function openProfilePanel() {
+    const panel = document.getElementById('profilePanel') || buildProfilePanel();
+    const form = panel.querySelector('form');
+    fillProfileForm(form);
+    panel.querySelector('.profile-status').textContent = '';
+    openDialog(panel, form.elements[PROFILE_FIELDS[0].key]);
+}
+
+function closeProfilePanel() {
+    const panel = document.getElementById('profilePanel');
+    if (panel) closeDialog(panel);
+}
+
+function setupProfileButton() {
+    loadMemberProfile();
+
+    const btn = document.getElementById('profileBtn');
+    if (!btn) return;
+    btn.addEventListener('click', openProfilePanel);
+    updateProfileButton();
+
+    // The panel is built once; rebuild it in the new language
+    document.addEventListener('localechange', () => {
+        updateProfileButton();
+        const panel = document.getElementById('profilePanel');
+        if (!panel) return;
+        const wasOpen = !panel.hidden;
+        panel.remove();
+        if (wasOpen) openProfilePanel();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROFILE_FIELDS,
+        sanitizeProfile,
+        profileBoostTexts
+    };
+}
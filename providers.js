@@ -0,0 +1,538 @@
+/* ===============================
+   RESPONSE PROVIDERS
+   ===============================
+   Answers come from a chain of providers, tried in order until one
+   answers:
+     1. log        guided health logging (health-log.js)
+     2. reminders  reminder commands (reminders.js)
+     3. rules      safety triage, small talk (intents.js), "tell me more"
+     4. kb         knowledge base retrieval (matcher.js)
+     5. http       optional OpenAI-compatible chat endpoint (e.g. a local
+                   LLM server), grounded in the top KB entries
+     6. fallback   the default answer, or the closest KB entries when the
+                   HTTP backend was tried and failed
+
+   A provider is { name, isEnabled?(), respond(request) }. respond returns
+   a response (or a promise of one), or null to pass the question on; a
+   provider that throws is logged and skipped. request carries:
+     intent                             classifyIntent's result (intents.js)
+     query, chatId, dialogue, context   the question and conversation state
+     locale, languageName               language to answer in (i18n.js)
+     grounding                          top-ranked KB entries for the query
+     history                            recent turns as [{ role, content }]
+     signal                             AbortSignal for "Stop"
+     onToken(textSoFar)                 streamed text, for providers that stream
+   A response has the addMessage fields: text, suggestions, safety, source,
+   kbId, score, fallback, followUps, related, disclaimer, quickReplies,
+   and chart and healthLog for the health log or reminder for reminders.
+
+   The HTTP backend is off until configured in the ⚙️ panel; its settings
+   stay in this browser. It is sent the question, the last few turns of
+   the chat and the grounding entries. The member profile is never sent.
+
+   runProviderChain and createHttpProvider are exported for Node
+   (see tests/providers.test.js, which runs against tests/mock-llm-server.js).
+*/
+
+const ANSWER_BACKEND_STORAGE_KEY = 'twinHealthAnswerBackend';
+const ANSWER_BACKEND_DEFAULTS = { enabled: false, url: '', model: '', apiKey: '', timeoutSeconds: 20 };
+const ANSWER_GROUNDING_ENTRIES = 3;
+const ANSWER_HISTORY_MESSAGES = 6;
+const HTTP_ANSWER_SOURCE = 'AI assistant, based on the Twin Health Knowledge Base';
+
+const HTTP_SYSTEM_PROMPT = [
+    'You are the Twin Health assistant. Twin Health helps members improve and reverse type 2 diabetes and metabolic health.',
+    'Answer using only the knowledge base entries below. If they do not cover the question, say so briefly and suggest asking the Twin Health care team.',
+    'Never recommend changing medication doses. Keep answers short and friendly.'
+].join(' ');
+
+/* ---------- Chain ---------- */
+
+// First response wins. { cancelled: true, partialText } when request.signal
+// aborts; null when every provider passes.
+async function runProviderChain(providers, request, hooks = {}) {
+    const aborted = () => !!(request.signal && request.signal.aborted);
+
+    for (const provider of providers) {
+        if (aborted()) return { cancelled: true, partialText: '' };
+        if (provider.isEnabled && !provider.isEnabled()) continue;
+
+        try {
+            const response = await provider.respond(request);
+            if (response) {
+                return { provider: provider.name, ...response };
+            }
+        } catch (err) {
+            if (aborted()) {
+                return { cancelled: true, partialText: err.partialText || '' };
+            }
+            console.warn(`Response provider "${provider.name}" failed:`, err);
+            if (hooks.onError) hooks.onError(provider, err);
+        }
+    }
+    return null;
+}
+
+/* ---------- Rule-based intents ---------- */
+
+// request.intent is classifyIntent's result for the message (intents.js)
+const ruleIntentProvider = {
+    name: 'rules',
+    respond({ intent, query, dialogue, locale }) {
+        // Safety triage always comes before anything else
+        if (intent.type === 'safety') {
+            console.log(`Safety rule matched: ${intent.triage.ruleId} (${intent.triage.severity})`);
+            return { text: formatSafetyResponse(intent.triage, locale), safety: intent.triage.severity };
+        }
+        if (intent.type === 'small_talk') {
+            return smallTalkReply(intent.smallTalk, INTENT_RULES, locale);
+        }
+        // "Tell me more" about the previous answer
+        if (isTellMeMore(query) && dialogue.lastEntryId) {
+            const related = findRelatedEntries(dialogue.lastEntryId, dialogue.shownEntryIds);
+            return related.length > 0
+                ? {
+                    text: relatedEntriesResponse(dialogue.category, locale),
+                    suggestions: kbSuggestions(related, locale)
+                }
+                : { text: noMoreContextResponse(locale) };
+        }
+        return null;
+    }
+};
+
+/* ---------- Knowledge base ---------- */
+
+// Follow-ups are resolved against request.context (see resolveFollowUp)
+const knowledgeBaseProvider = {
+    name: 'kb',
+    respond({ query, context, locale }) {
+        const options = findDisambiguationOptions(query, context);
+        if (options) {
+            return {
+                text: disambiguationResponse(locale),
+                suggestions: kbSuggestions(options, locale)
+            };
+        }
+
+        const kbMatch = findBestMatch(query, context);
+        if (!kbMatch) return null;
+
+        const { text, followUps, related, disclaimer } =
+            formatLocalizedKbAnswer(getKbEntryById(kbMatch.id), locale);
+        return {
+            text,
+            followUps,
+            related,
+            disclaimer,
+            source: kbMatch.source,
+            kbId: kbMatch.id,
+            score: kbMatch.score
+        };
+    }
+};
+
+/* ---------- OpenAI-compatible HTTP backend ---------- */
+
+// Top-ranked entries to ground a backend answer in; small-talk entries
+// ("Greetings") say nothing about the question, so they are left out
+function findGroundingEntries(query, context) {
+    return rankEntries(query, ANSWER_GROUNDING_ENTRIES * 2, context)
+        .map(r => r.entry)
+        .filter(entry => entry.category !== 'Greetings')
+        .slice(0, ANSWER_GROUNDING_ENTRIES);
+}
+
+function formatGroundingEntries(entries) {
+    if (!entries || entries.length === 0) {
+        return 'Knowledge base entries: none matched this question.';
+    }
+    return 'Knowledge base entries:\n\n' + entries
+        .map(entry => `[${entry.id}] Q: ${entry.question}\nA: ${entry.answer}`)
+        .join('\n\n');
+}
+
+// Chat-completions "messages": instructions and grounding, recent turns, the question.
+// Questions asked in another language are answered in it.
+function buildChatCompletionMessages(request) {
+    const language = request.locale && request.locale !== 'en'
+        ? ` Answer in ${request.languageName || request.locale}.`
+        : '';
+    return [
+        { role: 'system', content: `${HTTP_SYSTEM_PROMPT}${language}\n\n${formatGroundingEntries(request.grounding)}` },
+        ...(request.history || []),
+        { role: 'user', content: request.query }
+    ];
+}
+
+// Read a server-sent-events chat-completions stream, calling onDelta with
+// each piece of content until "data: [DONE]" or the end of the body
+async function readChatCompletionStream(response, onDelta) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return false;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return true;
+
+        const chunk = JSON.parse(data);
+        const choice = chunk.choices && chunk.choices[0];
+        const delta = choice && choice.delta && choice.delta.content;
+        if (delta) onDelta(delta);
+        return false;
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = done ? '' : lines.pop();
+        for (const line of lines) {
+            if (handleLine(line)) {
+                reader.cancel().catch(() => {});
+                return;
+            }
+        }
+        if (done) return;
+    }
+}
+
+// getConfig() -> { enabled, url, model, apiKey, timeoutSeconds }. The
+// timeout restarts with every streamed chunk, so long answers that keep
+// arriving are not cut off; a backend that goes quiet is.
+function createHttpProvider(getConfig) {
+    return {
+        name: 'http',
+        isEnabled() {
+            const config = getConfig();
+            return !!(config.enabled && config.url);
+        },
+        async respond(request) {
+            const config = getConfig();
+            const timeoutMs = Math.max(1, Number(config.timeoutSeconds) || ANSWER_BACKEND_DEFAULTS.timeoutSeconds) * 1000;
+            const controller = new AbortController();
+            const cancel = () => controller.abort();
+            let timedOut = false;
+            let timer = null;
+            let text = '';
+
+            const restartTimer = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeoutMs);
+            };
+
+            if (request.signal) {
+                if (request.signal.aborted) return null;
+                request.signal.addEventListener('abort', cancel);
+            }
+
+            const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+            if (config.apiKey) {
+                headers.Authorization = `Bearer ${config.apiKey}`;
+            }
+
+            try {
+                restartTimer();
+                const response = await fetch(config.url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: config.model || undefined,
+                        stream: true,
+                        messages: buildChatCompletionMessages(request)
+                    }),
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`Answer backend returned HTTP ${response.status}`);
+                }
+
+                // Servers that ignore "stream" send one JSON body instead
+                if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                    await readChatCompletionStream(response, delta => {
+                        text += delta;
+                        restartTimer();
+                        if (request.onToken) request.onToken(text);
+                    });
+                } else {
+                    const data = await response.json();
+                    const choice = data.choices && data.choices[0];
+                    text = (choice && choice.message && choice.message.content) || '';
+                }
+            } catch (err) {
+                const error = timedOut
+                    ? new Error(`Answer backend sent nothing for ${timeoutMs / 1000} s`)
+                    : err;
+                error.partialText = text;
+                throw error;
+            } finally {
+                clearTimeout(timer);
+                if (request.signal) request.signal.removeEventListener('abort', cancel);
+            }
+
+            if (!text.trim()) {
+                throw new Error('Answer backend returned an empty answer');
+            }
+            return { text: text.trim(), source: HTTP_ANSWER_SOURCE, disclaimer: true };
+        }
+    };
+}
+
+/* ---------- Fallback ---------- */
+
+function backendFailedResponse(locale = getLocale()) {
+    return t('answer.backendFailed', {}, locale);
+}
+
+// request.backendError is set when the HTTP backend was tried and failed
+const fallbackProvider = {
+    name: 'fallback',
+    respond({ intent, query, context, grounding, backendError, locale }) {
+        if (!kbLoaded) {
+            return { text: kbUnavailableResponse(locale) };
+        }
+        // "Hello, I'm Priya": nothing to look up, so answer the small talk
+        if (intent && intent.type === 'mixed' && !backendError) {
+            return smallTalkReply(intent.smallTalk, INTENT_RULES, locale);
+        }
+
+        // Keep the closest score for the feedback dashboard
+        const [closest] = rankEntries(query, 1, context);
+        const score = closest ? closest.score : 0;
+
+        if (backendError && grounding && grounding.length > 0) {
+            return {
+                text: backendFailedResponse(locale),
+                suggestions: kbSuggestions(grounding, locale),
+                score,
+                fallback: true
+            };
+        }
+        return { text: defaultResponse(locale), score, fallback: true };
+    }
+};
+
+/* ---------- Backend settings ---------- */
+
+let answerBackend = { ...ANSWER_BACKEND_DEFAULTS };
+
+function getAnswerBackend() {
+    return answerBackend;
+}
+
+function sanitizeAnswerBackend(config) {
+    const source = config && typeof config === 'object' ? config : {};
+    const timeout = Number(source.timeoutSeconds);
+    return {
+        enabled: source.enabled === true,
+        url: typeof source.url === 'string' ? source.url.trim() : '',
+        model: typeof source.model === 'string' ? source.model.trim() : '',
+        apiKey: typeof source.apiKey === 'string' ? source.apiKey.trim() : '',
+        timeoutSeconds: Number.isFinite(timeout) && timeout > 0 ? Math.min(timeout, 300) : ANSWER_BACKEND_DEFAULTS.timeoutSeconds
+    };
+}
+
+function loadAnswerBackend() {
+    try {
+        answerBackend = sanitizeAnswerBackend(JSON.parse(localStorage.getItem(ANSWER_BACKEND_STORAGE_KEY) || '{}'));
+    } catch (err) {
+        console.error('Could not read the answer backend settings; using the defaults:', err);
+        answerBackend = { ...ANSWER_BACKEND_DEFAULTS };
+    }
+}
+
+function saveAnswerBackend(config) {
+    answerBackend = sanitizeAnswerBackend(config);
+    localStorage.setItem(ANSWER_BACKEND_STORAGE_KEY, JSON.stringify(answerBackend));
+}
+
+const httpAnswerProvider = createHttpProvider(getAnswerBackend);
+
+function getResponseProviders() {
+    return [healthLogProvider, reminderProvider, ruleIntentProvider, knowledgeBaseProvider, httpAnswerProvider, fallbackProvider];
+}
+
+/* ---------- Settings panel ---------- */
+
+function answerBackendField(form, name, labelText, input) {
+    const label = document.createElement('label');
+    const text = document.createElement('span');
+    text.textContent = labelText;
+    input.name = name;
+    label.append(text, input);
+    form.appendChild(label);
+    return input;
+}
+
+function fillAnswerBackendForm(form) {
+    form.elements.enabled.checked = answerBackend.enabled;
+    form.elements.url.value = answerBackend.url;
+    form.elements.model.value = answerBackend.model;
+    form.elements.apiKey.value = answerBackend.apiKey;
+    form.elements.timeoutSeconds.value = answerBackend.timeoutSeconds;
+}
+
+function readAnswerBackendForm(form) {
+    return {
+        enabled: form.elements.enabled.checked,
+        url: form.elements.url.value,
+        model: form.elements.model.value,
+        apiKey: form.elements.apiKey.value,
+        timeoutSeconds: form.elements.timeoutSeconds.value
+    };
+}
+
+// Ask the configured endpoint a fixed question and report what happened
+async function testAnswerBackend(form, status) {
+    const config = sanitizeAnswerBackend({ ...readAnswerBackendForm(form), enabled: true });
+    if (!config.url) {
+        status.textContent = t('backend.needUrl');
+        return;
+    }
+
+    status.textContent = t('backend.testing');
+    try {
+        const provider = createHttpProvider(() => config);
+        const response = await provider.respond({ query: 'Reply with the single word: ready', grounding: [], history: [] });
+        status.textContent = t('backend.connected', { reply: response.text.slice(0, 80) });
+    } catch (err) {
+        status.textContent = t('backend.testFailed', { error: err.message });
+    }
+}
+
+function buildAnswerBackendPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'answerBackendPanel';
+    panel.className = 'profile-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', t('backend.label'));
+
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+
+    const title = document.createElement('h2');
+    title.textContent = t('backend.title');
+
+    const intro = document.createElement('p');
+    intro.className = 'profile-note';
+    intro.textContent = t('backend.intro');
+
+    form.append(title, intro);
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.name = 'enabled';
+    const enabledLabel = document.createElement('label');
+    enabledLabel.className = 'profile-checkbox';
+    enabledLabel.append(enabled, document.createTextNode(` ${t('backend.enabled')}`));
+    form.appendChild(enabledLabel);
+
+    const url = document.createElement('input');
+    url.type = 'url';
+    url.placeholder = 'http://localhost:11434/v1/chat/completions';
+    answerBackendField(form, 'url', t('backend.url'), url);
+
+    const model = document.createElement('input');
+    model.type = 'text';
+    model.placeholder = t('backend.modelPlaceholder');
+    answerBackendField(form, 'model', t('backend.model'), model);
+
+    const apiKey = document.createElement('input');
+    apiKey.type = 'password';
+    apiKey.autocomplete = 'off';
+    apiKey.placeholder = t('backend.optional');
+    answerBackendField(form, 'apiKey', t('backend.apiKey'), apiKey);
+
+    const timeout = document.createElement('input');
+    timeout.type = 'number';
+    timeout.min = '1';
+    timeout.max = '300';
+    answerBackendField(form, 'timeoutSeconds', t('backend.timeout'), timeout);
+
+    const status = document.createElement('p');
+    status.className = 'profile-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = t('backend.save');
+
+    const testBtn = document.createElement('button');
+    testBtn.type = 'button';
+    testBtn.textContent = t('backend.test');
+    testBtn.addEventListener('click', () => testAnswerBackend(form, status));
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.textContent = t('backend.close');
+    closeBtn.addEventListener('click', closeAnswerBackendPanel);
+
+    actions.append(saveBtn, testBtn, closeBtn);
+    form.append(status, actions);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveAnswerBackend(readAnswerBackendForm(form));
+        fillAnswerBackendForm(form);
+        status.textContent = answerBackend.enabled && answerBackend.url
+            ? t('backend.savedOn')
+            : t('backend.savedOff');
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeAnswerBackendPanel();
+    });
+
+    panel.appendChild(form);
+    document.body.appendChild(panel);
+    return panel;
+}
+
+function openAnswerBackendPanel() {
+    const panel = document.getElementById('answerBackendPanel') || buildAnswerBackendPanel();
+    const form = panel.querySelector('form');
+    fillAnswerBackendForm(form);
+    panel.querySelector('.profile-status').textContent = '';
+    openDialog(panel, form.elements.enabled);
+}
+
+function closeAnswerBackendPanel() {
+    const panel = document.getElementById('answerBackendPanel');
+    if (panel) closeDialog(panel);
+}
+
+function setupAnswerBackendButton() {
+    loadAnswerBackend();
+
+    const btn = document.getElementById('answerBackendBtn');
+    if (btn) {
+        btn.addEventListener('click', openAnswerBackendPanel);
+    }
+
+    // The panel is built once; rebuild it in the new language
+    document.addEventListener('localechange', () => {
+        const panel = document.getElementById('answerBackendPanel');
+        if (!panel) return;
+        const wasOpen = !panel.hidden;
+        panel.remove();
+        if (wasOpen) openAnswerBackendPanel();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        runProviderChain,
+        createHttpProvider,
+        buildChatCompletionMessages,
+        sanitizeAnswerBackend
+    };
+}
@@ -0,0 +1,1021 @@
+/* ===============================
+   REMINDERS
+   ===============================
+   Members set reminders in the chat ("remind me to walk after dinner at
+   8pm", "remind me every day at 8am to take metformin", "remind me in 30
+   minutes to drink water"), from the ⏰ button on answers about walks,
+   hydration and medication, or in the ⏰ Reminders panel, where they are
+   also listed, edited, paused and deleted. A command without a time or
+   without something to be reminded of is completed by asking for it, like
+   a health log entry (health-log.js); the draft is kept in the chat's
+   dialogue state as reminderFlow.
+
+   A reminder repeats 'daily' or fires 'once' at dueAt. Reminders are
+   stored with the chats (storage.js) and shown as notifications through
+   the service worker once the member allows them, and always in a notice
+   above the input. Browsers cannot wake a closed web app at a set time,
+   so reminders fire while the app is open, even in a background tab;
+   those that came due while it was closed are listed the next time it
+   opens.
+
+   Commands are recognized in English, Hindi and Tamil. Parsing and
+   scheduling are exported for Node (see tests/reminders.test.js).
+*/
+
+const REMINDER_MAX_TEXT = 200;
+// Check at least this often, so a sleeping computer or a changed clock
+// doesn't delay a reminder by more than this
+const REMINDER_CHECK_MAX_DELAY_MS = 60 * 1000;
+// Reminders noticed this late (e.g. the computer was asleep) are shown as missed
+const REMINDER_LATE_MS = 10 * 60 * 1000;
+const REMINDER_FLOW_TIMEOUT_MS = 30 * 60 * 1000;
+const REMINDER_ICON = 'Twin Health - Official Logo.png';
+
+const REMINDER_RULES = {
+    politePrefixes: ['please', 'pls', 'kindly', 'can you', 'could you', 'would you', 'कृपया', 'தயவுசெய்து'],
+    // A command starts with one of these or, in Hindi and Tamil, ends with one
+    leadingCommands: ['remind me', 'set a reminder', 'set reminder', 'set me a reminder', 'add a reminder', 'add reminder',
+        'create a reminder', 'new reminder'],
+    trailingCommands: ['याद दिलाना', 'याद दिलाएँ', 'याद दिलाएं', 'याद दिलाइए', 'याद दिला देना', 'याद दिला दो', 'याद दिलाओ',
+        'रिमाइंडर लगाएँ', 'रिमाइंडर लगाओ', 'நினைவூட்டு', 'நினைவூட்டவும்', 'நினைவூட்டுங்கள்'],
+    listCommands: ['show my reminders', 'show reminders', 'list my reminders', 'list reminders', 'my reminders',
+        'what are my reminders', 'मेरे रिमाइंडर', 'मेरे रिमाइंडर दिखाओ', 'मेरे रिमाइंडर दिखाएँ', 'என் நினைவூட்டல்கள்',
+        'என் நினைவூட்டல்களைக் காட்டு'],
+    cancel: ['cancel', 'stop', 'never mind', 'nevermind', 'forget it', 'रद्द', 'रहने दो', 'ரத்து', 'வேண்டாம்'],
+    // "remind me what HbA1c is" asks a question; it is not a reminder
+    questionWords: ['what', 'how', 'why', 'who', 'where', 'which', 'whether', 'if'],
+    // Dropped from both ends of the reminder text
+    connectors: ['to', 'for', 'about', 'that', 'at', 'on', 'me', 'by', 'मुझे', 'की', 'के लिए', 'को', 'எனக்கு', 'என்று'],
+    daily: [
+        { phrases: ['every day', 'everyday', 'daily', 'each day', 'रोज़', 'रोज', 'रोज़ाना', 'हर दिन', 'தினமும்', 'ஒவ்வொரு நாளும்'] },
+        { part: 'morning', phrases: ['every morning', 'हर सुबह', 'ஒவ்வொரு காலையும்'] },
+        { part: 'afternoon', phrases: ['every afternoon'] },
+        { part: 'evening', phrases: ['every evening', 'हर शाम', 'ஒவ்வொரு மாலையும்'] },
+        { part: 'night', phrases: ['every night', 'हर रात', 'ஒவ்வொரு இரவும்'] }
+    ],
+    days: [
+        { offset: 0, part: 'night', phrases: ['tonight', 'आज रात', 'இன்று இரவு'] },
+        { offset: 0, phrases: ['today', 'आज', 'இன்று'] },
+        { offset: 1, phrases: ['tomorrow', 'कल', 'நாளை'] }
+    ],
+    parts: {
+        morning: ['in the morning', 'this morning', 'morning', 'सुबह', 'காலை'],
+        afternoon: ['in the afternoon', 'this afternoon', 'afternoon', 'दोपहर', 'மதியம்'],
+        evening: ['in the evening', 'this evening', 'evening', 'शाम', 'மாலை'],
+        night: ['at night', 'night', 'रात', 'இரவு']
+    },
+    // "रात के खाने" is dinner and "காலை உணவு" breakfast, not a part of the day
+    notPartBefore: ['का खाना', 'के खाने', 'உணவு', 'உணவுக்கு'],
+    // An hour without am/pm next to these words is read as morning or evening
+    // ("walk after dinner at 8"); the words stay in the reminder text
+    mealHints: {
+        morning: ['breakfast', 'नाश्ता', 'नाश्ते', 'காலை உணவு', 'காலை உணவுக்கு'],
+        evening: ['dinner', 'supper', 'डिनर', 'रात का खाना', 'रात के खाने', 'இரவு உணவு', 'இரவு உணவுக்கு']
+    },
+    // Used when only the part of the day is given
+    partTimes: { morning: '08:00', afternoon: '14:00', evening: '18:00', night: '21:00' },
+    // "in 20 minutes", "2 घंटे में", "1 மணி நேரத்தில்"
+    relativeUnits: {
+        minutes: ['minutes', 'minute', 'mins', 'min'],
+        hours: ['hours', 'hour', 'hrs', 'hr', 'h']
+    },
+    relativeAfter: {
+        minutes: ['मिनट में', 'मिनट बाद', 'நிமிடத்தில்', 'நிமிடங்களில்'],
+        hours: ['घंटे में', 'घंटे बाद', 'घंटा बाद', 'மணி நேரத்தில்']
+    },
+    // "8 बजे", "8 மணிக்கு"
+    oClock: ['बजे', 'மணிக்கு'],
+    // Suggested reminders for the ⏰ button, by words in an answer's question;
+    // any Physical Activity answer gets the exercise one
+    suggestions: [
+        { key: 'walk', time: '20:00', keywords: ['walk', 'walking'] },
+        { key: 'water', time: '10:00', keywords: ['water', 'hydration', 'hydrated', 'dehydrated', 'dehydration'] },
+        { key: 'medication', time: '08:00', keywords: ['medication', 'medications', 'medicine', 'metformin'] },
+        { key: 'exercise', time: '18:00', categories: ['Physical Activity'] }
+    ]
+};
+
+let reminderList = [];
+let remindersLoaded = false;
+let reminderTimer = null;
+// Reminders shown in the notice above the input: [{ reminder, missed }]
+let reminderNoticeItems = [];
+let editingReminderId = null;
+
+/* ---------- Parsing ---------- */
+
+const REMINDER_WORD_START = '(?<![\\p{L}\\p{M}\\p{N}])';
+const REMINDER_WORD_END = '(?![\\p{L}\\p{M}\\p{N}])';
+
+function reminderAlternation(phrases) {
+    return [...phrases]
+        .sort((a, b) => b.length - a.length)
+        .map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'))
+        .join('|');
+}
+
+function reminderPhraseRegex(phrases) {
+    return new RegExp(`${REMINDER_WORD_START}(?:${reminderAlternation(phrases)})${REMINDER_WORD_END}`, 'u');
+}
+
+// NFC, lowercase, Devanagari and Tamil digits as 0-9. Reminder text keeps
+// the case it was typed in, so this has to keep the length unchanged.
+function reminderLower(text) {
+    const lower = text.toLowerCase();
+    return lower.length === text.length ? lower : text;
+}
+
+function normalizeReminderInput(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+        .replace(/[\u0BE6-\u0BEF]/g, digit => String(digit.charCodeAt(0) - 0x0BE6))
+        .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+        .trim();
+}
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+// 'HH:MM' for an hour in 0-23, or null
+function reminderClock(hours, minutes = 0) {
+    if (!Number.isInteger(hours) || hours < 0 || hours > 23 || !Number.isInteger(minutes) || minutes < 0 || minutes > 59) {
+        return null;
+    }
+    return `${pad2(hours)}:${pad2(minutes)}`;
+}
+
+// The next time a 'HH:MM' comes round after `after`, `dayOffset` days on
+// (0 today, 1 tomorrow); a time already past today means tomorrow
+function nextReminderTime(time, after, dayOffset = 0) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const due = new Date(after);
+    due.setDate(due.getDate() + dayOffset);
+    due.setHours(hours, minutes, 0, 0);
+    if (due <= after) due.setDate(due.getDate() + 1);
+    return due;
+}
+
+// A 1-12 hour without am/pm: the part of the day decides; otherwise the
+// next time that hour comes round
+function resolveReminderHour(hour, part, now, dayOffset) {
+    if (hour === 0 || hour > 12) return hour;
+    if (part === 'morning') return hour % 12;
+    if (part === 'night' && (hour === 12 || hour <= 4)) return hour % 12;
+    if (part) return hour % 12 + 12;
+    if (dayOffset === 1) return hour >= 6 ? hour % 12 : hour % 12 + 12;
+
+    const am = nextReminderTime(reminderClock(hour % 12), now);
+    const pm = nextReminderTime(reminderClock(hour % 12 + 12), now);
+    return am < pm ? hour % 12 : hour % 12 + 12;
+}
+
+// When a message says something should happen. Returns { found, time
+// ('HH:MM' or null), repeat, dayOffset (or null), dueAt (Date or null),
+// rest (the message without the time words) }.
+function extractReminderWhen(text, now = new Date(), rules = REMINDER_RULES) {
+    let source = normalizeReminderInput(text);
+    let lower = reminderLower(source);
+    let found = false;
+
+    // Remove a match from both copies and return it
+    const take = (regex) => {
+        const match = regex.exec(lower);
+        if (!match) return null;
+        const blank = ' '.repeat(match[0].length);
+        source = source.slice(0, match.index) + blank + source.slice(match.index + match[0].length);
+        lower = lower.slice(0, match.index) + blank + lower.slice(match.index + match[0].length);
+        found = true;
+        return match;
+    };
+    const start = REMINDER_WORD_START;
+    const end = REMINDER_WORD_END;
+
+    let repeat = 'once';
+    let part = null;
+    let dayOffset = null;
+    let dueAt = null;
+    let time = null;
+
+    rules.daily.forEach(group => {
+        if (repeat === 'daily') return;
+        if (take(reminderPhraseRegex(group.phrases))) {
+            repeat = 'daily';
+            part = group.part || part;
+        }
+    });
+
+    // "in 20 minutes", "in an hour", "20 मिनट में"
+    Object.keys(rules.relativeUnits).forEach(unit => {
+        if (dueAt) return;
+        const relative = take(new RegExp(`${start}in\\s+(\\d+(?:\\.\\d+)?|an?|one|half\\s+an?)\\s*(?:${reminderAlternation(rules.relativeUnits[unit])})${end}`, 'u')) ||
+            take(new RegExp(`${start}(\\d+(?:\\.\\d+)?)\\s*(?:${reminderAlternation(rules.relativeAfter[unit])})${end}`, 'u'));
+        if (!relative) return;
+        const amount = /^\d/.test(relative[1]) ? parseFloat(relative[1]) : relative[1].startsWith('half') ? 0.5 : 1;
+        const minutes = Math.round(amount * (unit === 'hours' ? 60 : 1));
+        if (minutes > 0) {
+            dueAt = new Date(now.getTime() + minutes * 60 * 1000);
+            dueAt.setSeconds(0, 0);
+            time = reminderClock(dueAt.getHours(), dueAt.getMinutes());
+        }
+    });
+
+    rules.days.forEach(day => {
+        if (dayOffset !== null) return;
+        if (take(reminderPhraseRegex(day.phrases))) {
+            dayOffset = day.offset;
+            part = day.part || part;
+        }
+    });
+
+    Object.keys(rules.parts).forEach(name => {
+        if (part === null || part === name) {
+            const regex = new RegExp(`${start}(?:${reminderAlternation(rules.parts[name])})${end}(?!\\s+(?:${reminderAlternation(rules.notPartBefore)})${end})`, 'u');
+            if (take(regex)) part = name;
+        }
+    });
+
+    if (!dueAt) {
+        const meridiem = '(a\\.?m\\.?|p\\.?m\\.?)';
+        const clock = take(new RegExp(`${start}(?:at\\s+)?(\\d{1,2})[:.](\\d{2})\\s*(?:${meridiem}|(?:${reminderAlternation(rules.oClock)}))?(?![\\p{L}\\p{M}\\p{N}])`, 'u')) ||
+            take(new RegExp(`${start}(?:at\\s+)?(\\d{1,2})()\\s*${meridiem}(?![\\p{L}\\p{N}])`, 'u')) ||
+            take(new RegExp(`${start}(\\d{1,2})()()\\s*(?:${reminderAlternation(rules.oClock)})${end}`, 'u')) ||
+            take(new RegExp(`${start}at\\s+(\\d{1,2})()()${end}(?!\\s*(?:%|mg|mmol|kg|lb|min|hour))`, 'u'));
+        const named = !clock && take(new RegExp(`${start}(?:at\\s+)?(noon|midday|midnight)${end}`, 'u'));
+
+        if (clock) {
+            let hour = parseInt(clock[1], 10);
+            const minutes = clock[2] ? parseInt(clock[2], 10) : 0;
+            const mark = (clock[3] || '').replace(/\./g, '');
+            if (mark) {
+                hour = hour >= 1 && hour <= 12 ? hour % 12 + (mark === 'pm' ? 12 : 0) : -1;
+            } else {
+                const hint = Object.keys(rules.mealHints).find(name => reminderPhraseRegex(rules.mealHints[name]).test(lower));
+                hour = resolveReminderHour(hour, part || hint || null, now, dayOffset);
+            }
+            time = reminderClock(hour, minutes);
+        } else if (named) {
+            time = named[1] === 'midnight' ? '00:00' : '12:00';
+        } else if (part) {
+            time = rules.partTimes[part];
+        }
+        if (time) {
+            dueAt = nextReminderTime(time, now, dayOffset || 0);
+        }
+    }
+
+    return { found, time, repeat, dayOffset, dueAt, rest: source.replace(/\s+/g, ' ').trim() };
+}
+
+// Reminder text without connecting words and punctuation at either end
+function tidyReminderText(text, rules = REMINDER_RULES) {
+    const connectors = reminderAlternation(rules.connectors);
+    const leading = new RegExp(`^(?:[^\\p{L}\\p{M}\\p{N}]+|(?:${connectors})${REMINDER_WORD_END})`, 'u');
+    const trailing = new RegExp(`(?:[^\\p{L}\\p{M}\\p{N})]+|${REMINDER_WORD_START}(?:${connectors}))$`, 'u');
+    let rest = text.trim();
+    let previous;
+    do {
+        previous = rest;
+        rest = rest.replace(leading, '').replace(trailing, '').trim();
+    } while (rest !== previous);
+    return rest.slice(0, REMINDER_MAX_TEXT);
+}
+
+// What a message asks of the reminders:
+//   { action: 'list' }
+//   { action: 'set', text ('' when missing), time, repeat, dayOffset, dueAt }
+// or null when it is not a reminder command
+function parseReminderCommand(text, now = new Date(), rules = REMINDER_RULES) {
+    const raw = normalizeReminderInput(text);
+    const lower = reminderLower(raw);
+    const bare = lower.replace(/[\s?.!।]+$/u, '');
+    if (new RegExp(`^(?:${reminderAlternation(rules.listCommands)})$`, 'u').test(bare)) {
+        return { action: 'list' };
+    }
+
+    const polite = reminderAlternation(rules.politePrefixes);
+    const lead = new RegExp(`^(?:(?:${polite})\\s+)*(?:${reminderAlternation(rules.leadingCommands)})${REMINDER_WORD_END}`, 'u').exec(lower);
+    const trail = new RegExp(`${REMINDER_WORD_START}(?:${reminderAlternation(rules.trailingCommands)})[\\s?.!।]*$`, 'u').exec(lower);
+    if (!lead && !trail) return null;
+
+    const middle = raw.slice(lead ? lead[0].length : 0, trail ? trail.index : raw.length)
+        .replace(new RegExp(`^\\s*(?:(?:${polite})\\s+)+`, 'u'), '');
+    const when = extractReminderWhen(middle, now, rules);
+    const reminderText = tidyReminderText(when.rest, rules);
+
+    // "Can you remind me what HbA1c is?" is a question
+    if (!when.found) {
+        const firstWord = reminderLower(reminderText).split(/\s+/)[0];
+        if (raw.endsWith('?') || rules.questionWords.includes(firstWord)) return null;
+    }
+
+    return {
+        action: 'set',
+        text: reminderText,
+        time: when.time,
+        repeat: when.repeat,
+        dayOffset: when.dayOffset,
+        dueAt: when.dueAt
+    };
+}
+
+/* ---------- Scheduling ---------- */
+
+function buildReminder({ text, time, repeat, dueAt }, chatId = null, now = new Date()) {
+    return {
+        id: `reminder_${now.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+        text,
+        time,
+        repeat,
+        dueAt: new Date(dueAt).toISOString(),
+        enabled: true,
+        chatId,
+        createdAt: now.toISOString()
+    };
+}
+
+function sanitizeReminder(reminder) {
+    if (!reminder || typeof reminder !== 'object') return null;
+    const valid = typeof reminder.id === 'string' &&
+        typeof reminder.text === 'string' && reminder.text.trim() !== '' &&
+        /^\d{2}:\d{2}$/.test(reminder.time) && reminderClock(...reminder.time.split(':').map(Number)) !== null &&
+        ['once', 'daily'].includes(reminder.repeat) &&
+        !isNaN(Date.parse(reminder.dueAt));
+    if (!valid) return null;
+    return {
+        id: reminder.id,
+        text: reminder.text.slice(0, REMINDER_MAX_TEXT),
+        time: reminder.time,
+        repeat: reminder.repeat,
+        dueAt: reminder.dueAt,
+        enabled: reminder.enabled !== false,
+        chatId: typeof reminder.chatId === 'string' ? reminder.chatId : null,
+        createdAt: reminder.createdAt || null,
+        lastFiredAt: reminder.lastFiredAt || null
+    };
+}
+
+// Switched-on reminders due at `now`, earliest first
+function dueReminders(reminders, now = new Date()) {
+    return reminders
+        .filter(reminder => reminder.enabled && Date.parse(reminder.dueAt) <= now.getTime())
+        .sort((a, b) => Date.parse(a.dueAt) - Date.parse(b.dueAt));
+}
+
+// A reminder after it fired: daily ones move to their next time after
+// `now` (skipping any missed days), one-off ones are switched off
+function advanceReminder(reminder, now = new Date()) {
+    const fired = { ...reminder, lastFiredAt: now.toISOString() };
+    if (reminder.repeat === 'daily') {
+        fired.dueAt = nextReminderTime(reminder.time, now).toISOString();
+    } else {
+        fired.enabled = false;
+    }
+    return fired;
+}
+
+// { key, time } of the reminder suggested for a KB answer, or null
+function reminderSuggestionFor(entry, rules = REMINDER_RULES) {
+    if (!entry) return null;
+    const question = reminderLower(String(entry.question || ''));
+    const suggestion = rules.suggestions.find(s =>
+        (s.keywords && reminderPhraseRegex(s.keywords).test(question)) ||
+        (s.categories && s.categories.includes(entry.category)));
+    return suggestion ? { key: suggestion.key, time: suggestion.time } : null;
+}
+
+/* ---------- Storage ---------- */
+
+async function loadReminders() {
+    try {
+        reminderList = (await loadReminderData()).map(sanitizeReminder).filter(Boolean);
+    } catch (err) {
+        console.error('Could not load reminders:', err);
+        reminderList = [];
+    }
+    remindersLoaded = true;
+}
+
+async function saveReminders() {
+    const saved = await persistReminderData(reminderList);
+    scheduleReminderCheck();
+    renderReminderList();
+    return saved;
+}
+
+async function addReminder(reminder) {
+    reminderList = [...reminderList, reminder];
+    return saveReminders();
+}
+
+/* ---------- Formatting ---------- */
+
+function reminderIntl(locale) {
+    return I18N_LOCALES[locale] ? I18N_LOCALES[locale].intl : locale;
+}
+
+function formatReminderClock(time, locale = getLocale()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Intl.DateTimeFormat(reminderIntl(locale), { hour: 'numeric', minute: '2-digit' })
+        .format(new Date(2000, 0, 1, hours, minutes));
+}
+
+// "every day at 8:00 PM" or "Mon, 19 Oct, 8:00 PM"
+function describeReminderSchedule(reminder, locale = getLocale()) {
+    if (reminder.repeat === 'daily') {
+        return t('reminders.daily', { time: formatReminderClock(reminder.time, locale) }, locale);
+    }
+    return new Intl.DateTimeFormat(reminderIntl(locale), {
+        weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+    }).format(new Date(reminder.dueAt));
+}
+
+function notificationsAllowed() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+/* ---------- Delivery ---------- */
+
+function scheduleReminderCheck() {
+    clearTimeout(reminderTimer);
+    const next = reminderList
+        .filter(reminder => reminder.enabled)
+        .reduce((earliest, reminder) => Math.min(earliest, Date.parse(reminder.dueAt)), Infinity);
+    if (next === Infinity) return;
+    const delay = Math.max(0, Math.min(next - Date.now(), REMINDER_CHECK_MAX_DELAY_MS));
+    reminderTimer = setTimeout(checkReminders, delay);
+}
+
+function showReminderNotification(reminder) {
+    if (!notificationsAllowed()) return;
+    const options = {
+        body: reminder.text,
+        tag: reminder.id,
+        icon: REMINDER_ICON,
+        data: { reminderId: reminder.id, chatId: reminder.chatId }
+    };
+
+    // Through the service worker, so a click can bring the app back
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.ready
+            .then(registration => registration.showNotification(t('reminders.notificationTitle'), options))
+            .catch(err => console.warn('Could not show the reminder notification:', err));
+        return;
+    }
+    try {
+        new Notification(t('reminders.notificationTitle'), options);
+    } catch (err) {
+        console.warn('Could not show the reminder notification:', err);
+    }
+}
+
+// Fire everything that is due. On the first check after opening, and when
+// a check runs late (the computer was asleep), they are listed as missed.
+function checkReminders(opening = false) {
+    const now = new Date();
+    const due = dueReminders(reminderList, now);
+    if (due.length === 0) {
+        scheduleReminderCheck();
+        return;
+    }
+
+    const items = due.map(reminder => {
+        const missed = opening || now.getTime() - Date.parse(reminder.dueAt) > REMINDER_LATE_MS;
+        if (!missed) showReminderNotification(reminder);
+        return { reminder: { ...reminder }, missed };
+    });
+    console.log(`Reminders due: ${items.length} (${items.filter(item => item.missed).length} missed)`);
+    showReminderNotice(items);
+
+    const dueIds = new Set(due.map(reminder => reminder.id));
+    reminderList = reminderList.map(reminder => dueIds.has(reminder.id) ? advanceReminder(reminder, now) : reminder);
+    saveReminders();
+}
+
+/* ---------- Notice ---------- */
+
+// Banner above the input with reminders that just came due or were missed
+function showReminderNotice(items) {
+    const inputContainer = document.querySelector('.chat-input-container');
+    if (!inputContainer) return;
+
+    reminderNoticeItems = [...reminderNoticeItems, ...items];
+    let notice = document.getElementById('reminderNotice');
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'reminderNotice';
+        notice.className = 'reminder-notice';
+        notice.setAttribute('role', 'alert');
+        inputContainer.parentNode.insertBefore(notice, inputContainer);
+    }
+    notice.replaceChildren();
+
+    const missed = reminderNoticeItems.filter(item => item.missed);
+    const current = reminderNoticeItems.filter(item => !item.missed);
+    const addGroup = (heading, group) => {
+        if (group.length === 0) return;
+        const title = document.createElement('p');
+        title.textContent = heading;
+        const list = document.createElement('ul');
+        group.forEach(({ reminder }) => {
+            const item = document.createElement('li');
+            item.textContent = `${reminder.text} (${describeReminderSchedule(reminder)})`;
+            list.appendChild(item);
+        });
+        notice.append(title, list);
+    };
+    addGroup(t('reminders.dueNow', { count: current.length }), current);
+    addGroup(t('reminders.missed', { count: missed.length }), missed);
+
+    const actions = document.createElement('div');
+    actions.className = 'reminder-notice-actions';
+    const addAction = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+    };
+    addAction(t('reminders.open'), () => {
+        dismissReminderNotice();
+        openRemindersPanel();
+    });
+    addAction(t('reminders.dismiss'), dismissReminderNotice);
+    notice.appendChild(actions);
+}
+
+function dismissReminderNotice() {
+    reminderNoticeItems = [];
+    const notice = document.getElementById('reminderNotice');
+    if (notice) notice.remove();
+}
+
+/* ---------- Response provider ---------- */
+
+function activeReminderFlow(dialogue) {
+    const flow = dialogue.reminderFlow;
+    if (flow && Date.now() - flow.startedAt > REMINDER_FLOW_TIMEOUT_MS) {
+        delete dialogue.reminderFlow;
+        return null;
+    }
+    return flow || null;
+}
+
+function reminderListResponse(locale) {
+    const active = reminderList.filter(reminder => reminder.enabled);
+    if (active.length === 0) {
+        return { text: t('reminders.none', {}, locale) };
+    }
+    const lines = active
+        .sort((a, b) => Date.parse(a.dueAt) - Date.parse(b.dueAt))
+        .map(reminder => `- **${reminder.text}**: ${describeReminderSchedule(reminder, locale)}`);
+    return { text: [t('reminders.listHeading', { count: active.length }, locale), '', ...lines, '', t('reminders.listHint', {}, locale)].join('\n') };
+}
+
+function reminderPrompt(slot, draft, locale) {
+    if (slot === 'text') {
+        return { text: t('reminders.ask.text', {}, locale), quickReplies: [t('reminders.cancel', {}, locale)] };
+    }
+    return {
+        text: t('reminders.ask.when', { text: draft.text }, locale),
+        quickReplies: [...tList('reminders.whenChoices', locale), t('reminders.cancel', {}, locale)]
+    };
+}
+
+async function createReminderFromDraft(draft, chatId, locale) {
+    const now = new Date();
+    const dueAt = draft.dueAt ? new Date(draft.dueAt) : nextReminderTime(draft.time, now, draft.dayOffset || 0);
+    const reminder = buildReminder({ text: draft.text, time: draft.time, repeat: draft.repeat, dueAt }, chatId, now);
+    if (!await addReminder(reminder)) {
+        return { text: t('reminders.saveFailed', {}, locale), reminder: true };
+    }
+
+    const lines = [t('reminders.set', { text: reminder.text, when: describeReminderSchedule(reminder, locale) }, locale)];
+    if (!notificationsAllowed()) {
+        lines.push(t('reminders.enableHint', {}, locale));
+    }
+    return { text: lines.join('\n\n'), reminder: true };
+}
+
+// Runs after the health log (providers.js). Drafts live in
+// dialogue.reminderFlow: { text, time, repeat, dayOffset, dueAt, awaiting, startedAt }.
+const reminderProvider = {
+    name: 'reminders',
+    isEnabled: () => remindersLoaded,
+    async respond({ intent, query, dialogue, chatId, locale }) {
+        if (intent.type === 'small_talk' || intent.type === 'safety') return null;
+
+        const now = new Date();
+        let flow = activeReminderFlow(dialogue);
+        const lower = reminderLower(normalizeReminderInput(query));
+
+        if (flow && reminderPhraseRegex(REMINDER_RULES.cancel).test(lower.split(/\s+/).slice(0, 2).join(' '))) {
+            delete dialogue.reminderFlow;
+            return { text: t('reminders.cancelled', {}, locale), reminder: true };
+        }
+
+        const command = parseReminderCommand(query, now);
+        if (command && command.action === 'list') {
+            return reminderListResponse(locale);
+        }
+
+        let draft;
+        let reprompt = false;
+        if (command) {
+            draft = { ...command, dueAt: command.dueAt ? command.dueAt.toISOString() : null };
+        } else if (flow) {
+            draft = { ...flow };
+            if (flow.awaiting === 'text') {
+                if (/\?\s*$/.test(query)) {
+                    // Asked something else instead
+                    delete dialogue.reminderFlow;
+                    return null;
+                }
+                draft.text = tidyReminderText(normalizeReminderInput(query));
+            } else {
+                const when = extractReminderWhen(query, now);
+                if (when.found && when.time) {
+                    draft.time = when.time;
+                    draft.dueAt = when.dueAt.toISOString();
+                    if (when.repeat === 'daily') draft.repeat = 'daily';
+                } else if (/\?\s*$/.test(query) || query.trim().split(/\s+/).length > 3) {
+                    // Asked something else instead
+                    delete dialogue.reminderFlow;
+                    return null;
+                } else {
+                    reprompt = true;
+                }
+            }
+        } else {
+            return null;
+        }
+
+        const slot = !draft.text ? 'text' : !draft.time ? 'when' : null;
+        if (slot) {
+            dialogue.reminderFlow = { ...draft, awaiting: slot, startedAt: flow && !command ? flow.startedAt : Date.now() };
+            const prompt = reminderPrompt(slot, draft, locale);
+            return {
+                ...prompt,
+                text: reprompt ? `${t('reminders.notUnderstood', {}, locale)} ${prompt.text}` : prompt.text,
+                reminder: true
+            };
+        }
+
+        delete dialogue.reminderFlow;
+        return createReminderFromDraft(draft, chatId, locale);
+    }
+};
+
+/* ---------- Panel ---------- */
+
+function reminderField(labelText, input) {
+    const label = document.createElement('label');
+    const text = document.createElement('span');
+    text.textContent = labelText;
+    label.append(text, input);
+    return label;
+}
+
+function notificationStatusText() {
+    if (typeof Notification === 'undefined') return t('reminders.notifications.unsupported');
+    return t(`reminders.notifications.${Notification.permission}`);
+}
+
+function renderReminderList() {
+    const list = document.getElementById('reminderList');
+    if (!list) return;
+    list.replaceChildren();
+
+    if (reminderList.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'reminder-empty';
+        empty.textContent = t('reminders.empty');
+        list.appendChild(empty);
+        return;
+    }
+
+    [...reminderList]
+        .sort((a, b) => (b.enabled - a.enabled) || Date.parse(a.dueAt) - Date.parse(b.dueAt))
+        .forEach(reminder => {
+            const item = document.createElement('li');
+            item.className = 'reminder-item';
+            if (!reminder.enabled) item.classList.add('reminder-off');
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = reminder.enabled;
+            toggle.setAttribute('aria-label', t('reminders.toggle', { text: reminder.text }));
+            toggle.addEventListener('change', () => setReminderEnabled(reminder.id, toggle.checked));
+
+            const details = document.createElement('span');
+            details.className = 'reminder-details';
+            const text = document.createElement('strong');
+            text.textContent = reminder.text;
+            const when = document.createElement('span');
+            when.className = 'reminder-when';
+            when.textContent = reminder.enabled ? describeReminderSchedule(reminder) : t('reminders.off');
+            details.append(text, when);
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.textContent = '✏️';
+            edit.title = t('reminders.editOne', { text: reminder.text });
+            edit.setAttribute('aria-label', edit.title);
+            edit.addEventListener('click', () => editReminder(reminder.id));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '🗑';
+            remove.title = t('reminders.deleteOne', { text: reminder.text });
+            remove.setAttribute('aria-label', remove.title);
+            remove.addEventListener('click', () => deleteReminder(reminder.id));
+
+            item.append(toggle, details, edit, remove);
+            list.appendChild(item);
+        });
+}
+
+function setReminderEnabled(id, enabled) {
+    const now = new Date();
+    reminderList = reminderList.map(reminder => {
+        if (reminder.id !== id) return reminder;
+        // A paused or fired reminder switched back on gets its next time
+        const stale = Date.parse(reminder.dueAt) <= now.getTime();
+        return { ...reminder, enabled, dueAt: enabled && stale ? nextReminderTime(reminder.time, now).toISOString() : reminder.dueAt };
+    });
+    saveReminders();
+}
+
+function deleteReminder(id) {
+    const reminder = reminderList.find(r => r.id === id);
+    if (!reminder || !confirm(t('reminders.confirmDelete', { text: reminder.text }))) return;
+    reminderList = reminderList.filter(r => r.id !== id);
+    if (editingReminderId === id) resetReminderEditor();
+    saveReminders();
+}
+
+function fillReminderEditor({ text = '', time = '', repeat = 'daily', date = '' } = {}) {
+    const form = document.querySelector('#remindersPanel form');
+    if (!form) return;
+    form.elements.text.value = text;
+    form.elements.time.value = time;
+    form.elements.repeat.value = repeat;
+    form.elements.date.value = date;
+    form.elements.date.closest('label').hidden = repeat !== 'once';
+    form.querySelector('.reminder-editor-title').textContent = editingReminderId ? t('reminders.editTitle') : t('reminders.addTitle');
+    form.querySelector('.profile-status').textContent = '';
+}
+
+function resetReminderEditor(prefill = {}) {
+    editingReminderId = null;
+    fillReminderEditor(prefill);
+}
+
+function editReminder(id) {
+    const reminder = reminderList.find(r => r.id === id);
+    if (!reminder) return;
+    editingReminderId = id;
+    const due = new Date(reminder.dueAt);
+    fillReminderEditor({
+        text: reminder.text,
+        time: reminder.time,
+        repeat: reminder.repeat,
+        date: `${due.getFullYear()}-${pad2(due.getMonth() + 1)}-${pad2(due.getDate())}`
+    });
+    document.querySelector('#remindersPanel form').elements.text.focus();
+}
+
+async function requestReminderNotifications() {
+    if (typeof Notification === 'undefined') return;
+    try {
+        await Notification.requestPermission();
+    } catch (err) {
+        console.warn('Notification permission request failed:', err);
+    }
+    updateNotificationControls();
+}
+
+function updateNotificationControls() {
+    const panel = document.getElementById('remindersPanel');
+    if (!panel) return;
+    panel.querySelector('.reminder-notifications').textContent = notificationStatusText();
+    panel.querySelector('.reminder-enable-btn').hidden =
+        typeof Notification === 'undefined' || Notification.permission !== 'default';
+}
+
+function buildRemindersPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'remindersPanel';
+    panel.className = 'profile-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', t('reminders.panel'));
+
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+
+    const title = document.createElement('h2');
+    title.textContent = t('reminders.title');
+
+    const intro = document.createElement('p');
+    intro.className = 'profile-note';
+    intro.textContent = t('reminders.intro');
+
+    const notifications = document.createElement('p');
+    notifications.className = 'profile-note reminder-notifications';
+    const enableBtn = document.createElement('button');
+    enableBtn.type = 'button';
+    enableBtn.className = 'reminder-enable-btn';
+    enableBtn.textContent = t('reminders.enable');
+    enableBtn.addEventListener('click', requestReminderNotifications);
+
+    const list = document.createElement('ul');
+    list.id = 'reminderList';
+    list.className = 'reminder-list';
+
+    const editorTitle = document.createElement('h3');
+    editorTitle.className = 'reminder-editor-title';
+
+    const text = document.createElement('input');
+    text.name = 'text';
+    text.required = true;
+    text.maxLength = REMINDER_MAX_TEXT;
+    text.placeholder = t('reminders.textPlaceholder');
+
+    const time = document.createElement('input');
+    time.type = 'time';
+    time.name = 'time';
+    time.required = true;
+
+    const repeat = document.createElement('select');
+    repeat.name = 'repeat';
+    ['daily', 'once'].forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = t(`reminders.repeat.${value}`);
+        repeat.appendChild(option);
+    });
+
+    const date = document.createElement('input');
+    date.type = 'date';
+    date.name = 'date';
+    const dateLabel = reminderField(t('reminders.date'), date);
+    repeat.addEventListener('change', () => {
+        dateLabel.hidden = repeat.value !== 'once';
+    });
+
+    const status = document.createElement('p');
+    status.className = 'profile-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = t('reminders.save');
+    const newBtn = document.createElement('button');
+    newBtn.type = 'button';
+    newBtn.textContent = t('reminders.new');
+    newBtn.addEventListener('click', () => resetReminderEditor());
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.textContent = t('reminders.close');
+    closeBtn.addEventListener('click', closeRemindersPanel);
+    actions.append(saveBtn, newBtn, closeBtn);
+
+    form.append(
+        title, intro, notifications, enableBtn, list, editorTitle,
+        reminderField(t('reminders.text'), text),
+        reminderField(t('reminders.time'), time),
+        reminderField(t('reminders.repeatLabel'), repeat),
+        dateLabel,
+        status, actions
+    );
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const now = new Date();
+        const reminderText = text.value.trim();
+        let dueAt;
+        if (repeat.value === 'once') {
+            dueAt = date.value ? new Date(`${date.value}T${time.value}`) : nextReminderTime(time.value, now);
+            if (isNaN(dueAt) || dueAt <= now) {
+                status.textContent = t('reminders.past');
+                return;
+            }
+        } else {
+            dueAt = nextReminderTime(time.value, now);
+        }
+
+        const fields = { text: reminderText, time: time.value, repeat: repeat.value, dueAt: dueAt.toISOString(), enabled: true };
+        if (editingReminderId) {
+            reminderList = reminderList.map(r => r.id === editingReminderId ? { ...r, ...fields } : r);
+        } else {
+            reminderList = [...reminderList, buildReminder(fields, activeChatId, now)];
+        }
+        const saved = await saveReminders();
+        resetReminderEditor();
+        status.textContent = saved ? t('reminders.saved') : t('reminders.saveFailed');
+        // Asking while the member is setting one up, not on page load
+        if (saved && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            requestReminderNotifications();
+        }
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeRemindersPanel();
+    });
+
+    panel.appendChild(form);
+    document.body.appendChild(panel);
+    return panel;
+}
+
+// prefill: { text, time, repeat } for a new reminder, e.g. from an answer
+function openRemindersPanel(prefill = {}) {
+    const panel = document.getElementById('remindersPanel') || buildRemindersPanel();
+    resetReminderEditor(prefill);
+    renderReminderList();
+    updateNotificationControls();
+    openDialog(panel, panel.querySelector('form').elements.text);
+}
+
+function closeRemindersPanel() {
+    const panel = document.getElementById('remindersPanel');
+    if (panel) closeDialog(panel);
+    editingReminderId = null;
+}
+
+// The ⏰ button on an answer: a new reminder suggested by its KB entry
+function remindFromAnswer(button) {
+    const messageDiv = button.closest('.message');
+    const record = chats[activeChatId] && chats[activeChatId][Number(messageDiv.dataset.index)];
+    const suggestion = record ? reminderSuggestionFor(getKbEntryById(record.kbId)) : null;
+    openRemindersPanel(suggestion
+        ? { text: t(`reminders.suggest.${suggestion.key}`), time: suggestion.time, repeat: 'daily' }
+        : {});
+}
+
+// Whether an answer from this KB entry gets the ⏰ button
+function canRemindAbout(kbId) {
+    return !!kbId && !!reminderSuggestionFor(getKbEntryById(kbId));
+}
+
+// Answers shown before the knowledge base loaded get their ⏰ button now
+function addReminderButtons() {
+    if (!chatMessages || !chats[activeChatId]) return;
+    chatMessages.querySelectorAll('.message.bot').forEach(messageDiv => {
+        const record = chats[activeChatId][Number(messageDiv.dataset.index)];
+        const actions = messageDiv.querySelector('.action-buttons');
+        if (!record || !actions || actions.querySelector('.remind-btn') || !canRemindAbout(record.kbId)) return;
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'remind-btn';
+        btn.title = t('reminders.fromAnswer');
+        btn.setAttribute('aria-label', btn.title);
+        btn.textContent = '⏰';
+        btn.addEventListener('click', () => remindFromAnswer(btn));
+        const download = actions.querySelector('button[onclick^="downloadText"]');
+        actions.insertBefore(btn, download ? download.nextSibling : null);
+    });
+}
+
+async function setupReminders() {
+    const remindersBtn = document.getElementById('remindersBtn');
+    if (remindersBtn) {
+        remindersBtn.addEventListener('click', () => openRemindersPanel());
+    }
+
+    // The panel is built once; rebuild it in the new language
+    document.addEventListener('localechange', () => {
+        const panel = document.getElementById('remindersPanel');
+        if (panel) {
+            const wasOpen = !panel.hidden;
+            panel.remove();
+            if (wasOpen) openRemindersPanel();
+        }
+        if (reminderNoticeItems.length > 0) {
+            const items = reminderNoticeItems;
+            reminderNoticeItems = [];
+            showReminderNotice(items);
+        }
+    });
+
+    await loadReminders();
+    checkReminders(true);
+    console.log('Reminders setup complete:', reminderList.length, 'reminders');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        extractReminderWhen,
+        parseReminderCommand,
+        nextReminderTime,
+        buildReminder,
+        sanitizeReminder,
+        dueReminders,
+        advanceReminder,
+        reminderSuggestionFor,
+        reminderProvider
+    };
+}
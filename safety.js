@@ -0,0 +1,344 @@
+/* ===============================
+   SAFETY TRIAGE
+   ===============================
+   Runs before any knowledge base lookup. Messages that describe a
+   dangerous glucose reading, cardiac or stroke symptoms, or thoughts of
+   self-harm get an escalation response instead of a KB answer.
+   Phrases and glucose keywords include Hindi and Tamil wording, so those
+   messages are caught too; the responses themselves are in English.
+
+   Loaded as a plain script in the browser; also exported for Node so the
+   rules can be unit tested (see tests/safety.test.js).
+*/
+
+const CARE_TEAM_CONTACT = 'Message your Twin Health care team from the app, or call your doctor.';
+const EMERGENCY_CONTACT = 'Call your local emergency number now (911 in the US, 112 in India) or go to the nearest emergency room.';
+
+// Severities, most serious first. The highest matching severity wins.
+const SAFETY_SEVERITIES = ['emergency', 'urgent'];
+
+const SAFETY_RULES = {
+    glucose: {
+        // Thresholds in mg/dL; mmol/L readings are converted first
+        severeLow: 54,
+        low: 70,
+        high: 300,
+        severeHigh: 400,
+        // Unitless readings below this are taken as mmol/L, but only when
+        // they have a decimal point or follow a glucose keyword ("sugar 3")
+        mmolCutoff: 20,
+        mmolToMgdl: 18,
+        // Words that mark a nearby number as a glucose reading
+        keywords: ['sugar', 'glucose', 'bg', 'bs', 'reading', 'cgm', 'level', 'levels', 'fasting', 'post meal', 'after meal',
+            'शुगर', 'ग्लूकोज', 'ग्लूकोज़', 'சர்க்கரை', 'சுகர்'],
+        // Words that mark a nearby number as something else entirely
+        excludeKeywords: ['a1c', 'hba1c', 'weight', 'kg', 'lbs', 'pounds', 'bp', 'pressure', 'years', 'age', 'minutes', 'mins', 'hours', 'steps', 'days', '%', 'percent', 'calories', 'kcal', 'grams', 'carbs',
+            'x', 'times', 'day', 'week', 'weeks', 'month', 'months', 'year', 'hour', 'minute'],
+        // Words after a whole number up to 12 that make it a time of day
+        // ("at 3 am"), unless a pronoun follows ("sugar is 3 am i ok")
+        timeOfDayWords: ['am', 'pm', 'oclock', 'o clock'],
+        pronouns: ['i', 'we', 'you', 'he', 'she', 'it', 'they'],
+        // Words allowed between a glucose keyword and a small unitless reading
+        linkWords: ['is', 'was', 'of', 'now', 'reads', 'says', 'to', 'at', 'down to', 'dropped to', 'fell to',
+            'went', 'hit', 'reached'],
+        // Symptoms that turn a low reading into an emergency
+        lowSymptoms: ['faint', 'fainting', 'passing out', 'pass out', 'dizzy', 'shaky', 'shaking', 'confused', 'confusion', 'sweating', 'seizure', 'blurry vision', 'cant think']
+    },
+    phrases: [
+        {
+            id: 'self_harm',
+            severity: 'emergency',
+            patterns: [
+                'kill myself', 'killing myself', 'suicide', 'suicidal', 'end my life',
+                'want to die', 'wanna die', 'hurt myself', 'harm myself', 'self harm',
+                'no reason to live', 'better off dead', 'take my own life',
+                'आत्महत्या', 'खुदकुशी', 'मरना चाहता', 'मरना चाहती', 'जीना नहीं चाहता', 'जीना नहीं चाहती',
+                'தற்கொலை', 'சாக வேண்டும்', 'வாழ விருப்பமில்லை'
+            ],
+            response: [
+                "I'm really sorry you're feeling this way. You don't have to go through this alone.",
+                'If you are in immediate danger, ' + EMERGENCY_CONTACT.charAt(0).toLowerCase() + EMERGENCY_CONTACT.slice(1),
+                'You can talk to someone right now: call or text 988 (Suicide & Crisis Lifeline, US) or call 14416 (Tele-MANAS, India).',
+                'Please also let your Twin Health care team know how you are feeling.'
+            ]
+        },
+        {
+            id: 'cardiac',
+            severity: 'emergency',
+            patterns: [
+                'chest pain', 'chest pains', 'pain in my chest', 'chest tightness', 'tight chest',
+                'pressure in my chest', 'chest pressure', 'pain in my left arm',
+                'left arm pain', 'shortness of breath', 'short of breath', 'cant breathe',
+                'cannot breathe', 'trouble breathing', 'having a heart attack',
+                'सीने में दर्द', 'छाती में दर्द', 'सांस लेने में तकलीफ', 'साँस लेने में तकलीफ', 'सांस नहीं ले पा',
+                'दिल का दौरा पड़',
+                'நெஞ்சு வலி', 'நெஞ்சுவலி', 'மார்பு வலி', 'மூச்சு விட முடியவில்லை', 'மூச்சுத் திணறல்'
+            ],
+            response: [
+                'These symptoms can be a sign of a heart problem and need immediate medical attention.',
+                EMERGENCY_CONTACT,
+                'Do not drive yourself. If you have been prescribed aspirin or nitroglycerin for this, follow your doctor\'s instructions.',
+                'Once you are safe, let your Twin Health care team know what happened.'
+            ]
+        },
+        {
+            id: 'stroke',
+            severity: 'emergency',
+            patterns: [
+                'having a stroke', 'face drooping', 'face is drooping', 'drooping face',
+                'slurred speech', 'slurring my words', 'cant speak', 'numbness on one side',
+                'weakness on one side', 'one side of my body', 'cant move my arm',
+                'sudden confusion', 'sudden severe headache', 'worst headache',
+                'चेहरा टेढ़ा', 'बोल नहीं पा', 'एक तरफ कमजोरी', 'एक तरफ़ कमज़ोरी',
+                'பக்கவாதம்', 'முகம் கோணல்', 'பேச முடியவில்லை'
+            ],
+            response: [
+                'These can be warning signs of a stroke. Remember BE FAST: Balance, Eyes, Face, Arms, Speech, Time.',
+                EMERGENCY_CONTACT,
+                'Note the time symptoms started, and do not eat, drink or take medication until you are assessed.',
+                'Once you are safe, let your Twin Health care team know what happened.'
+            ]
+        },
+        {
+            id: 'hyperglycemia_crisis',
+            severity: 'emergency',
+            patterns: [
+                'high ketones', 'ketones are high', 'positive for ketones',
+                'fruity breath', 'vomiting and high sugar', 'high sugar and vomiting', 'cant stop vomiting'
+            ],
+            // Named conditions only count next to a symptom: "what is dka"
+            // is a question, "I think I have dka, I keep vomiting" is not
+            contextPatterns: ['dka', 'ketoacidosis'],
+            symptoms: ['vomiting', 'vomit', 'throwing up', 'nausea', 'nauseous', 'ketones', 'breathing fast',
+                'drowsy', 'confused', 'stomach pain', 'abdominal pain', 'very thirsty'],
+            response: [
+                'High blood sugar with ketones, vomiting or fruity-smelling breath can be a sign of diabetic ketoacidosis, which is a medical emergency.',
+                EMERGENCY_CONTACT,
+                'Keep sipping water if you can, and do not exercise until you have been assessed.',
+                CARE_TEAM_CONTACT
+            ]
+        }
+    ],
+    glucoseResponses: {
+        severeLow: {
+            severity: 'emergency',
+            response: [
+                'A reading of {reading} is dangerously low.',
+                'Take 15-20g of fast-acting sugar right now (juice, regular soda, glucose tablets) and recheck in 15 minutes.',
+                'If you feel faint, confused or cannot swallow safely, or the reading does not rise: ' + EMERGENCY_CONTACT,
+                'Do not drive. ' + CARE_TEAM_CONTACT
+            ]
+        },
+        low: {
+            severity: 'urgent',
+            response: [
+                'A reading of {reading} is low (hypoglycemia).',
+                'Follow the 15-15 rule: take 15g of fast-acting sugar, wait 15 minutes and recheck. Repeat until you are above 70 mg/dL, then have a snack or meal.',
+                'If you start to feel faint or confused: ' + EMERGENCY_CONTACT,
+                CARE_TEAM_CONTACT
+            ]
+        },
+        lowWithSymptoms: {
+            severity: 'emergency',
+            response: [
+                'A reading of {reading} together with these symptoms needs immediate action.',
+                'If you can swallow safely, take 15-20g of fast-acting sugar right now. Do not stay alone.',
+                EMERGENCY_CONTACT,
+                'Afterwards, let your Twin Health care team know what happened.'
+            ]
+        },
+        high: {
+            severity: 'urgent',
+            response: [
+                'A reading of {reading} is very high.',
+                'Drink water, recheck in an hour, and check for ketones if you have been told how to.',
+                'If you are vomiting, very drowsy, breathing fast or have fruity-smelling breath: ' + EMERGENCY_CONTACT,
+                CARE_TEAM_CONTACT
+            ]
+        },
+        severeHigh: {
+            severity: 'emergency',
+            response: [
+                'A reading of {reading} is dangerously high.',
+                EMERGENCY_CONTACT,
+                'If you feel well, contact your doctor or care team immediately for advice. Keep drinking water.',
+                CARE_TEAM_CONTACT
+            ]
+        }
+    }
+};
+
+// Lowercase and flatten punctuation, keeping the characters readings need
+// and the letters and marks of every script
+function normalizeSafetyText(text) {
+    return (text || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/['’\u200B-\u200D\u2060\uFEFF]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}_\s./%]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function phrasePattern(phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}_])${escaped}(?=$|[^\\p{L}\\p{M}\\p{N}_])`, 'gu');
+}
+
+function containsPhrase(normalized, phrase) {
+    return phrasePattern(phrase).test(normalized);
+}
+
+function startsWithPhrase(text, phrase) {
+    const match = phrasePattern(phrase).exec(text);
+    return match !== null && match.index === 0;
+}
+
+// Whether text ends with one of the phrases, optionally followed by link
+// words: "my sugar", "my sugar is", "glucose reading was"
+function endsWithPhrase(text, phrases, linkWords = []) {
+    // Longest first, so "dropped to" goes as a whole rather than as "to"
+    const links = [...linkWords].sort((a, b) => b.length - a.length);
+    let rest = text.trimEnd();
+    let link;
+    while ((link = links.find(word => rest === word || rest.endsWith(` ${word}`)))) {
+        rest = rest.slice(0, rest.length - link.length).trimEnd();
+    }
+    return phrases.some(phrase => {
+        const match = phrasePattern(phrase);
+        let found;
+        let last = null;
+        while ((found = match.exec(rest)) !== null) last = found;
+        return last !== null && last.index + last[0].length === rest.length;
+    });
+}
+
+// Index of the last whole-word occurrence of any of the phrases, or -1
+function lastPhraseIndex(text, phrases) {
+    let last = -1;
+    for (const phrase of phrases) {
+        const pattern = phrasePattern(phrase);
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            last = Math.max(last, match.index + match[1].length);
+        }
+    }
+    return last;
+}
+
+// Pull glucose readings out of a message, e.g. "my sugar is 40",
+// "fasting 7.8 mmol/L", "cgm says 320 mg/dl". Returns [{ value, unit, mgdl }].
+function parseGlucoseReadings(text, rules = SAFETY_RULES) {
+    const config = rules.glucose;
+    const normalized = normalizeSafetyText(text);
+    const readings = [];
+    // A number with letters straight after it ("2x", "3am") is not a reading
+    const numberPattern = /(?<![\p{L}\p{N}_.])(\d+(?:\.\d+)?)(?:\s*(mg\s*\/?\s*dl|mmol\s*\/?\s*l|mmol)(?![\p{L}\p{N}])|(?![\p{L}\p{N}]))/gu;
+
+    let match;
+    while ((match = numberPattern.exec(normalized)) !== null) {
+        const value = parseFloat(match[1]);
+        const explicitUnit = match[2] ? (match[2].startsWith('mg') ? 'mg/dL' : 'mmol/L') : null;
+
+        const before = normalized.slice(Math.max(0, match.index - 30), match.index);
+        const after = normalized.slice(match.index + match[0].length, match.index + match[0].length + 12).trimStart();
+
+        if (!explicitUnit) {
+            // The closest keyword before the number decides what it measures,
+            // and a unit right after it ("70 kg", "6.5%", "1 week") rules it out
+            const glucoseAt = lastPhraseIndex(before, config.keywords);
+            const excludedAt = lastPhraseIndex(before, config.excludeKeywords);
+            const excludedAfter = config.excludeKeywords.some(w => startsWithPhrase(after, w));
+            // A clock time: "at 3 am", "3 pm was 110"; but "3 am i ok" is a
+            // reading followed by a question, and a missed low costs more
+            const clockWord = config.timeOfDayWords.find(w => startsWithPhrase(after, w));
+            const timeOfDay = Number.isInteger(value) && value <= 12 && !!clockWord &&
+                (endsWithPhrase(before, ['at']) ||
+                    !config.pronouns.some(w => startsWithPhrase(after.slice(clockWord.length).trimStart(), w)));
+
+            if (glucoseAt === -1 || excludedAt > glucoseAt || excludedAfter || timeOfDay) continue;
+
+            // "sugar level at 3" is a time, "sugar 3" or "sugar is 3.2" a reading
+            if (value < config.mmolCutoff && !match[1].includes('.') &&
+                !endsWithPhrase(before, config.keywords, config.linkWords)) continue;
+        }
+
+        const unit = explicitUnit || (value < config.mmolCutoff ? 'mmol/L' : 'mg/dL');
+        const mgdl = unit === 'mmol/L' ? value * config.mmolToMgdl : value;
+        readings.push({ value, unit, mgdl });
+    }
+
+    return readings;
+}
+
+function formatReading(reading) {
+    return `${reading.value} ${reading.unit}`;
+}
+
+function buildTriageResult(ruleId, severity, lines, reading) {
+    const text = lines
+        .map(line => reading ? line.replace('{reading}', formatReading(reading)) : line)
+        .join('\n');
+    return { ruleId, severity, response: text };
+}
+
+function classifyGlucose(reading, normalized, rules) {
+    const config = rules.glucose;
+    const responses = rules.glucoseResponses;
+
+    if (reading.mgdl < config.low) {
+        const hasSymptoms = config.lowSymptoms.some(s => containsPhrase(normalized, s));
+        if (hasSymptoms) return ['hypoglycemia_symptomatic', responses.lowWithSymptoms];
+        if (reading.mgdl < config.severeLow) return ['hypoglycemia_severe', responses.severeLow];
+        return ['hypoglycemia', responses.low];
+    }
+    if (reading.mgdl > config.severeHigh) return ['hyperglycemia_severe', responses.severeHigh];
+    if (reading.mgdl > config.high) return ['hyperglycemia', responses.high];
+    return null;
+}
+
+// Triage for one glucose reading ({ value, unit, mgdl }), such as one
+// logged through a guided flow; symptoms in text can raise it. null when
+// the reading is in a safe range.
+function triageGlucoseReading(reading, text = '', rules = SAFETY_RULES) {
+    const classified = classifyGlucose(reading, normalizeSafetyText(text), rules);
+    if (!classified) return null;
+    const [ruleId, config] = classified;
+    return buildTriageResult(ruleId, config.severity, config.response, reading);
+}
+
+// Check a message against every rule. Returns null when nothing matches,
+// otherwise { ruleId, severity, response } for the most serious match.
+function triageMessage(text, rules = SAFETY_RULES) {
+    const normalized = normalizeSafetyText(text);
+    if (!normalized) return null;
+
+    const matches = [];
+
+    for (const rule of rules.phrases) {
+        const named = (rule.contextPatterns || []).some(p => containsPhrase(normalized, p)) &&
+            (rule.symptoms || []).some(p => containsPhrase(normalized, p));
+        if (named || rule.patterns.some(p => containsPhrase(normalized, p))) {
+            matches.push(buildTriageResult(rule.id, rule.severity, rule.response));
+        }
+    }
+
+    for (const reading of parseGlucoseReadings(text, rules)) {
+        const result = triageGlucoseReading(reading, text, rules);
+        if (result) matches.push(result);
+    }
+
+    if (matches.length === 0) return null;
+
+    matches.sort((a, b) => SAFETY_SEVERITIES.indexOf(a.severity) - SAFETY_SEVERITIES.indexOf(b.severity));
+    return matches[0];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SAFETY_RULES,
+        parseGlucoseReadings,
+        triageGlucoseReading,
+        triageMessage
+    };
+}
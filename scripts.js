@@ -4,8 +4,10 @@
 let chats = {};
 let activeChatId = null;
 
-let kbEntries = [];
 let kbLoaded = false;
+let kbMeta = { version: null, lastUpdated: null };
+// 'loading' | 'ready' | 'unavailable'; reason explains an unavailable KB
+let kbStatus = { state: 'loading', reason: null, report: null };
 
 // Initialize DOM elements after page loads
 let chatMessages;
@@ -20,35 +22,129 @@ let sendBtn;
 
 /* ===============================
    STORAGE FUNCTIONS
-   =============================== */
-function loadFromStorage() {
+   ===============================
+   Persistence itself lives in storage.js (IndexedDB with a localStorage
+   fallback). These wrappers move the app state in and out of it.
+*/
+
+// Share of chats offered for deletion when storage is full
+const CLEANUP_FRACTION = 0.25;
+
+async function loadFromStorage() {
     try {
-        const storedChats = localStorage.getItem('twinHealthChats');
-        const storedActiveId = localStorage.getItem('activeChatId');
-        
-        if (storedChats) {
-            chats = JSON.parse(storedChats);
-        }
+        const state = await loadChatData();
+        chats = state.chats;
+        dialogueStates = state.dialogueStates || {};
+
+        // Bring messages saved by older versions up to the current format
+        Object.keys(chats).forEach(id => {
+            const outdated = chats[id].some(m => !m || !(m.format >= MESSAGE_FORMAT_VERSION));
+            if (outdated) {
+                chats[id].forEach(migrateStoredMessage);
+                markChatDirty(id);
+            }
+        });
         
-        if (storedActiveId && chats[storedActiveId]) {
-            activeChatId = storedActiveId;
+        if (state.activeChatId && chats[state.activeChatId]) {
+            activeChatId = state.activeChatId;
         }
     } catch (err) {
         console.error('Error loading from storage:', err);
         chats = {};
+        dialogueStates = {};
         activeChatId = null;
     }
 }
 
 function saveToStorage() {
-    try {
-        localStorage.setItem('twinHealthChats', JSON.stringify(chats));
-        if (activeChatId) {
-            localStorage.setItem('activeChatId', activeChatId);
+    return persistChatData({ chats, activeChatId, dialogueStates });
+}
+
+function handleStorageError(err, { quotaExceeded }) {
+    console.error('Error saving to storage:', err);
+    showStorageNotice(quotaExceeded ? t('storage.full') : t('storage.failed'), quotaExceeded);
+}
+
+function showStorageNotice(message, offerCleanup) {
+    const inputContainer = document.querySelector('.chat-input-container');
+    if (!inputContainer) {
+        alert(message);
+        return;
+    }
+
+    let notice = document.getElementById('storageNotice');
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'storageNotice';
+        notice.className = 'storage-notice';
+        notice.setAttribute('role', 'alert');
+        inputContainer.parentNode.insertBefore(notice, inputContainer);
+    }
+    notice.replaceChildren();
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    notice.appendChild(text);
+
+    getStorageEstimate().then(estimate => {
+        if (estimate && estimate.quota) {
+            const usedMb = (estimate.usage / (1024 * 1024)).toFixed(1);
+            const quotaMb = (estimate.quota / (1024 * 1024)).toFixed(1);
+            text.textContent = t('storage.usage', { message, used: usedMb, quota: quotaMb });
         }
-    } catch (err) {
-        console.error('Error saving to storage:', err);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'storage-notice-actions';
+
+    const addAction = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+    };
+
+    addAction(t('storage.exportAll'), () => exportConversations('json', 'all'));
+    if (offerCleanup) {
+        addAction(t('storage.freeUp'), cleanUpOldChats);
+    }
+    addAction(t('storage.dismiss'), () => notice.remove());
+
+    notice.appendChild(actions);
+}
+
+function chatLastActivity(id) {
+    const stamps = chats[id].map(m => m.timestamp).filter(Boolean);
+    return stamps.length ? Date.parse(stamps[stamps.length - 1]) : 0;
+}
+
+// Offer to delete the oldest chats (never the open one) to make room
+function cleanUpOldChats() {
+    const candidates = Object.keys(chats)
+        .filter(id => id !== activeChatId)
+        .sort((a, b) => chatLastActivity(a) - chatLastActivity(b));
+
+    if (candidates.length === 0) {
+        alert(t('storage.noOtherChats'));
+        return;
+    }
+
+    const toDelete = candidates.slice(0, Math.max(1, Math.ceil(candidates.length * CLEANUP_FRACTION)));
+    const names = toDelete.map(id => `• ${getChatName(id)}`).join('\n');
+    if (!confirm(t('storage.confirmCleanup', { count: toDelete.length, names }))) {
+        return;
     }
+
+    toDelete.forEach(id => {
+        delete chats[id];
+        delete dialogueStates[id];
+    });
+
+    saveToStorage().then(() => {
+        const notice = document.getElementById('storageNotice');
+        if (notice) notice.remove();
+    });
+    renderTabs();
 }
 
 
@@ -61,7 +157,8 @@ function toggleDarkMode() {
     localStorage.setItem('theme', isDark ? 'dark' : 'light');
     if (themeToggle) {
         themeToggle.textContent = isDark ? '☀️' : '🌙';
-        themeToggle.setAttribute('data-tooltip', isDark ? 'Toggle light mode' : 'Toggle dark mode');
+        themeToggle.setAttribute('data-tooltip', isDark ? t('theme.toLight') : t('theme.toDark'));
+        themeToggle.setAttribute('aria-pressed', String(isDark));
     }
 }
 
@@ -71,133 +168,263 @@ function toggleDarkMode() {
 async function loadKnowledgeBase() {
     try {
         const response = await fetch('knowledge_base.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         const data = await response.json();
-        kbEntries = Array.isArray(data.entries) ? data.entries : [];
+
+        // Version range and per-entry schema checks (kb-validator.js)
+        const validation = validateKnowledgeBase(data);
+        if (!validation.ok) {
+            setKbUnavailable(validation.errors.join('; '), formatKbReport(validation));
+            return;
+        }
+        if (validation.quarantined.length > 0 || validation.warnings.length > 0) {
+            console.warn(formatKbReport(validation));
+        }
+
+        useKnowledgeBase(validation.entries, data.synonyms);
+        useIntentEntries(validation.entries);
+        kbMeta = { version: data.version || null, lastUpdated: data.last_updated || null };
         kbLoaded = true;
+        kbStatus = { state: 'ready', reason: null, report: formatKbReport(validation) };
+        updateKbNotice();
+        addReminderButtons();
         console.log('Knowledge base loaded successfully:', kbEntries.length, 'entries');
     } catch (err) {
-        kbLoaded = false;
         console.error('KB load failed', err);
+        setKbUnavailable(navigator.onLine ? t('kb.reasonDownload') : t('kb.reasonOffline'), null);
+    } finally {
+        updateConnectionStatus();
     }
 }
 
-/* ===============================
-   ENHANCED MATCHING ALGORITHM
-   =============================== */
+function setKbUnavailable(reason, report) {
+    // Keep answering from a KB that loaded earlier (e.g. a failed background update)
+    if (kbLoaded) {
+        console.error('Ignoring unusable knowledge base update:', reason);
+        if (report) console.error(report);
+        return;
+    }
 
-// Normalize text for better matching
-function normalizeText(text) {
-    return (text || '')
-        .toLowerCase()
-        .replace(/[^\w\s]/g, ' ')  // Replace punctuation with space
-        .replace(/\s+/g, ' ')       // Collapse multiple spaces
-        .trim();
-}
-
-// Extract meaningful words (remove common stop words)
-function extractKeywords(text) {
-    const stopWords = new Set([
-        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
-        'has', 'he', 'in', 'is', 'it', 'its', 'of', 'on', 'that', 'the',
-        'to', 'was', 'will', 'with', 'can', 'do', 'does', 'what', 'how',
-        'why', 'when', 'where', 'who', 'i', 'my', 'me', 'you', 'your'
-    ]);
-    
-    return normalizeText(text)
-        .split(' ')
-        .filter(word => word.length > 2 && !stopWords.has(word));
+    kbStatus = { state: 'unavailable', reason, report };
+    console.error('Knowledge base unavailable:', reason);
+    if (report) console.error(report);
+    updateKbNotice();
 }
 
-// Calculate similarity between two texts using multiple methods
-function calculateSimilarity(userText, kbText) {
-    const userNorm = normalizeText(userText);
-    const kbNorm = normalizeText(kbText);
-    
-    // Method 1: Exact phrase match (highest score)
-    if (kbNorm.includes(userNorm) || userNorm.includes(kbNorm)) {
-        return 100;
+// Banner above the input while the KB cannot be used
+function updateKbNotice() {
+    let notice = document.getElementById('kbNotice');
+
+    if (kbStatus.state !== 'unavailable') {
+        if (notice) notice.remove();
+        return;
     }
-    
-    // Method 2: Word overlap scoring
-    const userWords = extractKeywords(userText);
-    const kbWords = extractKeywords(kbText);
-    
-    if (userWords.length === 0) return 0;
-    
-    let matchCount = 0;
-    for (const word of userWords) {
-        if (kbWords.includes(word)) {
-            matchCount++;
+
+    const inputContainer = document.querySelector('.chat-input-container');
+    if (!inputContainer) return;
+
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'kbNotice';
+        notice.className = 'kb-notice';
+        notice.setAttribute('role', 'alert');
+        inputContainer.parentNode.insertBefore(notice, inputContainer);
+    }
+    notice.replaceChildren();
+
+    const text = document.createElement('p');
+    text.textContent = t('kb.unavailableNotice', { reason: kbStatus.reason });
+    notice.appendChild(text);
+
+    const actions = document.createElement('div');
+    actions.className = 'kb-notice-actions';
+    const retryBtn = document.createElement('button');
+    retryBtn.textContent = t('kb.retry');
+    retryBtn.addEventListener('click', () => {
+        kbStatus = { state: 'loading', reason: null, report: null };
+        updateKbNotice();
+        loadKnowledgeBase();
+    });
+    actions.appendChild(retryBtn);
+    notice.appendChild(actions);
+}
+
+/* ===============================
+   OFFLINE SUPPORT (PWA)
+   ===============================
+   sw.js caches the app and the knowledge base. It tells the page when it
+   has fetched a newer KB so the new entries are used straight away.
+*/
+let deferredInstallPrompt = null;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(reg => console.log('Service worker registered, scope:', reg.scope))
+        .catch(err => console.error('Service worker registration failed:', err));
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'kb-updated') {
+            console.log('Newer knowledge base available, reloading it');
+            loadKnowledgeBase();
+        } else if (event.data && event.data.type === 'reminder-clicked') {
+            // A reminder notification was clicked (sw.js)
+            if (event.data.chatId && chats[event.data.chatId]) switchToChat(event.data.chatId);
+            openRemindersPanel();
         }
+    });
+}
+
+// "2026-01-05" -> "January 5, 2026"; dates are calendar days, so no time zone shift
+function formatKbDate(value) {
+    const date = new Date(value);
+    if (!value || isNaN(date)) return t('status.earlierVisit');
+    return date.toLocaleDateString(I18N_LOCALES[getLocale()].intl, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function updateConnectionStatus() {
+    const status = document.getElementById('connectionStatus');
+    if (!status) return;
+
+    if (navigator.onLine) {
+        status.hidden = true;
+        status.textContent = '';
+        return;
     }
-    
-    // Calculate percentage of user words that matched
-    return (matchCount / userWords.length) * 80;
+
+    status.textContent = kbLoaded
+        ? t('status.offlineWithKb', { date: formatKbDate(kbMeta.lastUpdated) })
+        : t('status.offlineWithoutKb');
+    status.hidden = false;
+}
+
+function setupInstallPrompt() {
+    const installBtn = document.getElementById('installBtn');
+    if (!installBtn) return;
+
+    window.addEventListener('beforeinstallprompt', (event) => {
+        event.preventDefault();
+        deferredInstallPrompt = event;
+        installBtn.hidden = false;
+    });
+
+    installBtn.addEventListener('click', async () => {
+        if (!deferredInstallPrompt) return;
+        installBtn.hidden = true;
+        deferredInstallPrompt.prompt();
+        const { outcome } = await deferredInstallPrompt.userChoice;
+        console.log('Install prompt outcome:', outcome);
+        deferredInstallPrompt = null;
+    });
+
+    window.addEventListener('appinstalled', () => {
+        installBtn.hidden = true;
+        deferredInstallPrompt = null;
+    });
 }
 
-// Find best matching KB entry
-function findBestMatch(userMessage) {
-    if (!kbLoaded || !userMessage || userMessage.trim().length < 2) {
-        return null;
+/* ===============================
+   DIALOGUE CONTEXT (FOLLOW-UPS)
+   =============================== */
+
+// Per-chat dialogue state, keyed by chat id:
+// { lastEntryId, category, entities: [...], shownEntryIds: [...] }
+let dialogueStates = {};
+
+const MAX_CONTEXT_ENTITIES = 4;
+const MAX_SHOWN_HISTORY = 10;
+const MAX_RELATED_ENTRIES = 3;
+
+const CONTEXT_PRONOUNS = new Set([
+    'it', 'its', 'that', 'this', 'they', 'them', 'those', 'these', 'there', 'one'
+]);
+
+const TELL_ME_MORE_PATTERNS = [
+    'tell me more', 'more about that', 'more about this', 'more about it',
+    'more info', 'more information', 'more details', 'what else',
+    'anything else', 'go on', 'elaborate', 'explain more', 'learn more'
+];
+
+function getDialogueState(chatId) {
+    if (!dialogueStates[chatId]) {
+        dialogueStates[chatId] = {
+            lastEntryId: null,
+            category: null,
+            entities: [],
+            shownEntryIds: []
+        };
     }
+    return dialogueStates[chatId];
+}
 
-    const userQuery = normalizeText(userMessage);
-    const userKeywords = extractKeywords(userMessage);
-    
-    let bestMatch = null;
-    let bestScore = 0;
+// Remember the KB entry just answered so follow-ups can refer back to it
+function updateDialogueState(chatId, entry) {
+    if (!chatId || !entry || entry.category === 'Greetings') return;
 
-    for (const entry of kbEntries) {
-        let score = 0;
-        
-        // Score 1: Question similarity (weight: 5x)
-        const questionSim = calculateSimilarity(userMessage, entry.question);
-        score += questionSim * 5;
-        
-        // Score 2: Tag matching (weight: 3x)
-        if (entry.tags && Array.isArray(entry.tags)) {
-            for (const tag of entry.tags) {
-                const tagSim = calculateSimilarity(userMessage, tag);
-                score += tagSim * 3;
-            }
-        }
-        
-        // Score 3: Category matching (weight: 2x)
-        if (entry.category) {
-            const categorySim = calculateSimilarity(userMessage, entry.category);
-            score += categorySim * 2;
-        }
-        
-        // Score 4: Answer keywords (weight: 1x)
-        const answerSim = calculateSimilarity(userMessage, entry.answer);
-        score += answerSim * 1;
-        
-        // Update best match if this score is higher
-        if (score > bestScore) {
-            bestScore = score;
-            bestMatch = entry;
-        }
+    const state = getDialogueState(chatId);
+    state.lastEntryId = entry.id;
+    state.category = entry.category || null;
+    state.entities = (Array.isArray(entry.tags) ? entry.tags : []).slice(0, MAX_CONTEXT_ENTITIES);
+    state.shownEntryIds = [entry.id, ...state.shownEntryIds.filter(id => id !== entry.id)]
+        .slice(0, MAX_SHOWN_HISTORY);
+}
+
+function isTellMeMore(text) {
+    const normalized = normalizeText(text);
+    return TELL_ME_MORE_PATTERNS.some(p => normalized === p || normalized.startsWith(p + ' ') || normalized.endsWith(' ' + p));
+}
+
+// Pronoun-heavy messages ("is it covered?") lean on the previous answer
+function isPronounFollowUp(text) {
+    const words = normalizeText(text).split(' ').filter(Boolean);
+    return words.some(word => CONTEXT_PRONOUNS.has(word)) && extractKeywords(text).length <= 2;
+}
+
+function isShortFollowUp(text) {
+    return normalizeText(text).split(' ').filter(Boolean).length <= 3;
+}
+
+// Context text to rank a follow-up against: the previous topic's key
+// entities for pronoun-heavy or very short messages, otherwise nothing
+function resolveFollowUp(text, state) {
+    if (!state || !state.lastEntryId || state.entities.length === 0) {
+        return '';
     }
-    
-    // Require minimum score threshold
-    const threshold = 50; // Lowered from 100 for better matching
-    
-    if (bestScore >= threshold && bestMatch) {
-        console.log(`Match found: "${bestMatch.question}" with score ${bestScore.toFixed(2)}`);
-        return {
-            answer: bestMatch.answer,
-            source: bestMatch.source || 'Twin Health Knowledge Base',
-            score: bestScore
-        };
+    if (isPronounFollowUp(text) || isShortFollowUp(text)) {
+        return [state.category, ...state.entities].filter(Boolean).join(' ');
     }
-    
-    console.log(`No match found. Best score was ${bestScore.toFixed(2)}`);
-    return null;
+    return '';
+}
+
+// Entries from the same category or sharing tags with the given one, most
+// shared tags first, skipping anything already shown in this chat
+function findRelatedEntries(entryId, excludeIds = [], limit = MAX_RELATED_ENTRIES) {
+    const entry = getKbEntryById(entryId);
+    if (!entry) return [];
+
+    const tags = new Set((entry.tags || []).map(tag => normalizeText(tag)));
+    const exclude = new Set([entryId, ...excludeIds]);
+
+    return kbEntries
+        .filter(other => !exclude.has(other.id) && other.category !== 'Greetings')
+        .map(other => {
+            const sharedTags = (other.tags || [])
+                .filter(tag => tags.has(normalizeText(tag))).length;
+            const sameCategory = other.category === entry.category ? 1 : 0;
+            return { entry: other, relevance: sharedTags * 2 + sameCategory };
+        })
+        .filter(c => c.relevance > 0)
+        .sort((a, b) => b.relevance - a.relevance)
+        .slice(0, limit)
+        .map(c => c.entry);
 }
 
 /* ===============================
    MULTI-TAB CHAT MANAGEMENT
    =============================== */
+// Stored in English (exports read it); shown as chat.welcome in the
+// interface language
 const initialBotMessage = {
     text: `Hello! I'm your Twin Health assistant. I can help you learn about reversing diabetes naturally using our Whole Body Digital Twin technology. How can I assist you now?`,
     user: false,
@@ -209,10 +436,11 @@ function createNewChat() {
     chats[id] = [{
         text: initialBotMessage.text,
         user: false,
-        isWelcome: true
+        isWelcome: true,
+        timestamp: new Date().toISOString(),
+        format: MESSAGE_FORMAT_VERSION
     }];
-    chats[id].name = `Chat ${Object.keys(chats).length + 1}`; // ADDED + 1 for correct count
-    
+
     activeChatId = id;
     saveToStorage();
     renderTabs();
@@ -231,160 +459,768 @@ function switchToChat(chatId) {
 }
 
 /* ===============================
-   RENAME CURRENT CHAT - FIXED
+   RENAME CHAT
    =============================== */
+function buildRenameDialog() {
+    const panel = document.createElement('div');
+    panel.id = 'renameDialog';
+    panel.className = 'profile-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'renameDialogTitle');
+
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+
+    const title = document.createElement('h2');
+    title.id = 'renameDialogTitle';
+    title.textContent = t('rename.title');
+
+    const label = document.createElement('label');
+    const labelText = document.createElement('span');
+    labelText.textContent = t('rename.label');
+    const input = document.createElement('input');
+    input.name = 'name';
+    input.autocomplete = 'off';
+    label.append(labelText, input);
+
+    const status = document.createElement('p');
+    status.className = 'profile-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = t('rename.save');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = t('rename.cancel');
+    cancelBtn.addEventListener('click', closeRenameDialog);
+    actions.append(saveBtn, cancelBtn);
+
+    form.append(title, label, status, actions);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const chatId = panel.dataset.chatId;
+        const name = input.value.trim();
+        if (!name) {
+            status.textContent = t('rename.empty');
+            input.focus();
+            return;
+        }
+        if (chats[chatId]) {
+            chats[chatId].name = name;
+            saveToStorage();
+            renderTabs();
+        }
+        closeRenameDialog();
+        // Renamed from the chat list: its tab was re-rendered, so focus
+        // had nowhere to go back to
+        if (document.activeElement === document.body || panel.contains(document.activeElement)) {
+            focusChatTab(chatId);
+        }
+        announce(t('rename.done', { name }));
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeRenameDialog();
+    });
+
+    panel.appendChild(form);
+    document.body.appendChild(panel);
+    return panel;
+}
+
+function openRenameDialog(chatId) {
+    if (!chats[chatId]) return;
+    const panel = document.getElementById('renameDialog') || buildRenameDialog();
+    const input = panel.querySelector('input');
+    panel.dataset.chatId = chatId;
+    input.value = getChatName(chatId);
+    panel.querySelector('.profile-status').textContent = '';
+    openDialog(panel, input);
+    input.select();
+}
+
+function closeRenameDialog() {
+    const panel = document.getElementById('renameDialog');
+    if (panel) closeDialog(panel);
+}
+
 function renameCurrentChat() {
-    if (!activeChatId || !chats[activeChatId] || !tabsContainer) {
-        console.log('Rename failed: missing requirements');
+    if (!activeChatId || !chats[activeChatId]) {
+        console.log('Rename failed: no current chat');
         return;
     }
+    openRenameDialog(activeChatId);
+}
 
-    // Find the active tab button by class
-    const tabBtn = tabsContainer.querySelector('.tab-btn.active');
+/* ===============================
+   CONVERSATION EXPORT
+   =============================== */
 
-    if (!tabBtn) {
-        console.log('Rename failed: no active tab button found');
-        return;
-    }
-    
-    // Store original name for restoration if needed
-    const originalName = tabBtn.textContent.trim();
-    console.log('Starting rename for:', originalName);
-    
-    // Make tab button editable
-    tabBtn.setAttribute('contenteditable', 'true');
-    tabBtn.style.outline = '2px solid #667eea';
-    tabBtn.style.backgroundColor = '#ffffff';
-    tabBtn.focus();
+// Identifies our JSON exports so they can be validated and re-imported
+const EXPORT_SCHEMA = 'twin-health-chat-export';
+const EXPORT_SCHEMA_VERSION = 1;
+
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mime: 'application/json;charset=utf-8' },
+    txt: { extension: 'txt', mime: 'text/plain;charset=utf-8' },
+    csv: { extension: 'csv', mime: 'text/csv;charset=utf-8' },
+    md: { extension: 'md', mime: 'text/markdown;charset=utf-8' },
+    html: { extension: 'html', mime: 'text/html;charset=utf-8' },
+    pdf: { extension: 'html', mime: 'text/html;charset=utf-8' }
+};
 
-    // Select all text
-    setTimeout(() => {
-        const range = document.createRange();
-        range.selectNodeContents(tabBtn);
-        const selection = window.getSelection();
-        selection.removeAllRanges();
-        selection.addRange(range);
-    }, 0);
-
-    // Save new name on Enter or blur
-    const saveName = () => {
-        const newName = tabBtn.textContent.trim();
-        console.log('Saving new name:', newName);
-        
-        if (newName && newName.length > 0) {
-            chats[activeChatId].name = newName;
-            console.log('Name saved successfully');
-        } else {
-            // Restore original name if empty
-            console.log('Name was empty, restoring original');
-            tabBtn.textContent = originalName;
-        }
-        
-        tabBtn.removeAttribute('contenteditable');
-        tabBtn.style.outline = '';
-        tabBtn.style.backgroundColor = '';
-        tabBtn.onblur = null;
-        tabBtn.onkeydown = null;
-        
-        saveToStorage();
-        renderTabs();
-    };
+const BOT_SPEAKER = 'Twin Health Assistant';
 
-    tabBtn.onblur = saveName;
-    tabBtn.onkeydown = (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            console.log('Enter pressed, saving name');
-            tabBtn.blur();
-        }
-        if (e.key === 'Escape') {
-            e.preventDefault();
-            console.log('Escape pressed, canceling rename');
-            tabBtn.textContent = originalName;
-            tabBtn.blur();
-        }
+function getChatName(chatId) {
+    const chat = chats[chatId];
+    if (chat && chat.name) return chat.name;
+    return t('chat.newName');
+}
+
+// Chats to export for a scope ("current" or "all"), in a format-neutral shape
+function collectExportChats(scope) {
+    const ids = scope === 'all'
+        ? Object.keys(chats)
+        : (activeChatId && chats[activeChatId] ? [activeChatId] : []);
+
+    return ids.map(id => ({
+        id,
+        name: getChatName(id),
+        pinned: !!chats[id].pinned,
+        archived: !!chats[id].archived,
+        messages: chats[id].map(message => ({
+            role: message.user ? 'user' : 'assistant',
+            text: message.text,
+            timestamp: message.timestamp || null,
+            kbId: message.kbId || null,
+            source: message.source || null,
+            score: typeof message.score === 'number' ? message.score : null,
+            safety: message.safety || null,
+            suggestions: message.suggestions || null,
+            followUps: message.followUps || null,
+            related: message.related || null,
+            disclaimer: !!message.disclaimer,
+            fallback: !!message.fallback,
+            feedback: message.feedback || null,
+            welcome: !!message.isWelcome
+        }))
+    }));
+}
+
+function conversationMessages(chat) {
+    return chat.messages.filter(message => !message.welcome);
+}
+
+function formatExportTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function formatScore(score) {
+    return typeof score === 'number' ? score.toFixed(1) : '';
+}
+
+function buildExportJSON(exportChats) {
+    const data = {
+        schema: EXPORT_SCHEMA,
+        version: EXPORT_SCHEMA_VERSION,
+        exported_at: new Date().toISOString(),
+        kb_version: kbMeta.version,
+        chats: exportChats.map(chat => ({
+            id: chat.id,
+            name: chat.name,
+            ...(chat.pinned ? { pinned: true } : {}),
+            ...(chat.archived ? { archived: true } : {}),
+            messages: chat.messages.map(message => {
+                const out = {
+                    role: message.role,
+                    text: message.text,
+                    timestamp: message.timestamp
+                };
+                if (message.kbId) out.kb_id = message.kbId;
+                if (message.source) out.source = message.source;
+                if (message.score !== null) out.score = Number(message.score.toFixed(2));
+                if (message.safety) out.safety = message.safety;
+                if (message.suggestions) out.suggestions = message.suggestions;
+                if (message.followUps) out.follow_ups = message.followUps;
+                if (message.related) out.related = message.related;
+                if (message.disclaimer) out.disclaimer = true;
+                if (message.fallback) out.fallback = true;
+                if (message.feedback) {
+                    out.feedback = { rating: message.feedback.rating, rated_at: message.feedback.ratedAt || null };
+                    if (message.feedback.note) out.feedback.note = message.feedback.note;
+                }
+                if (message.welcome) out.welcome = true;
+                return out;
+            })
+        }))
     };
+    return JSON.stringify(data, null, 2);
 }
 
-/* ===============================
-   DOWNLOAD CONVERSATION HISTORY - FIXED
-   =============================== */
-function downloadConversationHistory() {
-    console.log('Download function called');
-    console.log('Active chat ID:', activeChatId);
-    console.log('Chats object:', chats);
-    
-    if (!activeChatId || !chats[activeChatId]) {
-        alert('No active chat to download.');
-        console.log('Download failed: no active chat');
+function buildExportText(exportChats) {
+    return exportChats.map(chat => {
+        let text = `${chat.name}\n`;
+        text += `Downloaded: ${new Date().toLocaleString()}\n`;
+        text += `${'='.repeat(60)}\n\n`;
+
+        conversationMessages(chat).forEach(message => {
+            const speaker = message.role === 'user' ? 'You' : BOT_SPEAKER;
+            const when = formatExportTimestamp(message.timestamp);
+            text += `[${speaker}]${when ? ` ${when}` : ''}\n`;
+            text += `${message.text}\n`;
+            if (message.disclaimer) {
+                text += `${KB_DISCLAIMER_TEXT}\n`;
+            }
+            if (message.source) {
+                text += `Source: ${message.source}\n`;
+            }
+            text += `\n${'-'.repeat(60)}\n\n`;
+        });
+
+        return text;
+    }).join('\n');
+}
+
+// Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildExportCSV(exportChats) {
+    const header = ['chat_id', 'chat_name', 'message_index', 'timestamp', 'speaker', 'text', 'kb_id', 'source', 'score', 'safety'];
+    const rows = [header];
+
+    exportChats.forEach(chat => {
+        conversationMessages(chat).forEach((message, index) => {
+            rows.push([
+                chat.id,
+                chat.name,
+                index + 1,
+                message.timestamp || '',
+                message.role,
+                message.text,
+                message.kbId || '',
+                message.source || '',
+                formatScore(message.score),
+                message.safety || ''
+            ]);
+        });
+    });
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function buildExportMarkdown(exportChats) {
+    const lines = [
+        '# Twin Health Conversation History',
+        '',
+        `_Exported ${new Date().toLocaleString()}. Share this with your care team; it is not medical advice._`,
+        ''
+    ];
+
+    exportChats.forEach(chat => {
+        lines.push(`## ${chat.name}`, '');
+
+        conversationMessages(chat).forEach(message => {
+            const speaker = message.role === 'user' ? 'You' : BOT_SPEAKER;
+            const when = formatExportTimestamp(message.timestamp);
+            lines.push(`**${speaker}**${when ? ` · ${when}` : ''}`, '');
+
+            if (message.role === 'user') {
+                // Member text is quoted verbatim, not interpreted as markup
+                lines.push(...message.text.split('\n').map(line => `> ${line}`));
+            } else {
+                lines.push(message.text);
+                if (message.disclaimer) {
+                    lines.push('', `_${KB_DISCLAIMER_TEXT}_`);
+                }
+            }
+
+            if (message.source) {
+                lines.push('', `_Source: ${message.source}${message.kbId ? ` (${message.kbId})` : ''}_`);
+            }
+            lines.push('', '---', '');
+        });
+    });
+
+    return lines.join('\n');
+}
+
+// Print-ready standalone document. Built with DOM APIs and serialized, so
+// message text ends up escaped exactly as it is in the chat window.
+function buildExportHTML(exportChats) {
+    const doc = document.implementation.createHTMLDocument('Twin Health Conversation History');
+
+    const meta = doc.createElement('meta');
+    meta.setAttribute('charset', 'UTF-8');
+    doc.head.prepend(meta);
+
+    const style = doc.createElement('style');
+    style.textContent = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #222; max-width: 780px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+        h1 { color: #4a5a9a; font-size: 24px; margin-bottom: 4px; }
+        h2 { border-bottom: 2px solid #667eea; padding-bottom: 4px; margin-top: 32px; font-size: 18px; }
+        .note { color: #555; font-size: 13px; }
+        .msg { border: 1px solid #ddd; border-radius: 8px; padding: 10px 14px; margin: 12px 0; page-break-inside: avoid; }
+        .msg.user { background: #f1f3ff; }
+        .msg.safety-emergency { border: 2px solid #d32f2f; }
+        .msg.safety-urgent { border: 2px solid #f0a500; }
+        .meta { font-size: 12px; color: #666; margin-bottom: 4px; }
+        .message-source { display: block; margin-top: 6px; font-size: 12px; color: #666; }
+        .message-disclaimer { font-size: 12px; color: #555; font-style: italic; }
+        p, ul, ol { margin: 4px 0; }
+        @media print { body { margin: 0; } h2 { page-break-after: avoid; } }
+    `;
+    doc.head.appendChild(style);
+
+    const title = doc.createElement('h1');
+    title.textContent = 'Twin Health Conversation History';
+    doc.body.appendChild(title);
+
+    const note = doc.createElement('p');
+    note.className = 'note';
+    note.textContent = `Exported ${new Date().toLocaleString()}. Bring this to your care team; it is not a substitute for medical advice.`;
+    doc.body.appendChild(note);
+
+    exportChats.forEach(chat => {
+        const heading = doc.createElement('h2');
+        heading.textContent = chat.name;
+        doc.body.appendChild(heading);
+
+        conversationMessages(chat).forEach(message => {
+            const block = doc.createElement('div');
+            block.className = `msg ${message.role}${message.safety ? ` safety-${message.safety}` : ''}`;
+
+            const metaLine = doc.createElement('div');
+            metaLine.className = 'meta';
+            const speaker = message.role === 'user' ? 'You' : BOT_SPEAKER;
+            const when = formatExportTimestamp(message.timestamp);
+            metaLine.textContent = when ? `${speaker} · ${when}` : speaker;
+            block.appendChild(metaLine);
+
+            if (message.role === 'user') {
+                const text = doc.createElement('p');
+                text.textContent = message.text;
+                block.appendChild(text);
+            } else {
+                block.appendChild(doc.importNode(renderMarkup(message.text), true));
+                if (message.disclaimer) {
+                    block.appendChild(doc.importNode(createDisclaimer(), true));
+                }
+                if (message.source) {
+                    block.appendChild(doc.importNode(createSourceFooter(message.source), true));
+                }
+            }
+
+            doc.body.appendChild(block);
+        });
+    });
+
+    return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+}
+
+function downloadFile(content, filename, mime) {
+    const blob = new Blob([content], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+
+    // Clean up
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+// PDF export: open the print-ready HTML and hand it to the browser's print
+// dialog, where the member can save it as a PDF
+function printExportHTML(html, fallbackFilename) {
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const printWindow = window.open(url, '_blank');
+
+    if (!printWindow) {
+        URL.revokeObjectURL(url);
+        alert(t('export.popupBlocked'));
+        downloadFile(html, fallbackFilename, EXPORT_FORMATS.html.mime);
         return;
     }
 
-    const messages = chats[activeChatId];
-    const chatName = chats[activeChatId].name || 'Twin Health Chat';
-    
-    console.log('Chat name:', chatName);
-    console.log('Total messages:', messages.length);
-    
-    // Format the conversation
-    let conversationText = `${chatName}\n`;
-    conversationText += `Downloaded: ${new Date().toLocaleString()}\n`;
-    conversationText += `${'='.repeat(60)}\n\n`;
-
-    let messageCount = 0;
-    messages.forEach((msg, index) => {
-        // Skip the initial welcome message
-        if (msg.isWelcome) {
-            console.log('Skipping welcome message');
-            return;
-        }
-        
-        const speaker = msg.user ? 'You' : 'Twin Health Assistant';
-        
-        conversationText += `[${speaker}]\n`;
-        conversationText += `${msg.text}\n\n`;
-        conversationText += `${'-'.repeat(60)}\n\n`;
-        messageCount++;
+    printWindow.addEventListener('load', () => {
+        printWindow.focus();
+        printWindow.print();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
     });
+}
 
-    console.log('Messages to download:', messageCount);
+function exportConversations(format, scope = 'current') {
+    const config = EXPORT_FORMATS[format];
+    if (!config) {
+        console.error('Unknown export format:', format);
+        return;
+    }
+
+    const exportChats = collectExportChats(scope);
+    const messageCount = exportChats.reduce((sum, chat) => sum + conversationMessages(chat).length, 0);
 
+    if (exportChats.length === 0) {
+        alert(t('export.noChat'));
+        return;
+    }
     if (messageCount === 0) {
-        alert('No messages to download yet. Start a conversation first!');
+        alert(t('export.noMessages'));
         return;
     }
 
-    // Create and download the file
+    const baseName = scope === 'all' ? 'Twin_Health_All_Chats' : exportChats[0].name.replace(/[^\p{L}\p{M}\p{N}]/gu, '_');
+    const filename = `${baseName}_${Date.now()}.${config.extension}`;
+
     try {
-        const blob = new Blob([conversationText], { type: 'text/plain;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        const filename = `${chatName.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.txt`;
-        a.download = filename;
-        
-        console.log('Creating download with filename:', filename);
-        
-        document.body.appendChild(a);
-        a.click();
-        
-        // Clean up
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            console.log('Download completed and cleaned up');
-        }, 100);
-        
+        const builders = {
+            json: buildExportJSON,
+            txt: buildExportText,
+            csv: buildExportCSV,
+            md: buildExportMarkdown,
+            html: buildExportHTML,
+            pdf: buildExportHTML
+        };
+        const content = builders[format](exportChats);
+
+        if (format === 'pdf') {
+            printExportHTML(content, filename);
+        } else {
+            downloadFile(content, filename, config.mime);
+        }
     } catch (error) {
-        console.error('Download error:', error);
-        alert('Error downloading conversation. Please try again.');
+        console.error('Export error:', error);
+        alert(t('export.failed'));
     }
 }
 
+function downloadConversationHistory() {
+    exportConversations('txt', 'current');
+}
+
 // Make functions available globally
 window.downloadConversationHistory = downloadConversationHistory;
+window.exportConversations = exportConversations;
 window.renameCurrentChat = renameCurrentChat;
 
+/* ===============================
+   CONVERSATION IMPORT / RESTORE
+   =============================== */
+const MAX_IMPORT_ERRORS_SHOWN = 5;
+const VALID_ROLES = ['user', 'assistant'];
+const VALID_SAFETY = ['emergency', 'urgent'];
+const VALID_RATINGS = ['up', 'down'];
+// A valid export waiting for the member to choose in the import dialog
+let pendingImport = null;
+
+function isValidTimestamp(value) {
+    return value === null || value === undefined ||
+        (typeof value === 'string' && !isNaN(Date.parse(value)));
+}
+
+// Check a parsed export file against the schema. Returns { ok, errors },
+// where errors are readable "path: problem" strings.
+function validateChatExport(data) {
+    const errors = [];
+    const fail = (path, problem) => errors.push(`${path}: ${problem}`);
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { ok: false, errors: ['File does not contain a conversation export object.'] };
+    }
+    if (data.schema !== EXPORT_SCHEMA) {
+        return { ok: false, errors: ['This is not a Twin Health conversation export (unknown "schema").'] };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        fail('version', 'must be a positive whole number');
+    } else if (data.version > EXPORT_SCHEMA_VERSION) {
+        fail('version', `file is version ${data.version}, but this app only reads up to version ${EXPORT_SCHEMA_VERSION}. Please update the app.`);
+    }
+    if (!Array.isArray(data.chats) || data.chats.length === 0) {
+        fail('chats', 'must be a non-empty list');
+        return { ok: false, errors };
+    }
+
+    data.chats.forEach((chat, c) => {
+        const path = `chats[${c}]`;
+        if (!chat || typeof chat !== 'object') {
+            fail(path, 'must be an object');
+            return;
+        }
+        if (chat.id !== undefined && typeof chat.id !== 'string') fail(`${path}.id`, 'must be text');
+        if (chat.name !== undefined && typeof chat.name !== 'string') fail(`${path}.name`, 'must be text');
+        if (chat.pinned !== undefined && typeof chat.pinned !== 'boolean') fail(`${path}.pinned`, 'must be true or false');
+        if (chat.archived !== undefined && typeof chat.archived !== 'boolean') fail(`${path}.archived`, 'must be true or false');
+        if (!Array.isArray(chat.messages)) {
+            fail(`${path}.messages`, 'must be a list');
+            return;
+        }
+
+        chat.messages.forEach((message, m) => {
+            const mPath = `${path}.messages[${m}]`;
+            if (!message || typeof message !== 'object') {
+                fail(mPath, 'must be an object');
+                return;
+            }
+            if (!VALID_ROLES.includes(message.role)) fail(`${mPath}.role`, `must be one of ${VALID_ROLES.join(', ')}`);
+            if (typeof message.text !== 'string') fail(`${mPath}.text`, 'must be text');
+            if (!isValidTimestamp(message.timestamp)) fail(`${mPath}.timestamp`, 'must be an ISO date');
+            if (message.kb_id !== undefined && typeof message.kb_id !== 'string') fail(`${mPath}.kb_id`, 'must be text');
+            if (message.source !== undefined && typeof message.source !== 'string') fail(`${mPath}.source`, 'must be text');
+            if (message.score !== undefined && !Number.isFinite(message.score)) fail(`${mPath}.score`, 'must be a number');
+            if (message.safety !== undefined && !VALID_SAFETY.includes(message.safety)) fail(`${mPath}.safety`, `must be one of ${VALID_SAFETY.join(', ')}`);
+            if (message.suggestions !== undefined) {
+                const validSuggestions = Array.isArray(message.suggestions) && message.suggestions.every(s =>
+                    s && typeof s.id === 'string' && typeof s.question === 'string');
+                if (!validSuggestions) fail(`${mPath}.suggestions`, 'must be a list of { id, question }');
+            }
+            if (message.related !== undefined) {
+                const validRelated = Array.isArray(message.related) && message.related.every(r =>
+                    r && typeof r.id === 'string' && typeof r.question === 'string');
+                if (!validRelated) fail(`${mPath}.related`, 'must be a list of { id, question }');
+            }
+            if (message.follow_ups !== undefined &&
+                !(Array.isArray(message.follow_ups) && message.follow_ups.every(q => typeof q === 'string'))) {
+                fail(`${mPath}.follow_ups`, 'must be a list of text values');
+            }
+            if (message.disclaimer !== undefined && typeof message.disclaimer !== 'boolean') {
+                fail(`${mPath}.disclaimer`, 'must be true or false');
+            }
+            if (message.fallback !== undefined && typeof message.fallback !== 'boolean') {
+                fail(`${mPath}.fallback`, 'must be true or false');
+            }
+            if (message.feedback !== undefined) {
+                const feedback = message.feedback;
+                if (!feedback || typeof feedback !== 'object' || !VALID_RATINGS.includes(feedback.rating)) {
+                    fail(`${mPath}.feedback.rating`, `must be one of ${VALID_RATINGS.join(', ')}`);
+                } else {
+                    if (feedback.note !== undefined && typeof feedback.note !== 'string') fail(`${mPath}.feedback.note`, 'must be text');
+                    if (!isValidTimestamp(feedback.rated_at)) fail(`${mPath}.feedback.rated_at`, 'must be an ISO date');
+                }
+            }
+        });
+    });
+
+    return { ok: errors.length === 0, errors };
+}
+
+function importedMessageToStored(message) {
+    const stored = {
+        text: message.text,
+        user: message.role === 'user',
+        isWelcome: !!message.welcome,
+        timestamp: message.timestamp || null,
+        format: MESSAGE_FORMAT_VERSION
+    };
+    if (message.kb_id) stored.kbId = message.kb_id;
+    if (message.source) stored.source = message.source;
+    if (typeof message.score === 'number') stored.score = message.score;
+    if (message.safety) stored.safety = message.safety;
+    if (message.suggestions) stored.suggestions = message.suggestions;
+    if (message.follow_ups) stored.followUps = message.follow_ups;
+    if (message.related) stored.related = message.related;
+    if (message.disclaimer) stored.disclaimer = true;
+    if (message.fallback) stored.fallback = true;
+    if (message.feedback) {
+        stored.feedback = { rating: message.feedback.rating, ratedAt: message.feedback.rated_at || null };
+        if (message.feedback.note) stored.feedback.note = message.feedback.note;
+    }
+    return stored;
+}
+
+// Generate a fresh chat_<timestamp> id that no existing or pending chat uses
+function uniqueChatId(taken) {
+    let stamp = Date.now();
+    while (taken.has(`chat_${stamp}`)) stamp++;
+    const id = `chat_${stamp}`;
+    taken.add(id);
+    return id;
+}
+
+// Turn a validated export into chats. In "merge" mode ids that clash with
+// existing chats (or are not chat_<timestamp> ids) get a new id.
+// Returns { imported: { id: messages }, added: [{ id, name, renamedFrom }] }
+function prepareImportedChats(data, mode) {
+    const taken = new Set(mode === 'merge' ? Object.keys(chats) : []);
+    const imported = {};
+    const added = [];
+
+    data.chats.forEach((chat, index) => {
+        const wantedId = typeof chat.id === 'string' && /^chat_\d+$/.test(chat.id) ? chat.id : null;
+        const id = wantedId && !taken.has(wantedId) ? wantedId : uniqueChatId(taken);
+        taken.add(id);
+
+        const messages = chat.messages.map(importedMessageToStored);
+        messages.name = chat.name || `Imported chat ${index + 1}`;
+        if (chat.pinned) messages.pinned = true;
+        if (chat.archived) messages.archived = true;
+        imported[id] = messages;
+        added.push({ id, name: messages.name, renamedFrom: wantedId && wantedId !== id ? wantedId : null });
+    });
+
+    return { imported, added };
+}
+
+function formatImportReport(added, mode) {
+    const lines = [t(mode === 'replace' ? 'import.restored' : 'import.imported', { count: added.length })];
+    added.forEach(chat => {
+        lines.push(`• ${chat.name}${chat.renamedFrom ? ` ${t('import.renamed', { from: chat.renamedFrom, to: chat.id })}` : ''}`);
+    });
+    return lines.join('\n');
+}
+
+// Parse and validate an export file without touching any chats.
+// Returns { ok, data, errors }.
+function parseChatExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { ok: false, errors: ['File is not valid JSON.'] };
+    }
+
+    const validation = validateChatExport(data);
+    if (!validation.ok) return validation;
+    return { ok: true, data, errors: [] };
+}
+
+// Merge a parsed, valid export into the current chats or replace them.
+// Returns the chats added: [{ id, name, renamedFrom }]
+function importConversations(data, mode = 'merge') {
+    const { imported, added } = prepareImportedChats(data, mode);
+
+    if (mode === 'replace') {
+        chats = imported;
+        dialogueStates = {};
+    } else {
+        Object.assign(chats, imported);
+    }
+    activeChatId = added[0].id;
+
+    saveToStorage();
+    renderTabs();
+    renderMessages();
+
+    return added;
+}
+
+function closeImportDialog() {
+    const panel = document.getElementById('importDialog');
+    pendingImport = null;
+    if (!panel) return;
+    closeDialog(panel);
+    panel.remove();
+}
+
+function finishImport(mode) {
+    const data = pendingImport;
+    closeImportDialog();
+    if (!data) return;
+    const added = importConversations(data, mode);
+    alert(formatImportReport(added, mode));
+}
+
+// Replace, Merge or Cancel for a file that has already been validated
+function openImportDialog(data) {
+    closeImportDialog();
+    pendingImport = data;
+
+    const panel = document.createElement('div');
+    panel.id = 'importDialog';
+    panel.className = 'profile-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'importDialogTitle');
+    panel.setAttribute('aria-describedby', 'importDialogText');
+
+    const form = document.createElement('div');
+    form.className = 'profile-form';
+
+    const title = document.createElement('h2');
+    title.id = 'importDialogTitle';
+    title.textContent = t('import.title');
+
+    const text = document.createElement('p');
+    text.id = 'importDialogText';
+    text.className = 'profile-note';
+    text.textContent = `${t('import.found', { count: data.chats.length })} ${t('import.choose')}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+    const button = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+        return btn;
+    };
+    button(t('import.replace'), () => finishImport('replace'));
+    const mergeBtn = button(t('import.merge'), () => finishImport('merge'));
+    button(t('import.cancel'), closeImportDialog);
+
+    form.append(title, text, actions);
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeImportDialog();
+    });
+
+    panel.appendChild(form);
+    document.body.appendChild(panel);
+    // Adding alongside is the choice that cannot lose anything
+    openDialog(panel, mergeBtn);
+}
+
+function handleImportFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const result = parseChatExport(String(reader.result));
+
+        if (result.ok) {
+            openImportDialog(result.data);
+        } else {
+            const shown = result.errors.slice(0, MAX_IMPORT_ERRORS_SHOWN);
+            const more = result.errors.length - shown.length;
+            alert(`${t('import.failed')}\n\n${shown.join('\n')}${more > 0 ? `\n${t('import.moreProblems', { count: more })}` : ''}`);
+        }
+    };
+    reader.onerror = () => {
+        console.error('Import read error:', reader.error);
+        alert(t('import.readError'));
+    };
+    reader.readAsText(file);
+}
+
+function setupImportButton() {
+    const importBtn = document.getElementById('importChatBtn');
+    const importInput = document.getElementById('importChatInput');
+    if (importBtn && importInput) {
+        importBtn.onclick = (e) => {
+            e.preventDefault();
+            importInput.value = '';
+            importInput.click();
+        };
+        importInput.onchange = () => handleImportFile(importInput.files[0]);
+        console.log('Import button setup complete');
+    } else {
+        console.log('Import button not found in DOM');
+    }
+}
+
 /* ===============================
    UPDATE SETUP RENAME BUTTON
    =============================== */
@@ -407,101 +1243,663 @@ function setupRenameButton() {
 
 // Also add download button setup
 function setupDownloadButton() {
-    const downloadBtn = document.getElementById('downloadHistoryBtn');
-    if (downloadBtn) {
-        downloadBtn.onclick = (e) => {
-            e.preventDefault();
-            console.log('Download button clicked');
-            downloadConversationHistory();
+    const exportSelect = document.getElementById('export-chat');
+    if (exportSelect) {
+        exportSelect.onchange = () => {
+            // Values look like "current:json" or "all:csv"
+            const [scope, format] = exportSelect.value.split(':');
+            console.log('Export selected:', scope, format);
+            exportConversations(format, scope);
+            exportSelect.selectedIndex = 0;
         };
-        console.log('Download button setup complete');
+        console.log('Export menu setup complete');
     } else {
-        console.log('Download button not found in DOM');
+        console.log('Export menu not found in DOM');
     }
 }
 
+/* ===============================
+   CHAT SIDEBAR
+   ===============================
+   Chats are listed in a collapsible sidebar: pinned chats first, then
+   the rest in the member's own order (drag, or Alt+Arrow keys, to
+   reorder). Archived chats are hidden behind "Show archived". Chat
+   flags live on the message array like the name does:
+   chats[id].pinned, chats[id].archived.
+
+   Deleting is undoable for UNDO_DELETE_MS instead of asking to confirm.
+*/
+const UNDO_DELETE_MS = 8000;
+const AUTO_NAME_MAX_LENGTH = 40;
+const SIDEBAR_STATE_KEY = 'twinHealthSidebarOpen';
+
+let showArchivedChats = false;
+let chatSelectMode = false;
+const selectedChatIds = new Set();
+let draggedChatId = null;
+let pendingChatUndo = null;
+
+// First question, trimmed to a tab-friendly length at a word boundary
+function autoChatName(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= AUTO_NAME_MAX_LENGTH) return clean;
+    const cut = clean.slice(0, AUTO_NAME_MAX_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > AUTO_NAME_MAX_LENGTH / 2 ? cut.slice(0, lastSpace) : cut) + '…';
+}
+
+function chatPreview(messages) {
+    const last = [...messages].reverse().find(m => m && !m.isWelcome) || messages[messages.length - 1];
+    if (!last) return { text: '', timestamp: null };
+    const text = searchPlainText(last.text);
+    return { text: (last.user ? t('sidebar.youPrefix') : '') + text, timestamp: last.timestamp || null };
+}
+
+function formatChatDate(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    if (isNaN(date)) return '';
+    const today = new Date();
+    const locale = I18N_LOCALES[getLocale()].intl;
+    return date.toDateString() === today.toDateString()
+        ? date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' })
+        : date.toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+}
+
+// Display order: pinned, then unpinned; archived chats last
+function orderedChatIds() {
+    const ids = Object.keys(chats);
+    const rank = (id) => (chats[id].archived ? 2 : chats[id].pinned ? 0 : 1);
+    return ids
+        .map((id, position) => ({ id, position }))
+        .sort((a, b) => rank(a.id) - rank(b.id) || a.position - b.position)
+        .map(item => item.id);
+}
+
+// Rebuild `chats` so its key order (which storage persists) follows `ids`
+function reorderChats(ids) {
+    const reordered = {};
+    ids.forEach(id => { if (chats[id]) reordered[id] = chats[id]; });
+    Object.keys(chats).forEach(id => { if (!reordered[id]) reordered[id] = chats[id]; });
+    chats = reordered;
+}
+
+function firstVisibleChatId(excluding = []) {
+    return orderedChatIds().find(id => !chats[id].archived && !excluding.includes(id)) || null;
+}
+
 function renderTabs() {
     if (!tabsContainer) return;
 
-    tabsContainer.innerHTML = '';
     const chatIds = Object.keys(chats);
-
     if (chatIds.length === 0 || !activeChatId || !chats[activeChatId]) {
         if (chatIds.length === 0) {
             createNewChat();
             return;
-        } else {
-            activeChatId = chatIds[0];
-            saveToStorage();
         }
+        activeChatId = firstVisibleChatId() || chatIds[0];
+        saveToStorage();
     }
 
-    chatIds.forEach((id, idx) => {
-        const btn = document.createElement('button');
-        btn.className = 'tab-btn' + (id === activeChatId ? ' active' : '');
-        
-        const tabName = chats[id].name || `Chat ${chatIds.indexOf(id) + 1}`;
-        btn.textContent = tabName;
+    // A tablist of chats; while selecting, a plain list of checkboxes
+    if (chatSelectMode) {
+        ['role', 'aria-orientation', 'aria-labelledby'].forEach(attr => tabsContainer.removeAttribute(attr));
+    } else {
+        tabsContainer.setAttribute('role', 'tablist');
+        tabsContainer.setAttribute('aria-orientation', 'vertical');
+        tabsContainer.setAttribute('aria-labelledby', 'chatListTitle');
+    }
+
+    tabsContainer.replaceChildren();
+    const ordered = orderedChatIds();
+    const archivedCount = ordered.filter(id => chats[id].archived).length;
 
-        btn.onclick = () => switchToChat(id);
-        btn.title = `Switch to ${tabName}`;
-        tabsContainer.appendChild(btn);
+    ordered.forEach(id => {
+        if (chats[id].archived && !showArchivedChats) return;
+        tabsContainer.appendChild(createChatItem(id));
     });
+    const tabs = tabsContainer.querySelectorAll('[role="tab"]');
+    if (tabs.length > 0 && !tabsContainer.querySelector('[role="tab"][tabindex="0"]')) {
+        tabs[0].tabIndex = 0;
+    }
+
+    const archivedToggle = document.getElementById('showArchivedBtn');
+    if (archivedToggle) {
+        archivedToggle.textContent = showArchivedChats ? t('sidebar.hideArchived') : t('sidebar.showArchived', { count: archivedCount });
+        archivedToggle.hidden = archivedCount === 0 && !showArchivedChats;
+        archivedToggle.setAttribute('aria-pressed', String(showArchivedChats));
+    }
+
+    const title = document.getElementById('currentChatTitle');
+    if (title) title.textContent = getChatName(activeChatId);
+
+    updateBulkBar();
+}
+
+function chatItemLabel(id) {
+    return chats[id].pinned ? `${getChatName(id)}, ${t('sidebar.pinned')}` : getChatName(id);
 }
 
-function deleteCurrentChat() {
-    const chatIds = Object.keys(chats);
-    
-    if (chatIds.length <= 1) {
-        alert("Cannot delete the last chat. At least one chat must remain.");
-        return;
+// Bring one chat's name, date and preview up to date after a message.
+// The list order does not depend on messages, so nothing else changes.
+function updateChatItem(id) {
+    if (!tabsContainer || !chats[id]) return;
+    if (id === activeChatId) {
+        const title = document.getElementById('currentChatTitle');
+        if (title) title.textContent = getChatName(id);
+    }
+
+    // Archived chats are not always listed
+    const item = tabsContainer.querySelector(`.chat-item[data-id="${id}"]`);
+    if (!item) return;
+    const preview = chatPreview(chats[id]);
+    const main = item.querySelector('.chat-item-main');
+    main.title = t('sidebar.switchTo', { name: getChatName(id) });
+    main.setAttribute('aria-label', chatItemLabel(id));
+    item.querySelector('.chat-item-name').textContent = getChatName(id);
+    item.querySelector('.chat-item-date').textContent = formatChatDate(preview.timestamp);
+    item.querySelector('.chat-item-preview').textContent = preview.text;
+    const checkbox = item.querySelector('.chat-item-select');
+    if (checkbox) checkbox.setAttribute('aria-label', t('sidebar.selectChat', { name: getChatName(id) }));
+}
+
+function createChatItem(id) {
+    const messages = chats[id];
+    const preview = chatPreview(messages);
+
+    const item = document.createElement('li');
+    item.className = 'chat-item' +
+        (id === activeChatId ? ' active' : '') +
+        (messages.pinned ? ' pinned' : '') +
+        (messages.archived ? ' archived' : '');
+    item.dataset.id = id;
+    item.draggable = !messages.archived && !chatSelectMode;
+
+    if (chatSelectMode) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'chat-item-select';
+        checkbox.checked = selectedChatIds.has(id);
+        checkbox.setAttribute('aria-label', t('sidebar.selectChat', { name: getChatName(id) }));
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selectedChatIds.add(id);
+            else selectedChatIds.delete(id);
+            updateBulkBar();
+        });
+        item.appendChild(checkbox);
+    }
+
+    const main = document.createElement('button');
+    main.className = 'chat-item-main';
+    main.title = t('sidebar.switchTo', { name: getChatName(id) });
+    main.setAttribute('aria-label', chatItemLabel(id));
+    if (!chatSelectMode) {
+        // One tab in the Tab order; the arrow keys move between the rest
+        item.setAttribute('role', 'presentation');
+        main.setAttribute('role', 'tab');
+        main.setAttribute('aria-selected', String(id === activeChatId));
+        main.setAttribute('aria-controls', 'chatMessages');
+        main.setAttribute('aria-describedby', `chat-date-${id} chat-preview-${id} chatListHint`);
+        main.setAttribute('aria-keyshortcuts', 'F2 P A Delete Alt+ArrowUp Alt+ArrowDown');
+        main.tabIndex = id === activeChatId ? 0 : -1;
+    }
+
+    const name = document.createElement('span');
+    name.className = 'chat-item-name';
+    name.textContent = getChatName(id);
+
+    const date = document.createElement('span');
+    date.className = 'chat-item-date';
+    date.id = `chat-date-${id}`;
+    date.textContent = formatChatDate(preview.timestamp);
+
+    const snippet = document.createElement('span');
+    snippet.className = 'chat-item-preview';
+    snippet.id = `chat-preview-${id}`;
+    snippet.textContent = preview.text;
+
+    if (messages.pinned) {
+        const pin = document.createElement('span');
+        pin.className = 'chat-item-pin';
+        pin.textContent = '📌';
+        pin.setAttribute('aria-hidden', 'true');
+        main.appendChild(pin);
+    }
+    main.append(name, date, snippet);
+
+    main.addEventListener('click', () => {
+        if (chatSelectMode) {
+            const checkbox = item.querySelector('.chat-item-select');
+            checkbox.checked = !checkbox.checked;
+            checkbox.dispatchEvent(new Event('change'));
+            return;
+        }
+        switchToChat(id);
+        closeSidebarOnSmallScreens();
+    });
+    main.addEventListener('keydown', (e) => {
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            moveChat(id, e.key === 'ArrowUp' ? -1 : 1);
+        } else if (!chatSelectMode && !e.altKey && !e.ctrlKey && !e.metaKey) {
+            handleChatTabKey(e, id);
+        }
+    });
+    item.appendChild(main);
+
+    if (!chatSelectMode) {
+        // For the mouse; from the keyboard the tab's P and A keys do the same
+        const actions = document.createElement('div');
+        actions.className = 'chat-item-actions';
+        actions.setAttribute('aria-hidden', 'true');
+
+        const pinBtn = document.createElement('button');
+        pinBtn.textContent = messages.pinned ? '📍' : '📌';
+        pinBtn.title = messages.pinned ? t('sidebar.unpin') : t('sidebar.pin');
+        pinBtn.setAttribute('aria-label', pinBtn.title);
+        pinBtn.hidden = !!messages.archived;
+        pinBtn.tabIndex = -1;
+        pinBtn.addEventListener('click', () => togglePinChat(id));
+
+        const archiveBtn = document.createElement('button');
+        archiveBtn.textContent = messages.archived ? '📤' : '🗄️';
+        archiveBtn.title = messages.archived ? t('sidebar.unarchive') : t('sidebar.archive');
+        archiveBtn.setAttribute('aria-label', archiveBtn.title);
+        archiveBtn.tabIndex = -1;
+        archiveBtn.addEventListener('click', () => toggleArchiveChat(id));
+
+        actions.append(pinBtn, archiveBtn);
+        item.appendChild(actions);
+    }
+
+    setupChatItemDrag(item, id);
+    return item;
+}
+
+/* ---------- Reordering ---------- */
+
+function setupChatItemDrag(item, id) {
+    item.addEventListener('dragstart', (e) => {
+        draggedChatId = id;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', id);
+    });
+    item.addEventListener('dragend', () => {
+        draggedChatId = null;
+        item.classList.remove('dragging');
+        tabsContainer.querySelectorAll('.drop-before, .drop-after')
+            .forEach(el => el.classList.remove('drop-before', 'drop-after'));
+    });
+    item.addEventListener('dragover', (e) => {
+        if (!draggedChatId || draggedChatId === id || chats[id].archived) return;
+        e.preventDefault();
+        const rect = item.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        item.classList.toggle('drop-after', after);
+        item.classList.toggle('drop-before', !after);
+    });
+    item.addEventListener('dragleave', () => {
+        item.classList.remove('drop-before', 'drop-after');
+    });
+    item.addEventListener('drop', (e) => {
+        if (!draggedChatId || draggedChatId === id) return;
+        e.preventDefault();
+        const after = item.classList.contains('drop-after');
+        item.classList.remove('drop-before', 'drop-after');
+        dropChat(draggedChatId, id, after);
+    });
+}
+
+// Move `movedId` next to `targetId`. Dropping among pinned chats pins it,
+// dropping among unpinned ones unpins it.
+function dropChat(movedId, targetId, after) {
+    if (!chats[movedId] || !chats[targetId] || chats[targetId].archived) return;
+
+    const ids = orderedChatIds().filter(id => id !== movedId);
+    const targetIndex = ids.indexOf(targetId);
+    ids.splice(after ? targetIndex + 1 : targetIndex, 0, movedId);
+
+    chats[movedId].pinned = !!chats[targetId].pinned;
+    reorderChats(ids);
+    saveToStorage();
+    renderTabs();
+}
+
+// Keyboard reordering within the chat's own group (pinned or not)
+function moveChat(id, direction) {
+    const group = orderedChatIds().filter(other =>
+        !chats[other].archived && !!chats[other].pinned === !!chats[id].pinned);
+    const index = group.indexOf(id);
+    const neighbour = group[index + direction];
+    if (!neighbour) return;
+
+    dropChat(id, neighbour, direction > 0);
+    focusChatTab(id);
+}
+
+// Focus a chat's tab, or the current chat's if it isn't listed, and make
+// it the one in the Tab order
+function focusChatTab(id) {
+    if (!tabsContainer) return;
+    const tabs = Array.from(tabsContainer.querySelectorAll('[role="tab"]'));
+    const target = tabs.find(tab => tab.closest('.chat-item').dataset.id === id) ||
+        tabs.find(tab => tab.getAttribute('aria-selected') === 'true');
+    if (!target) return;
+    tabs.forEach(tab => { tab.tabIndex = tab === target ? 0 : -1; });
+    target.focus();
+}
+
+// Keys on a focused chat tab: the arrow keys, Home and End move between
+// chats; F2 renames, P pins, A archives and Delete deletes the chat
+function handleChatTabKey(e, id) {
+    const tabs = Array.from(tabsContainer.querySelectorAll('[role="tab"]'));
+    const next = nextTabIndex(tabs.length, tabs.indexOf(e.currentTarget), e.key);
+    if (next !== null) {
+        e.preventDefault();
+        focusChatTab(tabs[next].closest('.chat-item').dataset.id);
+        return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (e.key === 'F2') {
+        e.preventDefault();
+        openRenameDialog(id);
+    } else if (key === 'p' && !chats[id].archived) {
+        e.preventDefault();
+        togglePinChat(id);
+        focusChatTab(id);
+        announce(chats[id].pinned ? t('sidebar.pinnedChat', { name: getChatName(id) }) : t('sidebar.unpinnedChat', { name: getChatName(id) }));
+    } else if (key === 'a') {
+        e.preventDefault();
+        toggleArchiveChat(id);
+        focusChatTab(id);
+        announce(chats[id].archived ? t('sidebar.archivedChat', { name: getChatName(id) }) : t('sidebar.unarchivedChat', { name: getChatName(id) }));
+    } else if (e.key === 'Delete') {
+        e.preventDefault();
+        deleteChats([id]);
+        focusChatTab(activeChatId);
+    }
+}
+
+/* ---------- Pin, archive, delete ---------- */
+
+function togglePinChat(id) {
+    if (!chats[id]) return;
+    chats[id].pinned = !chats[id].pinned;
+    saveToStorage();
+    renderTabs();
+}
+
+function toggleArchiveChat(id) {
+    if (!chats[id]) return;
+    chats[id].archived = !chats[id].archived;
+    if (chats[id].archived) {
+        chats[id].pinned = false;
+    }
+
+    // Don't leave the member looking at a chat that just disappeared
+    if (chats[id].archived && id === activeChatId && !showArchivedChats) {
+        const next = firstVisibleChatId([id]);
+        if (next) {
+            switchToChat(next);
+            return;
+        }
+        createNewChat();
+        return;
+    }
+
+    saveToStorage();
+    renderTabs();
+}
+
+function deleteChats(ids) {
+    const existing = ids.filter(id => chats[id]);
+    if (existing.length === 0) return;
+
+    // Anything not yet undone is final once another delete happens
+    clearChatUndo();
+
+    pendingChatUndo = {
+        order: Object.keys(chats),
+        removed: existing.map(id => ({ id, messages: chats[id], dialogue: dialogueStates[id] })),
+        activeChatId
+    };
+
+    existing.forEach(id => {
+        delete chats[id];
+        delete dialogueStates[id];
+        selectedChatIds.delete(id);
+    });
+
+    if (!chats[activeChatId]) {
+        activeChatId = firstVisibleChatId() || Object.keys(chats)[0] || null;
+    }
+
+    if (!activeChatId) {
+        createNewChat();
+    } else {
+        saveToStorage();
+        renderTabs();
+        renderMessages();
+    }
+
+    showUndoToast(existing.length === 1
+        ? t('sidebar.deletedOne', { name: pendingChatUndo.removed[0].messages.name || t('chat.newName') })
+        : t('sidebar.deletedMany', { count: existing.length }));
+}
+
+function undoDeleteChats() {
+    if (!pendingChatUndo) return;
+    const { order, removed, activeChatId: previousActive } = pendingChatUndo;
+    clearChatUndo();
+
+    removed.forEach(({ id, messages, dialogue }) => {
+        chats[id] = messages;
+        if (dialogue) dialogueStates[id] = dialogue;
+    });
+    reorderChats(order);
+    activeChatId = chats[previousActive] ? previousActive : activeChatId;
+
+    saveToStorage();
+    renderTabs();
+    renderMessages();
+}
+
+function clearChatUndo() {
+    pendingChatUndo = null;
+    const toast = document.getElementById('undoToast');
+    if (toast) {
+        clearTimeout(Number(toast.dataset.timer));
+        toast.remove();
+    }
+}
+
+function showUndoToast(message) {
+    const inputContainer = document.querySelector('.chat-input-container');
+    if (!inputContainer) return;
+
+    const toast = document.createElement('div');
+    toast.id = 'undoToast';
+    toast.className = 'undo-toast';
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+
+    const undoBtn = document.createElement('button');
+    undoBtn.textContent = t('sidebar.undo');
+    undoBtn.addEventListener('click', undoDeleteChats);
+
+    toast.append(text, undoBtn);
+    inputContainer.parentNode.insertBefore(toast, inputContainer);
+    toast.dataset.timer = setTimeout(clearChatUndo, UNDO_DELETE_MS);
+}
+
+function deleteCurrentChat() {
+    if (!activeChatId || !chats[activeChatId]) return;
+    deleteChats([activeChatId]);
+    if (userInput) userInput.focus();
+}
+
+/* ---------- Multi-select ---------- */
+
+function setChatSelectMode(enabled) {
+    chatSelectMode = enabled;
+    selectedChatIds.clear();
+    const selectBtn = document.getElementById('selectChatsBtn');
+    if (selectBtn) {
+        selectBtn.textContent = enabled ? t('sidebar.cancel') : t('sidebar.select');
+        selectBtn.setAttribute('aria-pressed', String(enabled));
+    }
+    renderTabs();
+}
+
+function updateBulkBar() {
+    const bar = document.getElementById('chatBulkBar');
+    if (!bar) return;
+    bar.hidden = !chatSelectMode;
+
+    const deleteBtn = document.getElementById('deleteSelectedBtn');
+    if (deleteBtn) {
+        deleteBtn.textContent = t('sidebar.deleteSelected', { count: selectedChatIds.size });
+        deleteBtn.disabled = selectedChatIds.size === 0;
+    }
+}
+
+/* ---------- Sidebar open / closed ---------- */
+
+function setSidebarOpen(open) {
+    const sidebar = document.getElementById('chatSidebar');
+    const toggle = document.getElementById('sidebarToggle');
+    if (!sidebar) return;
+
+    sidebar.classList.toggle('open', open);
+    if (toggle) {
+        toggle.setAttribute('aria-expanded', String(open));
+        toggle.title = open ? t('toolbar.hideChats') : t('toolbar.showChats');
+    }
+    localStorage.setItem(SIDEBAR_STATE_KEY, open ? 'true' : 'false');
+}
+
+function closeSidebarOnSmallScreens() {
+    if (window.matchMedia && window.matchMedia('(max-width: 768px)').matches) {
+        setSidebarOpen(false);
+    }
+}
+
+function setupSidebar() {
+    const toggle = document.getElementById('sidebarToggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => {
+        const sidebar = document.getElementById('chatSidebar');
+        setSidebarOpen(!sidebar.classList.contains('open'));
+    });
+
+    const archivedBtn = document.getElementById('showArchivedBtn');
+    if (archivedBtn) {
+        archivedBtn.addEventListener('click', () => {
+            showArchivedChats = !showArchivedChats;
+            renderTabs();
+        });
+    }
+
+    const selectBtn = document.getElementById('selectChatsBtn');
+    if (selectBtn) {
+        selectBtn.addEventListener('click', () => setChatSelectMode(!chatSelectMode));
+    }
+
+    const deleteSelectedBtn = document.getElementById('deleteSelectedBtn');
+    if (deleteSelectedBtn) {
+        deleteSelectedBtn.addEventListener('click', () => {
+            const ids = [...selectedChatIds];
+            setChatSelectMode(false);
+            deleteChats(ids);
+        });
     }
 
-    if (!activeChatId || !chats[activeChatId]) return;
-    
-    const confirmDelete = confirm("Are you sure you want to delete this chat?");
-    if (!confirmDelete) return;
-    
-    delete chats[activeChatId];
-    
-    const remainingChats = Object.keys(chats);
-    activeChatId = remainingChats[0] || null;
-    
-    saveToStorage();
-    renderTabs();
-    renderMessages();
-    if (userInput) userInput.focus();
+    setSidebarOpen(localStorage.getItem(SIDEBAR_STATE_KEY) === 'true');
+    console.log('Sidebar setup complete');
 }
 
 /* ===============================
    HELPER FUNCTIONS (UI ACTIONS)
    =============================== */
-function getActionButtonsHTML(isBot) {
+function getActionButtonsHTML(isBot, canRate = false, canRemind = false) {
     return `
         <div class="action-buttons">
-            <button onclick="copyText(this)" title="Copy message">📋</button>
-            ${isBot ? '<button onclick="regenerateText(this)" title="Regenerate response">🔄</button>' : ''}
-            <button onclick="shareText(this)" title="Share message">📤</button>
-            <button onclick="downloadText(this)" title="Download message">💾</button>
+            <button type="button" onclick="copyText(this)" title="${t('actions.copy')}" aria-label="${t('actions.copy')}">📋</button>
+            ${isBot && canSpeak() ? `<button type="button" class="speak-btn" onclick="toggleSpeakMessage(this)" title="${t('voice.readAloud')}" aria-label="${t('voice.readAloud')}" aria-pressed="false">🔊</button>` : ''}
+            ${isBot ? `<button type="button" onclick="regenerateText(this)" title="${t('actions.regenerate')}" aria-label="${t('actions.regenerate')}">🔄</button>` : ''}
+            <button type="button" onclick="shareText(this)" title="${t('actions.share')}" aria-label="${t('actions.share')}">📤</button>
+            <button type="button" onclick="downloadText(this)" title="${t('actions.download')}" aria-label="${t('actions.download')}">💾</button>
+            ${canRemind ? `<button type="button" class="remind-btn" onclick="remindFromAnswer(this)" title="${t('reminders.fromAnswer')}" aria-label="${t('reminders.fromAnswer')}">⏰</button>` : ''}
+            ${canRate ? `
+            <button type="button" class="feedback-btn" data-rating="up" onclick="rateMessage(this, 'up')" title="${t('actions.helpful')}" aria-label="${t('actions.helpful')}" aria-pressed="false">👍</button>
+            <button type="button" class="feedback-btn" data-rating="down" onclick="rateMessage(this, 'down')" title="${t('actions.notHelpful')}" aria-label="${t('actions.notHelpful')}" aria-pressed="false">👎</button>` : ''}
         </div>
     `;
 }
 
-function getSuggestionButtonsHTML() {
-    const suggestions = [
-        'What is Twin Health?',
-        'How does it work?',
-        'Benefits of Twin Health',
-        'Who is eligible?',
-        'Where is Twin Health available?',
-        'How to join Twin Health program?'
-    ];
+// Build a row of suggestion chips, optionally under a heading. Labels are
+// set as text, never as HTML.
+function createSuggestionButtons(items, onSelect, heading = null) {
+    const container = document.createElement('div');
+    container.className = 'suggestions';
+
+    if (heading) {
+        const label = document.createElement('span');
+        label.className = 'suggestions-heading';
+        label.textContent = heading;
+        container.appendChild(label);
+    }
 
-    return `
-        <div class="suggestions">
-            ${suggestions.map(s => `<button class="suggestion-btn" onclick="sendSuggestion('${s.replace(/'/g, "\\'")}')">${s}</button>`).join('')}
-        </div>
-    `;
+    items.forEach(item => {
+        const btn = document.createElement('button');
+        btn.className = 'suggestion-btn';
+        btn.textContent = item.label;
+        btn.addEventListener('click', () => onSelect(item.value));
+        container.appendChild(btn);
+    });
+
+    return container;
+}
+
+// Welcome chips, in the interface language (chat.suggestions)
+function getSuggestionButtons() {
+    return createSuggestionButtons(
+        tList('chat.suggestions').map(s => ({ label: s, value: s })),
+        sendSuggestion
+    );
+}
+
+// Welcome chips that start a guided log entry; each label is a log command
+function getHealthLogButtons() {
+    return createSuggestionButtons(
+        healthLogChipLabels().map(label => ({ label, value: label })),
+        sendSuggestion,
+        t('log.chipsHeading')
+    );
+}
+
+// "Did you mean..." choices and related entries; clicking one answers
+// that exact KB entry
+function getKbSuggestionButtons(suggestions, heading = null) {
+    return createSuggestionButtons(
+        suggestions.map(s => ({ label: s.question, value: s.id })),
+        answerSuggestion,
+        heading
+    );
+}
+
+// Follow-up questions from a KB answer are asked like typed questions
+function getFollowUpButtons(questions) {
+    return createSuggestionButtons(
+        questions.map(q => ({ label: q, value: q })),
+        sendSuggestion,
+        t('answer.followUps')
+    );
 }
 
 window.scrollChat = (direction) => {
@@ -510,52 +1908,62 @@ window.scrollChat = (direction) => {
     chatMessages.scrollBy({ top: scrollAmount, behavior: 'smooth' });
 };
 
-window.copyText = (button) => {
+// The text of the message an action button belongs to, without chips and charts
+function messageTextOf(button) {
     const messageContent = button.closest('.message').querySelector('.message-content');
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = messageContent.innerHTML;
-    const suggestionsDiv = tempDiv.querySelector('.suggestions');
-    if (suggestionsDiv) suggestionsDiv.remove();
-    
-    const textToCopy = tempDiv.textContent.trim();
+    const tempDiv = messageContent.cloneNode(true);
+    tempDiv.querySelectorAll('.suggestions, .log-chart').forEach(el => el.remove());
+    return tempDiv.textContent.trim();
+}
+
+window.copyText = (button) => {
+    const textToCopy = messageTextOf(button);
     
     navigator.clipboard.writeText(textToCopy).then(() => {
         const originalText = button.textContent;
         button.textContent = '✅';
         setTimeout(() => button.textContent = originalText, 1500);
-    }).catch(err => console.error('Failed to copy text: ', err));
+        announce(t('actions.copied'));
+    }).catch(err => {
+        console.error('Failed to copy text: ', err);
+        announce(t('actions.copyFailed'));
+    });
 };
 
 window.regenerateText = (button) => {
+    if (pendingAnswer) return;
     const messageDiv = button.closest('.message');
-    const prevMessage = messageDiv.previousElementSibling;
+    const history = chats[activeChatId];
+    const index = Number(messageDiv.dataset.index);
+    const record = history && history[index];
+    const question = history && history[index - 1];
+
+    // Asking again would log the entry twice
+    if (record && record.healthLog) {
+        alert(t('log.noRegenerate'));
+        return;
+    }
+    // ...and setting a reminder would set it twice
+    if (record && record.reminder) {
+        alert(t('reminders.noRegenerate'));
+        return;
+    }
     
-    if (prevMessage && prevMessage.classList.contains('user')) {
-        const userQuery = prevMessage.querySelector('.message-content').textContent.trim();
-        
-        messageDiv.remove();
-        prevMessage.remove();
-
-        if (chats[activeChatId] && chats[activeChatId].length >= 2) {
-            chats[activeChatId].pop();
-            chats[activeChatId].pop();
-            saveToStorage();
-        }
+    if (record && question && question.user) {
+        // Drop this question and answer, wherever they are in the chat,
+        // and ask again; the new answer comes at the end
+        history.splice(index - 1, 2);
+        saveToStorage();
+        renderMessages();
 
-        processMessage(userQuery);
+        processMessage(question.text);
     } else {
-        alert("Can only regenerate the bot's response immediately following a user's query.");
+        alert(t('actions.regenerateOnlyAfterQuery'));
     }
 };
 
 window.shareText = (button) => {
-    const messageContent = button.closest('.message').querySelector('.message-content');
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = messageContent.innerHTML;
-    const suggestionsDiv = tempDiv.querySelector('.suggestions');
-    if (suggestionsDiv) suggestionsDiv.remove();
-    
-    const textToShare = tempDiv.textContent.trim();
+    const textToShare = messageTextOf(button);
     
     if (navigator.share) {
         navigator.share({
@@ -563,44 +1971,303 @@ window.shareText = (button) => {
             text: textToShare
         }).catch(error => console.log('Error sharing', error));
     } else {
-        alert("Web Share API is not supported in this browser. Text has been copied to clipboard instead.");
-        navigator.clipboard.writeText(textToShare);
+        navigator.clipboard.writeText(textToShare)
+            .then(() => announce(t('actions.shareUnsupported')))
+            .catch(err => {
+                console.error('Failed to copy text: ', err);
+                announce(t('actions.copyFailed'));
+            });
     }
 };
 
 window.downloadText = (button) => {
-    const messageContent = button.closest('.message').querySelector('.message-content');
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = messageContent.innerHTML;
-    const suggestionsDiv = tempDiv.querySelector('.suggestions');
-    if (suggestionsDiv) suggestionsDiv.remove();
+    const textToDownload = messageTextOf(button);
     
-    const textToDownload = tempDiv.textContent.trim();
-    
-    const blob = new Blob([textToDownload], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `twin-health-message-${Date.now()}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadFile(textToDownload, `twin-health-message-${Date.now()}.txt`, 'text/plain');
+};
+
+/* ---------- Answer feedback ---------- */
+
+// Stored on the bot message as feedback: { rating: 'up'|'down', note, ratedAt },
+// next to the kbId and score it was answered with (see feedback.js)
+function showFeedbackState(messageDiv, feedback) {
+    messageDiv.querySelectorAll('.feedback-btn').forEach(btn => {
+        const selected = !!feedback && btn.dataset.rating === feedback.rating;
+        btn.classList.toggle('selected', selected);
+        btn.setAttribute('aria-pressed', String(selected));
+    });
+}
+
+function getMessageRecord(messageDiv) {
+    const index = Number(messageDiv.dataset.index);
+    const messages = chats[activeChatId];
+    return messages && Number.isInteger(index) ? messages[index] || null : null;
+}
+
+function saveMessageFeedback(record, feedback) {
+    if (feedback) {
+        record.feedback = feedback;
+    } else {
+        delete record.feedback;
+    }
+    markChatDirty(activeChatId);
+    saveToStorage();
+}
+
+window.rateMessage = (button, rating) => {
+    const messageDiv = button.closest('.message');
+    const record = getMessageRecord(messageDiv);
+    if (!record) return;
+
+    const existingForm = messageDiv.querySelector('.feedback-note');
+    if (existingForm) existingForm.remove();
+
+    // Clicking the current rating again clears it
+    if (record.feedback && record.feedback.rating === rating) {
+        saveMessageFeedback(record, null);
+        showFeedbackState(messageDiv, null);
+        return;
+    }
+
+    const feedback = { rating, ratedAt: new Date().toISOString() };
+    saveMessageFeedback(record, feedback);
+    showFeedbackState(messageDiv, feedback);
+
+    if (rating === 'down') {
+        showFeedbackNoteForm(messageDiv, record);
+    }
 };
 
+// Optional "what were you looking for?" note after a thumbs down
+function showFeedbackNoteForm(messageDiv, record) {
+    const form = document.createElement('form');
+    form.className = 'feedback-note';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 500;
+    input.placeholder = t('feedback.placeholder');
+    input.setAttribute('aria-label', t('feedback.label'));
+
+    const sendBtn = document.createElement('button');
+    sendBtn.type = 'submit';
+    sendBtn.textContent = t('feedback.send');
+
+    const skipBtn = document.createElement('button');
+    skipBtn.type = 'button';
+    skipBtn.textContent = t('feedback.skip');
+    skipBtn.addEventListener('click', () => form.remove());
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const note = input.value.trim();
+        if (note && record.feedback) {
+            saveMessageFeedback(record, { ...record.feedback, note });
+        }
+        form.replaceChildren(document.createTextNode(t('feedback.thanks')));
+        setTimeout(() => form.remove(), 2500);
+    });
+
+    form.append(input, sendBtn, skipBtn);
+    messageDiv.appendChild(form);
+    input.focus();
+}
+
+/* ===============================
+   SAFE MESSAGE RENDERING
+   ===============================
+   Message text is never assigned as HTML. User messages are shown as
+   plain text; bot messages use a small markup format rendered with DOM
+   APIs:
+     **bold**, *italic* or _italic_, [label](https://link),
+     lines starting with "- " or "1. " become lists,
+     a blank line starts a new paragraph.
+   The "Source: ..." footer is stored separately and rendered as its own
+   element.
+*/
+const MESSAGE_FORMAT_VERSION = 2;
+
+const INLINE_MARKUP_PATTERN = /\*\*(.+?)\*\*|(?<![\w*])\*(?!\s)(.+?)\*(?![\w*])|(?<!\w)_(?!\s)(.+?)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// Only web and mail links survive; anything else renders as plain text
+function isSafeLink(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        return ['http:', 'https:', 'mailto:'].includes(parsed.protocol);
+    } catch (err) {
+        return false;
+    }
+}
+
+function appendInlineMarkup(parent, text) {
+    let lastIndex = 0;
+    let match;
+    INLINE_MARKUP_PATTERN.lastIndex = 0;
+
+    while ((match = INLINE_MARKUP_PATTERN.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        const [whole, bold, starItalic, underscoreItalic, linkLabel, linkUrl] = match;
+        lastIndex = match.index + whole.length;
+
+        if (bold !== undefined) {
+            const strong = document.createElement('strong');
+            appendInlineMarkup(strong, bold);
+            parent.appendChild(strong);
+        } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+            const em = document.createElement('em');
+            em.textContent = starItalic !== undefined ? starItalic : underscoreItalic;
+            parent.appendChild(em);
+        } else if (isSafeLink(linkUrl)) {
+            const a = document.createElement('a');
+            a.href = linkUrl;
+            a.textContent = linkLabel;
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            parent.appendChild(a);
+        } else {
+            parent.appendChild(document.createTextNode(linkLabel));
+        }
+
+        // Recursion above reuses the shared pattern, so restore our position
+        INLINE_MARKUP_PATTERN.lastIndex = lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+}
+
+// Render bot markup into a fragment of paragraphs and lists
+function renderMarkup(text) {
+    const fragment = document.createDocumentFragment();
+    const blocks = String(text || '').split(/\n\s*\n/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(line => line.trim());
+        let list = null;
+        let paragraph = null;
+
+        for (const line of lines) {
+            const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+            if (bullet || numbered) {
+                const tag = bullet ? 'ul' : 'ol';
+                if (!list || list.tagName.toLowerCase() !== tag) {
+                    list = document.createElement(tag);
+                    fragment.appendChild(list);
+                }
+                const li = document.createElement('li');
+                appendInlineMarkup(li, (bullet || numbered)[1]);
+                list.appendChild(li);
+                paragraph = null;
+                continue;
+            }
+
+            list = null;
+            if (!paragraph) {
+                paragraph = document.createElement('p');
+                fragment.appendChild(paragraph);
+            } else {
+                paragraph.appendChild(document.createElement('br'));
+            }
+            appendInlineMarkup(paragraph, line.trim());
+        }
+    }
+
+    return fragment;
+}
+
+// Exports use this English text; the chat shows answer.disclaimer
+const KB_DISCLAIMER_TEXT = 'This is general information, not medical advice. Talk to your Twin Health care team before changing your medication, diet or activity.';
+
+// Shown on answers whose KB entry sets "disclaimer": true
+function createDisclaimer() {
+    const note = document.createElement('p');
+    note.className = 'message-disclaimer';
+    note.textContent = `ⓘ ${t('answer.disclaimer')}`;
+    return note;
+}
+
+function createSourceFooter(source) {
+    const footer = document.createElement('em');
+    footer.className = 'message-source';
+    footer.textContent = t('answer.source', { source });
+    return footer;
+}
+
+// Convert a message saved by an older version (bot text stored as HTML)
+// into the markup format. The HTML is parsed into an inert document, so
+// nothing in it loads or runs.
+function legacyHtmlToMarkup(html) {
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    let source = null;
+
+    const walk = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent.replace(/\s*\n\s*/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName.toLowerCase();
+        const inner = Array.from(node.childNodes).map(walk).join('');
+
+        if ((tag === 'em' || tag === 'i') && /^\s*Source:/.test(node.textContent)) {
+            source = node.textContent.replace(/^\s*Source:\s*/, '').trim();
+            return '';
+        }
+        if (tag === 'strong' || tag === 'b') return `**${inner}**`;
+        if (tag === 'em' || tag === 'i') return `*${inner}*`;
+        if (tag === 'br') return '\n';
+        if (tag === 'p' || tag === 'div') return `${inner}\n\n`;
+        if (tag === 'li') return `- ${inner}\n`;
+        return inner;
+    };
+
+    const text = walk(doc.body).replace(/\n{3,}/g, '\n\n').trim();
+    return { text, source };
+}
+
+function migrateStoredMessage(message) {
+    if (!message || message.format >= MESSAGE_FORMAT_VERSION) return message;
+
+    if (!message.user && !message.isWelcome && typeof message.text === 'string') {
+        const { text, source } = legacyHtmlToMarkup(message.text);
+        message.text = text;
+        if (source && !message.source) message.source = source;
+    }
+    message.format = MESSAGE_FORMAT_VERSION;
+    return message;
+}
+
 /* ===============================
    CHAT UI RENDERING
    =============================== */
 function renderMessages() {
     if (!chatMessages) return;
+    stopSpeaking();
     
     Array.from(chatMessages.children)
         .filter(el => !el.classList.contains('typing-indicator') && !el.classList.contains('scroll-nav'))
         .forEach(m => m.remove());
 
     if (chats[activeChatId]) {
-        chats[activeChatId].forEach(m => {
-            addMessage(m.text, m.user, false, m.isWelcome);
+        chats[activeChatId].forEach((m, index) => {
+            addMessage(m.text, m.user, false, m.isWelcome, {
+                kbId: m.kbId,
+                suggestions: m.suggestions,
+                safety: m.safety,
+                source: m.source,
+                followUps: m.followUps,
+                related: m.related,
+                disclaimer: m.disclaimer,
+                quickReplies: m.quickReplies,
+                chart: m.chart,
+                feedback: m.feedback,
+                index
+            });
         });
     }
     
@@ -611,21 +2278,125 @@ function renderMessages() {
     }, 100);
 }
 
-function addMessage(text, isUser, save = true, isWelcome = false) {
+// The stored form of a message; extras are the addMessage extras
+function buildMessageRecord(text, isUser, extras = {}) {
+    const entry = { 
+        text, 
+        user: isUser, 
+        isWelcome: false,
+        timestamp: new Date().toISOString(),
+        format: MESSAGE_FORMAT_VERSION
+    };
+    if (extras.kbId) {
+        entry.kbId = extras.kbId;
+    }
+    if (typeof extras.score === 'number') {
+        entry.score = extras.score;
+    }
+    if (extras.source) {
+        entry.source = extras.source;
+    }
+    if (Array.isArray(extras.suggestions) && extras.suggestions.length > 0) {
+        entry.suggestions = extras.suggestions;
+    }
+    if (extras.safety) {
+        entry.safety = extras.safety;
+    }
+    if (extras.fallback) {
+        entry.fallback = true;
+    }
+    if (Array.isArray(extras.followUps) && extras.followUps.length > 0) {
+        entry.followUps = extras.followUps;
+    }
+    if (Array.isArray(extras.related) && extras.related.length > 0) {
+        entry.related = extras.related;
+    }
+    if (extras.disclaimer) {
+        entry.disclaimer = true;
+    }
+    if (Array.isArray(extras.quickReplies) && extras.quickReplies.length > 0) {
+        entry.quickReplies = extras.quickReplies;
+    }
+    if (extras.chart) {
+        entry.chart = extras.chart;
+    }
+    if (extras.healthLog) {
+        entry.healthLog = true;
+    }
+    if (extras.reminder) {
+        entry.reminder = true;
+    }
+    return entry;
+}
+
+// Returns the message element
+function addMessage(text, isUser, save = true, isWelcome = false, extras = {}) {
     if (!chatMessages) return;
     
     const msg = document.createElement('div');
     msg.className = `message ${isUser ? 'user' : 'bot'}`;
+    if (!isUser && extras.safety) {
+        msg.classList.add('safety-alert', `safety-${extras.safety}`);
+    }
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+    // The welcome follows the interface language; other messages keep the
+    // language they were written in
+    const shownText = !isUser && isWelcome ? t('chat.welcome') : text;
+    const lang = detectQueryLocale(shownText);
+    if (lang) content.lang = lang;
 
-    let contentHTML = `<div class="message-content">${text}`;
+    if (isUser) {
+        content.textContent = shownText;
+    } else {
+        content.appendChild(renderMarkup(shownText));
+        if (extras.chart) {
+            content.appendChild(createHealthLogChart(extras.chart));
+        }
+        if (extras.disclaimer) {
+            content.appendChild(createDisclaimer());
+        }
+        if (extras.source) {
+            content.appendChild(createSourceFooter(extras.source));
+        }
+    }
     
     if (!isUser && isWelcome) {
-        contentHTML += getSuggestionButtonsHTML();
+        content.appendChild(getSuggestionButtons());
+        content.appendChild(getHealthLogButtons());
+    }
+
+    // Answers to a health log question (health-log.js)
+    if (!isUser && Array.isArray(extras.quickReplies) && extras.quickReplies.length > 0) {
+        content.appendChild(createSuggestionButtons(
+            extras.quickReplies.map(r => ({ label: r, value: r })),
+            sendSuggestion
+        ));
+    }
+
+    if (!isUser && Array.isArray(extras.suggestions) && extras.suggestions.length > 0) {
+        content.appendChild(getKbSuggestionButtons(extras.suggestions));
+    }
+
+    if (!isUser && Array.isArray(extras.followUps) && extras.followUps.length > 0) {
+        content.appendChild(getFollowUpButtons(extras.followUps));
+    }
+
+    if (!isUser && Array.isArray(extras.related) && extras.related.length > 0) {
+        content.appendChild(getKbSuggestionButtons(extras.related, t('answer.related')));
     }
     
-    contentHTML += `</div>`;
-    
-    msg.innerHTML = contentHTML + getActionButtonsHTML(!isUser);
+    msg.appendChild(content);
+    // Static markup only; no message data goes through here
+    msg.insertAdjacentHTML('beforeend', getActionButtonsHTML(!isUser, !isUser && !isWelcome, !isUser && canRemindAbout(extras.kbId)));
+    showFeedbackState(msg, extras.feedback);
+
+    if (save && chats[activeChatId]) {
+        msg.dataset.index = chats[activeChatId].length;
+    } else if (Number.isInteger(extras.index)) {
+        msg.dataset.index = extras.index;
+    }
 
     const typingIndicator = document.getElementById('typingIndicator');
     if (typingIndicator) {
@@ -641,86 +2412,272 @@ function addMessage(text, isUser, save = true, isWelcome = false) {
     }, 10);
 
     if (save && chats[activeChatId]) {
-        chats[activeChatId].push({ 
-            text, 
-            user: isUser, 
-            isWelcome: false 
-        });
+        const entry = buildMessageRecord(text, isUser, extras);
+        // Chats are named after their first question until renamed
+        if (isUser && !chats[activeChatId].name) {
+            chats[activeChatId].name = autoChatName(text);
+        }
+        chats[activeChatId].push(entry);
         saveToStorage();
+        // Keep the sidebar's name, preview and date current
+        updateChatItem(activeChatId);
     }
+    return msg;
 }
 
 /* ===============================
    NLP & RESPONSE LOGIC HELPERS
    =============================== */
-function defaultResponse() {
-    return "I specialize in Twin Health, diabetes reversal, and metabolic health. Please ask a question related to these topics, and I'll be happy to help you!";
+// Canned answers are written in the answer's locale (request.locale):
+// the language of the question, else the interface language.
+// Triage guidance itself is English; only its heading is translated.
+function formatSafetyResponse(triage, locale = getLocale()) {
+    const heading = triage.severity === 'emergency'
+        ? t('safety.emergency', {}, locale)
+        : t('safety.urgent', {}, locale);
+    return `**${heading}**\n\n${triage.response}`;
 }
 
-function isGreeting(text) {
-    const greetings = ['hello', 'hi', 'hii', 'hey', 'good morning', 'good afternoon', 'good evening', 'how are you', 'whats up', 'sup'];
-    const normalized = normalizeText(text);
-    return greetings.some(g => normalized === g || normalized.startsWith(g + ' '));
+function relatedEntriesResponse(category, locale = getLocale()) {
+    return category
+        ? t('answer.relatedInCategory', { category }, locale)
+        : t('answer.relatedTopics', {}, locale);
 }
 
-function isEnding(text) {
-    const farewells = ['bye', 'goodbye', 'see you', 'cya', 'farewell', 'that is all', 'thats all', 'thanks and bye', 'thank you bye', 'im done', 'talk to you later'];
-    const normalized = normalizeText(text);
-    return farewells.some(f => normalized.includes(f));
+function noMoreContextResponse(locale = getLocale()) {
+    return t('answer.noMoreContext', {}, locale);
 }
 
-function isThanking(text) {
-    const thanks = ['thank you', 'thanks', 'appreciate it', 'thx'];
-    const normalized = normalizeText(text);
-    return thanks.some(t => normalized.includes(t));
+function disambiguationResponse(locale = getLocale()) {
+    return t('answer.disambiguation', {}, locale);
+}
+
+function defaultResponse(locale = getLocale()) {
+    return t('answer.default', {}, locale);
+}
+
+function kbUnavailableResponse(locale = getLocale()) {
+    if (kbStatus.state === 'loading') {
+        return t('answer.kbLoading', {}, locale);
+    }
+    return t('answer.kbUnavailable', {}, locale);
+}
+
+// A KB answer in the given locale; entries without a translation are
+// answered in English with a note saying so
+function formatLocalizedKbAnswer(entry, locale = getLocale()) {
+    const answer = formatKbAnswer(entry, getMemberProfile(), locale);
+    if (locale !== DEFAULT_LOCALE && !entryTranslation(entry, locale)) {
+        answer.text = `*${t('answer.englishOnly', {}, locale)}*\n\n${answer.text}`;
+    }
+    return answer;
+}
+
+// "Did you mean..." and related-entry chips, labelled in the answer's locale
+function kbSuggestions(entries, locale = getLocale()) {
+    return entries.map(entry => ({ id: entry.id, question: localizedQuestion(entry, locale) }));
 }
 
 /* ===============================
    MAIN MESSAGE PROCESSING
    =============================== */
-function processMessage(msg) {
+// Rule and KB answers are instant; keep the typing dots up this long so
+// they don't flash past
+const MIN_TYPING_MS = 600;
+
+// AbortController of the answer being worked on, for the Stop button
+let pendingAnswer = null;
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+function setAnswerPending(controller) {
+    pendingAnswer = controller;
+    if (typingIndicator) {
+        typingIndicator.style.display = controller ? 'block' : 'none';
+    }
+    if (sendBtn) sendBtn.disabled = !!controller;
+
+    const stopBtn = document.getElementById('stopBtn');
+    if (stopBtn) stopBtn.hidden = !controller;
+}
+
+function stopPendingAnswer() {
+    if (pendingAnswer) {
+        pendingAnswer.abort();
+    }
+}
+
+// A plain-text bubble that shows an answer while it streams in; the
+// finished answer replaces it through addMessage
+function createStreamingBubble() {
+    let msg = null;
+
+    return {
+        update(text) {
+            if (!chatMessages) return;
+            if (!msg) {
+                msg = document.createElement('div');
+                msg.className = 'message bot streaming';
+                msg.setAttribute('aria-busy', 'true');
+                const content = document.createElement('div');
+                content.className = 'message-content';
+                msg.appendChild(content);
+                chatMessages.insertBefore(msg, document.getElementById('typingIndicator'));
+                if (typingIndicator) typingIndicator.style.display = 'none';
+            }
+            msg.firstChild.textContent = text;
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        },
+        get started() {
+            return !!msg;
+        },
+        remove() {
+            if (msg) msg.remove();
+            msg = null;
+        }
+    };
+}
+
+// The last few turns of a chat before its newest message, for backends
+// that take conversation history
+function recentChatTurns(chatId) {
+    const messages = (chats[chatId] || []).filter(m => !m.isWelcome);
+    return messages
+        .slice(Math.max(0, messages.length - 1 - ANSWER_HISTORY_MESSAGES), -1)
+        .map(m => ({ role: m.user ? 'user' : 'assistant', content: m.user ? m.text : searchPlainText(m.text) }));
+}
+
+// Post a bot answer to the chat it belongs to, even if the member has
+// switched to another chat while it was being prepared
+function deliverAnswer(chatId, answer) {
+    const { text, ...extras } = answer;
+
+    if (chatId === activeChatId) {
+        const msg = addMessage(text, false, true, false, extras);
+        if (msg) {
+            announce(t('a11y.newAnswer', { text: spokenTextOf(msg.querySelector('.message-content')) }));
+            readAnswerAloud(msg);
+        }
+    } else if (chats[chatId]) {
+        chats[chatId].push(buildMessageRecord(text, false, extras));
+        saveToStorage();
+        updateChatItem(chatId);
+        announce(t('a11y.answerInChat', { name: getChatName(chatId) }));
+    }
+}
+
+function stoppedAnswer(partialText, locale = getLocale()) {
+    return {
+        text: partialText.trim()
+            ? `${partialText.trim()}\n\n*${t('answer.stopped', {}, locale)}*`
+            : `*${t('answer.stoppedEmpty', {}, locale)}*`
+    };
+}
+
+async function processMessage(msg) {
     if (!msg || !msg.trim()) return;
-    
+
     const userQuery = msg.trim();
+    const chatId = activeChatId;
+    stopSpeaking();
     addMessage(userQuery, true);
-    
+
+    // Compound messages ("thanks, but how much is it?") are answered by
+    // their question part
+    const intent = classifyIntent(userQuery);
+    const question = intent.question || userQuery;
+    console.log(`Intent: ${intent.type}` + (intent.smallTalk.length ? ` (${intent.smallTalk.join(', ')})` : ''));
+
+    const controller = new AbortController();
+    const stream = createStreamingBubble();
+    const dialogue = getDialogueState(chatId);
+    const context = resolveFollowUp(question, dialogue);
+    const locale = detectQueryLocale(question) || getLocale();
+    const request = {
+        intent,
+        query: question,
+        locale,
+        languageName: I18N_LOCALES[locale].name,
+        chatId,
+        dialogue,
+        context,
+        grounding: findGroundingEntries(question, context),
+        history: recentChatTurns(chatId),
+        signal: controller.signal,
+        onToken: text => stream.update(text)
+    };
+
+    setAnswerPending(controller);
+    const started = Date.now();
+    let answer;
+
+    try {
+        const response = await runProviderChain(getResponseProviders(), request, {
+            onError: (provider, err) => {
+                // Drop any half-streamed text; the next provider answers instead
+                stream.remove();
+                if (provider.name === 'http') request.backendError = err;
+            }
+        });
+        if (!stream.started) {
+            await wait(MIN_TYPING_MS - (Date.now() - started));
+        }
+
+        answer = !response
+            ? { text: defaultResponse(locale), fallback: true }
+            : response.cancelled ? stoppedAnswer(response.partialText, locale) : response;
+    } finally {
+        stream.remove();
+        setAnswerPending(null);
+    }
+
+    if (answer.provider) {
+        console.log(`Answered by the "${answer.provider}" provider`);
+    }
+    if (answer.kbId) {
+        updateDialogueState(chatId, getKbEntryById(answer.kbId));
+    }
+    // A question about a glucose reading gets a chip to log it (health-log.js)
+    if (answer.provider && answer.provider !== 'log' && !answer.safety) {
+        const offer = glucoseLogOffer(question, locale);
+        if (offer) answer.quickReplies = [offer];
+    }
+    deliverAnswer(chatId, answer);
+}
+
+// Answer the KB entry a member picked from a "Did you mean..." list
+async function answerKbEntry(id) {
+    const entry = getKbEntryById(id);
+    if (!entry) {
+        addMessage(defaultResponse(), false);
+        return;
+    }
+
+    const chatId = activeChatId;
+    const locale = getLocale();
+    stopSpeaking();
+    addMessage(localizedQuestion(entry, locale), true);
+
     if (typingIndicator) {
         typingIndicator.style.display = 'block';
     }
-    
-    setTimeout(() => {
-        if (typingIndicator) {
-            typingIndicator.style.display = 'none';
-        }
-        
-        let botResponse = '';
-        
-        // Priority 1: Greetings
-        if (isGreeting(userQuery)) {
-            botResponse = 'Hello! How can I help you today with your Twin Health journey?';
-        }
-        // Priority 2: Thanks/Gratitude
-        else if (isThanking(userQuery)) {
-            botResponse = "You're very welcome! I'm happy to help. Feel free to reach out anytime you have more questions about your health journey.";
-        }
-        // Priority 3: Farewell
-        else if (isEnding(userQuery)) {
-            botResponse = 'Goodbye! Feel free to come back anytime if you have more questions about Twin Health. Have a great day!';
-        }
-        // Priority 4: Knowledge Base Search
-        else {
-            const kbMatch = findBestMatch(userQuery);
-            
-            if (kbMatch) {
-                botResponse = `${kbMatch.answer}\n\n<em>Source: ${kbMatch.source}</em>`;
-            } else {
-                // Default fallback
-                botResponse = defaultResponse();
-            }
-        }
+    await wait(MIN_TYPING_MS);
+    if (typingIndicator) {
+        typingIndicator.style.display = 'none';
+    }
 
-        addMessage(botResponse, false);
-    }, 800);
+    const { text, followUps, related, disclaimer } = formatLocalizedKbAnswer(entry, locale);
+    updateDialogueState(chatId, entry);
+    deliverAnswer(chatId, {
+        text,
+        source: entry.source || 'Twin Health Knowledge Base',
+        kbId: entry.id,
+        followUps,
+        related,
+        disclaimer
+    });
 }
 
 window.sendMessage = () => {
@@ -728,11 +2685,14 @@ window.sendMessage = () => {
         console.error('userInput element not found');
         return;
     }
+
+    // One answer at a time; the typed message waits in the box
+    if (pendingAnswer) return;
     
     const msg = userInput.value.trim();
 
     if (!msg) {
-        userInput.setCustomValidity("Message box is empty. Please enter your query");
+        userInput.setCustomValidity(t('input.empty'));
         userInput.reportValidity();
         
         setTimeout(() => {
@@ -743,20 +2703,62 @@ window.sendMessage = () => {
     }
 
     userInput.setCustomValidity("");
+    cancelVoiceInput();
     userInput.value = '';
     processMessage(msg);
 }
 
+window.answerSuggestion = (id) => {
+    if (pendingAnswer) return;
+    answerKbEntry(id);
+}
+
 window.sendSuggestion = (text) => {
     if (!userInput) return;
     userInput.value = text;
     sendMessage();
 }
 
+/* ===============================
+   INTERFACE LANGUAGE
+   ===============================
+   i18n.js translates the static markup; everything built here is
+   rebuilt so it picks up the new language. Messages already in a chat
+   keep the language they were answered in.
+*/
+function handleLocaleChange() {
+    renderTabs();
+    renderMessages();
+    updateConnectionStatus();
+    updateKbNotice();
+
+    const sidebar = document.getElementById('chatSidebar');
+    if (sidebar) setSidebarOpen(sidebar.classList.contains('open'));
+    const selectBtn = document.getElementById('selectChatsBtn');
+    if (selectBtn) selectBtn.textContent = chatSelectMode ? t('sidebar.cancel') : t('sidebar.select');
+    if (themeToggle) {
+        const isDark = document.body.classList.contains('dark');
+        themeToggle.setAttribute('data-tooltip', isDark ? t('theme.toLight') : t('theme.toDark'));
+    }
+
+    // The rename dialog is built once; rebuild it in the new language
+    const renameDialog = document.getElementById('renameDialog');
+    if (renameDialog) {
+        const { chatId } = renameDialog.dataset;
+        const wasOpen = !renameDialog.hidden;
+        renameDialog.remove();
+        if (wasOpen) openRenameDialog(chatId);
+    }
+    if (pendingImport) openImportDialog(pendingImport);
+}
+
 /* ===============================
    INITIALIZATION
    =============================== */
-function initializeApp() {
+async function initializeApp() {
+    // Strings are needed by everything below
+    await initI18n();
+
     chatMessages = document.getElementById('chatMessages');
     userInput = document.getElementById('userInput');
     typingIndicator = document.getElementById('typingIndicator');
@@ -789,6 +2791,11 @@ function initializeApp() {
         });
     }
 
+    const stopBtn = document.getElementById('stopBtn');
+    if (stopBtn) {
+        stopBtn.addEventListener('click', stopPendingAnswer);
+    }
+
     if (newTabBtn) {
         newTabBtn.onclick = createNewChat;
     }
@@ -797,19 +2804,38 @@ function initializeApp() {
         deleteTabBtn.onclick = deleteCurrentChat;
     }
 
+    setupLanguageSwitcher();
+    document.addEventListener('localechange', handleLocaleChange);
     setupRenameButton();
+    setupDownloadButton();
+    setupImportButton();
+    setupFeedbackDashboardButton();
+    setupSearchPanel();
+    setupProfileButton();
+    setupAnswerBackendButton();
+    setupVoice();
+    setupSidebar();
+    setupInstallPrompt();
+
+    window.addEventListener('online', updateConnectionStatus);
+    window.addEventListener('offline', updateConnectionStatus);
+    registerServiceWorker();
 
     const savedTheme = localStorage.getItem('theme');
     if (savedTheme === 'dark') {
         document.body.classList.add('dark');
-        if (themeToggle) themeToggle.textContent = '☀️';
+        if (themeToggle) {
+            themeToggle.textContent = '☀️';
+            themeToggle.setAttribute('aria-pressed', 'true');
+        }
     } else {
         if (themeToggle) themeToggle.textContent = '🌙';
     }
 
     loadKnowledgeBase();
 
-    loadFromStorage();
+    setStorageErrorHandler(handleStorageError);
+    await loadFromStorage();
 
     if (Object.keys(chats).length === 0 || !activeChatId || !chats[activeChatId]) {
         createNewChat();
@@ -817,6 +2843,7 @@ function initializeApp() {
         renderTabs();
         renderMessages();
     }
+    await setupReminders();
     
     if (userInput) userInput.focus();
 }
@@ -830,6 +2857,6 @@ if (document.readyState === 'loading') {
 window.addEventListener('load', () => {
     const isDark = document.body.classList.contains('dark');
     if (themeToggle) {
-        themeToggle.setAttribute('data-tooltip', isDark ? 'Toggle light mode' : 'Toggle dark mode');
+        themeToggle.setAttribute('data-tooltip', isDark ? t('theme.toLight') : t('theme.toDark'));
     }
 });
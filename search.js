@@ -0,0 +1,253 @@
+/* ===============================
+   SEARCH ACROSS CHATS
+   ===============================
+   Finds messages in every saved chat. All words of the query must appear
+   in a message (in any order, case-insensitive). Results can be narrowed
+   to member or assistant messages, and to the KB category a bot answer
+   came from. Picking a result opens its chat and scrolls to the message.
+
+   searchChats is plain data in, data out and is exported for Node
+   (see tests/search.test.js).
+*/
+
+const SEARCH_MAX_RESULTS = 100;
+const SEARCH_SNIPPET_RADIUS = 60;
+
+// Message markup (**bold**, [label](url), list markers) as plain text
+function searchPlainText(text) {
+    return String(text || '')
+        .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/(^|\s)[*_](\S.*?)[*_](?=\s|$|[.,!?])/g, '$1$2')
+        .replace(/^\s*(?:-|\d+\.)\s+/gm, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function searchTerms(query) {
+    return [...new Set(String(query || '').toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+// { text, ranges: [[start, end]] } around the first hit, ranges relative to text
+function buildSearchSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+
+    const start = Math.max(0, first - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SEARCH_SNIPPET_RADIUS * 2);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippet = prefix + text.slice(start, end) + suffix;
+
+    const ranges = [];
+    const lowerSnippet = snippet.toLowerCase();
+    terms.forEach(term => {
+        let from = 0;
+        let at;
+        while ((at = lowerSnippet.indexOf(term, from)) !== -1) {
+            ranges.push([at, at + term.length]);
+            from = at + term.length;
+        }
+    });
+
+    // Merge overlapping highlights so they render as single marks
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    });
+
+    return { text: snippet, ranges: merged };
+}
+
+// Search `chats` (chat id -> messages). options:
+//   speaker: 'all' | 'user' | 'bot'
+//   category: KB category of bot answers ('' for any)
+//   categoryOf: kbId -> category name, for the category filter
+// Returns newest-first [{ chatId, index, user, timestamp, kbId, category, snippet }].
+function searchChats(chats, query, options = {}) {
+    const terms = searchTerms(query);
+    const { speaker = 'all', category = '', categoryOf = () => null } = options;
+    if (terms.length === 0) return [];
+
+    const hits = [];
+    Object.keys(chats).forEach(chatId => {
+        const messages = chats[chatId];
+        if (!Array.isArray(messages)) return;
+
+        messages.forEach((message, index) => {
+            if (!message || message.isWelcome) return;
+            if (speaker === 'user' && !message.user) return;
+            if (speaker === 'bot' && message.user) return;
+
+            const messageCategory = !message.user && message.kbId ? categoryOf(message.kbId) : null;
+            if (category && messageCategory !== category) return;
+
+            const text = message.user ? String(message.text || '') : searchPlainText(message.text);
+            const lower = text.toLowerCase();
+            if (!terms.every(term => lower.includes(term))) return;
+
+            hits.push({
+                chatId,
+                index,
+                user: !!message.user,
+                timestamp: message.timestamp || null,
+                kbId: message.kbId || null,
+                category: messageCategory,
+                snippet: buildSearchSnippet(text, terms)
+            });
+        });
+    });
+
+    // Newest first; messages without a timestamp (older saves) go last
+    return hits.sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+}
+
+/* ---------- Search panel ---------- */
+
+function searchCategoryOf(kbId) {
+    const entry = getKbEntryById(kbId);
+    return entry ? entry.category : null;
+}
+
+function renderSearchSnippet(snippet) {
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+    snippet.ranges.forEach(([start, end]) => {
+        fragment.appendChild(document.createTextNode(snippet.text.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = snippet.text.slice(start, end);
+        fragment.appendChild(mark);
+        position = end;
+    });
+    fragment.appendChild(document.createTextNode(snippet.text.slice(position)));
+    return fragment;
+}
+
+function refreshSearchCategories() {
+    const select = document.getElementById('searchCategory');
+    const current = select.value;
+    const categories = [...new Set(kbEntries.map(entry => entry.category))].sort();
+
+    select.replaceChildren();
+    const any = document.createElement('option');
+    any.value = '';
+    any.textContent = t('search.anyTopic');
+    select.appendChild(any);
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        select.appendChild(option);
+    });
+    select.value = categories.includes(current) ? current : '';
+}
+
+function runChatSearch() {
+    const query = document.getElementById('searchInput').value;
+    const speaker = document.getElementById('searchSpeaker').value;
+    const category = document.getElementById('searchCategory').value;
+    const list = document.getElementById('searchResults');
+    const status = document.getElementById('searchStatus');
+
+    list.replaceChildren();
+    if (!searchTerms(query).length) {
+        status.textContent = t('search.prompt');
+        return;
+    }
+
+    const hits = searchChats(chats, query, { speaker, category, categoryOf: searchCategoryOf });
+    status.textContent = hits.length === 0
+        ? t('search.none')
+        : t('search.found', { count: hits.length }) +
+          (hits.length > SEARCH_MAX_RESULTS ? t('search.showingNewest', { max: SEARCH_MAX_RESULTS }) : '');
+
+    hits.slice(0, SEARCH_MAX_RESULTS).forEach(hit => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'search-result';
+        button.addEventListener('click', () => jumpToMessage(hit.chatId, hit.index));
+
+        const meta = document.createElement('span');
+        meta.className = 'search-result-meta';
+        const when = hit.timestamp
+            ? new Date(hit.timestamp).toLocaleString(I18N_LOCALES[getLocale()].intl)
+            : t('search.earlier');
+        meta.textContent = `${getChatName(hit.chatId)} · ${hit.user ? t('search.you') : t('search.assistant')} · ${when}` +
+            (hit.category ? ` · ${hit.category}` : '');
+
+        const snippet = document.createElement('span');
+        snippet.className = 'search-result-snippet';
+        snippet.appendChild(renderSearchSnippet(hit.snippet));
+
+        button.append(meta, snippet);
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+function jumpToMessage(chatId, index) {
+    if (!chats[chatId]) return;
+    if (chatId !== activeChatId) {
+        switchToChat(chatId);
+    }
+    closeSearchPanel();
+
+    const target = chatMessages && chatMessages.querySelector(`.message[data-index="${index}"]`);
+    if (!target) return;
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('search-highlight');
+    setTimeout(() => target.classList.remove('search-highlight'), 2000);
+}
+
+function openSearchPanel() {
+    const panel = document.getElementById('searchPanel');
+    if (!panel) return;
+    refreshSearchCategories();
+    panel.hidden = false;
+    const input = document.getElementById('searchInput');
+    input.focus();
+    input.select();
+    runChatSearch();
+}
+
+function closeSearchPanel() {
+    const panel = document.getElementById('searchPanel');
+    if (panel) panel.hidden = true;
+}
+
+function setupSearchPanel() {
+    const openBtn = document.getElementById('searchChatsBtn');
+    const panel = document.getElementById('searchPanel');
+    if (!openBtn || !panel) return;
+
+    openBtn.addEventListener('click', openSearchPanel);
+    document.getElementById('searchCloseBtn').addEventListener('click', closeSearchPanel);
+    document.getElementById('searchInput').addEventListener('input', runChatSearch);
+    document.getElementById('searchSpeaker').addEventListener('change', runChatSearch);
+    document.getElementById('searchCategory').addEventListener('change', runChatSearch);
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeSearchPanel();
+    });
+    document.addEventListener('localechange', () => {
+        if (panel.hidden) return;
+        refreshSearchCategories();
+        runChatSearch();
+    });
+
+    console.log('Search panel setup complete');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        searchPlainText,
+        searchChats
+    };
+}
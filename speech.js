@@ -0,0 +1,475 @@
+/* ===============================
+   VOICE INPUT AND READ-ALOUD
+   ===============================
+   The 🎤 button next to Send transcribes speech into #userInput with the
+   browser's SpeechRecognition. Words appear while they are recognized
+   (interim results) and the member checks them before sending.
+
+   The 🔊 button on a bot answer reads it aloud with speechSynthesis;
+   with "Read answers aloud" on, new answers are read as they arrive.
+   The Source footer and suggestion chips are never read.
+
+   Both APIs are optional. Without SpeechRecognition the mic button stays
+   hidden; without speechSynthesis there are no 🔊 buttons. Recognition
+   errors (microphone blocked, no network) are shown above the input and
+   typing keeps working.
+
+   Settings (speech language, read aloud) are kept in localStorage.
+   sanitizeVoiceSettings, pickSpeechLanguage, toSpokenText and
+   splitForSpeech are exported for Node (see tests/speech.test.js).
+*/
+
+const VOICE_SETTINGS_STORAGE_KEY = 'twinHealthVoiceSettings';
+// language '' follows the interface language
+const VOICE_SETTINGS_DEFAULTS = { language: '', readAloud: false };
+// Some browsers cut off long utterances, so answers are spoken in pieces
+const SPEECH_CHUNK_LENGTH = 200;
+
+// Speech languages offered, with the interface locale (i18n.js) each belongs to
+const SPEECH_LANGUAGES = [
+    { code: 'en-IN', locale: 'en', label: 'English (India)' },
+    { code: 'en-US', locale: 'en', label: 'English (US)' },
+    { code: 'hi-IN', locale: 'hi', label: 'हिन्दी' },
+    { code: 'ta-IN', locale: 'ta', label: 'தமிழ்' }
+];
+
+let voiceSettings = { ...VOICE_SETTINGS_DEFAULTS };
+let activeRecognition = null;
+// Bumped for every answer read aloud, so events from a cancelled one are ignored
+let speechRun = 0;
+let speakingButton = null;
+
+/* ---------- Settings ---------- */
+
+function sanitizeVoiceSettings(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    return {
+        language: SPEECH_LANGUAGES.some(language => language.code === source.language) ? source.language : '',
+        readAloud: source.readAloud === true
+    };
+}
+
+function loadVoiceSettings() {
+    try {
+        voiceSettings = sanitizeVoiceSettings(JSON.parse(localStorage.getItem(VOICE_SETTINGS_STORAGE_KEY) || '{}'));
+    } catch (err) {
+        console.error('Could not read the voice settings; using the defaults:', err);
+        voiceSettings = { ...VOICE_SETTINGS_DEFAULTS };
+    }
+}
+
+function saveVoiceSettings(settings) {
+    voiceSettings = sanitizeVoiceSettings(settings);
+    localStorage.setItem(VOICE_SETTINGS_STORAGE_KEY, JSON.stringify(voiceSettings));
+}
+
+// The speech language for text in locale: the chosen one when it is in
+// that language, else the browser's own variant (e.g. en-US), else the
+// first one listed
+function pickSpeechLanguage(locale, preferred = '', browserLanguage = '') {
+    const candidates = SPEECH_LANGUAGES.filter(language => language.locale === locale);
+    if (candidates.length === 0) return preferred || browserLanguage || 'en-US';
+
+    const chosen = candidates.find(language => language.code === preferred) ||
+        candidates.find(language => language.code.toLowerCase() === String(browserLanguage).toLowerCase()) ||
+        candidates[0];
+    return chosen.code;
+}
+
+function recognitionLanguage() {
+    return voiceSettings.language || pickSpeechLanguage(getLocale(), '', navigator.language);
+}
+
+function speechLanguageLabel(code) {
+    const language = SPEECH_LANGUAGES.find(candidate => candidate.code === code);
+    return language ? language.label : code;
+}
+
+/* ---------- Status line ---------- */
+
+function showVoiceStatus(message) {
+    const status = document.getElementById('voiceStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.hidden = !message;
+}
+
+/* ---------- Voice input ---------- */
+
+function getSpeechRecognition() {
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+function voiceErrorMessage(error) {
+    switch (error) {
+        case 'aborted': return '';
+        case 'not-allowed':
+        case 'service-not-allowed': return t('voice.blocked');
+        case 'no-speech': return t('voice.noSpeech');
+        case 'audio-capture': return t('voice.noMicrophone');
+        case 'network': return t('voice.network');
+        case 'language-not-supported': return t('voice.languageUnsupported');
+        default: return t('voice.error');
+    }
+}
+
+function setMicListening(listening) {
+    const micBtn = document.getElementById('micBtn');
+    if (!micBtn) return;
+    micBtn.classList.toggle('listening', listening);
+    micBtn.setAttribute('aria-pressed', String(listening));
+    micBtn.title = listening ? t('voice.stopListening') : t('voice.startListening');
+    micBtn.setAttribute('aria-label', micBtn.title);
+}
+
+function startVoiceInput() {
+    const Recognition = getSpeechRecognition();
+    if (!Recognition || !userInput || activeRecognition) return;
+
+    // Don't transcribe our own voice
+    stopSpeaking();
+
+    const recognition = new Recognition();
+    recognition.lang = recognitionLanguage();
+    recognition.interimResults = true;
+    recognition.continuous = false;
+    recognition.maxAlternatives = 1;
+
+    // Speech is added after anything already typed
+    const typed = userInput.value.trim();
+    let failed = false;
+
+    recognition.onresult = (event) => {
+        // Results can still arrive after the message was sent
+        if (recognition !== activeRecognition) return;
+        let transcript = '';
+        for (let i = 0; i < event.results.length; i++) {
+            transcript += event.results[i][0].transcript;
+        }
+        userInput.value = [typed, transcript.trim()].filter(Boolean).join(' ');
+    };
+    recognition.onerror = (event) => {
+        failed = true;
+        console.warn('Speech recognition error:', event.error);
+        showVoiceStatus(voiceErrorMessage(event.error));
+    };
+    recognition.onend = () => {
+        if (recognition !== activeRecognition) return;
+        activeRecognition = null;
+        setMicListening(false);
+        if (!failed) showVoiceStatus('');
+        userInput.focus();
+    };
+
+    try {
+        recognition.start();
+    } catch (err) {
+        console.warn('Speech recognition could not start:', err);
+        showVoiceStatus(t('voice.error'));
+        return;
+    }
+    activeRecognition = recognition;
+    setMicListening(true);
+    showVoiceStatus(t('voice.listening'));
+}
+
+// Keeps what was recognized so far in the input
+function stopVoiceInput() {
+    if (activeRecognition) activeRecognition.stop();
+}
+
+// Drops anything not yet recognized, e.g. when the message is sent
+function cancelVoiceInput() {
+    if (!activeRecognition) return;
+    const recognition = activeRecognition;
+    activeRecognition = null;
+    recognition.abort();
+    setMicListening(false);
+    showVoiceStatus('');
+}
+
+function toggleVoiceInput() {
+    if (activeRecognition) {
+        stopVoiceInput();
+    } else {
+        startVoiceInput();
+    }
+}
+
+/* ---------- Read-aloud ---------- */
+
+function canSpeak() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+        typeof SpeechSynthesisUtterance !== 'undefined';
+}
+
+// Emoji and symbols are read out by name ("police car light"), so they go
+function toSpokenText(text) {
+    return String(text || '')
+        .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{24D8}]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Sentences joined into pieces of at most maxLength characters; a longer
+// sentence is cut at a space
+function splitForSpeech(text, maxLength = SPEECH_CHUNK_LENGTH) {
+    const pieces = [];
+    String(text || '').split(/(?<=[.!?।])\s+/).forEach(sentence => {
+        let rest = sentence.trim();
+        while (rest.length > maxLength) {
+            const space = rest.lastIndexOf(' ', maxLength);
+            const cut = space > 0 ? space : maxLength;
+            pieces.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut).trim();
+        }
+        if (rest) pieces.push(rest);
+    });
+
+    const chunks = [];
+    pieces.forEach(piece => {
+        const last = chunks[chunks.length - 1];
+        if (last && last.length + 1 + piece.length <= maxLength) {
+            chunks[chunks.length - 1] = `${last} ${piece}`;
+        } else {
+            chunks.push(piece);
+        }
+    });
+    return chunks;
+}
+// What a message says, without its Source footer, suggestion chips and chart.
+// What a message says, without its Source footer and suggestion chips.
+// List items and paragraphs end in a pause even without punctuation.
+function spokenTextOf(content) {
+    const copy = content.cloneNode(true);
+    copy.querySelectorAll('.message-source, .suggestions, .log-chart').forEach(el => el.remove());
+    copy.querySelectorAll('p, li').forEach(el => {
+        if (!/[.!?।:]\s*$/.test(el.textContent)) el.append('.');
+        el.append(' ');
+    });
+    return toSpokenText(copy.textContent);
+}
+
+function findVoice(lang) {
+    const voices = window.speechSynthesis.getVoices();
+    const prefix = lang.split('-')[0];
+    return voices.find(voice => voice.lang === lang) ||
+        voices.find(voice => voice.lang.split(/[-_]/)[0] === prefix) ||
+        null;
+}
+
+function setSpeakButton(button, speaking) {
+    if (!button) return;
+    button.textContent = speaking ? '⏹' : '🔊';
+    button.title = speaking ? t('voice.stopReading') : t('voice.readAloud');
+    button.setAttribute('aria-label', button.title);
+    button.setAttribute('aria-pressed', String(speaking));
+}
+
+function stopSpeaking() {
+    if (!canSpeak()) return;
+    speechRun++;
+    setSpeakButton(speakingButton, false);
+    speakingButton = null;
+    window.speechSynthesis.cancel();
+}
+
+function speakMessage(messageDiv) {
+    if (!canSpeak() || !messageDiv) return;
+    const content = messageDiv.querySelector('.message-content');
+    const chunks = content ? splitForSpeech(spokenTextOf(content)) : [];
+    stopSpeaking();
+    if (chunks.length === 0) return;
+
+    const lang = pickSpeechLanguage(content.lang || getLocale(), voiceSettings.language, navigator.language);
+    const voice = findVoice(lang);
+    // Voices load late in some browsers; an empty list says nothing yet
+    if (!voice && window.speechSynthesis.getVoices().length > 0) {
+        showVoiceStatus(t('voice.noVoice', { language: speechLanguageLabel(lang) }));
+    }
+
+    const run = speechRun;
+    const button = messageDiv.querySelector('.speak-btn');
+    const finish = () => {
+        if (run !== speechRun) return;
+        setSpeakButton(button, false);
+        speakingButton = null;
+    };
+
+    speakingButton = button;
+    setSpeakButton(button, true);
+    chunks.forEach((chunk, i) => {
+        const utterance = new SpeechSynthesisUtterance(chunk);
+        utterance.lang = lang;
+        if (voice) utterance.voice = voice;
+        if (i === chunks.length - 1) utterance.onend = finish;
+        utterance.onerror = (event) => {
+            if (run !== speechRun) return;
+            console.warn('Read-aloud error:', event.error);
+            showVoiceStatus(t('voice.speakError'));
+            finish();
+        };
+        window.speechSynthesis.speak(utterance);
+    });
+}
+
+// A new answer, read when "Read answers aloud" is on
+function readAnswerAloud(messageDiv) {
+    if (voiceSettings.readAloud) speakMessage(messageDiv);
+}
+
+// The 🔊 button in a bot message's action row
+function toggleSpeakMessage(button) {
+    if (speakingButton === button) {
+        stopSpeaking();
+    } else {
+        speakMessage(button.closest('.message'));
+    }
+}
+
+/* ---------- Settings panel ---------- */
+
+function buildVoicePanel() {
+    const panel = document.createElement('div');
+    panel.id = 'voicePanel';
+    panel.className = 'profile-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', t('voice.settings'));
+
+    const form = document.createElement('form');
+    form.className = 'profile-form';
+
+    const title = document.createElement('h2');
+    title.textContent = t('voice.title');
+
+    const intro = document.createElement('p');
+    intro.className = 'profile-note';
+    intro.textContent = t('voice.intro');
+
+    form.append(title, intro);
+
+    const languageLabel = document.createElement('label');
+    const languageText = document.createElement('span');
+    languageText.textContent = t('voice.language');
+    const language = document.createElement('select');
+    language.name = 'language';
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = t('voice.languageAuto');
+    language.appendChild(auto);
+    SPEECH_LANGUAGES.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.code;
+        element.lang = option.locale;
+        element.textContent = option.label;
+        language.appendChild(element);
+    });
+    languageLabel.append(languageText, language);
+    form.appendChild(languageLabel);
+
+    const readAloud = document.createElement('input');
+    readAloud.type = 'checkbox';
+    readAloud.name = 'readAloud';
+    readAloud.disabled = !canSpeak();
+    const readAloudLabel = document.createElement('label');
+    readAloudLabel.className = 'profile-checkbox';
+    readAloudLabel.append(readAloud, document.createTextNode(` ${t('voice.readAloudSetting')}`));
+    form.appendChild(readAloudLabel);
+
+    // Say up front what this browser cannot do
+    [[!getSpeechRecognition(), 'voice.noRecognition'], [!canSpeak(), 'voice.noSynthesis']].forEach(([missing, key]) => {
+        if (!missing) return;
+        const note = document.createElement('p');
+        note.className = 'profile-note';
+        note.textContent = t(key);
+        form.appendChild(note);
+    });
+
+    const status = document.createElement('p');
+    status.className = 'profile-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = t('voice.save');
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.textContent = t('voice.close');
+    closeBtn.addEventListener('click', closeVoicePanel);
+
+    actions.append(saveBtn, closeBtn);
+    form.append(status, actions);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveVoiceSettings({ language: language.value, readAloud: readAloud.checked });
+        if (!voiceSettings.readAloud) stopSpeaking();
+        status.textContent = t('voice.saved');
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeVoicePanel();
+    });
+
+    panel.appendChild(form);
+    document.body.appendChild(panel);
+    return panel;
+}
+
+function openVoicePanel() {
+    const panel = document.getElementById('voicePanel') || buildVoicePanel();
+    const form = panel.querySelector('form');
+    form.elements.language.value = voiceSettings.language;
+    form.elements.readAloud.checked = voiceSettings.readAloud;
+    panel.querySelector('.profile-status').textContent = '';
+    openDialog(panel, form.elements.language);
+}
+
+function closeVoicePanel() {
+    const panel = document.getElementById('voicePanel');
+    if (panel) closeDialog(panel);
+}
+
+function setupVoice() {
+    loadVoiceSettings();
+
+    const micBtn = document.getElementById('micBtn');
+    if (micBtn && getSpeechRecognition()) {
+        micBtn.hidden = false;
+        micBtn.addEventListener('click', toggleVoiceInput);
+    }
+
+    const settingsBtn = document.getElementById('voiceSettingsBtn');
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', openVoicePanel);
+    }
+
+    // The panel is built once; rebuild it in the new language
+    document.addEventListener('localechange', () => {
+        setMicListening(!!activeRecognition);
+        const panel = document.getElementById('voicePanel');
+        if (!panel) return;
+        const wasOpen = !panel.hidden;
+        panel.remove();
+        if (wasOpen) openVoicePanel();
+    });
+
+    console.log('Voice setup complete:', {
+        voiceInput: !!getSpeechRecognition(),
+        readAloud: canSpeak()
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPEECH_LANGUAGES,
+        sanitizeVoiceSettings,
+        pickSpeechLanguage,
+        toSpokenText,
+        splitForSpeech
+    };
+}
@@ -0,0 +1,407 @@
+/* ===============================
+   CHAT STORAGE (IndexedDB)
+   ===============================
+   Chats are stored as one metadata record per chat plus one record per
+   message, so saving a new message writes only that message instead of
+   re-serializing every chat. Older versions kept everything in a single
+   localStorage key; that data is migrated on first load.
+
+   Reminders (reminders.js) are kept in the same database, one record per
+   reminder.
+
+   If IndexedDB is unavailable (some private browsing modes), storage
+   falls back to localStorage.
+*/
+
+const CHAT_DB_NAME = 'twinHealthChatDB';
+const CHAT_DB_VERSION = 2;
+
+const LEGACY_STORAGE_KEYS = {
+    chats: 'twinHealthChats',
+    chatNames: 'twinHealthChatNames',
+    chatFlags: 'twinHealthChatFlags',
+    activeChatId: 'activeChatId',
+    dialogue: 'twinHealthDialogueState'
+};
+// Where reminders are kept when IndexedDB is unavailable
+const REMINDERS_FALLBACK_KEY = 'twinHealthReminders';
+
+// Entry N upgrades a version N-1 database to version N. Add new entries
+// (never edit old ones) and bump CHAT_DB_VERSION when the schema changes.
+const CHAT_DB_MIGRATIONS = [
+    null,
+    (db) => {
+        const chatStore = db.createObjectStore('chats', { keyPath: 'id' });
+        chatStore.createIndex('order', 'order');
+
+        const messageStore = db.createObjectStore('messages', { keyPath: ['chatId', 'index'] });
+        messageStore.createIndex('chatId', 'chatId');
+
+        db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    (db) => {
+        db.createObjectStore('reminders', { keyPath: 'id' });
+    }
+];
+
+let chatDb = null;
+let storageBackend = null;
+
+// What has already been written, so each save only writes the difference:
+// chat id -> shallow copy of the message objects last persisted
+const persistedChats = new Map();
+// chat id -> the chat record last persisted, serialized for comparison
+const persistedChatRecords = new Map();
+const dirtyChats = new Set();
+
+let pendingState = null;
+let persistScheduled = false;
+let persistChain = Promise.resolve();
+let storageErrorHandler = (err) => console.error('Error saving to storage:', err);
+
+function isQuotaError(err) {
+    return !!err && (err.name === 'QuotaExceededError' ||
+        err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        err.code === 22);
+}
+
+// Called with (error, { quotaExceeded }) whenever a save fails
+function setStorageErrorHandler(handler) {
+    storageErrorHandler = handler;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+function openChatDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CHAT_DB_NAME, CHAT_DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (let version = event.oldVersion + 1; version <= CHAT_DB_VERSION; version++) {
+                console.log('Upgrading chat database to version', version);
+                CHAT_DB_MIGRATIONS[version](db, request.transaction);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('Chat database upgrade is waiting for other tabs to close');
+    });
+}
+
+/* ---------- Chat flags ---------- */
+
+// Sidebar state kept on the message array next to its name
+function chatFlags(messages) {
+    return { pinned: !!messages.pinned, archived: !!messages.archived };
+}
+
+function restoreChatFlags(record) {
+    const flags = {};
+    if (record.pinned) flags.pinned = true;
+    if (record.archived) flags.archived = true;
+    return flags;
+}
+
+/* ---------- localStorage (legacy format and fallback) ---------- */
+
+function readLegacyState() {
+    const storedChats = localStorage.getItem(LEGACY_STORAGE_KEYS.chats);
+    if (!storedChats) return null;
+
+    const chats = JSON.parse(storedChats);
+    const names = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.chatNames) || '{}');
+    const flags = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEYS.chatFlags) || '{}');
+    const dialogue = localStorage.getItem(LEGACY_STORAGE_KEYS.dialogue);
+
+    Object.keys(chats).forEach(id => {
+        if (!Array.isArray(chats[id])) {
+            delete chats[id];
+        } else {
+            if (names[id]) chats[id].name = names[id];
+            if (flags[id]) Object.assign(chats[id], restoreChatFlags(flags[id]));
+        }
+    });
+
+    return {
+        chats,
+        activeChatId: localStorage.getItem(LEGACY_STORAGE_KEYS.activeChatId),
+        dialogueStates: dialogue ? JSON.parse(dialogue) : {}
+    };
+}
+
+function writeLegacyState(state) {
+    const names = {};
+    const flags = {};
+    Object.keys(state.chats).forEach(id => {
+        if (state.chats[id].name) names[id] = state.chats[id].name;
+        if (state.chats[id].pinned || state.chats[id].archived) flags[id] = chatFlags(state.chats[id]);
+    });
+
+    localStorage.setItem(LEGACY_STORAGE_KEYS.chats, JSON.stringify(state.chats));
+    localStorage.setItem(LEGACY_STORAGE_KEYS.chatNames, JSON.stringify(names));
+    localStorage.setItem(LEGACY_STORAGE_KEYS.chatFlags, JSON.stringify(flags));
+    localStorage.setItem(LEGACY_STORAGE_KEYS.dialogue, JSON.stringify(state.dialogueStates));
+    if (state.activeChatId) {
+        localStorage.setItem(LEGACY_STORAGE_KEYS.activeChatId, state.activeChatId);
+    }
+}
+
+function clearLegacyState() {
+    Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+}
+
+/* ---------- IndexedDB ---------- */
+
+async function readDatabaseState(db) {
+    const tx = db.transaction(['chats', 'messages', 'meta'], 'readonly');
+    const [chatRecords, messageRecords, metaRecords] = await Promise.all([
+        requestToPromise(tx.objectStore('chats').index('order').getAll()),
+        requestToPromise(tx.objectStore('messages').getAll()),
+        requestToPromise(tx.objectStore('meta').getAll())
+    ]);
+
+    const chats = {};
+    chatRecords.forEach(record => {
+        chats[record.id] = [];
+        if (record.name) chats[record.id].name = record.name;
+        Object.assign(chats[record.id], restoreChatFlags(record));
+    });
+
+    // Records come back sorted by [chatId, index]
+    messageRecords.forEach(record => {
+        const messages = chats[record.chatId];
+        if (!messages) return;
+        const { chatId, index, ...message } = record;
+        messages.push(message);
+    });
+
+    const meta = {};
+    metaRecords.forEach(record => { meta[record.key] = record.value; });
+
+    return {
+        chats,
+        activeChatId: meta.activeChatId || null,
+        dialogueStates: meta.dialogueStates || {}
+    };
+}
+
+function chatRecord(id, messages, order) {
+    const stamps = messages.map(m => m.timestamp).filter(Boolean);
+    return {
+        id,
+        name: messages.name || null,
+        ...chatFlags(messages),
+        order,
+        messageCount: messages.length,
+        createdAt: stamps[0] || null,
+        updatedAt: stamps[stamps.length - 1] || null
+    };
+}
+
+async function writeDatabaseState(db, state) {
+    const tx = db.transaction(['chats', 'messages', 'meta'], 'readwrite');
+    const chatStore = tx.objectStore('chats');
+    const messageStore = tx.objectStore('messages');
+    const metaStore = tx.objectStore('meta');
+    const written = new Map();
+    const writtenRecords = new Map();
+
+    const deleteMessagesFrom = (id, fromIndex) => {
+        messageStore.delete(IDBKeyRange.bound([id, fromIndex], [id, Infinity]));
+    };
+
+    // Chats deleted since the last save
+    for (const id of persistedChats.keys()) {
+        if (!state.chats[id]) {
+            chatStore.delete(id);
+            deleteMessagesFrom(id, 0);
+        }
+    }
+
+    Object.keys(state.chats).forEach((id, order) => {
+        const messages = state.chats[id];
+        const previous = persistedChats.get(id);
+        // Name, flags, order and message count: unchanged for most chats
+        const record = chatRecord(id, messages, order);
+        const serialized = JSON.stringify(record);
+        if (persistedChatRecords.get(id) !== serialized) chatStore.put(record);
+        writtenRecords.set(id, serialized);
+
+        // Rewrite from the first message that is not the object written last
+        // time; appends touch only the new tail, a regenerated answer only
+        // the replaced messages. Chats edited in place are rewritten whole.
+        let from = 0;
+        if (previous && !dirtyChats.has(id)) {
+            while (from < messages.length && from < previous.length && messages[from] === previous[from]) {
+                from++;
+            }
+        }
+        if (previous && previous.length > from) {
+            deleteMessagesFrom(id, from);
+        }
+
+        for (let index = from; index < messages.length; index++) {
+            messageStore.put({ ...messages[index], chatId: id, index });
+        }
+        written.set(id, messages.slice());
+    });
+
+    metaStore.put({ key: 'activeChatId', value: state.activeChatId || null });
+    metaStore.put({ key: 'dialogueStates', value: state.dialogueStates || {} });
+
+    await transactionDone(tx);
+
+    persistedChats.clear();
+    written.forEach((value, id) => persistedChats.set(id, value));
+    persistedChatRecords.clear();
+    writtenRecords.forEach((value, id) => persistedChatRecords.set(id, value));
+    dirtyChats.clear();
+}
+
+function rememberPersisted(chats) {
+    persistedChats.clear();
+    persistedChatRecords.clear();
+    Object.keys(chats).forEach((id, order) => {
+        persistedChats.set(id, chats[id].slice());
+        persistedChatRecords.set(id, JSON.stringify(chatRecord(id, chats[id], order)));
+    });
+}
+
+/* ---------- Public API ---------- */
+
+// Load { chats, activeChatId, dialogueStates }, migrating localStorage data
+// into IndexedDB the first time
+async function loadChatData() {
+    const empty = { chats: {}, activeChatId: null, dialogueStates: {} };
+
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            chatDb = await openChatDatabase();
+            storageBackend = 'indexeddb';
+
+            const state = await readDatabaseState(chatDb);
+            rememberPersisted(state.chats);
+
+            const legacy = Object.keys(state.chats).length === 0 ? readLegacyState() : null;
+            if (legacy) {
+                console.log('Migrating chats from localStorage to IndexedDB');
+                await writeDatabaseState(chatDb, legacy);
+                clearLegacyState();
+                return legacy;
+            }
+            return state;
+        } catch (err) {
+            console.error('IndexedDB unavailable, falling back to localStorage:', err);
+            chatDb = null;
+        }
+    }
+
+    storageBackend = 'localStorage';
+    try {
+        return readLegacyState() || empty;
+    } catch (err) {
+        console.error('Error loading from storage:', err);
+        return empty;
+    }
+}
+
+// Flag a chat whose existing messages were edited in place, so the next
+// save rewrites it instead of only appending
+function markChatDirty(chatId) {
+    dirtyChats.add(chatId);
+}
+
+// Queue a save. Calls in the same tick collapse into one write of the
+// latest state; writes never overlap.
+function persistChatData(state) {
+    pendingState = state;
+    if (persistScheduled) return persistChain;
+    persistScheduled = true;
+
+    persistChain = persistChain.then(() => new Promise(resolve => setTimeout(resolve, 0))).then(async () => {
+        persistScheduled = false;
+        const snapshot = pendingState;
+        pendingState = null;
+
+        try {
+            if (storageBackend === 'indexeddb' && chatDb) {
+                await writeDatabaseState(chatDb, snapshot);
+            } else {
+                writeLegacyState(snapshot);
+            }
+        } catch (err) {
+            // A failed transaction is rolled back as a whole, so the record
+            // of what was persisted is still accurate for the next attempt
+            storageErrorHandler(err, { quotaExceeded: isQuotaError(err) });
+        }
+    });
+
+    return persistChain;
+}
+
+function readFallbackReminders() {
+    const stored = JSON.parse(localStorage.getItem(REMINDERS_FALLBACK_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+}
+
+// Reminders as stored; call after loadChatData, which opens the database.
+// Reminders saved while IndexedDB was unavailable are moved into it.
+async function loadReminderData() {
+    if (storageBackend === 'indexeddb' && chatDb) {
+        const tx = chatDb.transaction('reminders', 'readonly');
+        const stored = await requestToPromise(tx.objectStore('reminders').getAll());
+        const fallback = stored.length === 0 ? readFallbackReminders() : [];
+        if (fallback.length > 0 && await persistReminderData(fallback)) {
+            localStorage.removeItem(REMINDERS_FALLBACK_KEY);
+            return fallback;
+        }
+        return stored;
+    }
+    return readFallbackReminders();
+}
+
+// Replace the stored reminders with this list. There are few of them, so
+// every save writes them all. Failures go to the storage error handler.
+async function persistReminderData(reminders) {
+    try {
+        if (storageBackend === 'indexeddb' && chatDb) {
+            const tx = chatDb.transaction('reminders', 'readwrite');
+            const store = tx.objectStore('reminders');
+            store.clear();
+            reminders.forEach(reminder => store.put(reminder));
+            await transactionDone(tx);
+        } else {
+            localStorage.setItem(REMINDERS_FALLBACK_KEY, JSON.stringify(reminders));
+        }
+        return true;
+    } catch (err) {
+        storageErrorHandler(err, { quotaExceeded: isQuotaError(err) });
+        return false;
+    }
+}
+
+// { usage, quota } in bytes where the browser reports it, else null
+async function getStorageEstimate() {
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            return await navigator.storage.estimate();
+        } catch (err) {
+            return null;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,162 @@
+/* ===============================
+   SERVICE WORKER
+   ===============================
+   Precaches the app shell and the knowledge base so the chatbot works
+   offline. Shell files are served from the cache and refreshed in the
+   background. The knowledge base is also served from the cache; a fresh
+   copy is fetched alongside, and if its version or last_updated differs
+   it replaces the cached one and open pages are told to reload it.
+
+   Reminder notifications (reminders.js) are shown through this worker;
+   clicking one focuses the app, or opens it, on the reminder's chat.
+
+   Bump SHELL_CACHE when the list of precached files changes.
+*/
+
+const SHELL_CACHE = 'twin-health-shell-v14';
+const KB_CACHE = 'twin-health-kb';
+const KB_URL = 'knowledge_base.json';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'i18n.js',
+    'a11y.js',
+    'locales/en.json',
+    'locales/hi.json',
+    'locales/ta.json',
+    'safety.js',
+    'storage.js',
+    'kb-validator.js',
+    'matcher.js',
+    'profile.js',
+    'intents.js',
+    'health-log.js',
+    'reminders.js',
+    'providers.js',
+    'feedback.js',
+    'search.js',
+    'speech.js',
+    'scripts.js',
+    'admin.js',
+    'manifest.json',
+    'Twin Health - Official Logo.png'
+];
+
+function scopedUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+function kbStamp(data) {
+    return `${data.version || ''}|${data.last_updated || ''}`;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(PRECACHE_URLS.map(scopedUrl));
+
+        const kb = await caches.open(KB_CACHE);
+        await kb.add(scopedUrl(KB_URL));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, KB_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+// Fetch the KB and keep it if it is newer than the cached copy
+async function refreshKnowledgeBase() {
+    const cache = await caches.open(KB_CACHE);
+    const url = scopedUrl(KB_URL);
+    const cached = await cache.match(url);
+
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) return;
+
+    const fresh = await response.clone().json();
+    const current = cached ? await cached.json() : null;
+    if (current && kbStamp(current) === kbStamp(fresh)) return;
+
+    await cache.put(url, response);
+    if (current) {
+        console.log('Knowledge base updated to version', fresh.version, fresh.last_updated);
+        await notifyClients({ type: 'kb-updated', version: fresh.version || null, lastUpdated: fresh.last_updated || null });
+    }
+}
+
+async function serveKnowledgeBase(event) {
+    const cache = await caches.open(KB_CACHE);
+    const cached = await cache.match(scopedUrl(KB_URL));
+
+    if (cached) {
+        event.waitUntil(refreshKnowledgeBase().catch(err => console.warn('KB refresh failed:', err)));
+        return cached;
+    }
+
+    const response = await fetch(event.request);
+    if (response.ok) {
+        await cache.put(scopedUrl(KB_URL), response.clone());
+    }
+    return response;
+}
+
+async function serveShell(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Navigations to the start URL or index.html share one cached page
+    const cached = await cache.match(event.request, { ignoreSearch: true }) ||
+        (event.request.mode === 'navigate' ? await cache.match(scopedUrl('index.html')) : undefined);
+
+    const network = fetch(event.request).then(response => {
+        if (response.ok) {
+            cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.url.split('?')[0] === scopedUrl(KB_URL)) {
+        event.respondWith(serveKnowledgeBase(event));
+    } else {
+        event.respondWith(serveShell(event));
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const data = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = clients.find(c => c.url.startsWith(self.registration.scope));
+        if (client) {
+            await client.focus();
+            client.postMessage({ type: 'reminder-clicked', reminderId: data.reminderId || null, chatId: data.chatId || null });
+        } else {
+            await self.clients.openWindow(self.registration.scope);
+        }
+    })());
+});
@@ -0,0 +1,314 @@
+// Axe-style accessibility audit of page markup.
+//
+//   node tests/a11y-audit.js [path/to/page.html]
+//
+// Prints every violation in index.html (or the given page) and exits with
+// 1 if there are any. auditAccessibility only needs the DOM Element basics
+// (tagName, getAttribute, getAttributeNames, children, parentElement,
+// textContent), so besides parseHtml's tree it accepts a real document's
+// root element (jsdom, a browser) to check markup built at runtime: the
+// chat tablist, message actions and panels.
+//
+// Rules are named after their axe-core counterparts:
+//   html-has-lang, document-title, duplicate-id, image-alt
+//   button-name             buttons, links and tabs have a name. Stricter
+//                           than axe: an emoji or a title tooltip is not
+//                           a name, so icon buttons need aria-label
+//   label                   form fields have a label
+//   aria-roles              role values exist
+//   aria-valid-attr         aria-* attributes exist
+//   aria-required-children  a tablist holds tabs and no other controls
+//   aria-required-parent    a tab sits in a tablist
+//   aria-hidden-focus       nothing inside aria-hidden is focusable
+//   nested-interactive      no controls inside buttons or links
+//   tabindex                no positive tabindex
+//   aria-dialog-name        dialogs are labelled
+//   idref                   aria-labelledby, -describedby and -controls
+//                           point at ids on the page
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PAGE = path.join(__dirname, '..', 'index.html');
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'button', 'cell', 'checkbox', 'columnheader',
+    'combobox', 'complementary', 'contentinfo', 'definition', 'dialog', 'document', 'feed', 'figure', 'form',
+    'grid', 'gridcell', 'group', 'heading', 'img', 'link', 'list', 'listbox', 'listitem', 'log', 'main',
+    'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+    'navigation', 'none', 'note', 'option', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region',
+    'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton',
+    'status', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'timer', 'toolbar',
+    'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+const ARIA_ATTRIBUTES = new Set([
+    'activedescendant', 'atomic', 'autocomplete', 'busy', 'checked', 'colcount', 'colindex', 'colspan',
+    'controls', 'current', 'describedby', 'description', 'details', 'disabled', 'errormessage', 'expanded',
+    'flowto', 'haspopup', 'hidden', 'invalid', 'keyshortcuts', 'label', 'labelledby', 'level', 'live',
+    'modal', 'multiline', 'multiselectable', 'orientation', 'owns', 'placeholder', 'posinset', 'pressed',
+    'readonly', 'relevant', 'required', 'roledescription', 'rowcount', 'rowindex', 'rowspan', 'selected',
+    'setsize', 'sort', 'valuemax', 'valuemin', 'valuenow', 'valuetext'
+].map(name => `aria-${name}`));
+
+const ID_REFERENCE_ATTRIBUTES = ['aria-labelledby', 'aria-describedby', 'aria-controls'];
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+const CONTROL_ROLES = new Set(['button', 'link', 'tab', 'checkbox', 'radio', 'switch', 'menuitem', 'option', 'textbox', 'combobox', 'slider']);
+
+/* ---------- A minimal HTML tree ---------- */
+
+class AuditElement {
+    constructor(tagName, attributes = new Map(), parentElement = null) {
+        this.tagName = tagName.toUpperCase();
+        this.attributes = attributes;
+        this.parentElement = parentElement;
+        this.childNodes = [];
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node instanceof AuditElement);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => typeof node === 'string' ? node : node.textContent).join('');
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    getAttributeNames() {
+        return [...this.attributes.keys()];
+    }
+}
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        }
+        return named[code.toLowerCase()] !== undefined ? named[code.toLowerCase()] : entity;
+    });
+}
+
+// A tree of AuditElements under a #document root. Enough HTML for the
+// app's own markup: no implied end tags or foreign content.
+function parseHtml(html) {
+    const root = new AuditElement('#document');
+    let current = root;
+    const token = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|[^<]+|</gi;
+    const attribute = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = token.exec(html)) !== null) {
+        const [text, closing, opening, attributeText, selfClosing] = match;
+        if (closing) {
+            let open = current;
+            while (open !== root && open.tagName !== closing.toUpperCase()) open = open.parentElement;
+            if (open !== root) current = open.parentElement;
+        } else if (opening) {
+            const attributes = new Map();
+            let attr;
+            attribute.lastIndex = 0;
+            while ((attr = attribute.exec(attributeText)) !== null) {
+                const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4] !== undefined ? attr[4] : '';
+                attributes.set(attr[1].toLowerCase(), decodeEntities(value));
+            }
+            const element = new AuditElement(opening, attributes, current);
+            current.childNodes.push(element);
+
+            const tag = opening.toLowerCase();
+            if (RAW_TEXT_ELEMENTS.has(tag)) {
+                const end = html.toLowerCase().indexOf(`</${tag}`, token.lastIndex);
+                element.childNodes.push(html.slice(token.lastIndex, end === -1 ? html.length : end));
+                token.lastIndex = end === -1 ? html.length : end;
+            } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+                current = element;
+            }
+        } else if (!text.startsWith('<!')) {
+            current.childNodes.push(decodeEntities(text));
+        }
+    }
+    return root;
+}
+
+/* ---------- Audit ---------- */
+
+function allElements(root) {
+    const elements = [];
+    const visit = (element) => {
+        elements.push(element);
+        Array.from(element.children).forEach(visit);
+    };
+    visit(root);
+    return elements.filter(element => !element.tagName.startsWith('#'));
+}
+
+function ancestors(element) {
+    const list = [];
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) list.push(parent);
+    return list;
+}
+
+function tagOf(element) {
+    return element.tagName.toLowerCase();
+}
+
+function roleOf(element) {
+    const role = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (role) return role;
+    const tag = tagOf(element);
+    if (tag === 'button') return 'button';
+    if (tag === 'a' && element.getAttribute('href') !== null) return 'link';
+    if (tag === 'select') return 'combobox';
+    if (tag === 'textarea') return 'textbox';
+    if (tag === 'input') {
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox' || type === 'radio') return type;
+        if (type === 'range') return 'slider';
+        return type === 'hidden' ? null : 'textbox';
+    }
+    return null;
+}
+
+function isFocusable(element) {
+    const tabindex = element.getAttribute('tabindex');
+    if (tabindex !== null) return Number(tabindex) >= 0;
+    if (element.getAttribute('disabled') !== null) return false;
+    const tag = tagOf(element);
+    if (tag === 'a') return element.getAttribute('href') !== null;
+    if (tag === 'input') return (element.getAttribute('type') || '').toLowerCase() !== 'hidden';
+    return ['button', 'select', 'textarea'].includes(tag);
+}
+
+function describe(element) {
+    const id = element.getAttribute('id');
+    if (id) return `${tagOf(element)}#${id}`;
+    const className = (element.getAttribute('class') || '').trim().split(/\s+/)[0];
+    const text = element.textContent.trim().slice(0, 30);
+    return `${tagOf(element)}${className ? `.${className}` : ''}${text ? ` "${text}"` : ''}`;
+}
+
+const hasWords = text => /[\p{L}\p{N}]/u.test(text || '');
+
+function auditAccessibility(root) {
+    const elements = allElements(root);
+    const byId = new Map();
+    const violations = [];
+    const report = (rule, element, message) => violations.push({ rule, element: describe(element), message });
+
+    elements.forEach(element => {
+        const id = element.getAttribute('id');
+        if (id === null) return;
+        if (byId.has(id)) report('duplicate-id', element, `id "${id}" is used more than once`);
+        else byId.set(id, element);
+    });
+    const labelledByText = element => (element.getAttribute('aria-labelledby') || '')
+        .split(/\s+/).filter(Boolean).map(id => byId.has(id) ? byId.get(id).textContent : '').join(' ');
+    const labelFor = new Set(elements.filter(el => tagOf(el) === 'label' && el.getAttribute('for')).map(el => el.getAttribute('for')));
+
+    const html = elements.find(el => tagOf(el) === 'html');
+    if (html && !(html.getAttribute('lang') || '').trim()) report('html-has-lang', html, '<html> has no lang');
+    const head = elements.find(el => tagOf(el) === 'head');
+    if (head && !elements.some(el => tagOf(el) === 'title' && el.textContent.trim())) {
+        report('document-title', head, 'the page has no <title>');
+    }
+
+    elements.forEach(element => {
+        const tag = tagOf(element);
+        const role = roleOf(element);
+        const inAriaHidden = [element, ...ancestors(element)].some(el => el.getAttribute('aria-hidden') === 'true');
+
+        element.getAttributeNames().forEach(name => {
+            if (name.startsWith('aria-') && !ARIA_ATTRIBUTES.has(name)) {
+                report('aria-valid-attr', element, `${name} is not an ARIA attribute`);
+            }
+        });
+        const explicitRole = (element.getAttribute('role') || '').trim();
+        if (explicitRole && !explicitRole.split(/\s+/).every(value => ARIA_ROLES.has(value))) {
+            report('aria-roles', element, `role "${explicitRole}" is not an ARIA role`);
+        }
+
+        const tabindex = element.getAttribute('tabindex');
+        if (tabindex !== null && Number(tabindex) > 0) {
+            report('tabindex', element, `tabindex="${tabindex}" changes the Tab order`);
+        }
+
+        ID_REFERENCE_ATTRIBUTES.forEach(name => {
+            (element.getAttribute(name) || '').split(/\s+/).filter(Boolean).forEach(ref => {
+                if (!byId.has(ref)) report('idref', element, `${name} points at missing id "${ref}"`);
+            });
+        });
+
+        if (tag === 'img' && element.getAttribute('alt') === null && role !== 'presentation' && role !== 'none') {
+            report('image-alt', element, 'image has no alt text');
+        }
+
+        if (['button', 'link', 'tab'].includes(role) && !inAriaHidden &&
+            !hasWords(element.getAttribute('aria-label')) && !hasWords(labelledByText(element)) &&
+            !hasWords(tag === 'input' ? element.getAttribute('value') : element.textContent)) {
+            report('button-name', element, `${role} has no name (an emoji or a title is not enough)`);
+        }
+
+        const isField = (tag === 'input' && !UNLABELLED_INPUT_TYPES.has((element.getAttribute('type') || 'text').toLowerCase())) ||
+            tag === 'select' || tag === 'textarea';
+        if (isField) {
+            const labelled = hasWords(element.getAttribute('aria-label')) || hasWords(labelledByText(element)) ||
+                hasWords(element.getAttribute('title')) || ancestors(element).some(el => tagOf(el) === 'label') ||
+                (element.getAttribute('id') !== null && labelFor.has(element.getAttribute('id')));
+            if (!labelled) report('label', element, 'form field has no label');
+        }
+
+        if (inAriaHidden && isFocusable(element)) {
+            report('aria-hidden-focus', element, 'focusable element inside aria-hidden');
+        }
+
+        if ((role === 'button' || role === 'link' || role === 'tab') && tag !== 'input') {
+            const nested = allElements(element).slice(1).find(el => isFocusable(el) || CONTROL_ROLES.has(roleOf(el)));
+            if (nested) report('nested-interactive', element, `contains the control ${describe(nested)}`);
+        }
+
+        if (role === 'tablist') {
+            const owned = allElements(element).slice(1).filter(el =>
+                CONTROL_ROLES.has(roleOf(el)) && !ancestors(el).some(a => a.getAttribute('aria-hidden') === 'true') && el.getAttribute('aria-hidden') !== 'true');
+            if (!owned.some(el => roleOf(el) === 'tab')) {
+                report('aria-required-children', element, 'tablist has no tabs');
+            }
+            owned.filter(el => roleOf(el) !== 'tab' && !ancestors(el).some(a => roleOf(a) === 'tab')).forEach(el => {
+                report('aria-required-children', element, `tablist contains the ${roleOf(el)} ${describe(el)}`);
+            });
+        }
+        if (role === 'tab' && !ancestors(element).some(el => roleOf(el) === 'tablist')) {
+            report('aria-required-parent', element, 'tab is not in a tablist');
+        }
+
+        if ((role === 'dialog' || role === 'alertdialog') &&
+            !hasWords(element.getAttribute('aria-label')) && !hasWords(labelledByText(element))) {
+            report('aria-dialog-name', element, 'dialog has no label');
+        }
+    });
+
+    return violations;
+}
+
+function formatAuditReport(violations) {
+    if (violations.length === 0) return 'No accessibility violations found.';
+    return violations.map(v => `${v.rule}: ${v.element}: ${v.message}`).join('\n');
+}
+
+module.exports = {
+    parseHtml,
+    auditAccessibility,
+    formatAuditReport
+};
+
+if (require.main === module) {
+    const page = process.argv[2] || DEFAULT_PAGE;
+    const violations = auditAccessibility(parseHtml(fs.readFileSync(page, 'utf8')));
+    console.log(formatAuditReport(violations));
+    process.exitCode = violations.length > 0 ? 1 : 0;
+}
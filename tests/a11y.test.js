@@ -0,0 +1,71 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseHtml, auditAccessibility, formatAuditReport } = require('./a11y-audit.js');
+const { nextTabIndex } = require('../a11y.js');
+
+const rulesFor = html => auditAccessibility(parseHtml(html)).map(v => v.rule);
+
+test('index.html passes the accessibility audit', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const violations = auditAccessibility(parseHtml(html));
+    assert.equal(violations.length, 0, formatAuditReport(violations));
+});
+
+test('icon buttons need a real name', () => {
+    assert.deepEqual(rulesFor('<button title="Copy">📋</button>'), ['button-name']);
+    assert.deepEqual(rulesFor('<button aria-label="Copy">📋</button>'), []);
+    assert.deepEqual(rulesFor('<span id="l">Copy</span><button aria-labelledby="l">📋</button>'), []);
+    assert.deepEqual(rulesFor('<button>Send</button><input type="submit" value="Go">'), []);
+    // Hidden from assistive technology, so it needs no name
+    assert.deepEqual(rulesFor('<div aria-hidden="true"><button tabindex="-1">📌</button></div>'), []);
+});
+
+test('form fields need a label', () => {
+    assert.deepEqual(rulesFor('<input type="text">'), ['label']);
+    assert.deepEqual(rulesFor('<label for="n">Name</label><input id="n">'), []);
+    assert.deepEqual(rulesFor('<label>Name <select></select></label><textarea aria-label="Notes"></textarea>'), []);
+    assert.deepEqual(rulesFor('<input type="hidden">'), []);
+});
+
+test('a tablist holds tabs and nothing else', () => {
+    const tab = '<div role="tab" tabindex="0" aria-selected="true">Chat</div>';
+    assert.deepEqual(rulesFor(`<ul role="tablist">${tab}</ul>`), []);
+    assert.deepEqual(rulesFor('<ul role="tablist"></ul>'), ['aria-required-children']);
+    assert.deepEqual(rulesFor(`<ul role="tablist">${tab}<button>Pin</button></ul>`), ['aria-required-children']);
+    assert.deepEqual(rulesFor(`<ul role="tablist">${tab}<div aria-hidden="true"><button tabindex="-1">📌</button></div></ul>`), []);
+    assert.deepEqual(rulesFor(tab), ['aria-required-parent']);
+});
+
+test('ARIA roles, attributes and id references must exist', () => {
+    assert.deepEqual(rulesFor('<div role="tabs"></div>'), ['aria-roles']);
+    assert.deepEqual(rulesFor('<div aria-labeledby="x"></div>'), ['aria-valid-attr']);
+    assert.deepEqual(rulesFor('<div aria-describedby="missing"></div>'), ['idref']);
+    assert.deepEqual(rulesFor('<div id="a">A</div><div id="a">B</div>'), ['duplicate-id']);
+});
+
+test('focus order and hidden content', () => {
+    assert.deepEqual(rulesFor('<button tabindex="2">Go</button>'), ['tabindex']);
+    assert.deepEqual(rulesFor('<div aria-hidden="true"><a href="#x">Link</a></div>'), ['aria-hidden-focus']);
+    assert.deepEqual(rulesFor('<button>Open <a href="#x">link</a></button>'), ['nested-interactive']);
+});
+
+test('dialogs, images and the document need text alternatives', () => {
+    assert.deepEqual(rulesFor('<div role="dialog"><button>Close</button></div>'), ['aria-dialog-name']);
+    assert.deepEqual(rulesFor('<h2 id="t">Rename</h2><div role="dialog" aria-labelledby="t"></div>'), []);
+    assert.deepEqual(rulesFor('<img src="a.png"><img src="b.png" alt="">'), ['image-alt']);
+    assert.deepEqual(rulesFor('<html><head></head><body></body></html>'), ['html-has-lang', 'document-title']);
+});
+
+test('arrow keys move round the chat tabs', () => {
+    assert.equal(nextTabIndex(3, 0, 'ArrowDown'), 1);
+    assert.equal(nextTabIndex(3, 2, 'ArrowDown'), 0);
+    assert.equal(nextTabIndex(3, 0, 'ArrowUp'), 2);
+    assert.equal(nextTabIndex(3, 1, 'Home'), 0);
+    assert.equal(nextTabIndex(3, 1, 'End'), 2);
+    assert.equal(nextTabIndex(3, 1, 'Enter'), null);
+    assert.equal(nextTabIndex(0, 0, 'ArrowDown'), null);
+});
@@ -0,0 +1,121 @@
+// Accuracy of the matching engine on tests/golden-queries.json.
+//
+//   node tests/accuracy-report.js [path/to/knowledge_base.json] [--json]
+//
+// Prints top-1 and top-3 hit rates and every miss, or a JSON summary with
+// --json so runs before and after a KB or algorithm change can be diffed.
+//
+// top-1: the answer the chatbot would give is one of the expected entries
+//        (for out-of-scope questions: it falls back instead of answering)
+// top-3: an expected entry is among the three best-ranked candidates
+const fs = require('fs');
+const path = require('path');
+
+const matcher = require('../matcher.js');
+const { validateKnowledgeBase, formatKbReport } = require('../kb-validator.js');
+
+const GOLDEN_FILE = path.join(__dirname, 'golden-queries.json');
+const DEFAULT_KB_FILE = path.join(__dirname, '..', 'knowledge_base.json');
+
+function loadGoldenQueries(file = GOLDEN_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadMatcherKb(file = DEFAULT_KB_FILE) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const validation = validateKnowledgeBase(data);
+    if (!validation.ok) {
+        throw new Error(formatKbReport(validation));
+    }
+    matcher.useKnowledgeBase(validation.entries, data.synonyms);
+    return data;
+}
+
+// The engine logs every match decision; keep the report readable
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+function evaluateGoldenQueries(golden) {
+    const results = quietly(() => golden.queries.map(({ query, expected }) => {
+        const answer = matcher.findBestMatch(query);
+        const top3 = matcher.rankEntries(query, 3).map(r => ({ id: r.entry.id, score: r.score }));
+
+        const top1Hit = expected === null
+            ? answer === null
+            : answer !== null && expected.includes(answer.id);
+        const top3Hit = expected === null
+            ? top1Hit
+            : top3.some(candidate => expected.includes(candidate.id));
+
+        return { query, expected, answer: answer ? answer.id : null, top3, top1Hit, top3Hit };
+    }));
+
+    const total = results.length;
+    return {
+        total,
+        top1: total ? results.filter(r => r.top1Hit).length / total : 0,
+        top3: total ? results.filter(r => r.top3Hit).length / total : 0,
+        results
+    };
+}
+
+function formatPercent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatAccuracyReport(report) {
+    const lines = [
+        `Golden queries: ${report.total}`,
+        `Top-1 accuracy: ${formatPercent(report.top1)}`,
+        `Top-3 accuracy: ${formatPercent(report.top3)}`
+    ];
+
+    const misses = report.results.filter(r => !r.top1Hit);
+    if (misses.length > 0) {
+        lines.push('', 'Top-1 misses:');
+        misses.forEach(miss => {
+            const expected = miss.expected ? miss.expected.join(' or ') : 'fallback';
+            const ranked = miss.top3.map(c => `${c.id} (${c.score.toFixed(1)})`).join(', ') || 'no candidates';
+            lines.push(`  "${miss.query}": expected ${expected}, answered ${miss.answer || 'fallback'}; top 3: ${ranked}`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadGoldenQueries,
+    loadMatcherKb,
+    evaluateGoldenQueries,
+    formatAccuracyReport
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const kbFile = args.find(arg => !arg.startsWith('--')) || DEFAULT_KB_FILE;
+
+    const kb = loadMatcherKb(kbFile);
+    const report = evaluateGoldenQueries(loadGoldenQueries());
+
+    if (asJson) {
+        console.log(JSON.stringify({
+            kb_version: kb.version,
+            kb_last_updated: kb.last_updated,
+            total: report.total,
+            top1: report.top1,
+            top3: report.top3,
+            misses: report.results.filter(r => !r.top1Hit).map(r => ({ query: r.query, expected: r.expected, answer: r.answer }))
+        }, null, 2));
+    } else {
+        console.log(`Knowledge base ${kb.version} (${kb.last_updated})`);
+        console.log(formatAccuracyReport(report));
+    }
+}
@@ -0,0 +1,57 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildFeedbackStats } = require('../feedback.js');
+
+const user = (text) => ({ text, user: true });
+const bot = (extras) => ({ text: 'answer', user: false, ...extras });
+
+const chats = {
+    chat_1: [
+        { text: 'Welcome', user: false, isWelcome: true },
+        user('what is twin health'),
+        bot({ kbId: 'kb001', score: 88, feedback: { rating: 'up' } }),
+        user('how much is it'),
+        bot({ kbId: 'kb002', score: 55, feedback: { rating: 'down', note: 'wanted the price in India' } }),
+        user('Can I eat mangoes?'),
+        bot({ score: 31, fallback: true, timestamp: '2026-01-02T10:00:00Z' })
+    ],
+    chat_2: [
+        user('can i eat mangoes'),
+        bot({ score: 29, fallback: true, timestamp: '2026-01-03T10:00:00Z', feedback: { rating: 'down' } }),
+        user('how much does it cost'),
+        bot({ kbId: 'kb002', score: 72, feedback: { rating: 'down' } }),
+        user('sleep tips'),
+        bot({ kbId: 'kb003', score: 64, feedback: { rating: 'down' } })
+    ]
+};
+
+test('totals count every bot answer except the welcome message', () => {
+    const { totals } = buildFeedbackStats(chats);
+    assert.deepEqual(totals, { answers: 6, rated: 5, up: 1, down: 4, fallback: 2 });
+});
+
+test('lowest-rated entries come first, with the notes members left', () => {
+    const { lowestRated } = buildFeedbackStats(chats);
+    assert.deepEqual(lowestRated.map(e => e.kbId), ['kb002', 'kb003']);
+    assert.equal(lowestRated[0].down, 2);
+    assert.deepEqual(lowestRated[0].notes, [{ query: 'how much is it', note: 'wanted the price in India' }]);
+});
+
+test('unanswered questions are grouped regardless of case and punctuation', () => {
+    const { frequentUnanswered } = buildFeedbackStats(chats);
+    assert.equal(frequentUnanswered.length, 1);
+    assert.equal(frequentUnanswered[0].count, 2);
+    assert.equal(frequentUnanswered[0].lastAsked, '2026-01-03T10:00:00Z');
+});
+
+test('scores land in 10-point buckets split by answered and fallback', () => {
+    const { scoreDistribution } = buildFeedbackStats(chats);
+    const bucket = (from) => scoreDistribution.find(b => b.from === from);
+
+    assert.equal(scoreDistribution.length, 10);
+    assert.deepEqual(bucket(20), { from: 20, to: 30, answered: 0, fallback: 1, up: 0, down: 1 });
+    assert.deepEqual(bucket(80), { from: 80, to: 90, answered: 1, fallback: 0, up: 1, down: 0 });
+    assert.equal(buildFeedbackStats({ c: [user('x'), bot({ score: 100 })] }).scoreDistribution[9].answered, 1);
+});
@@ -0,0 +1,33 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    loadGoldenQueries,
+    loadMatcherKb,
+    evaluateGoldenQueries,
+    formatAccuracyReport
+} = require('./accuracy-report.js');
+
+loadMatcherKb();
+const golden = loadGoldenQueries();
+const report = evaluateGoldenQueries(golden);
+
+test('golden queries only expect entries that exist', () => {
+    const { getKbEntryById } = require('../matcher.js');
+    for (const { query, expected } of golden.queries) {
+        for (const id of expected || []) {
+            assert.ok(getKbEntryById(id), `"${query}" expects unknown entry ${id}`);
+        }
+    }
+});
+
+test('top-1 accuracy does not drop below the baseline', () => {
+    assert.ok(report.top1 >= golden.baseline.top1,
+        `top-1 ${report.top1.toFixed(3)} < baseline ${golden.baseline.top1}\n${formatAccuracyReport(report)}`);
+});
+
+test('top-3 accuracy does not drop below the baseline', () => {
+    assert.ok(report.top3 >= golden.baseline.top3,
+        `top-3 ${report.top3.toFixed(3)} < baseline ${golden.baseline.top3}\n${formatAccuracyReport(report)}`);
+});
@@ -0,0 +1,195 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// health-log.js reads the glucose rules and UI strings like the browser does
+const { SAFETY_RULES, triageGlucoseReading, triageMessage } = require('../safety.js');
+const i18n = require('../i18n.js');
+['en', 'hi', 'ta'].forEach(code => i18n.useLocaleMessages(code, require(`../locales/${code}.json`)));
+global.SAFETY_RULES = SAFETY_RULES;
+global.I18N_LOCALES = i18n.I18N_LOCALES;
+global.t = i18n.t;
+global.getLocale = () => 'en';
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+const {
+    parseLogCommand,
+    fillLogSlots,
+    nextLogSlot,
+    buildLogEntry,
+    sanitizeLogEntry,
+    guidanceKey,
+    buildLogSummary,
+    glucoseLogOffer,
+    healthLogProvider
+} = require('../health-log.js');
+
+test('log commands give the metric and whatever slots they mention', () => {
+    assert.deepEqual(parseLogCommand('Log my fasting sugar 110'), {
+        action: 'log', metric: 'glucose', slots: { context: 'fasting', glucose: { value: 110, unit: 'mg/dL' } }, error: null
+    });
+    assert.deepEqual(parseLogCommand('record weight 72,5 kg').slots, { weight: { value: 72.5, unit: 'kg' } });
+    assert.deepEqual(parseLogCommand('please log 7 hours 30 minutes of sleep').slots, { hours: 7.5 });
+    assert.deepEqual(parseLogCommand('log').metric, null);
+    assert.deepEqual(parseLogCommand('शुगर 140 दर्ज करें').slots, { glucose: { value: 140, unit: 'mg/dL' } });
+    assert.deepEqual(parseLogCommand('show my last 7 days'), { action: 'summary' });
+});
+
+test('questions and other requests are not log commands', () => {
+    assert.equal(parseLogCommand('How do I log my meals in the app?'), null);
+    assert.equal(parseLogCommand('log in'), null);
+    assert.equal(parseLogCommand('note that my coach called yesterday'), null);
+    assert.equal(parseLogCommand('my sugar was 180 after lunch'), null);
+    assert.equal(parseLogCommand('Can you log my weight 160?').metric, 'weight');
+});
+
+test('a glucose reading without a unit is read like safety triage reads it', () => {
+    assert.deepEqual(fillLogSlots('glucose', {}, '6.2').slots.glucose, { value: 6.2, unit: 'mmol/L' });
+    assert.deepEqual(fillLogSlots('glucose', {}, '142').slots.glucose, { value: 142, unit: 'mg/dL' });
+    assert.deepEqual(fillLogSlots('glucose', {}, '7.8 mmol/L after lunch').slots, {
+        glucose: { value: 7.8, unit: 'mmol/L' }, context: 'post_meal'
+    });
+});
+
+test('readings a meter cannot show are refused', () => {
+    const { slots, error } = fillLogSlots('glucose', { context: 'fasting' }, '180 mmol');
+    assert.deepEqual(error, { slot: 'glucose', value: 180, unit: 'mmol/L' });
+    assert.deepEqual(slots, { context: 'fasting' });
+    assert.equal(fillLogSlots('weight', {}, '5 kg').error.slot, 'weight');
+    assert.equal(fillLogSlots('sleep', {}, '30 hours').error.slot, 'sleep');
+});
+
+test('a weight without a unit takes the last one used, or asks for it', () => {
+    assert.deepEqual(fillLogSlots('weight', {}, '160', { lastWeightUnit: 'lb' }).slots.weight, { value: 160, unit: 'lb' });
+
+    const { slots } = fillLogSlots('weight', {}, '72');
+    assert.equal(nextLogSlot('weight', slots), 'weightUnit');
+    assert.deepEqual(fillLogSlots('weight', slots, 'kg', { awaiting: 'weightUnit' }).slots.weight, { value: 72, unit: 'kg' });
+});
+
+test('meal descriptions lose the command and meal words', () => {
+    assert.deepEqual(parseLogCommand('log my dinner: grilled fish, salad 🥗').slots, { mealType: 'dinner', description: 'grilled fish, salad' });
+    assert.deepEqual(parseLogCommand('log 300 g of rice for lunch').slots, { mealType: 'lunch', description: '300 g of rice' });
+    assert.deepEqual(parseLogCommand('नाश्ते में पोहा दर्ज करें').slots, { mealType: 'breakfast', description: 'पोहा' });
+    assert.deepEqual(parseLogCommand('மதிய உணவு பதிவு செய்').slots, { mealType: 'lunch' });
+});
+
+test('missing slots are asked for in order', () => {
+    assert.equal(nextLogSlot(null, {}), 'metric');
+    assert.equal(nextLogSlot('glucose', {}), 'glucose');
+    assert.equal(nextLogSlot('glucose', { glucose: { value: 110, unit: 'mg/dL' } }), 'context');
+    assert.equal(nextLogSlot('meal', { description: 'idli' }), 'mealType');
+    assert.equal(nextLogSlot('meal', { mealType: 'lunch' }), 'description');
+    assert.equal(nextLogSlot('sleep', { hours: 7 }), null);
+});
+
+test('entries store glucose in mg/dL and weight in kg as well', () => {
+    const now = new Date('2026-10-18T08:00:00');
+    const glucose = buildLogEntry('glucose', { glucose: { value: 7.8, unit: 'mmol/L' }, context: 'post_meal' }, now);
+    assert.equal(glucose.mgdl, 140);
+    assert.equal(glucose.loggedAt, now.toISOString());
+    assert.equal(buildLogEntry('weight', { weight: { value: 160, unit: 'lb' } }, now).kg, 72.57);
+
+    assert.deepEqual(sanitizeLogEntry(glucose), glucose);
+    assert.equal(sanitizeLogEntry({ ...glucose, context: 'bedtime' }), null);
+    assert.equal(sanitizeLogEntry({ id: 'x', type: 'steps', loggedAt: now.toISOString() }), null);
+});
+
+test('guidance depends on the reading and the weight trend', () => {
+    const now = new Date('2026-10-18T08:00:00');
+    const fasting = mgdl => buildLogEntry('glucose', { glucose: { value: mgdl, unit: 'mg/dL' }, context: 'fasting' }, now);
+    assert.equal(guidanceKey(fasting(150)), 'glucose_fasting_above');
+    assert.equal(guidanceKey(fasting(100)), 'glucose_fasting');
+
+    const weight = kg => buildLogEntry('weight', { weight: { value: kg, unit: 'kg' } }, now);
+    assert.equal(guidanceKey(weight(72), weight(71)), 'weight_up');
+    assert.equal(guidanceKey(weight(72), weight(72)), 'weight_same');
+    assert.equal(guidanceKey(weight(72)), 'weight');
+    assert.equal(guidanceKey(buildLogEntry('sleep', { hours: 5 }, now)), 'sleep_below');
+});
+
+test('the summary covers the last 7 days with daily chart values', () => {
+    const now = new Date(2026, 9, 18, 20, 0);
+    const day = (offset, hour = 8) => new Date(2026, 9, 18 - offset, hour, 0);
+    const entries = [
+        buildLogEntry('glucose', { glucose: { value: 150, unit: 'mg/dL' }, context: 'fasting' }, day(10)),
+        buildLogEntry('glucose', { glucose: { value: 120, unit: 'mg/dL' }, context: 'fasting' }, day(6)),
+        buildLogEntry('glucose', { glucose: { value: 140, unit: 'mg/dL' }, context: 'fasting' }, day(1)),
+        buildLogEntry('glucose', { glucose: { value: 190, unit: 'mg/dL' }, context: 'post_meal' }, day(1, 14)),
+        buildLogEntry('weight', { weight: { value: 80, unit: 'kg' } }, day(5)),
+        buildLogEntry('weight', { weight: { value: 79.2, unit: 'kg' } }, day(0)),
+        buildLogEntry('sleep', { hours: 6 }, day(2)),
+        buildLogEntry('sleep', { hours: 1.5 }, day(2, 15)),
+        buildLogEntry('sleep', { hours: 8 }, day(0)),
+        buildLogEntry('meal', { mealType: 'lunch', description: 'dal' }, day(0))
+    ];
+    const summary = buildLogSummary(entries, now);
+
+    assert.equal(summary.days.length, 7);
+    assert.equal(summary.days[6], '2026-10-18');
+    assert.deepEqual(summary.glucose.fasting, { count: 2, average: 130, inTarget: 1 });
+    assert.deepEqual(summary.glucose.post_meal, { count: 1, average: 190, inTarget: 0 });
+    assert.deepEqual(summary.weight, { unit: 'kg', count: 2, first: 80, last: 79.2, change: -0.8 });
+    assert.deepEqual(summary.sleep, { count: 2, average: 7.8 });
+    assert.deepEqual(summary.meals, { count: 1 });
+
+    const glucose = summary.chart.panels.find(panel => panel.metric === 'glucose');
+    assert.deepEqual(glucose.series[0], { key: 'fasting', values: [120, null, null, null, null, 140, null] });
+    assert.deepEqual(summary.chart.panels.map(panel => panel.metric), ['glucose', 'weight', 'sleep']);
+});
+
+test('questions about a reading offer to log it', () => {
+    assert.equal(glucoseLogOffer('is 180 after lunch bad?', 'en'), '📝 Log my post-meal sugar: 180 mg/dL');
+    assert.equal(glucoseLogOffer('my sugar was 6.2 this morning, is that ok?', 'en'), '📝 Log my fasting sugar: 6.2 mmol/L');
+    assert.equal(glucoseLogOffer('I ate 2 rotis after lunch', 'en'), null);
+    assert.equal(glucoseLogOffer('what is a good fasting sugar?', 'en'), null);
+    assert.equal(glucoseLogOffer('log my sugar 120', 'en'), null);
+});
+
+test('every language\'s chips and offers are commands the log understands', () => {
+    Object.keys(i18n.I18N_LOCALES).forEach(locale => {
+        ['glucose', 'weight', 'meal', 'sleep'].forEach(metric => {
+            const command = parseLogCommand(i18n.t(`log.chip.${metric}`, {}, locale));
+            assert.equal(command && command.metric, metric, `${locale} ${metric}`);
+        });
+        assert.deepEqual(parseLogCommand(i18n.t('log.chip.summary', {}, locale)), { action: 'summary' }, locale);
+
+        const offer = i18n.t('log.offer.withContext', {
+            context: i18n.t('log.contextName.post_meal', {}, locale), reading: '7.8 mmol/L'
+        }, locale);
+        assert.deepEqual(parseLogCommand(offer).slots, { context: 'post_meal', glucose: { value: 7.8, unit: 'mmol/L' } }, locale);
+
+        ['fasting', 'post_meal'].forEach(context => {
+            assert.equal(fillLogSlots('glucose', {}, i18n.t(`log.context.${context}`, {}, locale)).slots.context, context, `${locale} ${context}`);
+        });
+    });
+});
+
+test('triageGlucoseReading flags a logged reading like a typed one', () => {
+    assert.equal(triageGlucoseReading({ value: 50, unit: 'mg/dL', mgdl: 50 }).ruleId, 'hypoglycemia_severe');
+    assert.equal(triageGlucoseReading({ value: 110, unit: 'mg/dL', mgdl: 110 }), null);
+});
+
+test('a dangerous reading in the middle of another log is left to safety triage', () => {
+    const ask = (query, logFlow) => {
+        const dialogue = { logFlow: { ...logFlow, startedAt: Date.now() } };
+        const triage = triageMessage(query);
+        const intent = triage ? { type: 'safety', triage } : { type: 'kb_question' };
+        return { reply: healthLogProvider.respond({ intent, query, dialogue, locale: 'en' }), dialogue };
+    };
+    const message = 'my sugar is 35 and I am shaking';
+    assert.equal(triageMessage(message).ruleId, 'hypoglycemia_symptomatic');
+
+    assert.equal(ask(message, { metric: 'weight', slots: {}, awaiting: 'weight' }).reply, null);
+    assert.equal(ask(message, { metric: 'meal', slots: { mealType: 'lunch' }, awaiting: 'description' }).reply, null);
+    assert.equal(storage.size, 0);
+
+    // A glucose log still takes the reading (triage comes with the saved entry)
+    const glucose = ask(message, { metric: 'glucose', slots: {}, awaiting: 'glucose' });
+    assert.equal(glucose.reply.healthLog, true);
+    assert.equal(glucose.dialogue.logFlow.slots.glucose.value, 35);
+});
@@ -0,0 +1,82 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const path = require('path');
+
+const { I18N_LOCALES, useLocaleMessages, t, tList, detectQueryLocale } = require('../i18n.js');
+const { PROFILE_FIELDS } = require('../profile.js');
+
+function readLocale(code) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${code}.json`), 'utf8'));
+}
+
+const locales = {};
+Object.keys(I18N_LOCALES).forEach(code => {
+    locales[code] = readLocale(code);
+    useLocaleMessages(code, locales[code]);
+});
+
+function placeholders(message) {
+    const text = Array.isArray(message) ? message.join(' ') : message;
+    return (text.match(/\{\w+\}/g) || []).sort();
+}
+
+test('every locale has the English keys and placeholders', () => {
+    const english = locales.en;
+    Object.entries(locales).forEach(([code, messages]) => {
+        assert.deepEqual(Object.keys(messages).sort(), Object.keys(english).sort(), code);
+        Object.keys(english).forEach(key => {
+            assert.deepEqual(placeholders(messages[key]), placeholders(english[key]), `${code}: ${key}`);
+            assert.equal(Array.isArray(messages[key]), Array.isArray(english[key]), `${code}: ${key}`);
+        });
+    });
+});
+
+test('every message the scripts ask for is in the locales', () => {
+    const root = path.join(__dirname, '..');
+    fs.readdirSync(root).filter(file => file.endsWith('.js')).forEach(file => {
+        const source = fs.readFileSync(path.join(root, file), 'utf8');
+        for (const [, key] of source.matchAll(/\bt(?:List)?\('([\w.]+)'/g)) {
+            assert.ok(key in locales.en || `${key}_one` in locales.en, `${file}: ${key}`);
+        }
+    });
+});
+
+test('every profile field and option has a label', () => {
+    PROFILE_FIELDS.forEach(field => {
+        assert.ok(locales.en[`profile.field.${field.key}`], field.key);
+        field.options.forEach(option => {
+            assert.ok(locales.en[`profile.option.${field.key}.${option.value}`], `${field.key}.${option.value}`);
+        });
+    });
+});
+
+test('t fills placeholders and picks plural forms', () => {
+    assert.equal(t('answer.source', { source: 'KB' }, 'en'), 'Source: KB');
+    assert.equal(t('search.found', { count: 1 }, 'en'), '1 message found');
+    assert.equal(t('search.found', { count: 3 }, 'en'), '3 messages found');
+    assert.equal(t('search.found', { count: 3 }, 'hi'), '3 संदेश मिले');
+    assert.equal(t('sidebar.deletedOne', {}, 'en'), 'Deleted "{name}".');
+});
+
+test('missing messages fall back to English, then to the key', () => {
+    useLocaleMessages('ta', { ...locales.ta, 'input.send': undefined });
+    try {
+        assert.equal(t('input.send', {}, 'ta'), 'Send');
+        assert.equal(t('no.such.key', {}, 'hi'), 'no.such.key');
+    } finally {
+        useLocaleMessages('ta', locales.ta);
+    }
+    assert.deepEqual(tList('chat.suggestions', 'ta'), locales.ta['chat.suggestions']);
+    assert.deepEqual(tList('answer.default', 'en'), []);
+});
+
+test('the language of a message comes from its script', () => {
+    assert.equal(detectQueryLocale('What is Twin Health?'), 'en');
+    assert.equal(detectQueryLocale('ट्विन हेल्थ क्या है?'), 'hi');
+    assert.equal(detectQueryLocale('ட்வின் ஹெல்த் என்றால் என்ன?'), 'ta');
+    assert.equal(detectQueryLocale('मेरी sugar 140 है'), 'hi');
+    assert.equal(detectQueryLocale('140?'), null);
+});
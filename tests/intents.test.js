@@ -0,0 +1,102 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const path = require('path');
+
+// intents.js runs safety triage first, as in the browser
+global.triageMessage = require('../safety.js').triageMessage;
+const { INTENT_RULES, useIntentEntries, classifyIntent } = require('../intents.js');
+const { KB_SMALL_TALK_INTENTS, validateKnowledgeBase } = require('../kb-validator.js');
+
+const kb = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'knowledge_base.json'), 'utf8'));
+useIntentEntries(validateKnowledgeBase(kb).entries);
+
+function intentOf(text) {
+    const { type, smallTalk, question } = classifyIntent(text);
+    return { type, smallTalk, question };
+}
+
+test('rule intents are the ones KB entries can reply to', () => {
+    assert.deepEqual(INTENT_RULES.smallTalk.map(rule => rule.intent).sort(), [...KB_SMALL_TALK_INTENTS].sort());
+    assert.deepEqual([...INTENT_RULES.replyOrder].sort(), [...KB_SMALL_TALK_INTENTS].sort());
+
+    // Every intent has KB replies in the shipped knowledge base
+    const withReplies = new Set(kb.entries.filter(entry => entry.intent).map(entry => entry.intent));
+    assert.deepEqual([...withReplies].sort(), [...KB_SMALL_TALK_INTENTS].sort());
+});
+
+test('greetings, thanks and farewells on their own are small talk', () => {
+    assert.deepEqual(intentOf('Hello'), { type: 'small_talk', smallTalk: ['greeting'], question: '' });
+    assert.deepEqual(intentOf('hi there'), { type: 'small_talk', smallTalk: ['greeting'], question: '' });
+    assert.deepEqual(intentOf('thanks a lot!'), { type: 'small_talk', smallTalk: ['thanks'], question: '' });
+    assert.deepEqual(intentOf('ok thats all'), { type: 'small_talk', smallTalk: ['farewell'], question: '' });
+    assert.deepEqual(intentOf('bye'), { type: 'small_talk', smallTalk: ['farewell'], question: '' });
+    assert.deepEqual(intentOf('Hi, how are you?'), { type: 'small_talk', smallTalk: ['greeting', 'wellbeing'], question: '' });
+    assert.deepEqual(intentOf("That's all, thanks"), { type: 'small_talk', smallTalk: ['farewell', 'thanks'], question: '' });
+});
+
+test('phrases from KB entry questions are recognized', () => {
+    // kb224 "Thanks for the info", kb219 "Thanks, Twin!", kb221 "You've been very helpful"
+    assert.deepEqual(intentOf('thanks for the info'), { type: 'small_talk', smallTalk: ['thanks'], question: '' });
+    assert.deepEqual(intentOf('Thanks, Twin!'), { type: 'small_talk', smallTalk: ['thanks'], question: '' });
+    assert.deepEqual(intentOf("You've been very helpful, bye"), { type: 'small_talk', smallTalk: ['praise', 'farewell'], question: '' });
+});
+
+test('questions are not mistaken for small talk', () => {
+    for (const text of ['high blood sugar', 'history of diabetes', 'how do I log my meals', 'is that all I need to do?',
+        'how are you supposed to lower a1c', 'thanksgiving dinner ideas', 'what is twin health']) {
+        assert.equal(classifyIntent(text).type, 'kb_question', text);
+    }
+});
+
+test('closing phrases that finish a question stay in it', () => {
+    assert.deepEqual(intentOf('how do I get a good night'), { type: 'kb_question', smallTalk: [], question: 'how do I get a good night' });
+    assert.deepEqual(intentOf('how should I take care'), { type: 'kb_question', smallTalk: [], question: 'how should I take care' });
+    assert.deepEqual(intentOf('how do I sleep better and good night'),
+        { type: 'mixed', smallTalk: ['farewell'], question: 'how do I sleep better' });
+    assert.deepEqual(intentOf('what is a1c thanks'), { type: 'mixed', smallTalk: ['thanks'], question: 'what is a1c' });
+});
+
+test('compound messages are answered by their question part', () => {
+    assert.deepEqual(intentOf('thanks, but how much does it cost?'),
+        { type: 'mixed', smallTalk: ['thanks'], question: 'how much does it cost?' });
+    assert.deepEqual(intentOf('hi what is twin health'),
+        { type: 'mixed', smallTalk: ['greeting'], question: 'what is twin health' });
+    assert.deepEqual(intentOf('Hey! Can I eat rice? Thank you so much'),
+        { type: 'mixed', smallTalk: ['greeting', 'thanks'], question: 'Can I eat rice?' });
+    assert.deepEqual(intentOf('how are you? my fasting sugar is 130, is that ok'),
+        { type: 'mixed', smallTalk: ['wellbeing'], question: 'my fasting sugar is 130, is that ok' });
+});
+
+test('the question part of a compound message is passed on as typed', () => {
+    assert.deepEqual(intentOf('thanks! remind me at 8:30 pm to take metformin'),
+        { type: 'mixed', smallTalk: ['thanks'], question: 'remind me at 8:30 pm to take metformin' });
+    assert.deepEqual(intentOf('hi! log lunch: dal, rice & curd'),
+        { type: 'mixed', smallTalk: ['greeting'], question: 'log lunch: dal, rice & curd' });
+    assert.deepEqual(intentOf("Hello, what's my A1C goal? bye"),
+        { type: 'mixed', smallTalk: ['greeting', 'farewell'], question: "what's my A1C goal?" });
+});
+
+test('Hindi and Tamil small talk is recognized', () => {
+    assert.deepEqual(intentOf('नमस्ते'), { type: 'small_talk', smallTalk: ['greeting'], question: '' });
+    assert.deepEqual(intentOf('நன்றி!'), { type: 'small_talk', smallTalk: ['thanks'], question: '' });
+    assert.deepEqual(intentOf('धन्यवाद, लेकिन इसकी कीमत कितनी है?'),
+        { type: 'mixed', smallTalk: ['thanks'], question: 'इसकी कीमत कितनी है?' });
+});
+
+test('safety wins over small talk', () => {
+    const result = classifyIntent('hi, I have chest pain. thanks');
+    assert.equal(result.type, 'safety');
+    assert.equal(result.triage.ruleId, 'cardiac');
+});
+
+test('rules are configurable', () => {
+    const rules = {
+        ...INTENT_RULES,
+        smallTalk: [{ intent: 'greeting', lead: true, trail: false, phrases: ['yo'] }]
+    };
+    assert.equal(classifyIntent('yo what is a1c', rules).type, 'mixed');
+    assert.equal(classifyIntent('yo', rules).type, 'small_talk');
+});
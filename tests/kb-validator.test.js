@@ -0,0 +1,119 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { KB_READER_VERSION, validateKnowledgeBase, formatKbReport } = require('../kb-validator.js');
+const knowledgeBase = require('../knowledge_base.json');
+
+function entry(overrides = {}) {
+    return {
+        id: 'kb001',
+        question: 'What is Twin Health?',
+        answer: 'A precision health platform.',
+        tags: ['about'],
+        category: 'Company',
+        source: 'official_overview',
+        last_updated: '2026-01-05',
+        ...overrides
+    };
+}
+
+function kb(entries, overrides = {}) {
+    return { version: '3.0', min_supported_version: '2.0', entries, ...overrides };
+}
+
+test('the shipped knowledge base is valid', () => {
+    const result = validateKnowledgeBase(knowledgeBase);
+    assert.equal(result.ok, true, formatKbReport(result));
+    assert.deepEqual(result.quarantined, [], formatKbReport(result));
+    assert.equal(result.entries.length, knowledgeBase.entries.length);
+});
+
+test('bad entries are quarantined and the rest still load', () => {
+    const result = validateKnowledgeBase(kb([
+        entry(),
+        entry({ id: 'kb002', answer: undefined }),
+        entry({ id: 'kb001', question: 'Duplicate' }),
+        entry({ id: 'kb003', tags: 'diet' }),
+        entry({ id: 'kb004', last_updated: '05/01/2026' }),
+        'not an entry'
+    ]));
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.entries.map(e => e.id), ['kb001']);
+    assert.deepEqual(result.quarantined.map(q => q.index), [1, 2, 3, 4, 5]);
+    assert.match(result.quarantined[0].problems[0], /missing required field "answer"/);
+    assert.match(result.quarantined[1].problems[0], /duplicate id/);
+    assert.match(result.quarantined[2].problems[0], /"tags" must be a list/);
+    assert.match(result.quarantined[3].problems[0], /YYYY-MM-DD/);
+
+    const report = formatKbReport(result);
+    assert.match(report, /1 entries loaded, 5 quarantined/);
+    assert.match(report, /#2 \(kb002\): missing required field "answer"/);
+});
+
+test('unknown fields are reported as warnings only', () => {
+    const result = validateKnowledgeBase(kb([entry({ priority: 1 })]));
+    assert.equal(result.entries.length, 1);
+    assert.match(result.warnings[0], /unknown field\(s\): priority/);
+});
+
+test('structured answer fields are checked', () => {
+    const result = validateKnowledgeBase(kb([
+        entry({ steps: ['Open the app.', 'Tap Devices.'], follow_ups: ['How do I pair my CGM?'], related: ['kb002'], disclaimer: true }),
+        entry({ id: 'kb002', bullets: ['Protein', ''] }),
+        entry({ id: 'kb003', disclaimer: 'yes' }),
+        entry({ id: 'kb004', related: ['kb 001'] }),
+        entry({ id: 'kb005', related: ['kb001', 'kb999'] })
+    ]));
+
+    assert.deepEqual(result.entries.map(e => e.id), ['kb001', 'kb005']);
+    assert.match(result.quarantined[0].problems[0], /"bullets" must only contain non-empty text/);
+    assert.match(result.quarantined[1].problems[0], /"disclaimer" must be true or false/);
+    assert.match(result.quarantined[2].problems[0], /"related" has invalid value\(s\): kb 001/);
+
+    // kb002 was quarantined, so kb001's link to it dangles too
+    assert.deepEqual(result.warnings, [
+        'entry kb001 lists related id(s) that are not other valid entries: kb002',
+        'entry kb005 lists related id(s) that are not other valid entries: kb999'
+    ]);
+});
+
+test('translations are checked like the fields they translate', () => {
+    const hindi = { question: 'ट्विन हेल्थ क्या है?', answer: 'एक प्रिसिज़न हेल्थ प्लेटफ़ॉर्म।', tags: ['परिचय'] };
+    const result = validateKnowledgeBase(kb([
+        entry({ translations: { hi: hindi } }),
+        entry({ id: 'kb002', translations: { fr: hindi } }),
+        entry({ id: 'kb003', translations: { hi: { question: 'क्या?', tags: [] } } }),
+        entry({ id: 'kb004', translations: { ta: { ...hindi, category: 'நிறுவனம்' } } }),
+        entry({ id: 'kb005', translations: { hi: { ...hindi, bullets: [''] } } }),
+        entry({ id: 'kb006', translations: ['hi'] })
+    ]));
+
+    assert.deepEqual(result.entries.map(e => e.id), ['kb001']);
+    assert.match(result.quarantined[0].problems[0], /"translations" has unknown language "fr" \(use one of: hi, ta\)/);
+    assert.match(result.quarantined[1].problems[0], /"translations\.hi" is missing "answer"/);
+    assert.match(result.quarantined[2].problems[0], /"translations\.ta\.category" cannot be translated/);
+    assert.match(result.quarantined[3].problems[0], /"translations\.hi\.bullets" must only contain non-empty text/);
+    assert.match(result.quarantined[4].problems[0], /"translations" must map language codes to translated fields/);
+});
+
+test('the version range is enforced', () => {
+    assert.equal(validateKnowledgeBase(kb([entry()], { version: '1.5', min_supported_version: '1.0' })).ok, false);
+    assert.equal(validateKnowledgeBase(kb([entry()], { version: '4.0', min_supported_version: '4.0' })).ok, false);
+    assert.equal(validateKnowledgeBase(kb([entry()], { version: undefined })).ok, false);
+    assert.equal(validateKnowledgeBase(kb([entry()], { version: '2.0', min_supported_version: '3.0' })).ok, false);
+
+    // Newer KB content that older readers can still use is fine
+    const newer = validateKnowledgeBase(kb([entry()], { version: '3.5', min_supported_version: KB_READER_VERSION }));
+    assert.equal(newer.ok, true);
+
+    const tooNew = validateKnowledgeBase(kb([entry()], { version: '4.0', min_supported_version: '4.0' }));
+    assert.match(formatKbReport(tooNew), /requires app support for version 4\.0/);
+});
+
+test('a file without usable entries is rejected', () => {
+    assert.equal(validateKnowledgeBase(null).ok, false);
+    assert.equal(validateKnowledgeBase(kb('nope')).ok, false);
+    assert.deepEqual(validateKnowledgeBase(kb([entry({ answer: '' })])).errors, ['no valid entries']);
+});
@@ -0,0 +1,169 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeText,
+    extractKeywords,
+    tokenize,
+    findBestMatch,
+    findDisambiguationOptions,
+    rankEntries,
+    getKbEntryById,
+    localizedQuestion,
+    formatKbAnswer,
+    useMemberProfile
+} = require('../matcher.js');
+const { loadMatcherKb } = require('./accuracy-report.js');
+
+loadMatcherKb();
+
+// findBestMatch logs each decision
+test.beforeEach(() => { test.mock.method(console, 'log', () => {}); });
+test.afterEach(() => { test.mock.restoreAll(); });
+
+test('normalizeText lowercases and strips punctuation', () => {
+    assert.equal(normalizeText('  What IS Twin-Health?? '), 'what is twin health');
+    assert.equal(normalizeText('A1c: 6.5%'), 'a1c 6 5');
+    assert.equal(normalizeText(''), '');
+});
+
+test('normalizeText keeps Hindi and Tamil letters and vowel signs', () => {
+    assert.equal(normalizeText('ट्विन हेल्थ क्या है?'), 'ट्विन हेल्थ क्या है');
+    assert.equal(normalizeText('ட்வின் ஹெல்த் என்றால் என்ன?'), 'ட்வின் ஹெல்த் என்றால் என்ன');
+    // Zero-width joiners typed by some keyboards do not change the word
+    assert.equal(normalizeText('क्\u200Dया'), 'क्या');
+});
+
+test('extractKeywords drops stop words and very short words', () => {
+    assert.deepEqual(extractKeywords('What is the cost of the program?'), ['cost', 'program']);
+    assert.deepEqual(extractKeywords('walk 10 minutes'), ['walk', 'minutes']);
+});
+
+test('tokenize stems plural and verb forms together', () => {
+    assert.deepEqual(tokenize('meals'), tokenize('meal'));
+    assert.deepEqual(tokenize('tips'), tokenize('tip'));
+});
+
+test('exact KB questions match their own entry', () => {
+    const match = findBestMatch('What is Twin Health?');
+    assert.equal(match.id, 'kb001');
+    assert.equal(findDisambiguationOptions('What is Twin Health?'), null);
+});
+
+test('empty or one-letter messages never match', () => {
+    assert.equal(findBestMatch(''), null);
+    assert.equal(findBestMatch('a'), null);
+});
+
+test('ranked scores are normalized to 0-100', () => {
+    const ranked = rankEntries('how does the cgm sensor work', 5);
+    assert.ok(ranked.length > 0);
+    for (const { score } of ranked) {
+        assert.ok(score > 0 && score <= 100, String(score));
+    }
+    assert.deepEqual(ranked.map(r => r.score), [...ranked.map(r => r.score)].sort((a, b) => b - a));
+});
+
+test('plain-string answers format as their text alone', () => {
+    assert.deepEqual(formatKbAnswer(getKbEntryById('kb001')), {
+        text: getKbEntryById('kb001').answer,
+        followUps: [],
+        related: [],
+        disclaimer: false
+    });
+});
+
+test('structured answers render lists, chips and the disclaimer flag', () => {
+    const answer = formatKbAnswer({
+        id: 'x1',
+        answer: 'Intro.',
+        bullets: ['One', 'Two'],
+        steps: ['First', 'Second'],
+        follow_ups: ['What next?'],
+        related: ['kb001', 'x1', 'missing'],
+        disclaimer: true
+    });
+
+    assert.equal(answer.text, 'Intro.\n\n- One\n- Two\n\n1. First\n2. Second');
+    assert.deepEqual(answer.followUps, ['What next?']);
+    assert.deepEqual(answer.related, [{ id: 'kb001', question: 'What is Twin Health?' }]);
+    assert.equal(answer.disclaimer, true);
+});
+
+test('Hindi and Tamil questions match translated entries', () => {
+    const cases = [
+        ['ट्विन हेल्थ क्या है?', 'kb001'],
+        ['इसकी कीमत कितनी है', 'kb362'],
+        ['क्या बीमा में कवर होता है?', 'kb020'],
+        ['ட்வின் ஹெல்த் எங்கே கிடைக்கிறது?', 'kb361'],
+        ['காப்பீடு உள்ளதா', 'kb020'],
+        ['நீரிழிவை எப்படிக் குறைப்பது?', 'kb390']
+    ];
+    for (const [query, id] of cases) {
+        const match = findBestMatch(query);
+        assert.ok(match, query);
+        assert.equal(match.id, id, query);
+    }
+});
+
+test('translated entries answer in the requested language', () => {
+    const entry = getKbEntryById('kb001');
+    assert.equal(formatKbAnswer(entry, null, 'hi').text, entry.translations.hi.answer);
+    assert.equal(formatKbAnswer(entry, null, 'ta').text, entry.translations.ta.answer);
+    assert.equal(formatKbAnswer(entry, null, 'en').text, entry.answer);
+    assert.equal(localizedQuestion(entry, 'hi'), 'ट्विन हेल्थ क्या है?');
+
+    // Entries without a translation stay English
+    const untranslated = getKbEntryById('kb064');
+    assert.equal(formatKbAnswer(untranslated, null, 'hi').text, formatKbAnswer(untranslated).text);
+    assert.equal(localizedQuestion(untranslated, 'ta'), untranslated.question);
+});
+
+test('list items of structured answers are searchable', () => {
+    const [best] = rankEntries('scan the barcode on packaged food', 1);
+    assert.equal(best.entry.id, 'kb064');
+});
+
+test('answer variants are chosen by the member profile', () => {
+    const entry = {
+        id: 'x1',
+        answer: 'Generic.',
+        disclaimer: true,
+        variants: [
+            { when: { diet: ['vegan', 'vegetarian'], region: 'india' }, answer: 'Plant-based in India.' },
+            { when: { diet: 'vegan' }, answer: 'Vegan.', disclaimer: false }
+        ]
+    };
+
+    assert.equal(formatKbAnswer(entry).text, 'Generic.');
+    assert.equal(formatKbAnswer(entry, {}).text, 'Generic.');
+    assert.equal(formatKbAnswer(entry, { diet: 'vegetarian', region: 'india' }).text, 'Plant-based in India.');
+    assert.equal(formatKbAnswer(entry, { diet: 'vegetarian', region: 'india' }).disclaimer, true);
+    assert.deepEqual(formatKbAnswer(entry, { diet: 'vegan' }), {
+        text: 'Vegan.', followUps: [], related: [], disclaimer: false
+    });
+});
+
+test('a profile boosts related entries the query already matched', () => {
+    const query = 'what protein should I eat';
+    const before = rankEntries(query, 20);
+    const vegetarianBefore = before.find(r => r.entry.id === 'kb230');
+    const withoutProfile = rankEntries('walking after dinner', 400).map(r => r.entry.id).sort();
+
+    useMemberProfile(['vegetarian plant based']);
+    try {
+        const after = rankEntries(query, 20, '', true);
+        const vegetarianAfter = after.find(r => r.entry.id === 'kb230');
+        assert.ok(vegetarianAfter.score > vegetarianBefore.score);
+        assert.ok(vegetarianAfter.breakdown.profile > 0 && vegetarianAfter.breakdown.profile <= 10);
+
+        // Nothing the member's words missed is pulled in by the profile
+        assert.deepEqual(
+            rankEntries('walking after dinner', 400).map(r => r.entry.id).sort(),
+            withoutProfile
+        );
+    } finally {
+        useMemberProfile([]);
+    }
+});
@@ -0,0 +1,142 @@
+// A stand-in for an OpenAI-compatible chat-completions server, for tests
+// and for trying the HTTP answer backend without a real LLM.
+//
+//   node tests/mock-llm-server.js [port]
+//
+// then in the chatbot's ⚙️ Answer sources panel use
+// http://localhost:<port>/v1/chat/completions.
+//
+// The reply names the knowledge base entries it was grounded in, streamed
+// a word at a time. The model name picks other behaviour:
+//   mock-json    one JSON body instead of a stream
+//   mock-error   HTTP 500
+//   mock-stall   sends the first word, then nothing until the client gives up
+//   mock-slow    waits `slowMs` before answering
+const http = require('http');
+
+const CHAT_PATH = '/v1/chat/completions';
+
+function groundedIds(messages) {
+    const system = (messages || []).find(m => m.role === 'system');
+    return system ? [...system.content.matchAll(/\[(kb\d+)\]/g)].map(m => m[1]) : [];
+}
+
+function mockReply(body) {
+    const ids = groundedIds(body.messages);
+    return ids.length > 0
+        ? `Mock answer based on ${ids.join(', ')}.`
+        : 'Mock answer with no knowledge base entries.';
+}
+
+function sendCors(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+}
+
+function streamReply(res, words, { stall = false, wordMs = 5 } = {}) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+    const sendChunk = (content) => {
+        res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`);
+    };
+
+    sendChunk(words[0]);
+    if (stall) return;
+
+    let index = 1;
+    const timer = setInterval(() => {
+        if (index < words.length) {
+            sendChunk(words[index++]);
+            return;
+        }
+        clearInterval(timer);
+        res.write('data: [DONE]\n\n');
+        res.end();
+    }, wordMs);
+    res.on('close', () => clearInterval(timer));
+}
+
+// Resolves to { url, requests, close() }; requests records every chat request
+function startMockLlmServer({ port = 0, slowMs = 2000 } = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        sendCors(res);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST' || req.url !== CHAT_PATH) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: 'Not found' } }));
+            return;
+        }
+
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(raw);
+            } catch (err) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'Body is not JSON' } }));
+                return;
+            }
+            requests.push({ headers: req.headers, body });
+
+            const reply = mockReply(body);
+            const words = reply.split(/(?<= )/);
+
+            switch (body.model) {
+                case 'mock-error':
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: { message: 'Mock failure' } }));
+                    break;
+                case 'mock-json':
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: reply } }] }));
+                    break;
+                case 'mock-stall':
+                    streamReply(res, words, { stall: true });
+                    break;
+                case 'mock-slow': {
+                    const timer = setTimeout(() => streamReply(res, words), slowMs);
+                    res.on('close', () => clearTimeout(timer));
+                    break;
+                }
+                default:
+                    if (body.stream) {
+                        streamReply(res, words);
+                    } else {
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: reply } }] }));
+                    }
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}${CHAT_PATH}`,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+module.exports = { startMockLlmServer };
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 8787;
+    startMockLlmServer({ port }).then(({ url }) => {
+        console.log(`Mock chat-completions server at ${url}`);
+    });
+}
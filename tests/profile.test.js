@@ -0,0 +1,32 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PROFILE_FIELDS, sanitizeProfile, profileBoostTexts } = require('../profile.js');
+const { KB_PROFILE_CONDITIONS } = require('../kb-validator.js');
+
+test('profile fields match the conditions KB variants can use', () => {
+    const fields = {};
+    PROFILE_FIELDS.forEach(field => {
+        fields[field.key] = field.options.map(option => option.value).sort();
+    });
+    const conditions = {};
+    Object.keys(KB_PROFILE_CONDITIONS).forEach(key => {
+        conditions[key] = [...KB_PROFILE_CONDITIONS[key]].sort();
+    });
+    assert.deepEqual(fields, conditions);
+});
+
+test('sanitizeProfile keeps only known fields and values', () => {
+    assert.deepEqual(sanitizeProfile({ diet: 'vegan', region: 'mars', name: 'Asha', medication: '' }), { diet: 'vegan' });
+    assert.deepEqual(sanitizeProfile(null), {});
+    assert.deepEqual(sanitizeProfile('vegan'), {});
+});
+
+test('profileBoostTexts has one text per boosting field', () => {
+    assert.deepEqual(profileBoostTexts({}), []);
+    assert.deepEqual(
+        profileBoostTexts({ diet: 'vegetarian', medication: 'insulin', diabetes_type: 'none' }),
+        ['vegetarian plant based', 'insulin']
+    );
+});
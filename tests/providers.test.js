@@ -0,0 +1,181 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    runProviderChain,
+    createHttpProvider,
+    buildChatCompletionMessages,
+    sanitizeAnswerBackend
+} = require('../providers.js');
+const { startMockLlmServer } = require('./mock-llm-server.js');
+
+const GROUNDING = [
+    { id: 'kb001', question: 'What is Twin Health?', answer: 'A whole-body digital twin program.' },
+    { id: 'kb002', question: 'How much does it cost?', answer: 'It depends on your plan.' }
+];
+
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    return Promise.resolve().then(fn).finally(() => { console.warn = warn; });
+}
+
+function httpProvider(url, overrides = {}) {
+    const config = { enabled: true, url, model: 'mock', apiKey: '', timeoutSeconds: 5, ...overrides };
+    return createHttpProvider(() => config);
+}
+
+test('the chain returns the first answer and skips disabled providers', async () => {
+    const calls = [];
+    const provider = (name, response, enabled = true) => ({
+        name,
+        isEnabled: () => enabled,
+        respond: () => { calls.push(name); return response; }
+    });
+
+    const response = await runProviderChain([
+        provider('off', { text: 'never' }, false),
+        provider('pass', null),
+        provider('answer', { text: 'hi' }),
+        provider('late', { text: 'too late' })
+    ], {});
+
+    assert.deepEqual(calls, ['pass', 'answer']);
+    assert.deepEqual(response, { provider: 'answer', text: 'hi' });
+});
+
+test('a failing provider is reported and the next one answers', async () => {
+    const failures = [];
+    const response = await quietly(() => runProviderChain([
+        { name: 'broken', respond: async () => { throw new Error('down'); } },
+        { name: 'backup', respond: () => ({ text: 'from backup' }) }
+    ], {}, { onError: (provider, err) => failures.push([provider.name, err.message]) }));
+
+    assert.deepEqual(failures, [['broken', 'down']]);
+    assert.equal(response.text, 'from backup');
+});
+
+test('a cancelled request stops the chain with the partial text', async () => {
+    const controller = new AbortController();
+    const response = await runProviderChain([
+        {
+            name: 'streaming',
+            respond: async () => {
+                controller.abort();
+                const err = new Error('aborted');
+                err.partialText = 'Half an';
+                throw err;
+            }
+        },
+        { name: 'fallback', respond: () => ({ text: 'should not run' }) }
+    ], { signal: controller.signal });
+
+    assert.deepEqual(response, { cancelled: true, partialText: 'Half an' });
+});
+
+test('chat messages carry the grounding, the history and the question', () => {
+    const messages = buildChatCompletionMessages({
+        query: 'Is it covered?',
+        grounding: GROUNDING,
+        history: [{ role: 'user', content: 'What is Twin Health?' }, { role: 'assistant', content: 'A program.' }]
+    });
+
+    assert.equal(messages.length, 4);
+    assert.equal(messages[0].role, 'system');
+    assert.match(messages[0].content, /\[kb001\] Q: What is Twin Health\?\nA: A whole-body/);
+    assert.match(messages[0].content, /\[kb002\]/);
+    assert.deepEqual(messages[3], { role: 'user', content: 'Is it covered?' });
+});
+
+test('sanitizeAnswerBackend keeps the backend off unless enabled explicitly', () => {
+    assert.deepEqual(sanitizeAnswerBackend(null), { enabled: false, url: '', model: '', apiKey: '', timeoutSeconds: 20 });
+    const config = sanitizeAnswerBackend({ enabled: 'yes', url: ' http://x/v1/chat/completions ', timeoutSeconds: '-3' });
+    assert.equal(config.enabled, false);
+    assert.equal(config.url, 'http://x/v1/chat/completions');
+    assert.equal(config.timeoutSeconds, 20);
+    assert.equal(sanitizeAnswerBackend({ timeoutSeconds: 9999 }).timeoutSeconds, 300);
+});
+
+test('the HTTP provider', async (t) => {
+    const server = await startMockLlmServer({ slowMs: 3000 });
+    t.after(() => server.close());
+
+    await t.test('streams the answer token by token', async () => {
+        const tokens = [];
+        const response = await httpProvider(server.url, { apiKey: 'secret' }).respond({
+            query: 'What is Twin Health?',
+            grounding: GROUNDING,
+            history: [],
+            onToken: text => tokens.push(text)
+        });
+
+        assert.equal(response.text, 'Mock answer based on kb001, kb002.');
+        assert.equal(response.disclaimer, true);
+        assert.ok(tokens.length > 3, 'text arrives in several pieces');
+        assert.equal(tokens[tokens.length - 1], 'Mock answer based on kb001, kb002.');
+
+        const { headers, body } = server.requests[server.requests.length - 1];
+        assert.equal(headers.authorization, 'Bearer secret');
+        assert.equal(body.stream, true);
+        assert.equal(body.model, 'mock');
+        assert.equal(body.messages[body.messages.length - 1].content, 'What is Twin Health?');
+    });
+
+    await t.test('accepts a plain JSON reply', async () => {
+        const response = await httpProvider(server.url, { model: 'mock-json' })
+            .respond({ query: 'hello', grounding: [], history: [] });
+        assert.equal(response.text, 'Mock answer with no knowledge base entries.');
+    });
+
+    await t.test('fails on an HTTP error', async () => {
+        await assert.rejects(
+            httpProvider(server.url, { model: 'mock-error' }).respond({ query: 'q', grounding: [] }),
+            /HTTP 500/
+        );
+    });
+
+    await t.test('gives up when the backend goes quiet', async () => {
+        const started = Date.now();
+        await assert.rejects(
+            httpProvider(server.url, { model: 'mock-stall', timeoutSeconds: 0.2 }).respond({ query: 'q', grounding: [] }),
+            err => /sent nothing/.test(err.message) && err.partialText === 'Mock '
+        );
+        assert.ok(Date.now() - started < 2000);
+
+        await assert.rejects(
+            httpProvider(server.url, { model: 'mock-slow', timeoutSeconds: 0.2 }).respond({ query: 'q', grounding: [] }),
+            /sent nothing/
+        );
+    });
+
+    await t.test('fails when the backend is unreachable', async () => {
+        await assert.rejects(
+            httpProvider('http://127.0.0.1:9/v1/chat/completions').respond({ query: 'q', grounding: [] })
+        );
+    });
+
+    await t.test('stops when the request is cancelled without trying the next provider', async () => {
+        const controller = new AbortController();
+        const response = await runProviderChain([
+            httpProvider(server.url, { model: 'mock-stall' }),
+            { name: 'fallback', respond: () => ({ text: 'should not run' }) }
+        ], {
+            query: 'q',
+            grounding: [],
+            signal: controller.signal,
+            onToken: () => controller.abort()
+        });
+
+        assert.deepEqual(response, { cancelled: true, partialText: 'Mock ' });
+    });
+
+    await t.test('an unreachable backend falls back to the next provider', async () => {
+        const response = await quietly(() => runProviderChain([
+            httpProvider(server.url, { model: 'mock-error' }),
+            { name: 'fallback', respond: () => ({ text: 'from the knowledge base' }) }
+        ], { query: 'q', grounding: [] }));
+
+        assert.equal(response.provider, 'fallback');
+    });
+});
@@ -0,0 +1,143 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const i18n = require('../i18n.js');
+['en', 'hi', 'ta'].forEach(code => i18n.useLocaleMessages(code, require(`../locales/${code}.json`)));
+global.t = i18n.t;
+global.tList = i18n.tList;
+
+const {
+    extractReminderWhen,
+    parseReminderCommand,
+    nextReminderTime,
+    buildReminder,
+    sanitizeReminder,
+    dueReminders,
+    advanceReminder,
+    reminderSuggestionFor,
+    reminderProvider
+} = require('../reminders.js');
+
+// Sunday afternoon
+const now = new Date(2026, 9, 18, 14, 5);
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+test('reminder commands give the text, the time and how often', () => {
+    assert.deepEqual(parseReminderCommand('remind me to walk after dinner at 8pm', now), {
+        action: 'set', text: 'walk after dinner', time: '20:00', repeat: 'once', dayOffset: null, dueAt: at(18, 20)
+    });
+    assert.deepEqual(parseReminderCommand('remind me every day at 8am to take metformin', now), {
+        action: 'set', text: 'take metformin', time: '08:00', repeat: 'daily', dayOffset: null, dueAt: at(19, 8)
+    });
+    assert.deepEqual(parseReminderCommand('please remind me tomorrow morning to check my sugar', now).dueAt, at(19, 8));
+    assert.deepEqual(parseReminderCommand('set a reminder for 9:30 pm: take medicine', now).text, 'take medicine');
+    assert.deepEqual(parseReminderCommand('show my reminders', now), { action: 'list' });
+});
+
+test('relative times count from now', () => {
+    assert.deepEqual(parseReminderCommand('remind me in 30 minutes to drink water', now).dueAt, at(18, 14, 35));
+    assert.deepEqual(parseReminderCommand('remind me in an hour to stretch', now).dueAt, at(18, 15, 5));
+    assert.deepEqual(extractReminderWhen('20 मिनट में', now).dueAt, at(18, 14, 25));
+});
+
+test('an hour without am or pm follows the words around it', () => {
+    assert.equal(parseReminderCommand('Remind me to walk after dinner at 8', now).time, '20:00');
+    assert.equal(parseReminderCommand('remind me to eat breakfast at 8', now).time, '08:00');
+    assert.equal(extractReminderWhen('tomorrow at 7', now).time, '07:00');
+    assert.equal(extractReminderWhen('at 11 at night', now).time, '23:00');
+    // Otherwise whichever comes round next
+    assert.equal(extractReminderWhen('at 3', now).time, '15:00');
+    assert.equal(extractReminderWhen('at 2', now).time, '02:00');
+    assert.equal(parseReminderCommand('remind me to take 2 tablets at 9', now).text, 'take 2 tablets');
+});
+
+test('missing parts are left for the chat to ask about', () => {
+    assert.deepEqual(parseReminderCommand('remind me', now), {
+        action: 'set', text: '', time: null, repeat: 'once', dayOffset: null, dueAt: null
+    });
+    assert.equal(parseReminderCommand('remind me to drink water', now).time, null);
+    assert.equal(parseReminderCommand('remind me at 7:15 am', now).text, '');
+});
+
+test('a new question while the chat asks what to remind about is answered instead', async () => {
+    const kbQuestion = query => ({ type: 'kb_question', smallTalk: [], question: query, triage: null });
+    const waitingForText = () => ({ reminderFlow: {
+        text: '', time: '20:00', repeat: 'once', dayOffset: null, dueAt: null, awaiting: 'text', startedAt: Date.now()
+    } });
+
+    const dialogue = waitingForText();
+    const asked = await reminderProvider.respond({ intent: kbQuestion('what does hba1c mean?'), query: 'what does hba1c mean?', dialogue, locale: 'en' });
+    assert.equal(asked, null);
+    assert.equal(dialogue.reminderFlow, undefined);
+
+    // A plain answer is still the reminder text
+    const answered = waitingForText();
+    answered.reminderFlow.time = null;
+    const reply = await reminderProvider.respond({ intent: kbQuestion('take metformin'), query: 'take metformin', dialogue: answered, locale: 'en' });
+    assert.equal(reply.reminder, true);
+    assert.equal(answered.reminderFlow.text, 'take metformin');
+    assert.equal(answered.reminderFlow.awaiting, 'when');
+});
+
+test('questions and other messages are not reminder commands', () => {
+    assert.equal(parseReminderCommand('can you remind me what HbA1c is?', now), null);
+    assert.equal(parseReminderCommand('remind me how the program works', now), null);
+    assert.equal(parseReminderCommand('how do I set a reminder in the app?', now), null);
+    assert.equal(parseReminderCommand('I walk every day at 7', now), null);
+});
+
+test('Hindi and Tamil commands end with the request', () => {
+    assert.deepEqual(parseReminderCommand('रोज़ सुबह 8 बजे दवा लेना याद दिलाना', now), {
+        action: 'set', text: 'दवा लेना', time: '08:00', repeat: 'daily', dayOffset: null, dueAt: at(19, 8)
+    });
+    assert.equal(parseReminderCommand('रात के खाने के बाद टहलना याद दिलाना', now).text, 'रात के खाने के बाद टहलना');
+    assert.deepEqual(parseReminderCommand('இரவு ௮ மணிக்கு நடக்க நினைவூட்டு', now).dueAt, at(18, 20));
+});
+
+test('every language\'s time choices are understood', () => {
+    Object.keys(i18n.I18N_LOCALES).forEach(locale => {
+        const [inAnHour, tonight, tomorrow, everyDay] = i18n.tList('reminders.whenChoices', locale)
+            .map(choice => extractReminderWhen(choice, now));
+        assert.deepEqual(inAnHour.dueAt, at(18, 15, 5), locale);
+        assert.deepEqual(tonight.dueAt, at(18, 20), locale);
+        assert.deepEqual(tomorrow.dueAt, at(19, 8), locale);
+        assert.deepEqual([everyDay.repeat, everyDay.time], ['daily', '08:00'], locale);
+        [inAnHour, tonight, tomorrow, everyDay].forEach(when => assert.equal(when.rest, '', locale));
+    });
+});
+
+test('times already past today move to tomorrow', () => {
+    assert.deepEqual(nextReminderTime('20:00', now), at(18, 20));
+    assert.deepEqual(nextReminderTime('14:05', now), at(19, 14, 5));
+    assert.deepEqual(nextReminderTime('08:00', now, 1), at(19, 8));
+});
+
+test('daily reminders move on after firing and one-off ones switch off', () => {
+    const daily = buildReminder({ text: 'Walk', time: '08:00', repeat: 'daily', dueAt: at(16, 8) }, 'chat_1', at(15, 9));
+    const once = buildReminder({ text: 'Call coach', time: '12:00', repeat: 'once', dueAt: at(18, 12) }, null, at(15, 9));
+    const later = buildReminder({ text: 'Water', time: '20:00', repeat: 'once', dueAt: at(18, 20) }, null, at(15, 9));
+
+    assert.deepEqual(dueReminders([later, once, daily], now).map(r => r.text), ['Walk', 'Call coach']);
+    // Missed days are skipped rather than fired one by one
+    assert.equal(advanceReminder(daily, now).dueAt, at(19, 8).toISOString());
+    assert.equal(advanceReminder(once, now).enabled, false);
+    assert.equal(dueReminders([advanceReminder(once, now)], now).length, 0);
+});
+
+test('stored reminders are checked before use', () => {
+    const reminder = buildReminder({ text: 'Walk', time: '20:00', repeat: 'daily', dueAt: at(18, 20) }, 'chat_1', now);
+    assert.deepEqual(sanitizeReminder(reminder), { ...reminder, lastFiredAt: null });
+    assert.equal(sanitizeReminder({ ...reminder, time: '25:00' }), null);
+    assert.equal(sanitizeReminder({ ...reminder, repeat: 'weekly' }), null);
+    assert.equal(sanitizeReminder({ ...reminder, text: ' ' }), null);
+});
+
+test('answers about walks, water and medication suggest a reminder', () => {
+    const suggestion = (question, category = 'General Health') => reminderSuggestionFor({ question, category });
+    assert.deepEqual(suggestion('Should I walk after meals?'), { key: 'walk', time: '20:00' });
+    assert.deepEqual(suggestion('How much water should I drink?', 'Nutrition'), { key: 'water', time: '10:00' });
+    assert.deepEqual(suggestion('Can I stop taking metformin?', 'Medical Guidance'), { key: 'medication', time: '08:00' });
+    assert.deepEqual(suggestion('Is yoga good for me?', 'Physical Activity'), { key: 'exercise', time: '18:00' });
+    assert.equal(suggestion('What is Twin Health?', 'Company'), null);
+});
@@ -0,0 +1,151 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SAFETY_RULES, parseGlucoseReadings, triageMessage } = require('../safety.js');
+const golden = require('./golden-queries.json');
+
+test('parses glucose readings with and without units', () => {
+    assert.deepEqual(parseGlucoseReadings('my sugar is 40'), [{ value: 40, unit: 'mg/dL', mgdl: 40 }]);
+    assert.deepEqual(parseGlucoseReadings('cgm says 320 mg/dl'), [{ value: 320, unit: 'mg/dL', mgdl: 320 }]);
+
+    const [mmol] = parseGlucoseReadings('fasting glucose 3.5 mmol/L');
+    assert.equal(mmol.unit, 'mmol/L');
+    assert.equal(Math.round(mmol.mgdl), 63);
+
+    const [unitless] = parseGlucoseReadings('my sugar is 2.8');
+    assert.equal(unitless.unit, 'mmol/L');
+});
+
+test('ignores numbers that are not glucose readings', () => {
+    assert.deepEqual(parseGlucoseReadings('my a1c is 6.5'), []);
+    assert.deepEqual(parseGlucoseReadings('my weight is 50 kg'), []);
+    assert.deepEqual(parseGlucoseReadings('sugar was fine, walked 30 minutes'), []);
+    assert.deepEqual(parseGlucoseReadings('I have had t2d for 10 years'), []);
+    assert.deepEqual(parseGlucoseReadings('metformin 500 mg'), []);
+});
+
+test('counts, durations and times of day are not readings', () => {
+    assert.equal(triageMessage('how do I check my sugar 2x a day'), null);
+    assert.equal(triageMessage('my sugar level 1 week after starting is better'), null);
+    assert.equal(triageMessage('sugar level at 3am was 110'), null);
+    assert.equal(triageMessage('sugar level at 3 am was 110'), null);
+    // A small whole number is mmol/L only right after a glucose keyword
+    assert.equal(parseGlucoseReadings('my sugar is 3')[0].unit, 'mmol/L');
+    assert.equal(triageMessage('my sugar was 50 am i ok').ruleId, 'hypoglycemia_severe');
+});
+
+test('small lows are flagged however they are worded', () => {
+    // "am" before a pronoun starts a question, not a clock time
+    assert.equal(triageMessage('my sugar is 3 am i ok').ruleId, 'hypoglycemia');
+    assert.equal(triageMessage('my blood sugar dropped to 3').ruleId, 'hypoglycemia');
+    assert.equal(triageMessage('my sugar fell to 2.9').ruleId, 'hypoglycemia_severe');
+    assert.equal(triageMessage('sugar went down to 3').ruleId, 'hypoglycemia');
+    assert.equal(triageMessage('glucose at 3').ruleId, 'hypoglycemia');
+    assert.equal(triageMessage('sugar is 3').ruleId, 'hypoglycemia');
+});
+
+test('numeric thresholds map to the right severity', () => {
+    const cases = [
+        ['my sugar is 65', 'hypoglycemia', 'urgent'],
+        ['my sugar level is 45', 'hypoglycemia_severe', 'emergency'],
+        ['glucose 3.1 mmol/L', 'hypoglycemia', 'urgent'],
+        ['my sugar is 40 and I feel faint', 'hypoglycemia_symptomatic', 'emergency'],
+        ['cgm reading 320', 'hyperglycemia', 'urgent'],
+        ['my sugar was 450', 'hyperglycemia_severe', 'emergency'],
+        ['sugar 25 mmol/l', 'hyperglycemia_severe', 'emergency']
+    ];
+
+    for (const [message, ruleId, severity] of cases) {
+        const result = triageMessage(message);
+        assert.ok(result, `expected "${message}" to be triaged`);
+        assert.equal(result.ruleId, ruleId, message);
+        assert.equal(result.severity, severity, message);
+    }
+});
+
+test('readings at the thresholds themselves are not escalated', () => {
+    const { low, high } = SAFETY_RULES.glucose;
+    assert.equal(triageMessage(`my sugar is ${low}`), null);
+    assert.equal(triageMessage(`my sugar is ${high}`), null);
+    assert.equal(triageMessage('sugar after lunch was 180'), null);
+});
+
+test('phrase patterns catch cardiac, stroke, DKA and self-harm messages', () => {
+    const cases = [
+        ['I have chest pain', 'cardiac'],
+        ["I can't breathe properly", 'cardiac'],
+        ['I think I am having a stroke', 'stroke'],
+        ['my face is drooping and I have slurred speech', 'stroke'],
+        ['my ketones are high', 'hyperglycemia_crisis'],
+        ['I want to kill myself', 'self_harm'],
+        ['sometimes I feel suicidal', 'self_harm']
+    ];
+
+    for (const [message, ruleId] of cases) {
+        const result = triageMessage(message);
+        assert.ok(result, `expected "${message}" to be triaged`);
+        assert.equal(result.ruleId, ruleId, message);
+        assert.equal(result.severity, 'emergency', message);
+    }
+});
+
+test('Hindi and Tamil emergencies and readings are triaged', () => {
+    const cases = [
+        ['मेरे सीने में दर्द है', 'cardiac'],
+        ['எனக்கு நெஞ்சு வலி இருக்கிறது', 'cardiac'],
+        ['मुझे सांस लेने में तकलीफ हो रही है', 'cardiac'],
+        ['मैं आत्महत्या के बारे में सोच रहा हूँ', 'self_harm'],
+        ['மூச்சு விட முடியவில்லை', 'cardiac'],
+        ['मेरी शुगर 45 है', 'hypoglycemia_severe']
+    ];
+
+    for (const [message, ruleId] of cases) {
+        const result = triageMessage(message);
+        assert.ok(result, `expected "${message}" to be triaged`);
+        assert.equal(result.ruleId, ruleId, message);
+    }
+    assert.equal(triageMessage('ट्विन हेल्थ क्या है?'), null);
+});
+
+test('medical history and questions about conditions are not emergencies', () => {
+    assert.equal(triageMessage('i had a heart attack before can i join'), null);
+    assert.equal(triageMessage('I had a stroke 5 years ago, is the program safe'), null);
+    assert.equal(triageMessage('what is dka'), null);
+    assert.equal(triageMessage('can ketoacidosis happen on a low carb diet?'), null);
+    assert.equal(triageMessage('I think I have dka, I keep vomiting').ruleId, 'hyperglycemia_crisis');
+});
+
+test('golden knowledge base questions are not triaged', () => {
+    for (const { query } of golden.queries) {
+        assert.equal(triageMessage(query), null, query);
+    }
+});
+
+test('phrases only match whole words', () => {
+    assert.equal(triageMessage('what is a good blood sugar level'), null);
+    assert.equal(triageMessage('What is the keto diet?'), null);
+    assert.equal(triageMessage('How does the technology work?'), null);
+});
+
+test('the most serious match wins and the reading is filled in', () => {
+    const result = triageMessage('my sugar is 65 and I have chest pain');
+    assert.equal(result.severity, 'emergency');
+    assert.equal(result.ruleId, 'cardiac');
+
+    const reading = triageMessage('my sugar is 65');
+    assert.match(reading.response, /65 mg\/dL/);
+    assert.doesNotMatch(reading.response, /\{reading\}/);
+});
+
+test('rules are configurable', () => {
+    const rules = {
+        ...SAFETY_RULES,
+        glucose: { ...SAFETY_RULES.glucose, low: 80 },
+        phrases: [{ id: 'custom', severity: 'urgent', patterns: ['feeling woozy'], response: ['Custom'] }]
+    };
+
+    assert.equal(triageMessage('my sugar is 75', rules).ruleId, 'hypoglycemia');
+    assert.equal(triageMessage('feeling woozy today', rules).ruleId, 'custom');
+    assert.equal(triageMessage('I have chest pain', rules), null);
+});
@@ -0,0 +1,56 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { searchPlainText, searchChats } = require('../search.js');
+
+const chats = {
+    chat_1: [
+        { text: 'Welcome! Ask me about fasting.', user: false, isWelcome: true },
+        { text: 'Can I try intermittent fasting?', user: true, timestamp: '2026-01-01T09:00:00Z' },
+        { text: '**Intermittent fasting** can help. See [this guide](https://example.com).', user: false, kbId: 'kb050', timestamp: '2026-01-01T09:00:01Z' }
+    ],
+    chat_2: [
+        { text: 'what is a normal fasting glucose', user: true, timestamp: '2026-02-01T09:00:00Z' },
+        { text: 'A normal fasting glucose is below 100 mg/dL.', user: false, kbId: 'kb200', timestamp: '2026-02-01T09:00:01Z' }
+    ]
+};
+
+const categoryOf = (kbId) => ({ kb050: 'Nutrition', kb200: 'General Health' }[kbId] || null);
+
+test('markup is removed before searching and showing snippets', () => {
+    assert.equal(
+        searchPlainText('**Bold** and *italic* with a [link](https://example.com)\n- item'),
+        'Bold and italic with a link item'
+    );
+});
+
+test('every word must match, in any order, ignoring case', () => {
+    const hits = searchChats(chats, 'FASTING intermittent', { categoryOf });
+    assert.deepEqual(hits.map(h => [h.chatId, h.index]), [['chat_1', 2], ['chat_1', 1]]);
+    assert.equal(searchChats(chats, 'fasting pizza').length, 0);
+    assert.equal(searchChats(chats, '   ').length, 0);
+});
+
+test('results are newest first and skip welcome messages', () => {
+    const hits = searchChats(chats, 'fasting', { categoryOf });
+    assert.deepEqual(hits.map(h => h.timestamp), [
+        '2026-02-01T09:00:01Z', '2026-02-01T09:00:00Z', '2026-01-01T09:00:01Z', '2026-01-01T09:00:00Z'
+    ]);
+});
+
+test('speaker and KB category filters narrow the results', () => {
+    assert.deepEqual(searchChats(chats, 'fasting', { speaker: 'user' }).map(h => h.user), [true, true]);
+
+    const nutrition = searchChats(chats, 'fasting', { speaker: 'bot', category: 'Nutrition', categoryOf });
+    assert.equal(nutrition.length, 1);
+    assert.equal(nutrition[0].kbId, 'kb050');
+    assert.equal(nutrition[0].category, 'Nutrition');
+});
+
+test('snippets highlight each matching word', () => {
+    const [hit] = searchChats(chats, 'intermittent fasting', { speaker: 'bot', categoryOf });
+    const marked = hit.snippet.ranges.map(([start, end]) => hit.snippet.text.slice(start, end));
+    assert.equal(hit.snippet.text, 'Intermittent fasting can help. See this guide.');
+    assert.deepEqual(marked, ['Intermittent', 'fasting']);
+});
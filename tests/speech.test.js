@@ -0,0 +1,60 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SPEECH_LANGUAGES,
+    sanitizeVoiceSettings,
+    pickSpeechLanguage,
+    toSpokenText,
+    splitForSpeech
+} = require('../speech.js');
+const { I18N_LOCALES } = require('../i18n.js');
+
+test('every interface language has a speech language', () => {
+    Object.keys(I18N_LOCALES).forEach(locale => {
+        assert.ok(SPEECH_LANGUAGES.some(language => language.locale === locale), locale);
+    });
+});
+
+test('sanitizeVoiceSettings keeps only known languages and a boolean read-aloud flag', () => {
+    assert.deepEqual(sanitizeVoiceSettings({ language: 'hi-IN', readAloud: true }), { language: 'hi-IN', readAloud: true });
+    assert.deepEqual(sanitizeVoiceSettings({ language: 'xx-YY', readAloud: 'yes', extra: 1 }), { language: '', readAloud: false });
+    assert.deepEqual(sanitizeVoiceSettings(null), { language: '', readAloud: false });
+});
+
+test('pickSpeechLanguage prefers the chosen language, then the browser variant', () => {
+    assert.equal(pickSpeechLanguage('en', 'en-US', 'en-IN'), 'en-US');
+    assert.equal(pickSpeechLanguage('en', '', 'en-us'), 'en-US');
+    assert.equal(pickSpeechLanguage('en', '', 'fr-FR'), 'en-IN');
+    assert.equal(pickSpeechLanguage('hi', 'en-US', 'en-US'), 'hi-IN');
+    assert.equal(pickSpeechLanguage('ta'), 'ta-IN');
+});
+
+test('pickSpeechLanguage falls back for a locale it does not list', () => {
+    assert.equal(pickSpeechLanguage('fr', '', 'fr-FR'), 'fr-FR');
+    assert.equal(pickSpeechLanguage('fr'), 'en-US');
+});
+
+test('toSpokenText drops emoji and collapses whitespace', () => {
+    assert.equal(toSpokenText('🩸 Check your  sugar ⚠️\n before meals ⓘ'), 'Check your sugar before meals');
+    assert.equal(toSpokenText(''), '');
+});
+
+test('splitForSpeech joins short sentences up to the chunk length', () => {
+    const text = 'Drink water. Walk after meals! Sleep well?';
+    assert.deepEqual(splitForSpeech(text, 200), [text]);
+    assert.deepEqual(splitForSpeech(text, 20), ['Drink water.', 'Walk after meals!', 'Sleep well?']);
+});
+
+test('splitForSpeech does not split decimals and cuts long sentences at a space', () => {
+    assert.deepEqual(splitForSpeech('Aim for an HbA1c below 6.5 percent.', 200), ['Aim for an HbA1c below 6.5 percent.']);
+
+    const chunks = splitForSpeech('one two three four five six', 10);
+    assert.deepEqual(chunks, ['one two', 'three four', 'five six']);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 10));
+});
+
+test('splitForSpeech ends Hindi sentences at the danda', () => {
+    assert.deepEqual(splitForSpeech('पानी पिएँ। खाने के बाद टहलें।', 20), ['पानी पिएँ।', 'खाने के बाद टहलें।']);
+});